@@ -63,6 +63,24 @@ class ChunkCache {
    *                              of the transaction.
    */
   put(worldId, x, z, props) {
+    const pack = packPropData(props.map((prop) => {
+      return serializeProp(prop);
+    }));
+
+    return this.putPack(worldId, x, z, pack);
+  }
+
+  /**
+   * Put an already-packed chunk in the cache, override existing entry if any
+   *
+   * @param {integer} worldId - ID of the world this chunk belongs to.
+   * @param {integer} x - Index of this chunk along the X-axis.
+   * @param {integer} z - Index of this chunk along the Z-axis.
+   * @param {Uint8Array} pack - Prop data pack of this chunk.
+   * @return {Promise<undefined>} Promise hanging on the completion
+   *                              of the transaction.
+   */
+  putPack(worldId, x, z, pack) {
     return new Promise((resolve, reject) => {
       const request = this.idb.open(this.dbName, this.version);
 
@@ -72,11 +90,7 @@ class ChunkCache {
         const store = event.target.result.transaction([this.storeName],
             'readwrite').objectStore(this.storeName);
 
-        const pack = packPropData(props.map((prop) => {
-          return serializeProp(prop);
-        }));
-
-        const data = new Blob([pack.buffer]);
+        const data = new Blob([pack]);
 
         const put = store.put({worldId, x, z, data, tag});
 
@@ -124,6 +138,73 @@ class ChunkCache {
     });
   }
 
+  /**
+   * Get many chunks from the cache at once, within a single transaction
+   *
+   * @param {integer} worldId - ID of the world the chunks belong to.
+   * @param {Array<ChunkCoords>} coords - Coordinates of the chunks to get.
+   * @return {Promise<Array<ChunkProps|null>>} Promise of the list of props
+   *                                           from each chunk, in the same
+   *                                           order, null if not cached.
+   */
+  getMany(worldId, coords) {
+    return new Promise((resolve, reject) => {
+      const request = this.idb.open(this.dbName, this.version);
+
+      request.onerror = (event) => reject(event);
+      request.onsuccess = (event) => {
+        const index = event.target.result.transaction([this.storeName],
+            'readonly').objectStore(this.storeName).index('id');
+
+        Promise.all(coords.map(({x, z}) => new Promise((resolve, reject) => {
+          const get = index.get([worldId, x, z]);
+
+          get.onerror = (event) => reject(event);
+          get.onsuccess = (event) => resolve(event.target.result?.data);
+        }))).then((blobs) => Promise.all(blobs.map(async (data) => {
+          if (!data) return null;
+
+          const props = unpackPropData(new Uint8Array(
+              await data.arrayBuffer())).map((arr) => deserializeProp(arr));
+
+          return {hash: hashProps(props), props};
+        }))).then(resolve, reject);
+      };
+    });
+  }
+
+  /**
+   * Put many already-packed chunks in the cache at once, within a single
+   * transaction, override existing entries if any
+   *
+   * @param {integer} worldId - ID of the world the chunks belong to.
+   * @param {Array<Object>} chunks - Chunks to put, each one holding 'x' and
+   *                                 'z' indices along with its prop data
+   *                                 'pack'.
+   * @return {Promise<undefined>} Promise hanging on the completion
+   *                              of the transaction.
+   */
+  putPacks(worldId, chunks) {
+    return new Promise((resolve, reject) => {
+      const request = this.idb.open(this.dbName, this.version);
+
+      request.onerror = (event) => reject(event);
+      request.onsuccess = (event) => {
+        const transaction = event.target.result.transaction([this.storeName],
+            'readwrite');
+        const store = transaction.objectStore(this.storeName);
+
+        for (const {x, z, pack} of chunks) {
+          store.put({worldId, x, z, data: new Blob([pack]),
+            tag: makeChunkTag(worldId, x, z)});
+        }
+
+        transaction.onerror = (event) => reject(event);
+        transaction.oncomplete = (event) => resolve();
+      };
+    });
+  }
+
   /**
    * Get all available chunks coordinates from the cache for a given world
    *
@@ -15,8 +15,11 @@ const defaultRenderingDistance = 100.0; // In meters
 const defaultHidingDistance = 60.0; // In meters
 const lightScalingFactor = Math.PI; // Since version 155 of three.js
 const entityTagName = 'entity-tag';
+const entityBubbleName = 'entity-bubble';
 const tagFontSizePx = 15;
 const tagHeightOffset = 0.2; // in meters
+const bubbleHeightOffset = 0.4; // in meters, above the tag
+const maxBubbleLength = 40; // in characters
 const isNumber = (value) => !isNaN(value);
 
 /**
@@ -157,11 +160,12 @@ class Engine3D {
   /** Clear the 3D scene of all live entities */
   clearEntities() {
     this.entities.children.forEach((child) => {
-      const sprite = child.getObjectByName(entityTagName);
-
-      if (sprite) {
-        sprite.material.map.dispose();
-        sprite.material.dispose();
+      for (const sprite of [child.getObjectByName(entityTagName),
+        child.getObjectByName(entityBubbleName)]) {
+        if (sprite) {
+          sprite.material.map.dispose();
+          sprite.material.dispose();
+        }
       }
     });
 
@@ -773,16 +777,23 @@ class Engine3D {
       avatar.position.setY((bbox.max.y - bbox.min.y) / 2);
 
       const sprite = entity.getObjectByName(entityTagName);
+      const bubble = entity.getObjectByName(entityBubbleName);
 
       entity.clear();
       entity.add(avatar);
 
+      // Update the tag and bubble positions (if any)
+      bbox.setFromObject(entity);
+
       if (sprite) {
-        // Update the tag position (if any)
-        bbox.setFromObject(entity);
         sprite.position.set(0, bbox.max.y + tagHeightOffset, 0);
         entity.add(sprite);
       }
+
+      if (bubble) {
+        bubble.position.set(0, bbox.max.y + bubbleHeightOffset, 0);
+        entity.add(bubble);
+      }
     }
   }
 
@@ -795,7 +806,58 @@ class Engine3D {
     const entity = this.entities.getObjectByName(name);
     if (!entity) return;
 
-    let sprite = entity.getObjectByName(entityTagName);
+    this.setEntityLabel(entity, entityTagName, tag, tagHeightOffset,
+        255, 255, 255);
+  }
+
+  /**
+   * Set entity chat bubble using the name of the entity, long text gets
+   * truncated
+   * @param {string} name - Name of the three.js group to set the bubble on.
+   * @param {string} text - Text to show above the entity.
+   * @param {boolean} emote - True to tint the text as an emote (optional).
+   */
+  setEntityBubbleByName(name, text, emote = false) {
+    const entity = this.entities.getObjectByName(name);
+    if (!entity) return;
+
+    const line = text.length > maxBubbleLength ?
+        text.slice(0, maxBubbleLength - 1) + '\u2026' : text;
+
+    this.setEntityLabel(entity, entityBubbleName, line, bubbleHeightOffset,
+        255, 255, emote ? 160 : 220);
+  }
+
+  /**
+   * Remove entity chat bubble using the name of the entity
+   * @param {string} name - Name of the three.js group to remove the bubble
+   *                        from.
+   */
+  clearEntityBubbleByName(name) {
+    const bubble = this.entities.getObjectByName(name)
+        ?.getObjectByName(entityBubbleName);
+    if (!bubble) return;
+
+    bubble.removeFromParent();
+    bubble.material.map.dispose();
+    bubble.material.dispose();
+    bubble.geometry.dispose();
+  }
+
+  /**
+   * Set a single line of text above an entity, reusing the existing label
+   * of the same name if any
+   * @param {Group} entity - three.js group to set the label on.
+   * @param {string} labelName - Name of the label within the group.
+   * @param {string} text - Text of the label.
+   * @param {float} heightOffset - Height of the label above the entity (in
+   *                               meters).
+   * @param {integer} r - Red component of the text color.
+   * @param {integer} g - Green component of the text color.
+   * @param {integer} b - Blue component of the text color.
+   */
+  setEntityLabel(entity, labelName, text, heightOffset, r, g, b) {
+    let sprite = entity.getObjectByName(labelName);
 
     if (!sprite) {
       const bbox = new THREE.Box3().setFromObject(entity);
@@ -805,8 +867,8 @@ class Engine3D {
 
       const ctx = canvas.getContext('2d');
 
-      makeTagCanvas(ctx, [tag], tagFontSizePx,
-          formatSignLines(tag, ctx).maxLineWidth, 255, 255, 255);
+      makeTagCanvas(ctx, [text], tagFontSizePx,
+          formatSignLines(text, ctx).maxLineWidth, r, g, b);
 
       const map = new THREE.CanvasTexture(canvas);
       const material = new THREE.PointsMaterial({map});
@@ -823,17 +885,17 @@ class Engine3D {
       // Using THREE.Points instead of THREE.Sprite allows size definition
       // using pixels, matching the actual 2D canvas
       sprite = new THREE.Points(geometry, material);
-      sprite.name = entityTagName;
-      sprite.position.set(0, bbox.max.y + tagHeightOffset, 0);
+      sprite.name = labelName;
+      sprite.position.set(0, bbox.max.y + heightOffset, 0);
       sprite.userData.lookup = {canvas};
       entity.add(sprite);
     } else {
-      // Reuse exsting canvas to write the new tag
+      // Reuse exsting canvas to write the new text
       const canvas = sprite.userData.lookup.canvas;
       const ctx = canvas.getContext('2d');
       ctx.clearRect(0, 0, canvas.width, canvas.height);
-      makeTagCanvas(ctx, [tag], tagFontSizePx,
-          formatSignLines(tag, ctx).maxLineWidth, 255, 255, 255);
+      makeTagCanvas(ctx, [text], tagFontSizePx,
+          formatSignLines(text, ctx).maxLineWidth, r, g, b);
       sprite.material.map.needsUpdate = true;
       sprite.material.needsUpdate = true;
     }
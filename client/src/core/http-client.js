@@ -3,6 +3,8 @@
  */
 
 import {unpackElevationData} from '../../../common/terrain-utils.js';
+import {unpackPropData, deserializeProp}
+  from '../../../common/props-data-format.js';
 
 /**
  * @typedef AuthToken
@@ -12,74 +14,916 @@ import {unpackElevationData} from '../../../common/terrain-utils.js';
  *                            subsequent HTTP requests.
  */
 
+// Elevated tokens (from privilege mode) lose their elevation once refreshed,
+// so they only get refreshed when about to expire (in seconds)
+const elevatedTokenRefreshMargin = 120;
+
+/**
+ * Read the payload of a JWT authentication token, without verifying it
+ * @param {string} token - JWT authentication token.
+ * @return {Object|null} Decoded payload, null if it could not be read.
+ */
+function readTokenPayload(token) {
+  try {
+    const payload = token.split('.')[1]
+        .replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @typedef PropsChunk
+ * @type {object}
+ * @property {integer} x - Index of the chunk along the X-axis.
+ * @property {integer} z - Index of the chunk along the Z-axis.
+ * @property {integer} hash - Hash of the props of the chunk.
+ * @property {Uint8Array} pack - Prop data pack of the chunk.
+ */
+
+/**
+ * Decode base64-encoded binary data
+ * @param {string} data - Base64-encoded data.
+ * @return {Uint8Array} Decoded data.
+ */
+function decodeBase64(data) {
+  return Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+}
+
 /** HTTP client utility to interact with the server API */
 class HttpClient {
   /**
-   * @constructor
-   * @param {string} url - Base URL to prepend to API calls.
-   * @param {boolean} cors - Enable CORS policy is true.
-   * @param {string} token - User authetication token.
+   * @constructor
+   * @param {string} url - Base URL to prepend to API calls.
+   * @param {boolean} cors - Enable CORS policy is true.
+   * @param {string} token - User authetication token.
+   */
+  constructor(url = '/api', cors = false, token = null) {
+    this.headers = new Headers();
+    this.headers.append('Content-Type', 'application/json');
+    this.token = null;
+    this.tokenRefreshCallback = () => {};
+    this.privilegeLossCallback = () => {};
+    this.pendingRefresh = null;
+
+    if (token) this.setAuthToken(token);
+
+    this.url = url;
+    this.cors = cors;
+  }
+
+  /**
+   * Set the authentication token value to be used in HTTP request headers
+   * @param {string} token - User authetication token.
+   */
+  setAuthToken(token) {
+    this.clear();
+    this.token = token;
+    this.headers.append('Authorization', 'Bearer ' + token);
+  }
+
+  /** Clear current authentication token */
+  clear() {
+    this.token = null;
+    if (this.headers.has('Authorization')) this.headers.delete('Authorization');
+  }
+
+  /**
+   * Register a callback to be invoked each time the authentication token
+   * gets refreshed
+   * @param {function} cb - Callback function taking the new token as
+   *                        parameter.
+   */
+  onTokenRefresh(cb) {
+    this.tokenRefreshCallback = cb;
+  }
+
+  /**
+   * Register a callback to be invoked when privilege mode ends, as the
+   * elevated token gets refreshed into a regular one
+   * @param {function} cb - Callback function taking no parameter.
+   */
+  onPrivilegeLoss(cb) {
+    this.privilegeLossCallback = cb;
+  }
+
+  /**
+   * Get a new authentication token from the server, the current one needs
+   * to still be valid for this to work, elevated tokens get refreshed into
+   * regular ones (leaving privilege mode)
+   * @return {Promise<AuthToken>} Refreshed authorization token.
+   */
+  async refreshToken() {
+    const request = new Request(this.url + '/token/refresh', {
+      method: 'POST',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    })
+        .then((json) => {
+          if (json.token) return {id: json.id, token: json.token};
+          else throw new Error('Missing authorization token');
+        })
+        .then(({id, token}) => {
+          const wasElevated = this.token &&
+              readTokenPayload(this.token)?.elevated === true;
+
+          this.setAuthToken(token);
+          this.tokenRefreshCallback(token);
+
+          if (wasElevated && readTokenPayload(token)?.elevated !== true) {
+            this.privilegeLossCallback();
+          }
+
+          return {id, token};
+        });
+  }
+
+  /**
+   * Enter privilege mode: get a short-lived elevated authentication token
+   * from the server, required for administrative actions, it replaces the
+   * current token until it gets refreshed
+   * @param {string} password - Privilege password of the user.
+   * @return {Promise<AuthToken>} Elevated authorization token.
+   */
+  async elevate(password) {
+    await this.getFreshToken();
+
+    const request = new Request(this.url + '/privilege', {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({password}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    })
+        .then((json) => {
+          if (json.token) return {id: json.id, token: json.token};
+          else throw new Error('Missing authorization token');
+        })
+        .then(({id, token}) => {
+          this.setAuthToken(token);
+          this.tokenRefreshCallback(token);
+          return {id, token};
+        });
+  }
+
+  /**
+   * Get the current authentication token, refresh it beforehand if more
+   * than half of its lifetime has already elapsed, or if it is elevated
+   * and about to expire
+   * @return {Promise<string|null>} Current authentication token (if any).
+   */
+  async getFreshToken() {
+    const payload = this.token ? readTokenPayload(this.token) : null;
+
+    if (!payload?.exp || !payload?.iat) return this.token;
+
+    const now = Date.now() / 1000;
+    const refreshTime = payload.elevated === true ?
+        Math.max((payload.iat + payload.exp) / 2,
+            payload.exp - elevatedTokenRefreshMargin) :
+        (payload.iat + payload.exp) / 2;
+
+    // Expired tokens cannot be refreshed, let the next request fail
+    if (now >= payload.exp || now < refreshTime) return this.token;
+
+    // Do not issue several refresh requests at the same time
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refreshToken()
+          .catch(() => {})
+          .finally(() => {
+            this.pendingRefresh = null;
+          });
+    }
+
+    await this.pendingRefresh;
+
+    return this.token;
+  }
+
+  /**
+   * Sign user into the server, get valid authentication token in case
+   * of success
+   * @param {string} username - Name of the user.
+   * @param {string} password - Password of the user.
+   * @return {Promise<AuthToken>} Valid authorization token.
+   */
+  async login(username, password) {
+    const request = new Request(this.url + '/login', {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({username, password}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    })
+        .then((json) => {
+          if (json.token) {
+            return {id: json.id, role: json.role, token: json.token};
+          } else throw new Error('Missing authorization token');
+        })
+        .then(({id, role, token}) => {
+          this.setAuthToken(token);
+          return {id, role, token};
+        });
+  }
+
+  /**
+   * Sign in as a guest (tourist), without any account
+   * @param {string} name - Display name of the guest.
+   * @return {Promise<AuthToken>} Valid authorization token.
+   */
+  async loginGuest(name) {
+    const request = new Request(this.url + '/login/guest', {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({name}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    })
+        .then((json) => {
+          if (json.token) {
+            return {id: json.id, role: json.role, token: json.token};
+          } else throw new Error('Missing authorization token');
+        })
+        .then(({id, role, token}) => {
+          this.setAuthToken(token);
+          return {id, role, token};
+        });
+  }
+
+  /**
+   * Sign user out of the server, revoking all of their authentication tokens
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async logout() {
+    const request = new Request(this.url + '/logout', {
+      method: 'POST',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    })
+        .then((json) => {
+          this.clear();
+          return json;
+        });
+  }
+
+  /**
+   * Sign a user out of all their sessions, revoking all of their
+   * authentication tokens
+   * @param {integer} id - ID of the user.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async logoutAll(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/${id}/logout-all`, {
+      method: 'POST',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Register a new user account on the server, only works when open
+   * registration is enabled there
+   * @param {string} username - Name of the user.
+   * @param {string} password - Password of the user.
+   * @param {string} email - Email address of the user (optional).
+   * @return {Promise<User>} Newly-created user.
+   */
+  async register(username, password, email = '') {
+    const request = new Request(this.url + '/users', {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({username, password, email}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Change the password of a user
+   * @param {integer} id - ID of the user.
+   * @param {string} password - New password for the user.
+   * @param {string|null} oldPassword - Current password of the user, required
+   *                                    when changing one's own password.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async changePassword(id, password, oldPassword = null) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/${id}/password`, {
+      method: 'PUT',
+      headers: this.headers,
+      body: JSON.stringify({password, oldPassword}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Create a new user account, requires admin privileges
+   * @param {string} username - Name of the user.
+   * @param {string} password - Password of the user.
+   * @param {string} email - Email address of the user.
+   * @param {string} role - Role of the user.
+   * @return {Promise<User>} Newly-created user.
+   */
+  async createUser(username, password, email = '', role = 'citizen') {
+    await this.getFreshToken();
+
+    const request = new Request(this.url + '/users', {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({username, password, email, role}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Edit a user, requires admin privileges
+   * @param {integer} id - ID of the user.
+   * @param {Object} fields - Fields to update, among 'name', 'email'
+   *                          and 'role'.
+   * @return {Promise<User>} Updated user.
+   */
+  async updateUser(id, fields) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/${id}`, {
+      method: 'PATCH',
+      headers: this.headers,
+      body: JSON.stringify(fields),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Delete a user, requires admin privileges
+   * @param {integer} id - ID of the user.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteUser(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Set or clear the privilege password of a user, replacing or clearing
+   * one's own existing privilege password requires privilege mode
+   * @param {integer} id - ID of the user.
+   * @param {string|null} privilegePassword - New privilege password for the
+   *                                          user, null to clear it.
+   * @param {string|null} password - Current password of the user, required
+   *                                 when changing one's own privilege
+   *                                 password.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async setPrivilegePassword(id, privilegePassword, password = null) {
+    await this.getFreshToken();
+
+    const request =
+        new Request(`${this.url}/users/${id}/privilege-password`, {
+          method: 'PUT',
+          headers: this.headers,
+          body: JSON.stringify({privilegePassword, password}),
+          mode: this.cors ? 'cors' : undefined,
+        });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of all bans, requires admin privileges
+   * @return {Promise<Array<Ban>>} List of bans.
+   */
+  async getBans() {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/bans`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Ban a user and/or a remote address, requires admin privileges
+   * @param {Object} ban - Ban to issue, with 'userId' and/or 'address'
+   *                       fields, along with optional 'reason' and
+   *                       'duration' (in seconds, permanent if missing).
+   * @return {Promise<Ban>} Created ban.
+   */
+  async postBan(ban) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/bans`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(ban),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Lift a ban, requires admin privileges
+   * @param {integer} id - ID of the ban.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteBan(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/bans/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of all mutes, requires admin privileges
+   * @param {integer|null} wid - ID of the world to list the mutes of, all
+   *                             worlds if null.
+   * @return {Promise<Array<Mute>>} List of mutes.
+   */
+  async getMutes(wid = null) {
+    await this.getFreshToken();
+
+    const url = wid === null ? `${this.url}/mutes` :
+      `${this.url}/mutes?worldId=${wid}`;
+
+    const request = new Request(url, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Mute a user in a world, requires admin privileges
+   * @param {Object} mute - Mute to issue, with 'worldId' and 'userId'
+   *                        fields, along with optional 'reason' and
+   *                        'duration' (in seconds, permanent if missing).
+   * @return {Promise<Mute>} Created mute.
+   */
+  async postMute(mute) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/mutes`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(mute),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Lift a mute, requires admin privileges
+   * @param {integer} id - ID of the mute.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteMute(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/mutes/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get a list of available worlds to connect to
+   * @return {Promise<Array<World>>} List of worlds.
+   */
+  async getWorlds() {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get a single world, checking the user is allowed in
+   * @param {integer} id - ID of the world.
+   * @param {string} password - Password of the world, if protected by one,
+   *                            no need to provide it again afterwards.
+   * @return {Promise<World>} World, rejected with 403 if not allowed in and
+   *                          503 if full.
+   */
+  async getWorld(id, password = null) {
+    await this.getFreshToken();
+
+    // The world password goes in a header, never in the URL
+    const headers = new Headers(this.headers);
+    if (password !== null) headers.set('X-World-Password', password);
+
+    const request = new Request(`${this.url}/worlds/${id}`, {
+      method: 'GET',
+      headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of users currently in a world
+   * @param {integer} id - ID of the world.
+   * @return {Promise<Array<Object>>} List of users, with their ID, name,
+   *                                  role and last known position.
+   */
+  async getWorldUsers(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${id}/users`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of users currently in any world
+   * @return {Promise<Array<Object>>} List of users, with their ID, name,
+   *                                  role, world ID and last known position.
+   */
+  async getOnlineUsers() {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/online`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the latest logged chat messages of a world
+   * @param {integer} wid - ID of the world.
+   * @param {Object} paging - Optional 'before' message ID to only get older
+   *                          messages and 'limit' on the number of them.
+   * @return {Promise<Array<Object>>} List of messages, oldest first.
+   */
+  async getWorldChat(wid, paging = {}) {
+    await this.getFreshToken();
+
+    const params = new URLSearchParams(Object.entries(paging)
+        .filter(([key, value]) => value !== null && value !== undefined));
+    const query = params.toString() ? `?${params}` : '';
+
+    const request = new Request(`${this.url}/worlds/${wid}/chat${query}`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Broadcast a notice on world chats, requires admin privileges
+   * @param {string} msg - Content of the notice.
+   * @param {integer|null} wid - ID of the world to send the notice to, all
+   *                             of them if null.
+   * @return {Promise<Object>} Number of users who received the notice
+   *                           ('recipients').
+   */
+  async broadcastNotice(msg, wid = null) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/chat/broadcast`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(wid === null ? {msg} : {msg, worldId: wid}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of telegrams received by the current user
+   * @param {integer} userId - ID of the current user.
+   * @return {Promise<Array<Object>>} List of telegrams, oldest first.
+   */
+  async getTelegrams(userId) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/users/${userId}/telegrams`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Delete a telegram received by the current user
+   * @param {integer} userId - ID of the current user.
+   * @param {integer} id - ID of the telegram.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteTelegram(userId, id) {
+    await this.getFreshToken();
+
+    const request =
+        new Request(`${this.url}/users/${userId}/telegrams/${id}`, {
+          method: 'DELETE',
+          headers: this.headers,
+          mode: this.cors ? 'cors' : undefined,
+        });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Create a new world, requires admin privileges
+   * @param {string} name - Name of the world.
+   * @param {Object} data - Data dictionary of the world.
+   * @param {Object} access - Access settings of the world (optional), among
+   *                          'access', 'maxUsers' and 'password'.
+   * @return {Promise<World>} Created world.
+   */
+  async createWorld(name, data, access = {}) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({...access, name, data}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Update a world, requires admin privileges
+   * @param {integer} id - ID of the world.
+   * @param {Object} fields - Fields to update, among 'name', 'data' (only
+   *                          the provided data entries are updated, null
+   *                          ones are removed), 'access', 'maxUsers' and
+   *                          'password'.
+   * @return {Promise<World>} Updated world.
+   */
+  async updateWorld(id, fields) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${id}`, {
+      method: 'PATCH',
+      headers: this.headers,
+      body: JSON.stringify(fields),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Delete a world along with all of its content, requires admin privileges
+   * @param {integer} id - ID of the world.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteWorld(id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the list of rights granted in a world
+   * @param {integer} wid - ID of the world.
+   * @return {Promise<Array<WorldRight>>} List of rights.
    */
-  constructor(url = '/api', cors = false, token = null) {
-    this.headers = new Headers();
-    this.headers.append('Content-Type', 'application/json');
-    this.token = token;
+  async getWorldRights(wid) {
+    await this.getFreshToken();
 
-    if (token) this.setAuthToken(token);
+    const request = new Request(`${this.url}/worlds/${wid}/rights`, {
+      method: 'GET',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
 
-    this.url = url;
-    this.cors = cors;
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
   }
 
   /**
-   * Set the authentication token value to be used in HTTP request headers
-   * @param {string} token - User authetication token.
+   * Grant a right to a user in a world, requires admin privileges
+   * @param {integer} wid - ID of the world.
+   * @param {Object} right - Right to grant, holding 'userId' and 'right'
+   *                         (either 'build', 'eject' or 'enter').
+   * @return {Promise<WorldRight>} Granted right.
    */
-  setAuthToken(token) {
-    this.clear();
-    this.headers.append('Authorization', 'Bearer ' + token);
+  async postWorldRight(wid, right) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/rights`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(right),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
   }
 
-  /** Clear current authentication token */
-  clear() {
-    if (this.headers.has('Authorization')) this.headers.delete('Authorization');
+  /**
+   * Revoke a right in a world, requires admin privileges
+   * @param {integer} wid - ID of the world.
+   * @param {integer} id - ID of the right.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteWorldRight(wid, id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/rights/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
   }
 
   /**
-   * Sign user into the server, get valid authentication token in case
-   * of success
-   * @param {string} username - Name of the user.
-   * @param {string} password - Password of the user.
-   * @return {Promise<AuthToken>} Valid authorization token.
+   * Eject a user from a world, requires the 'eject' right of the world or
+   * admin privileges
+   * @param {integer} wid - ID of the world.
+   * @param {integer} userId - ID of the user to eject.
+   * @return {Promise<Object>} Empty object in case of success.
    */
-  async login(username, password) {
-    const request = new Request(this.url + '/login', {
+  async ejectUser(wid, userId) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/eject`, {
       method: 'POST',
       headers: this.headers,
-      body: JSON.stringify({username, password}),
+      body: JSON.stringify({userId}),
       mode: this.cors ? 'cors' : undefined,
     });
 
     return await fetch(request).then((response) => {
       if (response.ok) return response.json();
       else throw new Error(response.status);
-    })
-        .then((json) => {
-          if (json.token) return {id: json.id, token: json.token};
-          else throw new Error('Missing authorization token');
-        })
-        .then(({id, token}) => {
-          this.setAuthToken(token);
-          return {id, token};
-        });
+    });
   }
 
   /**
-   * Get a list of available worlds to connect to
-   * @return {Promise<Array<World>>} List of worlds.
+   * Get the list of regions claimed in a world
+   * @param {integer} wid - ID of the world.
+   * @return {Promise<Array<Region>>} List of regions.
    */
-  async getWorlds() {
-    const request = new Request(`${this.url}/worlds`, {
+  async getRegions(wid) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/regions`, {
       method: 'GET',
       headers: this.headers,
       mode: this.cors ? 'cors' : undefined,
@@ -92,7 +936,52 @@ class HttpClient {
   }
 
   /**
-   * Get a list of props from a given world within a defined area
+   * Assign a region of a world to a user, requires admin privileges
+   * @param {integer} wid - ID of the world.
+   * @param {Object} region - Region to assign, holding 'userId', 'minX',
+   *                          'maxX', 'minZ' and 'maxZ' (in meters).
+   * @return {Promise<Region>} Assigned region.
+   */
+  async postRegion(wid, region) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/regions`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(region),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Release a region of a world, requires admin privileges
+   * @param {integer} wid - ID of the world.
+   * @param {integer} id - ID of the region.
+   * @return {Promise<Object>} Empty object in case of success.
+   */
+  async deleteRegion(wid, id) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/regions/${id}`, {
+      method: 'DELETE',
+      headers: this.headers,
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get a packed binary payload of props from a given world within a defined
+   * area, as produced by {@link packPropData}
    * @param {integer} wid - ID of the world to get props from.
    * @param {integer|null} minX - Minimum X coordinate value (in meters).
    * @param {integer|null} maxX - Maximum X coordinate value (in meters).
@@ -100,9 +989,14 @@ class HttpClient {
    * @param {integer|null} maxY - Maximum Y coordinate value (in meters).
    * @param {integer|null} minZ - Minimum Z coordinate value (in meters).
    * @param {integer|null} maxZ - Maximum Z coordinate value (in meters).
-   * @return {Promise<Array<Prop>>} List of props.
+   * @param {integer|null} hash - Hash of the props already known for this
+   *                              area (if any).
+   * @return {Promise<Uint8Array|null>} Prop data pack, null if the known
+   *                                    props are still up to date.
    */
-  async getProps(wid, minX, maxX, minY, maxY, minZ, maxZ) {
+  async getPropsPack(wid, minX, maxX, minY, maxY, minZ, maxZ, hash = null) {
+    await this.getFreshToken();
+
     let params = [];
 
     if (minX) params.push(`minX=${minX}`);
@@ -118,18 +1012,107 @@ class HttpClient {
       params = '';
     }
 
+    // Ask for the binary payload rather than the (much heavier) JSON one
+    const headers = new Headers(this.headers);
+    headers.set('Accept', 'application/octet-stream');
+
+    // The server replies with no content at all if nothing changed
+    if (hash !== null) headers.set('If-None-Match', `"${hash}-pack"`);
+
     const request = new Request(`${this.url}/worlds/${wid}/props${params}`, {
       method: 'GET',
-      headers: this.headers,
+      headers,
       mode: this.cors ? 'cors' : undefined,
     });
 
+    return await fetch(request).then((response) => {
+      if (response.status === 304) return null;
+      if (response.ok) return response.arrayBuffer();
+      else throw new Error(response.status);
+    }).then((buffer) => buffer && new Uint8Array(buffer));
+  }
+
+  /**
+   * Get a list of props from a given world within a defined area
+   * @param {integer} wid - ID of the world to get props from.
+   * @param {integer|null} minX - Minimum X coordinate value (in meters).
+   * @param {integer|null} maxX - Maximum X coordinate value (in meters).
+   * @param {integer|null} minY - Minimum Y coordinate value (in meters).
+   * @param {integer|null} maxY - Maximum Y coordinate value (in meters).
+   * @param {integer|null} minZ - Minimum Z coordinate value (in meters).
+   * @param {integer|null} maxZ - Maximum Z coordinate value (in meters).
+   * @return {Promise<Array<Prop>>} List of props.
+   */
+  async getProps(wid, minX, maxX, minY, maxY, minZ, maxZ) {
+    const pack = await this.getPropsPack(wid, minX, maxX, minY, maxY,
+        minZ, maxZ);
+
+    return unpackPropData(pack).map((prop) => deserializeProp(prop));
+  }
+
+  /**
+   * Search props of a given world, ordered by ID
+   * @param {integer} wid - ID of the world to search props in.
+   * @param {Object} filters - Optional filters: model 'name' pattern ('*'
+   *                           and '?' wildcards), 'description' and
+   *                           'action' substrings, owner 'userId', date
+   *                           range ('minDate' and 'maxDate', in
+   *                           milliseconds), bounding box ('minX', 'maxX',
+   *                           'minY', 'maxY', 'minZ' and 'maxZ', in meters),
+   *                           along with 'afterId' and 'limit' for
+   *                           pagination.
+   * @return {Promise<Array<Prop>>} List of props found.
+   */
+  async searchProps(wid, filters = {}) {
+    await this.getFreshToken();
+
+    const params = new URLSearchParams(Object.entries(filters)
+        .filter(([key, value]) => value !== null && value !== undefined &&
+            value !== ''));
+    const query = params.toString() ? `?${params}` : '';
+
+    const request =
+        new Request(`${this.url}/worlds/${wid}/props/search${query}`, {
+          method: 'GET',
+          headers: this.headers,
+          mode: this.cors ? 'cors' : undefined,
+        });
+
     return await fetch(request).then((response) => {
       if (response.ok) return response.json();
       else throw new Error(response.status);
     });
   }
 
+  /**
+   * Get the props of many chunks at once, skipping the ones already up to
+   * date
+   * @param {integer} wid - ID of the world to get props from.
+   * @param {Array<Object>} chunks - List of chunks to get, each one holding
+   *                                 'x' and 'z' indices, along with the
+   *                                 'hash' of the props already known for
+   *                                 it (optional).
+   * @param {number} chunkSide - Side length of a chunk (in meters).
+   * @return {Promise<Array<PropsChunk>>} List of chunks that changed, or
+   *                                      were not known yet.
+   */
+  async getPropsChunks(wid, chunks, chunkSide = 20) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/props/chunks`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({chunkSide, chunks}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    }).then((entries) => entries.map(({x, z, hash, pack}) =>
+      ({x, z, hash, pack: decodeBase64(pack)})));
+  }
+
   /**
    * Get the most recent prop date on a given world within a defined area
    * @param {integer} wid - ID of the world to get props from.
@@ -142,6 +1125,8 @@ class HttpClient {
    * @return {integer|null} Most recent prop timestamp in milliseconds (if any).
    */
   async getPropsHash(wid, minX, maxX, minY, maxY, minZ, maxZ) {
+    await this.getFreshToken();
+
     let params = [];
 
     if (minX) params.push(`minX=${minX}`);
@@ -180,14 +1165,19 @@ class HttpClient {
    * @param {Object} props - Map of props to be updated, indexed by their ID
    *                         and holding all meaningful properties in an object
    *                         as value.
+   * @param {boolean} atomic - True if either all of them must be updated or
+   *                           none at all.
    * @return {Promise<Object>} Map of results for props to be updated, indexed
    *                           by their ID, value is true in case of success,
    *                           false in case of failure (privilege or
    *                           ownership restriction) and null when the prop
    *                           wasn't found.
    */
-  async putProps(wid, props) {
-    const request = new Request(`${this.url}/worlds/${wid}/props`, {
+  async putProps(wid, props, atomic = false) {
+    await this.getFreshToken();
+
+    const query = atomic ? '?atomic=true' : '';
+    const request = new Request(`${this.url}/worlds/${wid}/props${query}`, {
       method: 'PUT',
       headers: this.headers,
       body: JSON.stringify(props),
@@ -205,13 +1195,18 @@ class HttpClient {
    * @param {integer} wid - ID of the world to create props on.
    * @param {Array} props - List props to be updated, holding all meaningful
    *                        properties in objects as individual items.
+   * @param {boolean} atomic - True if either all of them must be created or
+   *                           none at all.
    * @return {Promise<Array<boolean|null>>}
    * List of results for props to be created, item is true in case of success,
    * false in case of failure (privilege or ownership restriction) and null if
    * provided data was invalid or incomplete.
    */
-  async postProps(wid, props) {
-    const request = new Request(`${this.url}/worlds/${wid}/props`, {
+  async postProps(wid, props, atomic = false) {
+    await this.getFreshToken();
+
+    const query = atomic ? '?atomic=true' : '';
+    const request = new Request(`${this.url}/worlds/${wid}/props${query}`, {
       method: 'POST',
       headers: this.headers,
       body: JSON.stringify(props),
@@ -228,12 +1223,17 @@ class HttpClient {
    * Delete props on a given world
    * @param {integer} wid - ID of the world to deleted props from.
    * @param {Array} props - List of props to be deleted, entries are prop IDs.
+   * @param {boolean} atomic - True if either all of them must be deleted or
+   *                           none at all.
    * @return {Array} List of results for props to be deleted, item is true in
    *                 case of success, false in case of failure (because of
    *                 privilege/ownership) and null if prop was not found.
    */
-  async deleteProps(wid, props) {
-    const request = new Request(`${this.url}/worlds/${wid}/props`, {
+  async deleteProps(wid, props, atomic = false) {
+    await this.getFreshToken();
+
+    const query = atomic ? '?atomic=true' : '';
+    const request = new Request(`${this.url}/worlds/${wid}/props${query}`, {
       method: 'DELETE',
       headers: this.headers,
       body: JSON.stringify(props),
@@ -246,6 +1246,186 @@ class HttpClient {
     });
   }
 
+  /**
+   * Get all the revisions of a single prop, oldest first
+   * @param {integer} wid - ID of the world holding the prop.
+   * @param {integer} propId - ID of the prop.
+   * @return {Promise<Array<Object>>} List of revisions, each one holding
+   *                                  the state of the prop along with the
+   *                                  'op' that led to it, its 'authorId'
+   *                                  and 'date'.
+   */
+  async getPropHistory(wid, propId) {
+    await this.getFreshToken();
+
+    const request =
+        new Request(`${this.url}/worlds/${wid}/props/${propId}/history`, {
+          method: 'GET',
+          headers: this.headers,
+          mode: this.cors ? 'cors' : undefined,
+        });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get how many props a user owns in a given world, along with the props
+   * quotas applying to them
+   * @param {integer} wid - ID of the world.
+   * @param {integer|null} userId - ID of the user, the current one if null,
+   *                                getting the usage of others requires
+   *                                admin privileges.
+   * @return {Promise<Object>} Usage of the user: 'count', 'quota',
+   *                           'remaining', 'perRequest' and 'perChunk', the
+   *                           last four ones being null if unlimited.
+   */
+  async getPropsUsage(wid, userId = null) {
+    await this.getFreshToken();
+
+    const query = userId === null ? '' : `?userId=${userId}`;
+    const request =
+        new Request(`${this.url}/worlds/${wid}/props-usage${query}`, {
+          method: 'GET',
+          headers: this.headers,
+          mode: this.cors ? 'cors' : undefined,
+        });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Get the latest revisions of props on a given world, newest first
+   * @param {integer} wid - ID of the world to get the revisions from.
+   * @param {Object} filters - Optional filters: area bounds ('minX', 'maxX',
+   *                           'minZ' and 'maxZ', in meters), 'authorId',
+   *                           'op', 'since' (timestamp in milliseconds) and
+   *                           'limit'.
+   * @return {Promise<Array<Object>>} List of revisions.
+   */
+  async getPropsHistory(wid, filters = {}) {
+    await this.getFreshToken();
+
+    const params = new URLSearchParams(Object.entries(filters)
+        .filter(([key, value]) => value !== null && value !== undefined));
+    const query = params.toString() ? `?${params}` : '';
+
+    const request =
+        new Request(`${this.url}/worlds/${wid}/props-history${query}`, {
+          method: 'GET',
+          headers: this.headers,
+          mode: this.cors ? 'cors' : undefined,
+        });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Restore props on a given world as they were in some of their revisions
+   * @param {integer} wid - ID of the world holding the props.
+   * @param {Array<integer>} revisionIds - IDs of the revisions to restore,
+   *                                       at most one per prop.
+   * @return {Array} List of results, item is true in case of success, false
+   *                 in case of failure (because of privilege/ownership) and
+   *                 null if the revision was not found.
+   */
+  async restoreProps(wid, revisionIds) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/props/restore`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(revisionIds),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    });
+  }
+
+  /**
+   * Transfer the ownership of all the props matching a filter to another
+   * user, requires admin privileges
+   * @param {integer} wid - ID of the world holding the props.
+   * @param {integer} toUserId - ID of the new owner of the props.
+   * @param {Object} filter - Current owner (userId) and/or area (minX,
+   *                          maxX, minZ and maxZ) of the props.
+   * @return {Promise<integer>} Number of props transferred.
+   */
+  async transferProps(wid, toUserId, filter) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/props/owner`, {
+      method: 'PUT',
+      headers: this.headers,
+      body: JSON.stringify({...filter, toUserId}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    }).then(({count}) => count);
+  }
+
+  /**
+   * Move all the props within an area by a given offset, requires admin
+   * privileges
+   * @param {integer} wid - ID of the world holding the props.
+   * @param {Object} area - Bounds (minX, maxX, minZ and maxZ) of the area,
+   *                        and optionally the owner (userId) of the props.
+   * @param {Object} offset - Offset (in meters) on each axis (x, y and z).
+   * @return {Promise<integer>} Number of props moved.
+   */
+  async moveProps(wid, area, offset) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/props/area`, {
+      method: 'PUT',
+      headers: this.headers,
+      body: JSON.stringify({...area, offset}),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    }).then(({count}) => count);
+  }
+
+  /**
+   * Delete all the props within an area, requires admin privileges
+   * @param {integer} wid - ID of the world holding the props.
+   * @param {Object} area - Bounds (minX, maxX, minZ and maxZ) of the area,
+   *                        and optionally the owner (userId) of the props.
+   * @return {Promise<integer>} Number of props deleted.
+   */
+  async deletePropsArea(wid, area) {
+    await this.getFreshToken();
+
+    const request = new Request(`${this.url}/worlds/${wid}/props/area`, {
+      method: 'DELETE',
+      headers: this.headers,
+      body: JSON.stringify(area),
+      mode: this.cors ? 'cors' : undefined,
+    });
+
+    return await fetch(request).then((response) => {
+      if (response.ok) return response.json();
+      else throw new Error(response.status);
+    }).then(({count}) => count);
+  }
+
   /**
    * Get terrain page
    * @param {integer} wid - ID of the world to get the URLs from.
@@ -254,6 +1434,8 @@ class HttpClient {
    * @return {Promise<Object>} Object storing elevation and texture data.
    */
   async getTerrainPage(wid, pageX, pageZ) {
+    await this.getFreshToken();
+
     const pageURI = `${this.url}/worlds/${wid}/terrain/${pageX}/${pageZ}/`;
     const data = {
       elevationData: null,
@@ -302,6 +1484,8 @@ class HttpClient {
    * @return {Promise<Uint16Array>} Array storing water elevation data.
    */
   async getWaterPage(wid, pageX, pageZ) {
+    await this.getFreshToken();
+
     const pageURI = `${this.url}/worlds/${wid}/water/${pageX}/${pageZ}/`;
 
     const elevationRequest = new Request(pageURI, {
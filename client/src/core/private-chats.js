@@ -0,0 +1,175 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/**
+ * Private conversations of the user with others: messages are received
+ * (along with the feedback of the ones being sent) on the user's own chat,
+ * and sent on the chat of each recipient
+ */
+class PrivateChats {
+  /**
+   * @constructor
+   * @param {WsClient} wsClient - WebSocket client to open user chats with.
+   * @param {integer} userId - ID of the current user.
+   */
+  constructor(wsClient, userId) {
+    this.wsClient = wsClient;
+    this.userId = userId;
+    this.conversations = new Map();
+    this.selfChat = null;
+    this.recipientChats = new Map();
+    this.listeners = [];
+  }
+
+  /**
+   * Connect to the user's own chat, making them reachable by others
+   * @return {Promise<UserChat>} Promise of the opened user chat.
+   */
+  connect() {
+    if (this.selfChat) return this.selfChat;
+
+    this.selfChat = this.wsClient.userChatConnect(this.userId)
+        .then((chat) => {
+          chat.onMessage((data) => this.receive(JSON.parse(data)));
+          chat.onClose(() => {
+            this.selfChat = null;
+          });
+
+          return chat;
+        });
+
+    this.selfChat.catch(() => {
+      this.selfChat = null;
+    });
+
+    return this.selfChat;
+  }
+
+  /**
+   * Register listener to the conversations
+   * @param {function} cb - Listener callback function, called with the
+   *                        conversation and the new message.
+   * @return {integer} Handle of the newly-added listener.
+   */
+  addListener(cb) {
+    this.listeners.push(cb);
+    return this.listeners.length - 1;
+  }
+
+  /**
+   * Unregister listener from the conversations
+   * @param {integer} id - Handle of the listener.
+   * @return {boolean} True if the listener was removed, false if
+   *                   this handle didn't match anything.
+   */
+  removeListener(id) {
+    if (!this.listeners[id]) return false;
+
+    this.listeners[id] = null;
+    return true;
+  }
+
+  /**
+   * Get a conversation with another user, starting it if need be
+   * @param {integer} id - ID of the other user.
+   * @param {string} name - Name of the other user (optional).
+   * @return {Object} Conversation, holding the 'id' and 'name' of the
+   *                  other user, the 'messages' and the 'unread' count.
+   */
+  open(id, name = null) {
+    if (!this.conversations.has(id)) {
+      this.conversations.set(id, {id, name: name ?? `#${id}`, messages: [],
+        unread: 0});
+    } else if (name !== null) {
+      this.conversations.get(id).name = name;
+    }
+
+    return this.conversations.get(id);
+  }
+
+  /**
+   * Handle a message coming from the user's own chat
+   * @param {Object} message - Message, as formatted by the server.
+   */
+  receive({delivered, id, name, msg, to, telegram}) {
+    const outgoing = id === this.userId;
+    const otherId = outgoing ? to : id;
+
+    // Not a private message
+    if (otherId === undefined) return;
+
+    const conversation = this.open(otherId, outgoing ? null : name);
+    const entry = {outgoing, name, msg, delivered,
+      telegram: telegram !== undefined,
+      date: telegram?.date ?? Date.now()};
+
+    conversation.messages.push(entry);
+    if (!outgoing) conversation.unread++;
+
+    for (const cb of this.listeners) {
+      if (cb) cb(conversation, entry);
+    }
+  }
+
+  /**
+   * Flag all the messages of a conversation as read
+   * @param {integer} id - ID of the other user.
+   */
+  markRead(id) {
+    const conversation = this.conversations.get(id);
+    if (conversation) conversation.unread = 0;
+  }
+
+  /**
+   * Get the number of unread messages across all conversations
+   * @return {integer} Number of unread messages.
+   */
+  getUnreadCount() {
+    let count = 0;
+
+    for (const {unread} of this.conversations.values()) {
+      count += unread;
+    }
+
+    return count;
+  }
+
+  /**
+   * Send a message to another user, kept as a telegram by the server if
+   * they are offline
+   * @param {integer} id - ID of the other user.
+   * @param {string} msg - Message to send.
+   */
+  async send(id, msg) {
+    // The feedback comes through the user's own chat
+    await this.connect();
+
+    if (!this.recipientChats.has(id)) {
+      const chat = this.wsClient.userChatConnect(id).then((chat) => {
+        chat.onClose(() => this.recipientChats.delete(id));
+        return chat;
+      });
+
+      chat.catch(() => this.recipientChats.delete(id));
+      this.recipientChats.set(id, chat);
+    }
+
+    (await this.recipientChats.get(id)).send(msg);
+  }
+
+  /** Close all the chats and forget about the conversations */
+  close() {
+    this.selfChat?.then((chat) => chat.close()).catch(() => {});
+    this.selfChat = null;
+
+    for (const chat of this.recipientChats.values()) {
+      chat.then((chat) => chat.close()).catch(() => {});
+    }
+
+    this.recipientChats.clear();
+    this.conversations.clear();
+  }
+}
+
+export default PrivateChats;
@@ -188,35 +188,7 @@ class PropsSelector {
         }
 
         // We expect the object to have pre-computed bounding box geometry
-        let boundingBox = intersect.object
-            .getObjectByName(boundingBoxName);
-        if (!boundingBox) continue;
-
-        const prop = boundingBox.parent;
-        boundingBox = boundingBox.clone();
-
-        const {x, y, z} = prop.userData.prop;
-
-        // Ready the staging prop
-        const stagingProp = prop.clone();
-        stagingProp.visible = true;
-        stagingProp.position.set(x, y, z);
-        stagingProp.userData['originalProp'] =
-            JSON.parse(JSON.stringify(prop.userData.prop));
-
-        this.engine3d.appendToNode(this.stagingNode, stagingProp);
-        stagingProp.updateMatrix();
-        prop.visible = false;
-
-        boundingBox.position.set(x, y, z);
-        boundingBox.rotation.copy(prop.rotation);
-        boundingBox.updateMatrix();
-        boundingBox.visible = true;
-        this.engine3d.addHelperObject(boundingBox);
-        this.props.push({prop, stagingProp, boundingBox});
-
-        // Outputting the object's data to the browser console
-        console.log(prop);
+        if (!this.stage(intersect.object)) continue;
 
         done = true;
         break;
@@ -232,6 +204,71 @@ class PropsSelector {
     this.commitAndClear();
   }
 
+  /**
+   * Select a loaded prop using its ID, regardless of its distance
+   * @param {integer} propId - ID of the prop to select.
+   * @param {boolean} add - True to add the prop to the existing selection
+   *                        list, false (default) to clear the list first.
+   * @return {boolean} True if the prop got selected, false if it is not
+   *                   loaded (yet).
+   */
+  selectById(propId, add = false) {
+    const obj3d = this.worldManager.props.get(propId);
+    if (!obj3d) return false;
+
+    if (this.props.some(({prop}) => prop === obj3d)) return true;
+
+    if (!add) this.commitAndClear(false);
+
+    const staged = this.stage(obj3d);
+
+    this.updateArrows();
+    this.notifyChange(this.props.length);
+
+    return staged;
+  }
+
+  /**
+   * Stage a prop for edition, for internal use by {@link select} and
+   * {@link selectById}
+   * @param {Object3D} obj3d - 3D object of the prop, or any of its children
+   *                           holding its bounding box.
+   * @return {boolean} True if staged, false if the object has no bounding
+   *                   box to begin with.
+   */
+  stage(obj3d) {
+    let boundingBox = obj3d.getObjectByName(boundingBoxName);
+    if (!boundingBox) return false;
+
+    const prop = boundingBox.parent;
+    boundingBox = boundingBox.clone();
+
+    const {x, y, z} = prop.userData.prop;
+
+    // Ready the staging prop
+    const stagingProp = prop.clone();
+    stagingProp.visible = true;
+    stagingProp.position.set(x, y, z);
+    stagingProp.userData['originalProp'] =
+        JSON.parse(JSON.stringify(prop.userData.prop));
+
+    this.engine3d.appendToNode(this.stagingNode, stagingProp);
+    stagingProp.updateMatrix();
+    prop.visible = false;
+
+    boundingBox.position.set(x, y, z);
+    boundingBox.rotation.copy(prop.rotation);
+    boundingBox.updateMatrix();
+    boundingBox.visible = true;
+    this.engine3d.addHelperObject(boundingBox);
+    this.props.push({prop, stagingProp, boundingBox});
+
+    // Outputting the object's data to the browser console
+    console.log(prop);
+
+    return true;
+  }
+
   /** Clear selected props list */
   clear() {
     for (const {boundingBox} of this.props) {
@@ -11,6 +11,9 @@ const userFeedPriority = {
   critical: 5,
 
   objectSay: 6,
+  emote: 7,
+  whisper: 8,
+  broadcast: 9,
 };
 
 /**
@@ -5,6 +5,8 @@
 import {loadAvatarsZip} from '../../../common/avatars-dat-parser.js';
 import {getPageName, defaultPageDiameter}
   from '../../../common/terrain-utils.js';
+import {unpackPropData, deserializeProp}
+  from '../../../common/props-data-format.js';
 import {flipYawDegrees}
   from './utils-3d.js';
 import {makePagePlane, adjustPageEdges, pageNodeCollisionPreSelector}
@@ -16,7 +18,7 @@ import {makePagePlane as makeWaterPagePlane,
 import {Vector3, Color, MathUtils, TextureLoader, Group} from 'three';
 import {userFeedPriority} from './user-feed.js';
 
-const chunkCacheBatchSize = 100;
+const propsChunksBatchSize = 256;
 
 const defaultChunkLoadingPattern = [[-1, 1], [0, 1], [1, 1],
   [-1, 0], [0, 0], [1, 0],
@@ -147,6 +149,7 @@ class WorldManager {
     this.userCollider = userCollider;
     this.textureUpdatePeriod = textureUpdatePeriod; // In seconds
     this.currentWorld = null;
+    this.currentWorldData = null;
     this.currentModelRegistry = null;
     this.currentWorldUpdateClient = null;
     this.currentTerrainMaterials = [];
@@ -315,47 +318,8 @@ class WorldManager {
 
     this.currentWorld = world;
     const data = JSON.parse(world.data);
+    this.currentWorldData = data;
 
-    // Fetch all the sky colors from the world data, normalize them
-    // between 0.0 and 1.0
-    this.engine3d.setSkyColors([
-      ...data.skyColors.north,
-      ...data.skyColors.east,
-      ...data.skyColors.south,
-      ...data.skyColors.west,
-      ...data.skyColors.top,
-      ...data.skyColors.bottom,
-    ].map((c) => c / 255.0));
-    this.engine3d.setSkyColorSpinning(false);
-
-    if (data.enableFog) {
-      this.fog.enabled = true;
-      this.fog.color = data.fogColor;
-      this.fog.minimum = data.fogMinimum;
-      this.fog.maximum = data.fogMaximum;
-    } else {
-      this.fog.enabled = false;
-    }
-
-    this.ambientColor.set('#' + data.ambientColor);
-    this.engine3d.setAmbientLight(
-        this.ambientColor);
-
-    const directionalColor = this.tmpColor.set('#' + data.directionalColor);
-    this.engine3d.setDirectionalLight(
-        directionalColor,
-        // Note: AW stores the world directional light position
-        //       based on flipped axis instead of the expected
-        //       ones:
-        //       - North to South instead of South to North
-        //       - West to East instead of East to West
-        //       - Up to Down instead of Down to Up
-        this.tmpVec3.set(
-            -data.dirLightPos[0],
-            -data.dirLightPos[1],
-            -data.dirLightPos[2],
-        ),
-    );
     const entry = data?.entryPoint;
     const yaw = entry?.yaw || 0;
     if (entry !== undefined) {
@@ -372,13 +336,9 @@ class WorldManager {
 
     if (!data.path) throw new Error('Missing path field from world data json');
 
-    if (data.water) {
-      this.water = Object.assign(this.water, data.water);
-      this.currentWaterMaterials = loadWaterMaterials(this.textureLoader,
-          `${data.path}/textures`, data.water);
-    }
-
     this.currentModelRegistry = await this.worldPathRegistry.get(data.path);
+    await this.applyAtmosphere(data);
+
     this.currentWorldUpdateClient =
         await this.wsClient.worldUpdateConnect(world.id);
 
@@ -386,6 +346,15 @@ class WorldManager {
       const modelRegistry = this.currentModelRegistry;
       const boundTreesToUpdate = new Set();
 
+      if (entries.op === 'world') {
+        // World attributes changed: only refresh the atmosphere, chunks and
+        // pages are left as they are
+        await this.applyAtmosphere(entries.data, this.currentWorldData);
+        this.currentWorld.data = JSON.stringify(entries.data);
+        this.currentWorldData = entries.data;
+        return;
+      }
+
       if (entries.op === 'create') {
         for (const prop of entries.data) {
           const {cX, cZ} = this.getChunkCoordinates(prop.x, prop.z);
@@ -402,22 +371,25 @@ class WorldManager {
       } else if (entries.op === 'update') {
         for (const value of entries.data) {
           const {cX, cZ} = this.getChunkCoordinates(value.x, value.z);
+          const oldObj3d = this.props.get(value.id);
 
-          // Only update props on already-loaded chunks
-          if (!this.isChunkLoaded(cX, cZ) || !this.props.has(value.id)) {
-            continue;
-          }
-
-          boundTreesToUpdate.add(this.chunks.get(`${cX}_${cZ}`));
+          if (oldObj3d) {
+            boundTreesToUpdate.add(oldObj3d.userData.chunkNodeHandle);
 
-          // Remove original object
-          const oldObj3d = this.props.get(value.id);
+            // Remove original object from the dynamic object list (when
+            // applicable)
+            this.engine3d.unsetDynamicOnNode(
+                oldObj3d.userData.chunkNodeHandle, oldObj3d);
+            this.sceneryUpdater.unset(oldObj3d);
+            oldObj3d.removeFromParent();
+            this.props.delete(value.id);
+          }
 
-          // Remove it from the dynamic object list (when applicable)
-          this.engine3d.unsetDynamicOnNode(oldObj3d.userData.chunkNodeHandle,
-              oldObj3d);
+          // Props can be moved across chunks (e.g. when offsetting a whole
+          // area): only spawn them back if they landed on a loaded one
+          if (!modelRegistry || !this.isChunkLoaded(cX, cZ)) continue;
 
-          oldObj3d.removeFromParent();
+          boundTreesToUpdate.add(this.chunks.get(`${cX}_${cZ}`));
 
           // Spawn a new one update it
           const newObj3d = await modelRegistry.get(value.name);
@@ -451,12 +423,6 @@ class WorldManager {
     this.currentTerrainMaterials =
         this.worldPathRegistry.getTerrainMaterials(data.path);
 
-    if (data.skybox) {
-      const model = await this.currentModelRegistry
-          .getBasic(`${data.skybox}.rwx`);
-      this.engine3d.setSkyBox(model);
-    }
-
     const {cX, cZ} = this.getChunkCoordinates(this.engine3d.user.position.x,
         this.engine3d.user.position.z);
     this.loadCachedChunks(cX, cZ);
@@ -476,9 +442,86 @@ class WorldManager {
     return {avatars: [], path: data.path};
   }
 
+  /**
+   * Set up the sky, fog, lights, water and skybox of the current world from
+   * its data, can be called again on an already-loaded world to apply new
+   * settings on the fly
+   * @param {Object} data - Parsed world data.
+   * @param {Object|null} previousData - Previously applied world data if any,
+   *                                     used to only reload water and skybox
+   *                                     when they actually changed.
+   */
+  async applyAtmosphere(data, previousData = null) {
+    // Fetch all the sky colors from the world data, normalize them
+    // between 0.0 and 1.0
+    this.engine3d.setSkyColors([
+      ...data.skyColors.north,
+      ...data.skyColors.east,
+      ...data.skyColors.south,
+      ...data.skyColors.west,
+      ...data.skyColors.top,
+      ...data.skyColors.bottom,
+    ].map((c) => c / 255.0));
+    this.engine3d.setSkyColorSpinning(false);
+
+    if (data.enableFog) {
+      this.fog.enabled = true;
+      this.fog.color = data.fogColor;
+      this.fog.minimum = data.fogMinimum;
+      this.fog.maximum = data.fogMaximum;
+    } else {
+      this.fog.enabled = false;
+    }
+
+    this.ambientColor.set('#' + data.ambientColor);
+    this.engine3d.setAmbientLight(
+        this.ambientColor);
+
+    const directionalColor = this.tmpColor.set('#' + data.directionalColor);
+    this.engine3d.setDirectionalLight(
+        directionalColor,
+        // Note: AW stores the world directional light position
+        //       based on flipped axis instead of the expected
+        //       ones:
+        //       - North to South instead of South to North
+        //       - West to East instead of East to West
+        //       - Up to Down instead of Down to Up
+        this.tmpVec3.set(
+            -data.dirLightPos[0],
+            -data.dirLightPos[1],
+            -data.dirLightPos[2],
+        ),
+    );
+
+    if (previousData === null ||
+        JSON.stringify(data.water) !== JSON.stringify(previousData.water)) {
+      // Water pages will be reloaded on the next update using the new
+      // materials
+      if (this.currentWaterMaterials) this.clearWater();
+      this.water.enabled = false;
+
+      if (data.water) {
+        this.water = Object.assign(this.water, data.water);
+        this.currentWaterMaterials = loadWaterMaterials(this.textureLoader,
+            `${data.path}/textures`, data.water);
+      }
+    }
+
+    if (previousData === null || data.skybox !== previousData.skybox) {
+      if (data.skybox) {
+        const model = await this.currentModelRegistry
+            .getBasic(`${data.skybox}.rwx`);
+        this.engine3d.setSkyBox(model);
+      } else {
+        this.engine3d.resetSkyBox();
+      }
+    }
+  }
+
   /** Clear current world data, reset engine3d state and chunks */
   unload() {
     this.currentWorld = null;
+    this.currentWorldData = null;
     this.currentWorldUpdateClient?.close();
     this.currentWorldUpdateClient = null;
     this.currentModelRegistry.clearTmpMaterials();
@@ -702,9 +745,8 @@ class WorldManager {
     const lodCamera = this.engine3d.camera.clone();
     lodCamera.position.setY(0.0);
 
-    for (const [x, z] of this.chunkLoadingPattern) {
-      this.loadChunk(cX + x, cZ + z);
-    }
+    this.loadChunks(this.chunkLoadingPattern.map(([x, z]) =>
+      [cX + x, cZ + z]));
 
     // We notify the 3D engine that we want to update the current
     // chunks around the camera
@@ -841,36 +883,14 @@ class WorldManager {
       return sqrdADist - sqrdBDist;
     });
 
-    let i = 0;
-    let promises = [];
-
-    for (const {x, z} of coords) {
-      // World not loaded, just stop
-      if (this.currentWorld === null) return;
+    // We're not going past the allowed radius
+    coords = coords.filter(({x, z}) =>
+      (x - cX) * (x - cX) + (z - cZ) * (z - cZ) <= maxRadius * maxRadius);
 
-      const sqrdDist = (x - cX) * (x - cX) + (z - cZ) * (z - cZ);
+    // Chunks get revalidated against the server in batches as well
+    await this.loadChunks(coords.map(({x, z}) => [x, z]), true, true);
 
-      if (sqrdDist > maxRadius * maxRadius) {
-        // We're past the allowed radius
-        break;
-      }
-
-      promises.push(this.loadChunk(x, z, true, true));
-      i++;
-
-      // Only let a certain amount of chunk-loading promises run
-      // at any given time, this ought to avoid staggering or, worse,
-      // freezing the web browser
-      if (promises.length >= chunkCacheBatchSize) {
-        await Promise.all(promises);
-        promises = [];
-      }
-    }
-
-    // Load remaining amount at the end
-    await Promise.all(promises);
-
-    console.debug(`Loaded ${i} chunks from local cache`);
+    console.debug(`Loaded ${coords.length} chunks from local cache`);
   }
 
   /**
@@ -879,16 +899,25 @@ class WorldManager {
    * @param {integer} z - Index of the chunk on the Z axis.
    * @param {boolean} hide - Whether or not to hide chunk at creation.
    * @param {boolean} lazy - Whether or not to load the chunk from the cache.
-   *                         If True: Will issue a network call only if not
-   *                                  found in cache;
-   *                         If false (default): Will always issue a network
-   *                                             call.
+   *                         If True: Will only get props from the network
+   *                                  if the cached ones are outdated;
+   *                         If false (default): Will always get props from
+   *                                             the network.
    */
   async loadChunk(x, z, hide = false, lazy = false) {
-    const chunkId = `${x}_${z}`;
-    if (this.chunks.has(chunkId)) return;
+    await this.loadChunks([[x, z]], hide, lazy);
+  }
 
-    await this.reloadChunk(x, z, hide, lazy);
+  /**
+   * Load many prop chunks at once, skipping the ones already loaded
+   * @param {Array<Array<integer>>} coords - Indices ([x, z]) of the chunks.
+   * @param {boolean} hide - Whether or not to hide chunks at creation.
+   * @param {boolean} lazy - Whether or not to load the chunks from the
+   *                         cache, see {@link loadChunk}.
+   */
+  async loadChunks(coords, hide = false, lazy = false) {
+    await this.reloadChunks(coords.filter(([x, z]) =>
+      !this.isChunkLoaded(x, z)), hide, lazy);
   }
 
   /**
@@ -990,90 +1019,108 @@ class WorldManager {
    * @param {integer} x - Index of the chunk on the X axis.
    * @param {integer} z - Index of the chunk on the Z axis.
    * @param {boolean} hide - Whether or not to hide chunk at creation.
-   * @param {boolean} lazy - Whether or not to load the chunk from the cache.
-   *                         If true: Will issue a network call only if not
-   *                         found in cache;
-   *                         If false (default): Will always issue a network
-   *                         call.
+   * @param {boolean} lazy - Whether or not to load the chunk from the cache,
+   *                         see {@link loadChunk}.
    */
   async reloadChunk(x, z, hide = false, lazy = false) {
-    const chunkId = `${x}_${z}`;
+    await this.reloadChunks([[x, z]], hide, lazy);
+  }
 
-    if (this.chunks.has(chunkId)) {
-      // The chunk is already there: this is a reload scenario
-      const key = this.chunks.get(chunkId);
-      this.engine3d.removeNode(key);
-      this.chunks.remove(chunkId);
-      this.chunkKeys.remove(key);
-    }
+  /**
+   * Reload many prop chunks no matter what, their props are requested from
+   * the server in batches: when loading lazily, only the chunks whose cached
+   * props are outdated get sent back
+   * @param {Array<Array<integer>>} coords - Indices ([x, z]) of the chunks.
+   * @param {boolean} hide - Whether or not to hide chunks at creation.
+   * @param {boolean} lazy - Whether or not to load the chunks from the
+   *                         cache, see {@link loadChunk}.
+   */
+  async reloadChunks(coords, hide = false, lazy = false) {
+    const world = this.currentWorld;
+    if (!world) return;
+
+    // Claim all the chunks right away, so that they don't get requested
+    // again while waiting for their props
+    const anchors = new Map();
+
+    for (const [x, z] of coords) {
+      const chunkId = `${x}_${z}`;
+
+      if (this.chunks.has(chunkId)) {
+        // The chunk is already there: this is a reload scenario
+        const key = this.chunks.get(chunkId);
+        this.engine3d.removeNode(key);
+        this.chunks.remove(chunkId);
+        this.chunkKeys.remove(key);
+      }
 
-    const chunkAnchor = this.getChunkAnchor(x, z, hide);
+      anchors.set(chunkId, this.getChunkAnchor(x, z, hide));
+    }
 
-    const halfChunkSide = this.chunkSide / 2;
+    for (let i = 0; i < coords.length; i += propsChunksBatchSize) {
+      const batch = coords.slice(i, i + propsChunksBatchSize)
+          .map(([x, z]) => ({x, z}));
+      let cached = batch.map(() => null);
 
-    const loadNetworkProps = () => {
-      return this.httpClient.getProps(this.currentWorld.id,
-          x * this.chunkSide - halfChunkSide,
-          (x + 1) * this.chunkSide - halfChunkSide,
-          null, null, // We set no limit on the vertical (y) axis
-          z * this.chunkSide - halfChunkSide,
-          (z + 1) * this.chunkSide - halfChunkSide);
-    };
+      if (lazy) {
+        try {
+          cached = await this.chunkCache.getMany(world.id, batch);
+        } catch (e) {
+          // Failed to access the cache, lazy-delete the chunks from it and
+          // rely on the network only
+          batch.forEach(({x, z}) => this.chunkCache.delete(world.id, x, z));
+        }
+      }
 
-    let loadedFromNetwork = false;
+      const chunkProps = new Map(batch.map(({x, z}, j) =>
+        [`${x}_${z}`, cached[j]?.props]));
 
-    const loadCacheProps = () => {
-      return this.chunkCache.get(this.currentWorld.id, x, z);
-    };
+      try {
+        // Only the outdated (or unknown) chunks are sent back
+        const changed = await this.httpClient.getPropsChunks(world.id,
+            batch.map(({x, z}, j) => ({x, z, hash: cached[j]?.hash})),
+            this.chunkSide);
 
-    const deleteCacheProps = () => {
-      return this.chunkCache.delete(this.currentWorld.id, x, z);
-    };
+        for (const {x, z, pack} of changed) {
+          chunkProps.set(`${x}_${z}`,
+              unpackPropData(pack).map((prop) => deserializeProp(prop)));
+        }
 
-    const chunk = await (async () => {
-      if (lazy) {
-        // try to fetch chunk from the cache first, fallback
-        // on the network if no entry was found
-        return new Promise((resolve) => {
-          loadCacheProps().then((result) => {
-            if (result) {
-              resolve(result.props);
-            } else {
-              loadNetworkProps().then((res) => {
-                loadedFromNetwork = true;
-                resolve(res);
-              });
-            }
-          }, (error) => {
-            // Failed to access the cache, lazy-delete
-            // the chunk from the cache and fall back
-            // to the network request
-            deleteCacheProps();
-            loadNetworkProps().then((res) => {
-              loadedFromNetwork = true;
-              resolve(res);
-            });
-          });
-        });
-      } else {
-        // Ignoring the cache here, aim straight for the newtork request
-        return new Promise((resolve) => {
-          loadNetworkProps().then((res) => {
-            loadedFromNetwork = true;
-            resolve(res);
-          });
-        });
+        // Cache entries need to be updated for those chunks, the cache is
+        // only there to spare requests: failing to update it is not a big deal
+        if (changed.length) {
+          this.chunkCache.putPacks(world.id, changed)
+              .catch((e) => console.error(e));
+        }
+      } catch (e) {
+        console.error(e);
       }
-    })();
 
-    if (loadedFromNetwork) {
-      // Cache entry needs to be updated for this chunk
-      this.chunkCache.put(this.currentWorld.id, x, z, chunk);
+      // World changed in the meantime, there's nothing left to do
+      if (this.currentWorld !== world) return;
+
+      // Chunks that could not be fetched at all are left empty, until
+      // they get reloaded
+      await Promise.all(batch.map(({x, z}) => {
+        const chunkId = `${x}_${z}`;
+
+        return this.populateChunk(x, z, chunkProps.get(chunkId) ?? [],
+            anchors.get(chunkId));
+      }));
     }
+  }
 
+  /**
+   * Spawn the props of a chunk, for internal use by {@link reloadChunks}
+   * @param {integer} x - Index of the chunk on the X axis.
+   * @param {integer} z - Index of the chunk on the Z axis.
+   * @param {Array<Prop>} props - Props of the chunk.
+   * @param {Object} chunkAnchor - Position and node handle of the chunk.
+   */
+  async populateChunk(x, z, props, chunkAnchor) {
     const modelRegistry = this.currentModelRegistry;
 
-    for (const prop of chunk) {
+    for (const prop of props) {
       // Cancel any pending loading if the chunk has been removed
       // or the world has been unloaded
       if (!modelRegistry || !this.isChunkLoaded(x, z)) break;
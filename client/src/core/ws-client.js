@@ -2,7 +2,8 @@
  * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
  */
 
-import {unpackEntityStates, serializeEntityState, deserializeEntityState}
+import {unpackEntityStates, serializeEntityState, deserializeEntityState,
+  validateChatMessage, chatMessageType}
   from '../../../common/ws-data-format.js';
 import WebSocket from 'isomorphic-ws';
 
@@ -59,6 +60,37 @@ class WorldChat extends BaseWs {
   constructor(ws) {
     super(ws);
   }
+
+  /**
+   * Send typed message through the WebSocket client
+   * @param {string} msg - Content of the message.
+   * @param {string} type - Type of the message: 'say', 'emote' or 'whisper'.
+   * @param {integer} to - ID of the receiving user, for whispers only.
+   */
+  send(msg, type = chatMessageType.say, to = null) {
+    this.ws.send(JSON.stringify(type === chatMessageType.whisper ?
+      {type, msg, to} : {type, msg}));
+  };
+
+  /**
+   * Register a callback for the 'message' event on the WebSocket client,
+   * invalid messages are discarded
+   * @param {function} cb - Callback function to register, called with the
+   *                        parsed message.
+   */
+  onMessage(cb) {
+    this.ws.addEventListener('message', (event) => {
+      let message = null;
+
+      try {
+        message = validateChatMessage(JSON.parse(event.data));
+      } catch (e) {
+        return;
+      }
+
+      cb(message);
+    });
+  }
 }
 
 /** Wrapped WebSocket connection to a user chat */
@@ -145,9 +177,28 @@ class WsClient {
    */
   constructor(baseUrl, token = null) {
     this.baseUrl = baseUrl;
+    this.tokenProvider = null;
     this.setAuthToken(token);
   }
 
+  /**
+   * Set a provider to get an up-to-date authentication token from before
+   * each new connection, useful when tokens are refreshed over time
+   * @param {function} provider - Function returning a token, or a promise
+   *                              of one.
+   */
+  setTokenProvider(provider) {
+    this.tokenProvider = provider;
+  }
+
+  /** Update the authentication token from the provider, if any */
+  async updateToken() {
+    if (!this.tokenProvider) return;
+
+    const token = await this.tokenProvider();
+    if (token) this.setAuthToken(token);
+  }
+
   /**
    * Set the authentication token value to be used for WS requests
    * @param {string} token - User authetication token.
@@ -167,7 +218,9 @@ class WsClient {
    * @return {Promise<WorldChat>} Promise of an already-opened WorldChat
    *                              connection.
    */
-  worldChatConnect(id) {
+  async worldChatConnect(id) {
+    await this.updateToken();
+
     return new Promise((resolve, err) => {
       const ws = new WebSocket(
           `${this.baseUrl}/worlds/${id}/ws/chat?token=${this.token}`,
@@ -189,7 +242,9 @@ class WsClient {
    * @return {Promise<UserChat>} Promise of an already-opened UserChat
    *                             connection.
    */
-  userChatConnect(id) {
+  async userChatConnect(id) {
+    await this.updateToken();
+
     return new Promise((resolve, err) => {
       const ws = new WebSocket(
           `${this.baseUrl}/users/${id}/ws/chat?token=${this.token}`,
@@ -211,7 +266,9 @@ class WsClient {
    * @return {Promise<WorldState>} Promise of an already-opened WorldState
    *                               connection.
    */
-  worldStateConnect(id) {
+  async worldStateConnect(id) {
+    await this.updateToken();
+
     return new Promise((resolve, err) => {
       const ws = new WebSocket(
           `${this.baseUrl}/worlds/${id}/ws/state?token=${this.token}`,
@@ -234,7 +291,9 @@ class WsClient {
    * @return {Promise<WorldUpdate>} Promise of an already-opened WorldUpdate
    *                                connection.
    */
-  worldUpdateConnect(id) {
+  async worldUpdateConnect(id) {
+    await this.updateToken();
+
     return new Promise((resolve, err) => {
       const ws = new WebSocket(
           `${this.baseUrl}/worlds/${id}/ws/update?token=${this.token}`,
@@ -0,0 +1,41 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import Ban from '../model/Ban.js';
+
+const BanSchema = new EntitySchema({
+  name: 'Ban',
+  target: Ban,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    userId: {
+      type: 'int',
+      nullable: true,
+    },
+    address: {
+      type: 'text',
+      nullable: true,
+    },
+    reason: {
+      type: 'text',
+    },
+    date: {
+      type: 'bigint', // milliseconds
+    },
+    expires: {
+      type: 'bigint', // milliseconds
+      nullable: true,
+    },
+    issuerId: {
+      type: 'int',
+    },
+  },
+});
+
+export default BanSchema;
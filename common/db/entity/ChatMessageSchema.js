@@ -0,0 +1,48 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import ChatMessage from '../model/ChatMessage.js';
+
+const ChatMessageSchema = new EntitySchema({
+  name: 'ChatMessage',
+  target: ChatMessage,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    worldId: {
+      type: 'int',
+    },
+    userId: {
+      type: 'int',
+    },
+    name: {
+      type: 'text',
+    },
+    role: {
+      type: 'text',
+    },
+    type: {
+      type: 'text',
+      default: 'say',
+    },
+    message: {
+      type: 'text',
+    },
+    date: {
+      type: 'bigint', // milliseconds
+    },
+  },
+  indices: [
+    {
+      name: 'IDX_CHAT_MESSAGE_WORLD',
+      columns: ['worldId', 'id'],
+    },
+  ],
+});
+
+export default ChatMessageSchema;
@@ -0,0 +1,39 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import Mute from '../model/Mute.js';
+
+const MuteSchema = new EntitySchema({
+  name: 'Mute',
+  target: Mute,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    worldId: {
+      type: 'int',
+    },
+    userId: {
+      type: 'int',
+    },
+    reason: {
+      type: 'text',
+    },
+    date: {
+      type: 'bigint', // milliseconds
+    },
+    expires: {
+      type: 'bigint', // milliseconds
+      nullable: true,
+    },
+    issuerId: {
+      type: 'int',
+    },
+  },
+});
+
+export default MuteSchema;
@@ -0,0 +1,78 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import PropRevision from '../model/PropRevision.js';
+
+const PropRevisionSchema = new EntitySchema({
+  name: 'PropRevision',
+  target: PropRevision,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    propId: {
+      type: 'int',
+    },
+    worldId: {
+      type: 'int',
+    },
+    op: {
+      type: 'text',
+    },
+    authorId: {
+      type: 'int',
+    },
+    date: {
+      type: 'bigint', // milliseconds
+    },
+    userId: {
+      type: 'int',
+    },
+    propDate: {
+      type: 'bigint', // milliseconds
+    },
+    x: {
+      type: 'double precision', // meters
+    },
+    y: {
+      type: 'double precision', // meters
+    },
+    z: {
+      type: 'double precision', // meters
+    },
+    yaw: {
+      type: 'float', // radians
+    },
+    pitch: {
+      type: 'float', // radians
+    },
+    roll: {
+      type: 'float', // radians
+    },
+    name: {
+      type: 'text',
+    },
+    description: {
+      type: 'text',
+    },
+    action: {
+      type: 'text',
+    },
+  },
+  indices: [
+    {
+      name: 'IDX_PROP_REVISION_WORLD_PROP',
+      columns: ['worldId', 'propId'],
+    },
+    {
+      name: 'IDX_PROP_REVISION_WORLD_X_Z',
+      columns: ['worldId', 'x', 'z'],
+    },
+  ],
+});
+
+export default PropRevisionSchema;
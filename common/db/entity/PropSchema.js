@@ -51,6 +51,14 @@ const PropSchema = new EntitySchema({
       type: 'text',
     },
   },
+  indices: [
+    {
+      // Spatial lookups always happen within a single world, ranging over
+      // X first then Z
+      name: 'IDX_PROP_WORLD_X_Z',
+      columns: ['worldId', 'x', 'z'],
+    },
+  ],
 });
 
 export default PropSchema;
@@ -0,0 +1,38 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import Region from '../model/Region.js';
+
+const RegionSchema = new EntitySchema({
+  name: 'Region',
+  target: Region,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    worldId: {
+      type: 'int',
+    },
+    userId: {
+      type: 'int',
+    },
+    minX: {
+      type: 'double precision', // meters
+    },
+    maxX: {
+      type: 'double precision', // meters
+    },
+    minZ: {
+      type: 'double precision', // meters
+    },
+    maxZ: {
+      type: 'double precision', // meters
+    },
+  },
+});
+
+export default RegionSchema;
@@ -0,0 +1,42 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import Telegram from '../model/Telegram.js';
+
+const TelegramSchema = new EntitySchema({
+  name: 'Telegram',
+  target: Telegram,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    fromUserId: {
+      type: 'int',
+    },
+    toUserId: {
+      type: 'int',
+    },
+    message: {
+      type: 'text',
+    },
+    date: {
+      type: 'bigint', // milliseconds
+    },
+    delivered: {
+      type: 'boolean',
+      default: false,
+    },
+  },
+  indices: [
+    {
+      name: 'IDX_TELEGRAM_TO_USER',
+      columns: ['toUserId'],
+    },
+  ],
+});
+
+export default TelegramSchema;
@@ -33,7 +33,17 @@ const UserSchema = new EntitySchema({
       type: 'text',
       nullable: true,
     },
+    tokenGeneration: {
+      type: 'int',
+      default: 0,
+    },
   },
+  uniques: [
+    {
+      name: 'UQ_USER_NAME',
+      columns: ['name'],
+    },
+  ],
 });
 
 export default UserSchema;
@@ -0,0 +1,29 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {EntitySchema} from 'typeorm';
+import WorldRight from '../model/WorldRight.js';
+
+const WorldRightSchema = new EntitySchema({
+  name: 'WorldRight',
+  target: WorldRight,
+  columns: {
+    id: {
+      primary: true,
+      type: 'int',
+      generated: true,
+    },
+    worldId: {
+      type: 'int',
+    },
+    userId: {
+      type: 'int',
+    },
+    right: {
+      type: 'text',
+    },
+  },
+});
+
+export default WorldRightSchema;
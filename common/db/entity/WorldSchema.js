@@ -20,6 +20,24 @@ const WorldSchema = new EntitySchema({
     data: {
       type: 'text',
     },
+    access: {
+      type: 'text',
+      default: 'public',
+    },
+    maxUsers: {
+      type: 'int',
+      nullable: true,
+    },
+    password: {
+      type: 'text',
+      nullable: true,
+      select: false, // Never to be sent to clients
+    },
+    salt: {
+      type: 'text',
+      nullable: true,
+      select: false,
+    },
   },
 });
 
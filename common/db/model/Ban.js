@@ -0,0 +1,31 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/** Ban entity */
+class Ban {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the ban.
+   * @param {integer|null} userId - ID of the banned user, null when only
+   *                                banning an address.
+   * @param {string|null} address - Banned remote address, null when only
+   *                                banning a user.
+   * @param {string} reason - Reason for the ban.
+   * @param {integer} date - Timestamp (in milliseconds) of the ban.
+   * @param {integer|null} expires - Timestamp (in milliseconds) when the ban
+   *                                 expires, null if permanent.
+   * @param {integer} issuerId - ID of the user who issued the ban.
+   */
+  constructor(id, userId, address, reason, date, expires, issuerId) {
+    this.id = id;
+    this.userId = userId;
+    this.address = address;
+    this.reason = reason;
+    this.date = date;
+    this.expires = expires;
+    this.issuerId = issuerId;
+  }
+}
+
+export default Ban;
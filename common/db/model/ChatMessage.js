@@ -0,0 +1,30 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/** Chat message entity, logged message from the chat of a world */
+class ChatMessage {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the message.
+   * @param {integer} worldId - ID of the world the message was sent in.
+   * @param {integer} userId - ID of the user who sent the message.
+   * @param {string} name - Name of the user at the time of the sending.
+   * @param {string} role - Role of the user at the time of the sending.
+   * @param {string} type - Type of the message ('say' or 'emote').
+   * @param {string} message - Content of the message.
+   * @param {integer} date - Timestamp (in milliseconds) of the sending.
+   */
+  constructor(id, worldId, userId, name, role, type, message, date) {
+    this.id = id;
+    this.worldId = worldId;
+    this.userId = userId;
+    this.name = name;
+    this.role = role;
+    this.type = type;
+    this.message = message;
+    this.date = date;
+  }
+}
+
+export default ChatMessage;
@@ -0,0 +1,29 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/** Mute entity, preventing a user from chatting in a given world */
+class Mute {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the mute.
+   * @param {integer} worldId - ID of the world the user is muted in.
+   * @param {integer} userId - ID of the muted user.
+   * @param {string} reason - Reason for the mute.
+   * @param {integer} date - Timestamp (in milliseconds) of the mute.
+   * @param {integer|null} expires - Timestamp (in milliseconds) when the mute
+   *                                 expires, null if permanent.
+   * @param {integer} issuerId - ID of the user who issued the mute.
+   */
+  constructor(id, worldId, userId, reason, date, expires, issuerId) {
+    this.id = id;
+    this.worldId = worldId;
+    this.userId = userId;
+    this.reason = reason;
+    this.date = date;
+    this.expires = expires;
+    this.issuerId = issuerId;
+  }
+}
+
+export default Mute;
@@ -0,0 +1,53 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/**
+ * Prop revision entity, recording the state of a prop right after it was
+ * created or updated, or right before it was deleted
+ */
+class PropRevision {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the revision.
+   * @param {integer} propId - ID of the prop.
+   * @param {integer} worldId - ID of the world the prop belongs to.
+   * @param {string} op - Operation on the prop, either 'create', 'update' or
+   *                      'delete'.
+   * @param {integer} authorId - ID of the user who made the change.
+   * @param {integer} date - Timestamp (in milliseconds) of the change.
+   * @param {integer} userId - ID of the user the prop belongs to.
+   * @param {integer} propDate - Creation/modification date of the prop.
+   * @param {number} x - X coordinate of the prop (in meters).
+   * @param {number} y - Y coordinate of the prop (in meters).
+   * @param {number} z - Z coordinate of the prop (in meters).
+   * @param {number} yaw - Yaw of the prop (in radians).
+   * @param {number} pitch - Pitch of the prop (in radians).
+   * @param {number} roll - Roll of the prop (in radians).
+   * @param {string} name - Model name of the prop.
+   * @param {string} description - Description of the prop.
+   * @param {string} action - Action field of the prop.
+   */
+  constructor(id, propId, worldId, op, authorId, date, userId, propDate,
+      x, y, z, yaw, pitch, roll, name, description, action) {
+    this.id = id;
+    this.propId = propId;
+    this.worldId = worldId;
+    this.op = op;
+    this.authorId = authorId;
+    this.date = date;
+    this.userId = userId;
+    this.propDate = propDate;
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.yaw = yaw;
+    this.pitch = pitch;
+    this.roll = roll;
+    this.name = name;
+    this.description = description;
+    this.action = action;
+  }
+}
+
+export default PropRevision;
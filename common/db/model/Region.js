@@ -0,0 +1,31 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/**
+ * Region entity, rectangular area of a world owned by a user: nobody else
+ * can build within it
+ */
+class Region {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the region.
+   * @param {integer} worldId - ID of the world holding the region.
+   * @param {integer} userId - ID of the user owning the region.
+   * @param {number} minX - Minimum (including) X coordinate (in meters).
+   * @param {number} maxX - Maximum (excluding) X coordinate (in meters).
+   * @param {number} minZ - Minimum (including) Z coordinate (in meters).
+   * @param {number} maxZ - Maximum (excluding) Z coordinate (in meters).
+   */
+  constructor(id, worldId, userId, minX, maxX, minZ, maxZ) {
+    this.id = id;
+    this.worldId = worldId;
+    this.userId = userId;
+    this.minX = minX;
+    this.maxX = maxX;
+    this.minZ = minZ;
+    this.maxZ = maxZ;
+  }
+}
+
+export default Region;
@@ -0,0 +1,27 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/** Telegram entity, private message kept for a user who was offline */
+class Telegram {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the telegram.
+   * @param {integer} fromUserId - ID of the user who sent the telegram.
+   * @param {integer} toUserId - ID of the user the telegram is for.
+   * @param {string} message - Content of the telegram.
+   * @param {integer} date - Timestamp (in milliseconds) of the sending.
+   * @param {boolean} delivered - True if the telegram was delivered to its
+   *                              recipient, false otherwise.
+   */
+  constructor(id, fromUserId, toUserId, message, date, delivered) {
+    this.id = id;
+    this.fromUserId = fromUserId;
+    this.toUserId = toUserId;
+    this.message = message;
+    this.date = date;
+    this.delivered = delivered;
+  }
+}
+
+export default Telegram;
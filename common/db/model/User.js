@@ -14,8 +14,12 @@ class User {
    * @param {string} salt - Salt value of the user, for cryptographic purposes.
    * @param {string} privilegePassword - Hashed and salted privilege password
    *                                     of the user.
+   * @param {integer} tokenGeneration - Generation of the authentication tokens
+   *                                    of the user, tokens from previous
+   *                                    generations are revoked.
    */
-  constructor(id, name, password, email, role, salt, privilegePassword = null) {
+  constructor(id, name, password, email, role, salt, privilegePassword = null,
+      tokenGeneration = 0) {
     this.id = id;
     this.name = name;
     this.password = password;
@@ -23,6 +27,7 @@ class User {
     this.role = role;
     this.salt = salt;
     this.privilegePassword = privilegePassword;
+    this.tokenGeneration = tokenGeneration;
   }
 }
 
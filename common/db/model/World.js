@@ -9,11 +9,25 @@ class World {
    * @param {integer} id - ID of the world.
    * @param {string} name - Name of the world.
    * @param {string} data - JSON object holding various world properties.
+   * @param {string} access - Access rule of the world: 'public', 'citizens',
+   *                          'whitelist' or 'password'.
+   * @param {integer|null} maxUsers - Maximum number of users allowed in the
+   *                                  world at once, null if unlimited.
+   * @param {string|null} password - Hashed and salted password of the
+   *                                 world, only used with the 'password'
+   *                                 access rule.
+   * @param {string|null} salt - Salt value of the world password, for
+   *                             cryptographic purposes.
    */
-  constructor(id, name, data) {
+  constructor(id, name, data, access = 'public', maxUsers = null,
+      password = null, salt = null) {
     this.id = id;
     this.name = name;
     this.data = data;
+    this.access = access;
+    this.maxUsers = maxUsers;
+    this.password = password;
+    this.salt = salt;
   }
 }
 
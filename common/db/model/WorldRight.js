@@ -0,0 +1,22 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+/** World right entity, granting a user some right in a given world */
+class WorldRight {
+  /**
+   * @constructor
+   * @param {integer} id - ID of the right.
+   * @param {integer} worldId - ID of the world the right applies to.
+   * @param {integer} userId - ID of the user holding the right.
+   * @param {string} right - Name of the right: 'build', 'eject' or 'enter'.
+   */
+  constructor(id, worldId, userId, right) {
+    this.id = id;
+    this.worldId = worldId;
+    this.userId = userId;
+    this.right = right;
+  }
+}
+
+export default WorldRight;
@@ -3,21 +3,38 @@
  */
 
 import TypeORM from 'typeorm';
-import {scryptSync, timingSafeEqual} from 'crypto';
+import {scrypt, scryptSync, timingSafeEqual} from 'crypto';
+import {promisify} from 'util';
 import UserSchema from './entity/UserSchema.js';
 import WorldSchema from './entity/WorldSchema.js';
 import PropSchema from './entity/PropSchema.js';
+import BanSchema from './entity/BanSchema.js';
+import MuteSchema from './entity/MuteSchema.js';
+import WorldRightSchema from './entity/WorldRightSchema.js';
+import RegionSchema from './entity/RegionSchema.js';
+import PropRevisionSchema from './entity/PropRevisionSchema.js';
+import TelegramSchema from './entity/TelegramSchema.js';
+import ChatMessageSchema from './entity/ChatMessageSchema.js';
 
 const keyLength = 256;
 const saltLength = 128;
 
+const scryptAsync = promisify(scrypt);
+
 const init = async (path) => {
   return await TypeORM.createConnection({
     type: 'sqlite',
     database: path,
     entities: [UserSchema,
       WorldSchema,
-      PropSchema],
+      PropSchema,
+      BanSchema,
+      MuteSchema,
+      WorldRightSchema,
+      RegionSchema,
+      PropRevisionSchema,
+      TelegramSchema,
+      ChatMessageSchema],
     synchronize: true,
   });
 };
@@ -31,4 +48,22 @@ const checkPassword = (password, salt, hash64) => {
       Buffer.from(hash64, 'base64'));
 };
 
-export {init, hashPassword, saltLength, checkPassword};
+// Asynchronous variants, hashing happens off the main thread: to be used
+// by the server so that it does not block the event loop
+const hashPasswordAsync = async (password, salt) => {
+  return (await scryptAsync(password, salt, keyLength)).toString('base64');
+};
+
+const checkPasswordAsync = async (password, salt, hash64) => {
+  return timingSafeEqual(await scryptAsync(password, salt, keyLength),
+      Buffer.from(hash64, 'base64'));
+};
+
+// Tell if a database error comes from a unique constraint being violated
+const isUniqueViolation = (e) => {
+  return e?.driverError?.code === 'SQLITE_CONSTRAINT' &&
+      e.message.includes('UNIQUE constraint failed');
+};
+
+export {init, hashPassword, saltLength, checkPassword, hashPasswordAsync,
+  checkPasswordAsync, isUniqueViolation};
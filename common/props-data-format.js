@@ -34,7 +34,7 @@ const propDataSchema = {
   userId: [0x0c, 0x04],
   date: [0x10, 0x08],
   x: [0x18, 0x08],
-  y: [0x10, 0x08],
+  y: [0x20, 0x08],
   z: [0x28, 0x08],
   yaw: [0x30, 0x04],
   pitch: [0x34, 0x04],
@@ -100,6 +100,72 @@ function serializeProp({id, worldId, userId, date, x, y, z,
   return prop;
 }
 
+const propStringMaxSize = 0xffff; // In bytes, length fields are 2 bytes uint
+const propAngleMax = 3.4028234663852886e38; // Largest 4 bytes float
+
+// Fields clients can write, with the way they are serialized
+const propWritableFields = {
+  x: 'double',
+  y: 'double',
+  z: 'double',
+  yaw: 'float',
+  pitch: 'float',
+  roll: 'float',
+  name: 'string',
+  description: 'string',
+  action: 'string',
+};
+
+// Fields clients can send back as they got them, but not write
+const propReadOnlyFields = ['id', 'worldId', 'userId', 'date'];
+
+/**
+ * Validate the fields of a prop to be written, their values must fit in
+ * the prop data binary payload
+ * @param {Object} value - Fields of the prop.
+ * @param {boolean} partial - True if fields can be left out (or null), when
+ *                            updating a prop.
+ * @return {Array<Object>} List of errors, empty if valid, each one holding
+ *                         the faulty field and the reason: 'unknown',
+ *                         'missing', 'type', 'range' or 'length'.
+ */
+function validatePropFields(value, partial = false) {
+  const encoder = new TextEncoder();
+  const errors = [];
+
+  for (const field of Object.keys(value)) {
+    if (propWritableFields[field] === undefined &&
+        !propReadOnlyFields.includes(field)) {
+      errors.push({field, reason: 'unknown'});
+    }
+  }
+
+  for (const [field, type] of Object.entries(propWritableFields)) {
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (!partial) errors.push({field, reason: 'missing'});
+      continue;
+    }
+
+    if (type === 'string') {
+      if (typeof fieldValue !== 'string') {
+        errors.push({field, reason: 'type'});
+      } else if ((field === 'name' && !fieldValue.length) ||
+          encoder.encode(fieldValue).length > propStringMaxSize) {
+        errors.push({field, reason: 'length'});
+      }
+    } else if (typeof fieldValue !== 'number') {
+      errors.push({field, reason: 'type'});
+    } else if (!Number.isFinite(fieldValue) ||
+        (type === 'float' && Math.abs(fieldValue) > propAngleMax)) {
+      errors.push({field, reason: 'range'});
+    }
+  }
+
+  return errors;
+}
+
 /**
  * Flip endian on prop data binary payload, for internal use only
  * @param {Uint8Array} prop - Prop data binary payload.
@@ -122,9 +188,8 @@ function flipPropDataEndian(prop) {
   }
 
   // Copy the trailing data block as well, this shouldn't be flipped
-  flippedProp.splice(propDataSchema.data[0],
-      prop.length - propDataSchema.data[0],
-      ...prop.slice(propDataSchema.data[0]));
+  flippedProp.set(prop.slice(propDataSchema.data[0]),
+      propDataSchema.data[0]);
 
   return flippedProp;
 }
@@ -315,27 +380,42 @@ function unpackPropData(propDataPack) {
   return propEntries;
 }
 
+const propHashMask = 0xffffffffn; // 32 bits
+const propHashFactor = 0x45d9f3bn;
+
 /**
- * Get the hash of a list of props
+ * Get the hash of a single prop, mixing both its ID and its date: this is
+ * meant to be computed by the database as well (see the server side
+ * counterpart), so it sticks to operations that fit 64-bit signed integers
+ * @param {Object} prop - Prop to hash, holding 'id' and 'date'.
+ * @return {BigInt} Hash of the prop (32 bits).
+ */
+function hashProp({id, date}) {
+  date = BigInt(date);
+
+  let hash = (BigInt(id) & propHashMask) * propHashFactor & propHashMask;
+  hash = (hash ^ (date & propHashMask)) * propHashFactor & propHashMask;
+  hash = (hash ^ (date >> 32n)) * propHashFactor & propHashMask;
+
+  return hash;
+}
+
+/**
+ * Get the hash of a list of props, it does not depend on the order of the
+ * props: adding, removing or updating any of them changes it
  * @param {Array<Prop>} props - List of props to hash.
- * @return {integer} Hash of the prop list (32 bits).
+ * @return {integer} Hash of the prop list (32 bits, unsigned).
  */
 function hashProps(props) {
-  const mask = 0xffffffff; // 32 bits
-  let hash = 0;
-
-  const sorted =
-      [...props].sort((a, b) => (a.id < b.id) ? -1 :
-      ((a.id > b.id) ? 1 : 0));
+  let hash = 0n;
 
-  for (const {date} of sorted) {
-    hash = (hash << 5) - hash + parseInt(date);
-    hash = hash & hash; // Prevent overflow
+  for (const prop of props) {
+    hash += hashProp(prop);
   }
 
-  return hash & mask;
+  return Number(hash & propHashMask);
 }
 
 export {serializeProp, deserializeProp, packPropData,
   unpackPropData, propDataMinSize, validatePropData,
-  validatePropDataPack, hashProps};
+  validatePropDataPack, hashProps, propStringMaxSize, validatePropFields};
@@ -0,0 +1,106 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+const hexColorRegex = /^[0-9a-fA-F]{6}$/;
+const skyColorSides = ['north', 'east', 'south', 'west', 'top', 'bottom'];
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+const isHexColor = (value) => typeof value === 'string' &&
+    hexColorRegex.test(value);
+const isRgbColor = (value) => Array.isArray(value) && value.length == 3 &&
+    value.every((c) => Number.isInteger(c) && c >= 0 && c <= 255);
+
+/*
+ * Validators for the fields of the world data JSON blob, as read when loading
+ * the world on the client side: required ones must always be present, others
+ * are optional but still need to be valid when set
+ */
+const worldDataFields = {
+  path: {
+    required: true,
+    validate: (value) => typeof value === 'string' && value.length > 0,
+  },
+  skyColors: {
+    required: true,
+    validate: (value) => typeof value === 'object' && value !== null &&
+        skyColorSides.every((side) => isRgbColor(value[side])),
+  },
+  ambientColor: {
+    required: true,
+    validate: isHexColor,
+  },
+  directionalColor: {
+    required: true,
+    validate: isHexColor,
+  },
+  dirLightPos: {
+    required: true,
+    validate: (value) => Array.isArray(value) && value.length == 3 &&
+        value.every(isNumber),
+  },
+  enableFog: {
+    validate: (value) => typeof value === 'boolean',
+  },
+  fogColor: {
+    validate: isHexColor,
+  },
+  fogMinimum: {
+    validate: isNumber,
+  },
+  fogMaximum: {
+    validate: isNumber,
+  },
+  enableTerrain: {
+    validate: (value) => typeof value === 'boolean',
+  },
+  terrainElevationOffset: {
+    validate: isNumber,
+  },
+  entryPoint: {
+    validate: (value) => typeof value === 'object' && value !== null &&
+        isNumber(value.x) && isNumber(value.y) && isNumber(value.z) &&
+        (value.yaw === undefined || isNumber(value.yaw)),
+  },
+  skybox: {
+    validate: (value) => typeof value === 'string',
+  },
+  water: {
+    validate: (value) => typeof value === 'object' && value !== null &&
+        !Array.isArray(value),
+  },
+};
+
+/**
+ * Get the list of invalid (or missing) fields from world data
+ * @param {Object} data - World data, as parsed from its JSON string.
+ * @return {Array<string>} Names of the invalid fields, empty if all valid.
+ */
+function getInvalidWorldDataFields(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return Object.keys(worldDataFields)
+        .filter((name) => worldDataFields[name].required);
+  }
+
+  const invalid = [];
+
+  for (const [name, {required, validate}] of
+    Object.entries(worldDataFields)) {
+    if (data[name] === undefined) {
+      if (required) invalid.push(name);
+    } else if (!validate(data[name])) {
+      invalid.push(name);
+    }
+  }
+
+  // Fog settings are needed once fog is enabled
+  if (data.enableFog === true) {
+    for (const name of ['fogColor', 'fogMinimum', 'fogMaximum']) {
+      if (data[name] === undefined) invalid.push(name);
+    }
+  }
+
+  return invalid;
+}
+
+export {worldDataFields, getInvalidWorldDataFields};
@@ -17,6 +17,21 @@ const updateType = {
   teleporting: 4,
 };
 
+const chatMessageType = {
+  say: 'say',
+  emote: 'emote',
+  whisper: 'whisper',
+  system: 'system',
+  broadcast: 'broadcast',
+  join: 'join',
+  leave: 'leave',
+};
+
+// Chat message types users can send themselves, the others being issued by
+// the server only
+const userChatMessageTypes = [chatMessageType.say, chatMessageType.emote,
+  chatMessageType.whisper];
+
 const entityStateSize = 0x34;
 
 /*
@@ -71,10 +86,132 @@ const entityStateSchema = {
  * @param {string} name - Name of the user.
  * @param {string} role - Role of the user.
  * @param {string} msg - Message to send.
+ * @param {Object} details - Additional fields (optional), like the ID of the
+ *                           receiving user ('to') for private messages.
+ * @return {string} Stringified json websocket payload to send.
+ */
+function formatUserMessage(delivered, id, name, role, msg, details = {}) {
+  return JSON.stringify({delivered, id, name, role, msg, ...details});
+}
+
+/*
+ * World chat messages are JSON envelopes holding the following fields:
+ *
+ * type      | One of the chatMessageType values |
+ * messageId | ID of the message (integer), unique for the server session |
+ * date      | Timestamp of the sending (integer, in milliseconds) |
+ * delivered | False if the message was refused (muted sender, unknown
+ *             whisper recipient...) and only sent back to the sender |
+ * id        | ID of the sending user, null for system and broadcast ones |
+ * name      | Name of the sending user, null for system and broadcast ones |
+ * role      | Role of the sending user, null for system and broadcast ones |
+ * msg       | Content of the message, empty for join and leave ones |
+ *
+ * Along with optional fields like the ID of the receiving user ('to') for
+ * whispers. Users send their own messages either as plain text (meant to be
+ * said) or as a {type, msg, to} JSON envelope.
+ */
+
+/**
+ * Format typed message to send on a world chat
+ * @param {string} type - Type of the message, see {@link chatMessageType}.
+ * @param {integer} messageId - ID of the message.
+ * @param {integer} date - Timestamp (in milliseconds) of the sending.
+ * @param {boolean} delivered - True if the message was correctly delivered,
+ *                              false otherwise.
+ * @param {Object|null} sender - Sending user ('id', 'name' and 'role'), null
+ *                               if sent by the server.
+ * @param {string} msg - Message to send.
+ * @param {Object} details - Additional fields (optional), like the ID of the
+ *                           receiving user ('to') for whispers.
  * @return {string} Stringified json websocket payload to send.
  */
-function formatUserMessage(delivered, id, name, role, msg) {
-  return JSON.stringify({delivered, id, name, role, msg});
+function formatChatMessage(type, messageId, date, delivered, sender, msg,
+    details = {}) {
+  return JSON.stringify({type, messageId, date, delivered,
+    id: sender?.id ?? null, name: sender?.name ?? null,
+    role: sender?.role ?? null, msg, ...details});
+}
+
+/**
+ * Parse message sent by a user on a world chat, throws if invalid
+ * @param {string} text - Raw payload from the user, either plain text or
+ *                        a JSON envelope.
+ * @return {Object} Message with its 'type', 'msg' and the 'to' recipient ID
+ *                  for whispers.
+ */
+function parseUserChatMessage(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Invalid payload type for chat message');
+  }
+
+  let envelope = null;
+
+  if (text.startsWith('{')) {
+    try {
+      envelope = JSON.parse(text);
+    } catch (e) {
+      // Not JSON after all: plain text
+    }
+  }
+
+  if (envelope === null || typeof envelope !== 'object' ||
+      envelope.type === undefined) {
+    return {type: chatMessageType.say, msg: text};
+  }
+
+  const {type, msg, to} = envelope;
+
+  if (!userChatMessageTypes.includes(type)) {
+    throw new Error('Invalid type for chat message');
+  }
+
+  if (typeof msg !== 'string') {
+    throw new Error('Invalid content for chat message');
+  }
+
+  if (type === chatMessageType.whisper) {
+    if (!Number.isInteger(to)) {
+      throw new Error('Invalid recipient for chat message');
+    }
+
+    return {type, msg, to};
+  }
+
+  return {type, msg};
+}
+
+/**
+ * Validate message received from a world chat, throws if invalid
+ * @param {Object} data - Parsed JSON payload from the server.
+ * @return {Object} Validated message.
+ */
+function validateChatMessage(data) {
+  if (data === null || typeof data !== 'object') {
+    throw new Error('Invalid payload type for chat message');
+  }
+
+  const {type, messageId, date, delivered, id, name, role, msg} = data;
+
+  if (!Object.values(chatMessageType).includes(type)) {
+    throw new Error('Invalid type for chat message');
+  }
+
+  if (!Number.isInteger(messageId) || !Number.isInteger(date) ||
+      typeof delivered !== 'boolean' || typeof msg !== 'string') {
+    throw new Error('Invalid fields for chat message');
+  }
+
+  // Only system and broadcast messages can be anonymous
+  const anonymous = type === chatMessageType.system ||
+      type === chatMessageType.broadcast;
+
+  if (anonymous ? id !== null : (!Number.isInteger(id) ||
+      typeof name !== 'string' || typeof role !== 'string')) {
+    throw new Error('Invalid sender for chat message');
+  }
+
+  return data;
 }
 
 /**
@@ -351,7 +488,8 @@ function simpleStringHash(str, mask = 0xffff) {
   return hash & mask;
 }
 
-export {formatUserMessage, serializeEntityState, deserializeEntityState,
+export {formatUserMessage, formatChatMessage, parseUserChatMessage,
+  validateChatMessage, serializeEntityState, deserializeEntityState,
   forwardEntityState, packEntityStates, unpackEntityStates, entityType,
-  updateType, entityStateSize, validateEntityState,
-  validateEntityStatePack, simpleStringHash};
+  updateType, chatMessageType, userChatMessageTypes, entityStateSize,
+  validateEntityState, validateEntityStatePack, simpleStringHash};
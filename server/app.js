@@ -6,7 +6,15 @@ import {spawnHttpServer} from './http.js';
 import {spawnWsServer} from './ws.js';
 import yargs from 'yargs';
 import {randomBytes} from 'crypto';
+import * as fs from 'fs';
 import logger from './logger.js';
+import {defaultTokenLifetime, defaultPrivilegeTokenLifetime}
+  from './utils.js';
+import {defaultPropsRateLimit, defaultChatRateLimit, defaultStateRateLimit,
+  defaultGuestLoginRateLimit} from './rate-limit.js';
+import {defaultPropsQuota, defaultPropsPerRequest, defaultPropsPerChunk}
+  from './props-quotas.js';
+import {defaultChatLogSize, defaultChatBacklog} from './chat-log.js';
 
 const argv = yargs(process.argv)
     .option('db', {
@@ -28,25 +36,170 @@ const argv = yargs(process.argv)
       type: 'string',
       default: './worlds',
     })
+    .option('secretFile', {
+      description: 'Path to the file holding the secret used to sign' +
+        ' authentication tokens, will be created if need be (ignored if the' +
+        ' WW_SECRET environment variable is set)',
+      type: 'string',
+      default: 'wideworlds.secret',
+    })
+    .option('tokenLifetime', {
+      description: 'Validity duration (in seconds) of authentication tokens',
+      type: 'number',
+      default: defaultTokenLifetime,
+    })
+    .option('privilegeTokenLifetime', {
+      description: 'Validity duration (in seconds) of elevated tokens, issued' +
+        ' in privilege mode',
+      type: 'number',
+      default: defaultPrivilegeTokenLifetime,
+    })
+    .option('openRegistration', {
+      description: 'Allow anyone to register a new citizen account',
+      type: 'boolean',
+      default: false,
+    })
+    .option('guestLogin', {
+      description: 'Allow anyone to enter worlds as a tourist, without any ' +
+        'account',
+      type: 'boolean',
+      default: false,
+    })
+    .option('guestLoginRateLimit', {
+      description: 'Maximum number of guest logins per minute for each ' +
+        'remote address',
+      type: 'number',
+      default: defaultGuestLoginRateLimit,
+    })
+    .option('trustProxy', {
+      description: 'Read the remote address of clients from the ' +
+        'X-Forwarded-For header, only when running behind a trusted reverse ' +
+        'proxy',
+      type: 'boolean',
+      default: false,
+    })
+    .option('propsRateLimit', {
+      description: 'Maximum number of props write requests per minute for ' +
+        'each user',
+      type: 'number',
+      default: defaultPropsRateLimit,
+    })
+    .option('propsQuota', {
+      description: 'Maximum number of props each user can own in a single ' +
+        'world, 0 for no limit',
+      type: 'number',
+      default: defaultPropsQuota,
+    })
+    .option('propsPerRequest', {
+      description: 'Maximum number of props a single request can create, 0 ' +
+        'for no limit',
+      type: 'number',
+      default: defaultPropsPerRequest,
+    })
+    .option('propsPerChunk', {
+      description: 'Maximum number of props a single chunk (20x20 meters) ' +
+        'can hold, 0 for no limit',
+      type: 'number',
+      default: defaultPropsPerChunk,
+    })
+    .option('chatRateLimit', {
+      description: 'Maximum number of chat messages per minute for each user',
+      type: 'number',
+      default: defaultChatRateLimit,
+    })
+    .option('stateRateLimit', {
+      description: 'Maximum number of avatar state updates per second for ' +
+        'each user',
+      type: 'number',
+      default: defaultStateRateLimit,
+    })
+    .option('chatLogSize', {
+      description: 'Maximum number of chat messages kept for each world, ' +
+        '0 to disable the chat log',
+      type: 'number',
+      default: defaultChatLogSize,
+    })
+    .option('chatBacklog', {
+      description: 'Number of the latest chat messages sent to users ' +
+        'joining a world',
+      type: 'number',
+      default: defaultChatBacklog,
+    })
     .help()
     .alias('help', 'h').argv;
 
-// Generate a new secret for each runtime
-const secret = randomBytes(64).toString('hex');
+/**
+ * Get the secret to sign authentication tokens with, either from the
+ * environment or from a file: a new one is generated and saved in said file
+ * if it doesn't exist yet, this way issued tokens survive server restarts
+ * @param {string} secretFile - Path to the file holding the secret.
+ * @return {string} Secret to sign authentication tokens with.
+ */
+const loadSecret = (secretFile) => {
+  if (process.env.WW_SECRET) return process.env.WW_SECRET;
+
+  if (fs.existsSync(secretFile)) {
+    const secret = fs.readFileSync(secretFile, 'utf8').trim();
+    if (secret) return secret;
+  }
+
+  const secret = randomBytes(64).toString('hex');
+  fs.writeFileSync(secretFile, secret, {mode: 0o600});
+  logger.info(`Generated new secret in '${secretFile}'`);
+
+  return secret;
+};
+
+const secret = loadSecret(argv.secretFile);
+
+const config = {
+  openRegistration: argv.openRegistration,
+  guestLogin: argv.guestLogin,
+  guestLoginRateLimit: argv.guestLoginRateLimit,
+  trustProxy: argv.trustProxy,
+  propsRateLimit: argv.propsRateLimit,
+  propsQuota: argv.propsQuota,
+  propsPerRequest: argv.propsPerRequest,
+  propsPerChunk: argv.propsPerChunk,
+  chatRateLimit: argv.chatRateLimit,
+  stateRateLimit: argv.stateRateLimit,
+  chatLogSize: argv.chatLogSize,
+  chatBacklog: argv.chatBacklog,
+  tokenLifetime: argv.tokenLifetime,
+  privilegeTokenLifetime: argv.privilegeTokenLifetime,
+};
 
 const userCache = new Map();
 const terrainCache = new Map();
 const waterCache = new Map();
+const banCache = new Map();
+const muteCache = new Map();
+const worldCache = new Map();
 
 spawnHttpServer(argv.db, argv.port, secret, argv.worldFolder, userCache,
-    terrainCache, waterCache)
-    .then(async ({server, onPropsChange}) => {
+    terrainCache, waterCache, banCache, muteCache, worldCache, config)
+    .then(async ({server, onPropsChange, onWorldChange, onUserLogout,
+      onWorldPopulation, onWorldUsers, onChatNotice, onWorldEject,
+      telegramStore, chatLog}) => {
       const wsChannelManager =
-          (await spawnWsServer(server, secret, userCache))
+          (await spawnWsServer(server, secret, userCache, banCache,
+              muteCache, worldCache, config, telegramStore, chatLog))
               .wsChannelManager;
       onPropsChange((wid, data) => {
         wsChannelManager.broadcastWorldUpdate(wid, data);
       });
+      onWorldChange((wid, data) => {
+        wsChannelManager.broadcastWorldUpdate(wid, data);
+      });
+      onUserLogout((uid) => {
+        wsChannelManager.disconnectUser(uid);
+      });
+      onWorldPopulation((wid) => wsChannelManager.getWorldPopulation(wid));
+      onWorldUsers((wid) => wsChannelManager.getWorldUsers(wid));
+      onChatNotice((wid, msg) => wid === null ?
+        wsChannelManager.broadcastNotice(msg) :
+        wsChannelManager.sendWorldNotice(wid, msg));
+      onWorldEject((wid, uid) => wsChannelManager.ejectUser(wid, uid));
       wsChannelManager.startBroadcasting();
       logger.info('Started WideWorlds HTTP & WebSocket server, ' +
                   `listening on port ${argv.port}`);
@@ -0,0 +1,125 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import ChatMessage from '../common/db/model/ChatMessage.js';
+
+// Default maximum number of messages kept for each world (0 meaning nothing
+// gets logged) and default number of the latest ones sent to users when they
+// join the chat of a world
+const defaultChatLogSize = 1000;
+const defaultChatBacklog = 20;
+
+/** Bounded persistent log of the chat messages of each world */
+class ChatLog {
+  /**
+   * @constructor
+   * @param {Object} connection - TypeORM connection instance.
+   * @param {Object} config - Server configuration, holding the maximum
+   *                          number of messages to keep for each world
+   *                          ('chatLogSize').
+   */
+  constructor(connection, config = {}) {
+    this.connection = connection;
+    this.config = config;
+
+    // Messages are logged one at a time, so that they keep their order and
+    // pruning never races with a concurrent insertion
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Get the maximum number of messages to keep for each world
+   * @return {integer} Maximum number of messages, 0 if none.
+   */
+  getSize() {
+    return this.config.chatLogSize ?? defaultChatLogSize;
+  }
+
+  /**
+   * Log a new message, dropping the oldest ones of the world if need be
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} userId - ID of the sending user.
+   * @param {string} name - Name of the sending user.
+   * @param {string} role - Role of the sending user.
+   * @param {string} type - Type of the message ('say' or 'emote').
+   * @param {string} message - Content of the message.
+   * @param {integer} date - Timestamp (in milliseconds) of the sending.
+   * @return {Promise<ChatMessage|null>} Promise of the logged message, null
+   *                                     if logging is disabled.
+   */
+  append(worldId, userId, name, role, type, message, date = Date.now()) {
+    const appended = this.pending.then(() =>
+      this.appendNow(worldId, userId, name, role, type, message, date));
+    this.pending = appended.catch(() => {});
+
+    return appended;
+  }
+
+  /**
+   * Log a new message right away, see {@link ChatLog#append}
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} userId - ID of the sending user.
+   * @param {string} name - Name of the sending user.
+   * @param {string} role - Role of the sending user.
+   * @param {string} type - Type of the message ('say' or 'emote').
+   * @param {string} message - Content of the message.
+   * @param {integer} date - Timestamp (in milliseconds) of the sending.
+   * @return {Promise<ChatMessage|null>} Promise of the logged message, null
+   *                                     if logging is disabled.
+   */
+  async appendNow(worldId, userId, name, role, type, message, date) {
+    const size = this.getSize();
+    if (!size) return null;
+
+    const manager = this.connection.manager;
+    const entry = await manager.save(new ChatMessage(undefined, worldId,
+        userId, name, role, type, message, date));
+
+    // Find the newest message falling out of the log, if any
+    const outdated = await manager
+        .createQueryBuilder(ChatMessage, 'chatMessage')
+        .where('chatMessage.worldId = :worldId', {worldId})
+        .orderBy('chatMessage.id', 'DESC').skip(size).take(1).getOne();
+
+    if (outdated) {
+      await manager.createQueryBuilder().delete().from(ChatMessage)
+          .where('worldId = :worldId', {worldId})
+          .andWhere('id <= :id', {id: outdated.id}).execute();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get logged messages of a world, oldest first
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} limit - Maximum number of messages to get, the latest
+   *                          ones being picked.
+   * @param {Object} filters - Only get messages older than a given one
+   *                           ('beforeId') and/or sent before a given date
+   *                           ('beforeDate', in milliseconds).
+   * @return {Promise<Array<ChatMessage>>} Promise of the messages.
+   */
+  async getLatest(worldId, limit, {beforeId = null, beforeDate = null} = {}) {
+    const query = this.connection.manager
+        .createQueryBuilder(ChatMessage, 'chatMessage')
+        .where('chatMessage.worldId = :worldId', {worldId});
+
+    if (beforeId !== null) {
+      query.andWhere('chatMessage.id < :beforeId', {beforeId});
+    }
+
+    if (beforeDate !== null) {
+      query.andWhere('chatMessage.date < :beforeDate', {beforeDate});
+    }
+
+    const messages = await query.orderBy('chatMessage.id', 'DESC')
+        .take(limit).getMany();
+
+    return messages.reverse();
+  }
+}
+
+export default ChatLog;
+export {defaultChatLogSize, defaultChatBacklog};
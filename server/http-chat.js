@@ -0,0 +1,225 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {canLookIntoWorld} from './world-access.js';
+import {hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse}
+  from './utils.js';
+import logger from './logger.js';
+
+// Default and maximum number of messages returned for a single request
+const defaultChatPageSize = 50;
+const maxChatPageSize = 200;
+
+// Maximum length of a notice broadcast by an administrator
+const maxNoticeLength = 1000;
+
+/**
+ * Register world chat history and notice endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ * @param {ChatLog} chatLog - Log of the world chat messages.
+ */
+function registerChatEndpoints(app, authenticate, ctx, userCache, worldCache,
+    chatLog) {
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     ChatMessage:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the message, increasing over time
+   *           type: integer
+   *         userId:
+   *           description: ID of the user who sent the message
+   *           type: integer
+   *         name:
+   *           description: Name of the user at the time of sending
+   *           type: string
+   *         role:
+   *           description: Role of the user at the time of sending
+   *           type: string
+   *         type:
+   *           description: Type of the message
+   *           type: string
+   *           enum: [say, emote]
+   *         msg:
+   *           description: Content of the message
+   *           type: string
+   *         date:
+   *           description: Timestamp (in milliseconds) of the sending
+   *           type: integer
+   *
+   *     ChatHistory:
+   *       type: array
+   *       description: List of world chat messages, oldest first
+   *       items:
+   *         $ref: '#/components/schemas/ChatMessage'
+   */
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/chat:
+   *   get:
+   *     description: Get the latest logged chat messages of a world, oldest
+   *                  first, the user needs to be in the world or to be
+   *                  allowed in
+   *     operationId: get-world-chat
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: query
+   *         name: before
+   *         schema:
+   *           type: integer
+   *         required: false
+   *         description: Only get messages older than the one with this ID
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 200
+   *           default: 50
+   *         required: false
+   *         description: Maximum number of messages to get
+   *     responses:
+   *       200:
+   *         description: Successful request listing the chat messages
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ChatHistory'
+   *       400:
+   *         description: Invalid paging parameters
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/chat', authenticate, async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = parseInt(req.params.id);
+    const before = req.query.before === undefined ? null :
+      Number(req.query.before);
+    const limit = req.query.limit === undefined ? defaultChatPageSize :
+      Number(req.query.limit);
+
+    if ((before !== null && !Number.isInteger(before)) ||
+        !Number.isInteger(limit) || limit < 1 || limit > maxChatPageSize) {
+      res.status(400).json({});
+      return;
+    }
+
+    if (!worldCache.has(wid)) {
+      res.status(404).json({});
+      return;
+    }
+
+    // Users already in the world can always read its chat, others need to
+    // be allowed in
+    const inWorld = ctx.worldUsersCallback(wid)
+        .some(({id}) => id === req.userId);
+
+    if (!await canLookIntoWorld(worldCache, userCache, wid, req.userId,
+        inWorld, ctx.worldPopulationCallback(wid))) {
+      res.status(403).json({});
+      return;
+    }
+
+    chatLog.getLatest(wid, limit, {beforeId: before}).then((messages) =>
+      res.send(messages.map(({id, userId, name, role, type, message,
+        date}) => ({id, userId, name, role, type, msg: message,
+        date: Number(date)}))))
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get chat ' +
+                       `messages of world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/chat/broadcast:
+   *   post:
+   *     description: Send a notice to everyone in a world chat, or in all of
+   *                  them, as a broadcast message
+   *     operationId: broadcast-chat-notice
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               msg:
+   *                 description: Content of the notice
+   *                 type: string
+   *               worldId:
+   *                 description: ID of the world to send the notice to, all
+   *                              of them if unset
+   *                 type: integer
+   *     responses:
+   *       200:
+   *         description: Notice successfully sent
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 recipients:
+   *                   description: Number of users who received the notice
+   *                   type: integer
+   *       400:
+   *         description: Invalid notice
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, administrator
+   *                      privileges are required
+   *       404:
+   *         description: No world found matching this ID
+   */
+  app.post('/api/chat/broadcast', authenticate,
+      forbiddenOnFalse(middleAnd(hasUserRole('admin'), hasPrivilege())),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const {msg, worldId} = req.body;
+
+        if (typeof msg !== 'string' || !msg.trim().length ||
+            msg.length > maxNoticeLength ||
+            (worldId !== undefined && !Number.isInteger(worldId))) {
+          res.status(400).json({});
+          return;
+        }
+
+        if (worldId !== undefined && !worldCache.has(worldId)) {
+          res.status(404).json({});
+          return;
+        }
+
+        res.json({recipients: ctx.chatNoticeCallback(worldId ?? null, msg)});
+      });
+}
+
+export default registerChatEndpoints;
@@ -0,0 +1,487 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Ban from '../common/db/model/Ban.js';
+import Mute from '../common/db/model/Mute.js';
+import World from '../common/db/model/World.js';
+import {hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse, isGuestId}
+  from './utils.js';
+import logger from './logger.js';
+
+const maxReasonLength = 256;
+
+/**
+ * Tell if the provided duration (in seconds) is acceptable, null or
+ * undefined stand for a permanent ban or mute
+ * @param {any} duration - Duration to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidDuration(duration) {
+  return duration === null || duration === undefined ||
+      (Number.isFinite(duration) && duration > 0);
+}
+
+/**
+ * Tell if the provided reason is acceptable
+ * @param {any} reason - Reason to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidReason(reason) {
+  return typeof reason === 'string' && reason.length <= maxReasonLength;
+}
+
+/**
+ * Register ban and mute endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Context object holding callbacks.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {map} banCache - Map of bans indexed by ID.
+ * @param {map} muteCache - Map of mutes indexed by ID.
+ */
+function registerModerationEndpoints(app, authenticate, connection, ctx,
+    userCache, banCache, muteCache) {
+  const isPrivilegedAdmin = middleAnd(hasUserRole('admin'), hasPrivilege());
+
+  // Turn a duration (in seconds) into an expiration timestamp
+  // (in milliseconds), null meaning it never expires
+  const expiresAfter = (date, duration) => {
+    return duration === null || duration === undefined ? null :
+      date + Math.round(duration * 1000);
+  };
+
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     Ban:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the ban
+   *           type: integer
+   *         userId:
+   *           description: ID of the banned user, null if only banning an
+   *                        address
+   *           type: integer
+   *         address:
+   *           description: Banned remote address, null if only banning a
+   *                        user
+   *           type: string
+   *         reason:
+   *           description: Reason for the ban
+   *           type: string
+   *         date:
+   *           description: Timestamp (in milliseconds) of the ban
+   *           type: integer
+   *         expires:
+   *           description: Timestamp (in milliseconds) when the ban expires,
+   *                        null if permanent
+   *           type: integer
+   *         issuerId:
+   *           description: ID of the user who issued the ban
+   *           type: integer
+   *
+   *     AllBans:
+   *       type: array
+   *       description: List of bans
+   *       items:
+   *         $ref: '#/components/schemas/Ban'
+   *
+   *     Mute:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the mute
+   *           type: integer
+   *         worldId:
+   *           description: ID of the world the user is muted in
+   *           type: integer
+   *         userId:
+   *           description: ID of the muted user
+   *           type: integer
+   *         reason:
+   *           description: Reason for the mute
+   *           type: string
+   *         date:
+   *           description: Timestamp (in milliseconds) of the mute
+   *           type: integer
+   *         expires:
+   *           description: Timestamp (in milliseconds) when the mute
+   *                        expires, null if permanent
+   *           type: integer
+   *         issuerId:
+   *           description: ID of the user who issued the mute
+   *           type: integer
+   *
+   *     AllMutes:
+   *       type: array
+   *       description: List of mutes
+   *       items:
+   *         $ref: '#/components/schemas/Mute'
+   *
+   */
+
+  /**
+   * @openapi
+   * /api/bans:
+   *   get:
+   *     description: Get the list of all bans, including expired ones
+   *     operationId: get-bans
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Successful request listing all bans
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AllBans'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   */
+  app.get('/api/bans', authenticate, forbiddenOnFalse(isPrivilegedAdmin),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        res.send([...banCache.values()]);
+      });
+
+  /**
+   * @openapi
+   * /api/bans:
+   *   post:
+   *     description: Ban a user and/or a remote address, banning a user
+   *                  revokes all of their ongoing WebSocket connections
+   *     operationId: post-ban
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               userId:
+   *                 description: ID of the user to ban (optional if an
+   *                              address is provided)
+   *               address:
+   *                 description: Remote address to ban (optional if a user
+   *                              ID is provided)
+   *               reason:
+   *                 description: Reason for the ban (optional)
+   *               duration:
+   *                 description: Duration of the ban (in seconds), the ban
+   *                              is permanent if missing or null
+   *     responses:
+   *       201:
+   *         description: Ban successfully created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Ban'
+   *       400:
+   *         description: Invalid or missing field values, guests cannot be
+   *                      targeted (ban their address instead)
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/bans', authenticate, forbiddenOnFalse(isPrivilegedAdmin),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const userId = req.body?.userId ?? null;
+        const address = req.body?.address ?? null;
+        const reason = req.body?.reason ?? '';
+        const duration = req.body?.duration;
+
+        // Guest IDs are handed out again after a restart, a stored ban would
+        // end up hitting someone else
+        if ((userId === null && address === null) ||
+            (userId !== null &&
+             (!Number.isInteger(userId) || isGuestId(userId))) ||
+            (address !== null &&
+             (typeof address !== 'string' || !address.length)) ||
+            !isValidReason(reason) || !isValidDuration(duration)) {
+          res.status(400).json({});
+          return;
+        }
+
+        if (userId !== null && !userCache.has(userId)) {
+          res.status(404).json({});
+          return;
+        }
+
+        const date = Date.now();
+        const ban = new Ban(undefined, userId, address, reason, date,
+            expiresAfter(date, duration), req.userId);
+
+        connection.manager.save([ban])
+            .then(([saved]) => {
+              banCache.set(saved.id, saved);
+
+              if (saved.userId !== null) {
+                // Kick the banned user out of any world they might be in
+                ctx.userLogoutCallback(saved.userId);
+              }
+
+              logger.info(`Ban #${saved.id} issued by user #${req.userId}`);
+              res.status(201).send(saved);
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           'create ban: ' + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/bans/{banId}:
+   *   delete:
+   *     description: Lift a single ban
+   *     operationId: delete-ban
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: banId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the ban to lift
+   *     responses:
+   *       200:
+   *         description: Ban successfully lifted
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No ban found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/bans/:id', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = parseInt(req.params.id);
+
+        if (!banCache.has(id)) {
+          res.status(404).json({});
+          return;
+        }
+
+        connection.manager.createQueryBuilder()
+            .delete().from(Ban).where('id = :id', {id}).execute().then(() => {
+              banCache.delete(id);
+
+              logger.info(`Ban #${id} lifted by user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `delete ban #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/mutes:
+   *   get:
+   *     description: Get the list of all mutes, including expired ones
+   *     operationId: get-mutes
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: false
+   *         description: Only list the mutes for the world matching this ID
+   *     responses:
+   *       200:
+   *         description: Successful request listing all mutes
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AllMutes'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   */
+  app.get('/api/mutes', authenticate, forbiddenOnFalse(isPrivilegedAdmin),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const worldId = req.query.worldId;
+
+        res.send([...muteCache.values()].filter((mute) =>
+          worldId === undefined || mute.worldId == worldId));
+      });
+
+  /**
+   * @openapi
+   * /api/mutes:
+   *   post:
+   *     description: Mute a user in a single world, preventing them from
+   *                  sending chat messages there
+   *     operationId: post-mute
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               worldId:
+   *                 description: ID of the world to mute the user in
+   *               userId:
+   *                 description: ID of the user to mute
+   *               reason:
+   *                 description: Reason for the mute (optional)
+   *               duration:
+   *                 description: Duration of the mute (in seconds), the
+   *                              mute is permanent if missing or null
+   *     responses:
+   *       201:
+   *         description: Mute successfully created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Mute'
+   *       400:
+   *         description: Invalid or missing field values, guests cannot be
+   *                      targeted (ban their address instead)
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No user or world found matching those IDs
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/mutes', authenticate, forbiddenOnFalse(isPrivilegedAdmin),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const worldId = req.body?.worldId;
+        const userId = req.body?.userId;
+        const reason = req.body?.reason ?? '';
+        const duration = req.body?.duration;
+
+        // Same as bans: stored mutes must not outlive the guest they target
+        if (!Number.isInteger(worldId) || !Number.isInteger(userId) ||
+            isGuestId(userId) || !isValidReason(reason) ||
+            !isValidDuration(duration)) {
+          res.status(400).json({});
+          return;
+        }
+
+        if (!userCache.has(userId)) {
+          res.status(404).json({});
+          return;
+        }
+
+        connection.manager.createQueryBuilder(World, 'world')
+            .where('world.id = :worldId', {worldId}).getOne()
+            .then(async (world) => {
+              if (!world) {
+                res.status(404).json({});
+                return;
+              }
+
+              const date = Date.now();
+              const mute = new Mute(undefined, worldId, userId, reason, date,
+                  expiresAfter(date, duration), req.userId);
+
+              const [saved] = await connection.manager.save([mute]);
+              muteCache.set(saved.id, saved);
+
+              logger.info(`Mute #${saved.id} issued by user #${req.userId}`);
+              res.status(201).send(saved);
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           'create mute: ' + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/mutes/{muteId}:
+   *   delete:
+   *     description: Lift a single mute
+   *     operationId: delete-mute
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: muteId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the mute to lift
+   *     responses:
+   *       200:
+   *         description: Mute successfully lifted
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No mute found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/mutes/:id', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = parseInt(req.params.id);
+
+        if (!muteCache.has(id)) {
+          res.status(404).json({});
+          return;
+        }
+
+        connection.manager.createQueryBuilder()
+            .delete().from(Mute).where('id = :id', {id}).execute().then(() => {
+              muteCache.delete(id);
+
+              logger.info(`Mute #${id} lifted by user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `delete mute #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerModerationEndpoints;
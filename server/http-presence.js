@@ -0,0 +1,152 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import {canLookIntoWorld} from './world-access.js';
+
+/**
+ * Register online users endpoints into the expressjs app, those need to be
+ * registered before the '/api/users/:id' ones
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ */
+function registerPresenceEndpoints(app, authenticate, ctx, userCache,
+    worldCache) {
+  // Users already in a world can always see who else is in there, others
+  // need to be allowed in
+  const canListWorldUsers = (wid, users, userId) =>
+    canLookIntoWorld(worldCache, userCache, wid, userId,
+        users.some(({id}) => id === userId), users.length);
+
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     OnlineUser:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the user
+   *           type: integer
+   *         name:
+   *           description: Name of the user
+   *           type: string
+   *         role:
+   *           description: Role of the user
+   *           type: string
+   *         worldId:
+   *           description: ID of the world the user is in (only when
+   *                        listing users across all worlds)
+   *           type: integer
+   *         position:
+   *           description: Last known position of the user (in meters),
+   *                        null if they did not move yet
+   *           type: object
+   *           properties:
+   *             x:
+   *               type: number
+   *             y:
+   *               type: number
+   *             z:
+   *               type: number
+   *
+   *     OnlineUsers:
+   *       type: array
+   *       description: List of online users
+   *       items:
+   *         $ref: '#/components/schemas/OnlineUser'
+   */
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/users:
+   *   get:
+   *     description: Get the list of users currently in a world
+   *     operationId: get-world-users
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     responses:
+   *       200:
+   *         description: Successful request listing the users in the world
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/OnlineUsers'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, not allowed in
+   *                      the world
+   *       404:
+   *         description: No world found matching this ID
+   */
+  app.get('/api/worlds/:id/users', authenticate, async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = parseInt(req.params.id);
+
+    if (!worldCache.has(wid)) {
+      res.status(404).json({});
+      return;
+    }
+
+    const users = ctx.worldUsersCallback(wid);
+
+    if (!await canListWorldUsers(wid, users, req.userId)) {
+      res.status(403).json({});
+      return;
+    }
+
+    res.json(users);
+  });
+
+  /**
+   * @openapi
+   * /api/users/online:
+   *   get:
+   *     description: Get the list of users currently in any world, leaving
+   *                  out the worlds the requesting user is not allowed in
+   *     operationId: get-online-users
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Successful request listing the users in all the
+   *                      worlds
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/OnlineUsers'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   */
+  app.get('/api/users/online', authenticate, async (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const worlds = await Promise.all(Array.from(worldCache.keys())
+        .map(async (wid) => {
+          const users = ctx.worldUsersCallback(wid);
+
+          return users.length &&
+              await canListWorldUsers(wid, users, req.userId) ?
+            users.map((user) => ({...user, worldId: wid})) : [];
+        }));
+
+    res.json(worlds.flat());
+  });
+}
+
+export default registerPresenceEndpoints;
@@ -0,0 +1,451 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import World from '../common/db/model/World.js';
+import Prop from '../common/db/model/Prop.js';
+import User from '../common/db/model/User.js';
+import {makePropRevision, savePropsWithHistory} from './prop-history.js';
+import {hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse, isGuestId}
+  from './utils.js';
+import logger from './logger.js';
+
+const areaBounds = ['minX', 'maxX', 'minZ', 'maxZ'];
+
+/**
+ * Parse the filter of an area-wide props operation: a bounding box on the
+ * X and Z axes (minimum bounds included, maximum ones excluded) and the ID
+ * of the owner of the props, missing fields being left out
+ * @param {Object} body - Payload of the request.
+ * @param {boolean} areaRequired - True if the bounding box is mandatory.
+ * @return {Object|null} Parsed filter, null if invalid.
+ */
+function parseAreaFilter(body, areaRequired = true) {
+  const filter = {};
+  const definedBounds = areaBounds.filter((key) => body[key] !== undefined);
+
+  // The bounding box is either fully provided or not at all
+  if ((definedBounds.length || areaRequired) &&
+      definedBounds.length !== areaBounds.length) {
+    return null;
+  }
+
+  for (const key of definedBounds) {
+    if (typeof body[key] !== 'number' || !Number.isFinite(body[key])) {
+      return null;
+    }
+
+    filter[key] = body[key];
+  }
+
+  if (definedBounds.length &&
+      (filter.minX >= filter.maxX || filter.minZ >= filter.maxZ)) {
+    return null;
+  }
+
+  if (body.userId !== undefined) {
+    if (!Number.isInteger(body.userId)) return null;
+    filter.userId = body.userId;
+  }
+
+  return filter;
+}
+
+/**
+ * Apply an area filter to a props query
+ * @param {Object} queryBuilder - TypeORM query builder on props.
+ * @param {integer} wid - ID of the world.
+ * @param {Object} filter - Area filter, as parsed by parseAreaFilter.
+ * @return {Object} TypeORM query builder, with the filter applied.
+ */
+function filterAreaQuery(queryBuilder, wid, {minX, maxX, minZ, maxZ,
+  userId}) {
+  queryBuilder.where('worldId = :wid', {wid});
+
+  if (minX !== undefined) {
+    queryBuilder.andWhere('x >= :minX', {minX})
+        .andWhere('x < :maxX', {maxX})
+        .andWhere('z >= :minZ', {minZ})
+        .andWhere('z < :maxZ', {maxZ});
+  }
+
+  if (userId !== undefined) {
+    queryBuilder.andWhere('userId = :userId', {userId});
+  }
+
+  return queryBuilder;
+}
+
+/**
+ * Register admin-only area-wide props endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {function} limitWrites - Rate-limiting middleware for props writes.
+ */
+function registerPropsAdminEndpoints(app, authenticate, connection, ctx,
+    limitWrites = (req, res, next) => next()) {
+  const adminOnly = [
+    forbiddenOnFalse(middleAnd(hasUserRole('admin'), hasPrivilege())),
+    limitWrites,
+  ];
+
+  const getWorld = async (id) => {
+    return await connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :id', {id}).getOne();
+  };
+
+  // Change all the props matching the filter in a single transaction, and
+  // broadcast them all at once as a single update batch
+  const updateArea = async (world, filter, authorId, update) => {
+    const props = await connection.transaction(async (manager) => {
+      const props = await filterAreaQuery(manager
+          .createQueryBuilder(Prop, 'prop'), world.id, filter)
+          .orderBy('id').getMany();
+      const date = Date.now();
+
+      for (const prop of props) {
+        update(prop);
+        prop.date = date;
+      }
+
+      return await savePropsWithHistory(manager, props, 'update', authorId);
+    });
+
+    if (props.length) {
+      ctx.propsChangedCallback(world.id,
+          JSON.stringify({op: 'update', data: props}));
+    }
+
+    return props;
+  };
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/owner:
+   *   put:
+   *     description: Transfer the ownership of all the props matching the
+   *                  filter to another user, at least an owner or an area
+   *                  must be provided
+   *     operationId: transfer-props
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               toUserId:
+   *                 description: ID of the new owner of the props
+   *                 type: integer
+   *               userId:
+   *                 description: ID of the current owner of the props
+   *                 type: integer
+   *               minX:
+   *                 type: number
+   *               maxX:
+   *                 type: number
+   *               minZ:
+   *                 type: number
+   *               maxZ:
+   *                 type: number
+   *     responses:
+   *       200:
+   *         description: Number of props transferred
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 count:
+   *                   type: integer
+   *       400:
+   *         description: Invalid payload or unknown new owner (guests
+   *                      cannot own props)
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level in
+   *                      privilege mode required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.put('/api/worlds/:id/props/owner', authenticate, adminOnly,
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const body = req.body;
+        const filter = body?.constructor.name === 'Object' ?
+            parseAreaFilter(body, false) : null;
+
+        // Guests are not meant to own anything, they are not even stored
+        if (!filter || (filter.minX === undefined &&
+            filter.userId === undefined) ||
+            !Number.isInteger(body.toUserId) || isGuestId(body.toUserId)) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          if (!await connection.manager.createQueryBuilder(User, 'user')
+              .where('user.id = :id', {id: body.toUserId}).getOne()) {
+            // Unknown new owner
+            res.status(400).json({});
+            return;
+          }
+
+          const props = await updateArea(world, filter, req.userId,
+              (prop) => {
+                prop.userId = body.toUserId;
+              });
+
+          res.json({count: props.length});
+
+          logger.info(`${props.length} props transferred to user ` +
+                      `#${body.toUserId} in world #${world.id} by user ` +
+                      `#${req.userId}`);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `transfer props for world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/area:
+   *   put:
+   *     description: Move all the props within an area by a given offset
+   *     operationId: move-props-area
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               minX:
+   *                 type: number
+   *               maxX:
+   *                 type: number
+   *               minZ:
+   *                 type: number
+   *               maxZ:
+   *                 type: number
+   *               userId:
+   *                 description: Only move props owned by this user
+   *                 type: integer
+   *               offset:
+   *                 description: Offset (in meters) to apply on each axis,
+   *                              missing ones being left untouched
+   *                 type: object
+   *                 properties:
+   *                   x:
+   *                     type: number
+   *                   y:
+   *                     type: number
+   *                   z:
+   *                     type: number
+   *     responses:
+   *       200:
+   *         description: Number of props moved
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 count:
+   *                   type: integer
+   *       400:
+   *         description: Invalid payload
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level in
+   *                      privilege mode required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.put('/api/worlds/:id/props/area', authenticate, adminOnly,
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const body = req.body;
+        const filter = body?.constructor.name === 'Object' ?
+            parseAreaFilter(body) : null;
+        const offset = {x: 0, y: 0, z: 0, ...body?.offset};
+
+        if (!filter || body.offset?.constructor.name !== 'Object' ||
+            !Object.values(offset).every((value) =>
+              typeof value === 'number' && Number.isFinite(value))) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          const props = await updateArea(world, filter, req.userId,
+              (prop) => {
+                prop.x += offset.x;
+                prop.y += offset.y;
+                prop.z += offset.z;
+              });
+
+          res.json({count: props.length});
+
+          logger.info(`${props.length} props moved in world #${world.id} ` +
+                      `by user #${req.userId}`);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `move props for world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/area:
+   *   delete:
+   *     description: Delete all the props within an area
+   *     operationId: delete-props-area
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               minX:
+   *                 type: number
+   *               maxX:
+   *                 type: number
+   *               minZ:
+   *                 type: number
+   *               maxZ:
+   *                 type: number
+   *               userId:
+   *                 description: Only delete props owned by this user
+   *                 type: integer
+   *     responses:
+   *       200:
+   *         description: Number of props deleted
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 count:
+   *                   type: integer
+   *       400:
+   *         description: Invalid payload
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level in
+   *                      privilege mode required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/worlds/:id/props/area', authenticate, adminOnly,
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const body = req.body;
+        const filter = body?.constructor.name === 'Object' ?
+            parseAreaFilter(body) : null;
+
+        if (!filter) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          // Keep track of the last state of each prop, to be able to
+          // restore them later on
+          const ids = await connection.transaction(async (manager) => {
+            const props = await filterAreaQuery(manager
+                .createQueryBuilder(Prop, 'prop'), world.id, filter)
+                .orderBy('id').getMany();
+            const date = Date.now();
+
+            await filterAreaQuery(manager.createQueryBuilder(Prop, 'prop')
+                .delete(), world.id, filter).execute();
+            await manager.save(props.map((prop) =>
+              makePropRevision(prop, 'delete', req.userId, date)));
+
+            return props.map(({id}) => id);
+          });
+
+          res.json({count: ids.length});
+
+          if (ids.length) {
+            ctx.propsChangedCallback(world.id,
+                JSON.stringify({op: 'delete', data: ids}));
+          }
+
+          logger.info(`${ids.length} props deleted in world #${world.id} ` +
+                      `by user #${req.userId}`);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `delete props area for world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerPropsAdminEndpoints;
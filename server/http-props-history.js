@@ -0,0 +1,493 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import World from '../common/db/model/World.js';
+import Prop from '../common/db/model/Prop.js';
+import PropRevision from '../common/db/model/PropRevision.js';
+import {propHistoryOps, makePropFromRevision, savePropsWithHistory}
+  from './prop-history.js';
+import {defaultChunkSide, isPrivilegedAdmin, canEditProp, getBuildPermission}
+  from './http-props.js';
+import {defaultPropsQuota, defaultPropsPerRequest, defaultPropsPerChunk,
+  PropsQuotasTracker, writeWithinQuotas} from './props-quotas.js';
+import {hasUserRole, forbiddenOnFalse} from './utils.js';
+import logger from './logger.js';
+
+const defaultHistoryLimit = 100;
+const maxHistoryLimit = 1000;
+
+/**
+ * Parse the filters of an area history query, missing ones being left out
+ * @param {Object} query - Query parameters of the request.
+ * @return {Object|null} Parsed filters, null if any of them is invalid.
+ */
+function parseHistoryFilters(query) {
+  const filters = {};
+
+  for (const key of ['minX', 'maxX', 'minZ', 'maxZ', 'since']) {
+    if (query[key] === undefined) continue;
+
+    filters[key] = Number(query[key]);
+    if (!Number.isFinite(filters[key])) return null;
+  }
+
+  if (query.authorId !== undefined) {
+    filters.authorId = Number(query.authorId);
+    if (!Number.isInteger(filters.authorId)) return null;
+  }
+
+  if (query.op !== undefined) {
+    if (!propHistoryOps.includes(query.op)) return null;
+    filters.op = query.op;
+  }
+
+  filters.limit = query.limit === undefined ? defaultHistoryLimit :
+      Number(query.limit);
+
+  if (!Number.isInteger(filters.limit) || filters.limit <= 0 ||
+      filters.limit > maxHistoryLimit) {
+    return null;
+  }
+
+  return filters;
+}
+
+/**
+ * Register props history endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {Array<function>} authenticate - Authentication and world access
+ *                                         middlewares for the http
+ *                                         requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {function} limitWrites - Rate-limiting middleware for props writes.
+ * @param {function} getQuotas - Get the current props quotas: maximum
+ *                               numbers of props per user in a world
+ *                               (perUser), per request (perRequest) and per
+ *                               chunk (perChunk), 0 meaning no limit.
+ */
+function registerPropsHistoryEndpoints(app, authenticate, connection, ctx,
+    limitWrites = (req, res, next) => next(),
+    getQuotas = () => ({perUser: defaultPropsQuota,
+      perRequest: defaultPropsPerRequest, perChunk: defaultPropsPerChunk})) {
+  const canBuild = [forbiddenOnFalse(hasUserRole('citizen')), limitWrites];
+
+  const getWorld = async (id) => {
+    return await connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :id', {id}).getOne();
+  };
+
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     PropRevision:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the revision
+   *           type: integer
+   *         propId:
+   *           description: ID of the prop
+   *           type: integer
+   *         worldId:
+   *           description: ID of the world
+   *           type: integer
+   *         op:
+   *           description: Operation on the prop, either 'create', 'update'
+   *                        or 'delete'
+   *           type: string
+   *         authorId:
+   *           description: ID of the user who made the change
+   *           type: integer
+   *         date:
+   *           description: Timestamp (in milliseconds) of the change
+   *           type: integer
+   *         userId:
+   *           description: ID of the user owning the prop
+   *           type: integer
+   *         propDate:
+   *           description: Modification date of the prop
+   *           type: integer
+   *         x:
+   *           type: number
+   *         y:
+   *           type: number
+   *         z:
+   *           type: number
+   *         yaw:
+   *           type: number
+   *         pitch:
+   *           type: number
+   *         roll:
+   *           type: number
+   *         name:
+   *           type: string
+   *         description:
+   *           type: string
+   *         action:
+   *           type: string
+   */
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/{propId}/history:
+   *   get:
+   *     description: Get all the revisions of a single prop, oldest first,
+   *                  each one holding the state of the prop right after
+   *                  its creation or update, or right before its deletion
+   *     operationId: get-prop-history
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: path
+   *         name: propId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the prop
+   *     responses:
+   *       200:
+   *         description: List of revisions
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/PropRevision'
+   *       401:
+   *         description: Authentication required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/props/:propId/history', authenticate,
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const propId = req.params.propId;
+
+        getWorld(wid).then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          res.send(await connection.manager
+              .createQueryBuilder(PropRevision, 'revision')
+              .where('revision.worldId = :wid', {wid: world.id})
+              .andWhere('revision.propId = :propId', {propId})
+              .orderBy('revision.id').getMany());
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to get ' +
+                           `history of prop #${propId}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props-history:
+   *   get:
+   *     description: Get the latest revisions of props within a defined area
+   *                  of a world, newest first
+   *     operationId: get-props-history
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: query
+   *         name: minX
+   *         schema:
+   *           type: number
+   *         description: Minimum (including) X coordinate (in meters)
+   *       - in: query
+   *         name: maxX
+   *         schema:
+   *           type: number
+   *         description: Maximum (excluding) X coordinate (in meters)
+   *       - in: query
+   *         name: minZ
+   *         schema:
+   *           type: number
+   *         description: Minimum (including) Z coordinate (in meters)
+   *       - in: query
+   *         name: maxZ
+   *         schema:
+   *           type: number
+   *         description: Maximum (excluding) Z coordinate (in meters)
+   *       - in: query
+   *         name: authorId
+   *         schema:
+   *           type: integer
+   *         description: Only get the changes made by this user
+   *       - in: query
+   *         name: op
+   *         schema:
+   *           type: string
+   *         description: Only get this kind of changes, either 'create',
+   *                      'update' or 'delete'
+   *       - in: query
+   *         name: since
+   *         schema:
+   *           type: integer
+   *         description: Only get changes made from this timestamp on (in
+   *                      milliseconds)
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *         description: Maximum number of revisions to get, 100 by
+   *                      default, 1000 at most
+   *     responses:
+   *       200:
+   *         description: List of revisions
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 $ref: '#/components/schemas/PropRevision'
+   *       400:
+   *         description: Invalid filter values
+   *       401:
+   *         description: Authentication required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/props-history', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = req.params.id;
+    const filters = parseHistoryFilters(req.query);
+
+    if (!filters) {
+      res.status(400).json({});
+      return;
+    }
+
+    getWorld(wid).then(async (world) => {
+      if (!world) {
+        res.status(404).json({});
+        return;
+      }
+
+      const queryBuilder = connection.manager
+          .createQueryBuilder(PropRevision, 'revision')
+          .where('revision.worldId = :wid', {wid: world.id});
+
+      const {minX, maxX, minZ, maxZ, since, authorId, op, limit} = filters;
+
+      if (minX !== undefined) {
+        queryBuilder.andWhere('revision.x >= :minX', {minX});
+      }
+      if (maxX !== undefined) {
+        queryBuilder.andWhere('revision.x < :maxX', {maxX});
+      }
+      if (minZ !== undefined) {
+        queryBuilder.andWhere('revision.z >= :minZ', {minZ});
+      }
+      if (maxZ !== undefined) {
+        queryBuilder.andWhere('revision.z < :maxZ', {maxZ});
+      }
+      if (since !== undefined) {
+        queryBuilder.andWhere('revision.date >= :since', {since});
+      }
+      if (authorId !== undefined) {
+        queryBuilder.andWhere('revision.authorId = :authorId', {authorId});
+      }
+      if (op !== undefined) {
+        queryBuilder.andWhere('revision.op = :op', {op});
+      }
+
+      res.send(await queryBuilder.orderBy('revision.id', 'DESC')
+          .take(limit).getMany());
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get props ' +
+                       `history for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/restore:
+   *   post:
+   *     description: Restore props as they were in some of their revisions,
+   *                  deleted props being created back under their original
+   *                  IDs, all clients connected to the world are then
+   *                  notified of the changes
+   *     operationId: restore-props
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: array
+   *             description: IDs of the revisions to restore, at most one
+   *                          per prop
+   *             items:
+   *               type: integer
+   *     responses:
+   *       200:
+   *         description: Status of each entry, in the same order, true if
+   *                      restored, false if not allowed (quotas included),
+   *                      null if no such revision exists in this world
+   *       400:
+   *         description: Invalid payload
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, citizen level
+   *                      required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds/:id/props/restore', authenticate, canBuild,
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const revisionIds = req.body;
+
+        if (!Array.isArray(revisionIds) || !revisionIds.length ||
+            !revisionIds.every((id) => Number.isInteger(id) && id >= 0) ||
+            new Set(revisionIds).size !== revisionIds.length) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          const revisions = await connection.manager
+              .createQueryBuilder(PropRevision, 'revision')
+              .where('revision.worldId = :wid', {wid: world.id})
+              .andWhere('revision.id IN (:...revisionIds)', {revisionIds})
+              .getMany();
+
+          // A prop can only be restored to a single state at once
+          const propIds = revisions.map(({propId}) => propId);
+
+          if (new Set(propIds).size !== propIds.length) {
+            res.status(400).json({});
+            return;
+          }
+
+          const response = revisionIds.map(() => null);
+
+          if (!revisions.length) {
+            res.json(response);
+            return;
+          }
+
+          const canBuildHere = await getBuildPermission(connection, req,
+              world.id);
+
+          // Admins in privilege mode are not subject to quotas
+          const quotas = isPrivilegedAdmin(req) ?
+              {perUser: 0, perRequest: 0, perChunk: 0} : getQuotas();
+
+          // Restored props get counted and saved all at once, for
+          // concurrent requests not to exceed the quotas together
+          const [createdProps, updatedProps] = await writeWithinQuotas(
+              connection, world.id, async (manager) => {
+                const quotasTracker = new PropsQuotasTracker(manager,
+                    world.id, quotas, defaultChunkSide);
+
+                const currentProps = new Map((await manager
+                    .createQueryBuilder(Prop, 'prop')
+                    .where('prop.worldId = :wid', {wid: world.id})
+                    .andWhere('prop.id IN (:...propIds)', {propIds})
+                    .getMany()).map((prop) => [prop.id, prop]));
+
+                const propsToCreate = [];
+                const propsToUpdate = [];
+                const date = Date.now();
+
+                for (const revision of revisions) {
+                  const entry = revisionIds.indexOf(revision.id);
+                  const current = currentProps.get(revision.propId);
+
+                  // Both the current prop (if any) and the restored one must
+                  // be editable by this user, deleted props count against
+                  // the quotas of their owner like new ones, existing ones
+                  // only do when moved into another chunk
+                  if ((current && !canEditProp(req, current)) ||
+                      !canEditProp(req, revision) ||
+                      !canBuildHere(revision.x, revision.z) ||
+                      await quotasTracker.take(revision.x, revision.z,
+                          current ? null : revision.userId, current ?? null)) {
+                    response[entry] = false;
+                    continue;
+                  }
+
+                  (current ? propsToUpdate : propsToCreate)
+                      .push(makePropFromRevision(revision, date));
+                  response[entry] = true;
+                }
+
+                return [
+                  await savePropsWithHistory(manager, propsToCreate, 'create',
+                      req.userId),
+                  await savePropsWithHistory(manager, propsToUpdate, 'update',
+                      req.userId),
+                ];
+              });
+
+          res.json(response);
+
+          if (createdProps.length) {
+            ctx.propsChangedCallback(world.id,
+                JSON.stringify({op: 'create', data: createdProps}));
+          }
+
+          if (updatedProps.length) {
+            ctx.propsChangedCallback(world.id,
+                JSON.stringify({op: 'update', data: updatedProps}));
+          }
+
+          logger.info(`${createdProps.length + updatedProps.length} props ` +
+                      `restored in world #${world.id} by user #${req.userId}`);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `restore props for world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerPropsHistoryEndpoints;
@@ -5,12 +5,26 @@
 import logger from './logger.js';
 import World from '../common/db/model/World.js';
 import Prop from '../common/db/model/Prop.js';
-import {hashProps} from '../common/props-data-format.js';
+import {hashProps, serializeProp, packPropData, validatePropFields}
+  from '../common/props-data-format.js';
+import {hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse}
+  from './utils.js';
+import {canBuildAt, loadWorldRights} from './rights.js';
+import {makePropRevision, savePropsWithHistory} from './prop-history.js';
+import {defaultPropsQuota, defaultPropsPerRequest, defaultPropsPerChunk,
+  countUserProps, PropsQuotasTracker, writeWithinQuotas}
+  from './props-quotas.js';
 
 const isNullOrUndefined = (value) => value === null || value === undefined;
 const badRequest = 400;
 const ok = 200;
 
+const defaultChunkSide = 20; // In meters
+const maxChunksPerRequest = 1024;
+const defaultSearchLimit = 100;
+const forbiddenReasons = ['forbidden', 'userQuota', 'chunkQuota'];
+const maxSearchLimit = 1000;
+
 /**
  * Add filters to props database query
  *
@@ -27,7 +41,9 @@ const ok = 200;
  */
 function filterPropsQuery(queryBuilder, wid,
     {minX, maxX, minY, maxY, minZ, maxZ}) {
-  queryBuilder.where('prop.worldId = :wid', {wid});
+  // Props are indexed by position, keep listing them in a stable order
+  // no matter which index ends up being used
+  queryBuilder.where('prop.worldId = :wid', {wid}).orderBy('prop.id');
 
   // Get chunked list of props by filtering with provided XYZ
   // boundaries (if any)
@@ -94,16 +110,272 @@ function filterPropsQuery(queryBuilder, wid,
   return ok;
 }
 
+/**
+ * Get the SQL XOR of two integer expressions, SQLite having no such operator
+ * @param {string} first - First SQL expression.
+ * @param {string} second - Second SQL expression.
+ * @return {string} SQL expression of the XOR.
+ */
+function xorSql(first, second) {
+  return `((${first}) | (${second})) - ((${first}) & (${second}))`;
+}
+
+const propHashMask = 0xffffffff; // 32 bits
+const propHashFactor = 0x45d9f3b;
+
+// SQL counterpart of 'hashProps', so that the database can compute the hash
+// of many props without having to load them at all: both must be kept in
+// sync
+const propsHashSql = (() => {
+  const mix = (expression) =>
+    `((${expression}) * ${propHashFactor}) & ${propHashMask}`;
+
+  let hash = mix(`prop.id & ${propHashMask}`);
+  hash = mix(xorSql(hash, `prop.date & ${propHashMask}`));
+  hash = mix(xorSql(hash, 'prop.date >> 32'));
+
+  return `COALESCE(SUM(${hash}), 0) & ${propHashMask}`;
+})();
+
+/**
+ * Get the hash of props directly from the database
+ * @param {QueryBuilder} queryBuilder - Props query, with filters already
+ *                                      set.
+ * @return {Promise<integer>} Promise of the hash of the props (32 bits,
+ *                            unsigned), same as what 'hashProps' would
+ *                            give.
+ */
+async function queryPropsHash(queryBuilder) {
+  const {hash} = await queryBuilder.select(propsHashSql, 'hash')
+      .orderBy().getRawOne();
+
+  return Number(hash);
+}
+
+/**
+ * Get the entity tag of a list of props, for HTTP caching purposes, JSON
+ * and binary payloads getting different ones
+ * @param {integer} hash - Hash of the props.
+ * @param {boolean} binary - Whether or not props are sent as a binary pack.
+ * @return {string} Entity tag, quotes included.
+ */
+function getPropsETag(hash, binary) {
+  return binary ? `"${hash}-pack"` : `"${hash}"`;
+}
+
+/**
+ * Tell if the request already holds a given entity tag, as per its
+ * 'If-None-Match' header: unlike 'req.fresh', this ignores any
+ * 'Cache-Control: no-cache' header, which fetch-based clients send anyway
+ * when setting 'If-None-Match' on their own
+ * @param {Object} req - express.js request.
+ * @param {string} etag - Entity tag, quotes included.
+ * @return {boolean} True if the client already holds it, false otherwise.
+ */
+function hasETag(req, etag) {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+
+  return header.split(',').map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => tag === '*' || tag === etag);
+}
+
+/**
+ * Escape the special characters of a SQL LIKE pattern, backslash being the
+ * escape character
+ * @param {string} text - Text to escape.
+ * @return {string} Escaped text.
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (c) => '\\' + c);
+}
+
+/**
+ * Convert a glob pattern ('*' for any sequence of characters, '?' for any
+ * single one) into a SQL LIKE pattern
+ * @param {string} glob - Glob pattern to convert.
+ * @return {string} LIKE pattern, backslash being the escape character.
+ */
+function globToLike(glob) {
+  return escapeLike(glob).replace(/\*/g, '%').replace(/\?/g, '_');
+}
+
+/**
+ * Parse the filters of a props search query, missing ones being left out
+ * @param {Object} query - Query parameters of the request.
+ * @return {Object|null} Parsed filters, null if any of them is invalid.
+ */
+function parsePropsSearch(query) {
+  const filters = {};
+
+  for (const key of ['name', 'description', 'action']) {
+    if (query[key] === undefined) continue;
+    if (typeof query[key] !== 'string' || !query[key].length) return null;
+
+    filters[key] = query[key];
+  }
+
+  for (const key of ['minX', 'maxX', 'minY', 'maxY', 'minZ', 'maxZ']) {
+    if (query[key] === undefined) continue;
+
+    filters[key] = Number(query[key]);
+    if (!Number.isFinite(filters[key])) return null;
+  }
+
+  for (const key of ['userId', 'minDate', 'maxDate', 'afterId']) {
+    if (query[key] === undefined) continue;
+
+    filters[key] = Number(query[key]);
+    if (!Number.isInteger(filters[key])) return null;
+  }
+
+  filters.limit = query.limit === undefined ? defaultSearchLimit :
+      Number(query.limit);
+
+  if (!Number.isInteger(filters.limit) || filters.limit <= 0 ||
+      filters.limit > maxSearchLimit) {
+    return null;
+  }
+
+  return filters;
+}
+
+/**
+ * Tell if the provided list of chunks to get is acceptable
+ * @param {any} chunks - List of chunks to validate, each one holding integer
+ *                       'x' and 'z' indices, along with an optional integer
+ *                       'hash'.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidChunkList(chunks) {
+  return Array.isArray(chunks) && chunks.length > 0 &&
+      chunks.length <= maxChunksPerRequest &&
+      chunks.every((chunk) => chunk?.constructor.name === 'Object' &&
+          Number.isInteger(chunk.x) && Number.isInteger(chunk.z) &&
+          (isNullOrUndefined(chunk.hash) || Number.isInteger(chunk.hash)));
+}
+
+/**
+ * Group chunks into runs of contiguous chunks along the Z axis, so that each
+ * run can be fetched from the database at once: props are indexed by X
+ * first, keeping each run within a single column of chunks makes for a
+ * narrow index range to scan
+ * @param {Array<Object>} chunks - List of chunks, each one holding 'x' and
+ *                                 'z' indices.
+ * @return {Array<Object>} List of runs, each one holding 'x', 'minZ' and
+ *                         'maxZ' (including) indices.
+ */
+function getChunkRuns(chunks) {
+  const sorted = [...chunks].sort((a, b) => (a.x - b.x) || (a.z - b.z));
+  const runs = [];
+
+  for (const {x, z} of sorted) {
+    const run = runs[runs.length - 1];
+
+    if (run && run.x === x && z <= run.maxZ + 1) {
+      run.maxZ = Math.max(run.maxZ, z);
+    } else {
+      runs.push({x, minZ: z, maxZ: z});
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Tell if the user issuing the request is an admin in privilege mode
+ * @param {Object} req - express.js request, already authenticated.
+ * @return {boolean} True if so, false otherwise.
+ */
+function isPrivilegedAdmin(req) {
+  return middleAnd(hasUserRole('admin'), hasPrivilege())(req);
+}
+
+/**
+ * Tell if a props write must be all-or-nothing, as requested through the
+ * 'atomic' query flag
+ * @param {Object} req - express.js request.
+ * @return {boolean} True if so, false otherwise.
+ */
+function isAtomicWrite(req) {
+  return req.query.atomic === 'true' || req.query.atomic === '1';
+}
+
+/**
+ * Get the HTTP status code of a failed all-or-nothing props write: invalid
+ * entries prevail over forbidden ones (quotas included), which prevail over
+ * missing ones
+ * @param {Array<Object>} errors - Errors of the failed entries.
+ * @return {integer} HTTP status code.
+ */
+function getWriteErrorStatus(errors) {
+  const reasons = new Set(errors.map(({reason}) => reason));
+
+  reasons.delete('notFound');
+  if (!reasons.size) return 404;
+
+  forbiddenReasons.forEach((reason) => reasons.delete(reason));
+  return reasons.size ? badRequest : 403;
+}
+
+/**
+ * Tell if the user issuing the request is allowed to edit a given prop:
+ * owners always are, admins only are when in privilege mode
+ * @param {Object} req - express.js request, already authenticated.
+ * @param {Prop} prop - Prop to edit.
+ * @return {boolean} True if allowed, false otherwise.
+ */
+function canEditProp(req, prop) {
+  return prop.userId == req.userId || isPrivilegedAdmin(req);
+}
+
+/**
+ * Get a function telling if the user issuing the request can build at a
+ * given position of a world, as far as its rights and regions go: admins
+ * in privilege mode always can
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} req - express.js request, already authenticated.
+ * @param {integer} wid - ID of the world.
+ * @return {Promise<function>} Promise of a function taking X and Z
+ *                             coordinates (in meters) and returning true if
+ *                             allowed, false otherwise.
+ */
+async function getBuildPermission(connection, req, wid) {
+  if (isPrivilegedAdmin(req)) return () => true;
+
+  const {rights, regions} = await loadWorldRights(connection, wid);
+
+  return (x, z) => canBuildAt(rights, regions, req.userId, x, z);
+}
+
 /**
  * Register props-related endpoints into the expressjs app
  * @param {Object} app - express.js app.
- * @param {function} authenticate - Authentication function for the http
- *                                  requests.
+ * @param {Array<function>} authenticate - Authentication and world access
+ *                                         middlewares for the http
+ *                                         requests.
  * @param {Object} connection - TypeORM connection instance.
  * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {function} limitWrites - Rate-limiting middleware for props writes.
+ * @param {function} getQuotas - Get the current props quotas: maximum
+ *                               numbers of props per user in a world
+ *                               (perUser), per request (perRequest) and per
+ *                               chunk (perChunk), 0 meaning no limit.
  */
-function registerPropsEndpoints(app, authenticate, connection, ctx) {
+function registerPropsEndpoints(app, authenticate, connection, ctx,
+    limitWrites = (req, res, next) => next(),
+    getQuotas = () => ({perUser: defaultPropsQuota,
+      perRequest: defaultPropsPerRequest, perChunk: defaultPropsPerChunk})) {
+  // Tourists (guests included) can only look around, not build, and
+  // everyone else can only build so fast
+  const canBuild = [forbiddenOnFalse(hasUserRole('citizen')), limitWrites];
+
   app.get('/api/worlds/:id/props', authenticate, (req, res) => {
+    // Props can be sent as a packed binary payload instead of JSON, if the
+    // client explicitly prefers it
+    const binary = req.accepts(['application/json',
+      'application/octet-stream']) === 'application/octet-stream';
+
     res.setHeader('Content-Type', 'application/json');
     const wid = req.params.id;
 
@@ -116,7 +388,7 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
 
     // Get prop of single world using its id (return 404 if not found)
     connection.manager.createQueryBuilder(World, 'world')
-        .where('world.id = :wid', {wid}).getOne().then((world) => {
+        .where('world.id = :wid', {wid}).getOne().then(async (world) => {
           if (!world) {
             res.status(404).json({});
             return;
@@ -129,12 +401,39 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
           const status = filterPropsQuery(queryBuilder, wid,
               {minX, maxX, minY, maxY, minZ, maxZ});
 
-          if (status === ok) {
-            // Respond with list of props
-            queryBuilder.getMany().then((props) => res.send(props));
-          } else {
+          if (status !== ok) {
             res.status(status).json({});
+            return;
+          }
+
+          res.setHeader('Vary', 'Accept');
+
+          // Let the database tell if the client already has these props
+          // first, there's no need to load them if so
+          const etag = getPropsETag(
+              await queryPropsHash(queryBuilder.clone()), binary);
+          res.setHeader('ETag', etag);
+
+          if (hasETag(req, etag)) {
+            res.status(304).end();
+            return;
+          }
+
+          // Respond with list of props, the entity tag has to match the
+          // actual props being sent, should they have changed since
+          const props = await queryBuilder.getMany();
+          res.setHeader('ETag', getPropsETag(hashProps(props), binary));
+
+          if (!binary) {
+            res.send(props);
+            return;
           }
+
+          const pack = packPropData(props.map((prop) => serializeProp(prop)));
+
+          res.setHeader('Content-Type', 'application/octet-stream');
+          res.send(Buffer.from(pack.buffer, pack.byteOffset,
+              pack.byteLength));
         })
         .catch((e) => {
           logger.fatal('Critical DB access error while trying to get props ' +
@@ -143,6 +442,272 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
         });
   });
 
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/search:
+   *   get:
+   *     description: Search props of a world, ordered by ID, all filters
+   *                  being optional, text ones are case-insensitive
+   *     operationId: search-props
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: query
+   *         name: name
+   *         schema:
+   *           type: string
+   *         description: Model name pattern, '*' standing for any sequence
+   *                      of characters and '?' for any single one
+   *       - in: query
+   *         name: description
+   *         schema:
+   *           type: string
+   *         description: Text to find within the description
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *         description: Text to find within the action field
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         description: ID of the owner
+   *       - in: query
+   *         name: minDate
+   *         schema:
+   *           type: integer
+   *         description: Minimum (including) modification date (in
+   *                      milliseconds)
+   *       - in: query
+   *         name: maxDate
+   *         schema:
+   *           type: integer
+   *         description: Maximum (excluding) modification date (in
+   *                      milliseconds)
+   *       - in: query
+   *         name: minX
+   *         schema:
+   *           type: number
+   *         description: Minimum (including) X coordinate (in meters),
+   *                      'maxX', 'minY', 'maxY', 'minZ' and 'maxZ' (all
+   *                      maximums excluding) work the same way
+   *       - in: query
+   *         name: afterId
+   *         schema:
+   *           type: integer
+   *         description: Only get props past this ID, to get the next page
+   *                      of results
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *         description: Maximum number of props to get, 100 by default,
+   *                      1000 at most
+   *     responses:
+   *       200:
+   *         description: List of props
+   *       400:
+   *         description: Invalid filter values
+   *       401:
+   *         description: Authentication required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/props/search', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    const wid = req.params.id;
+
+    const filters = parsePropsSearch(req.query);
+
+    if (!filters) {
+      res.status(400).json({});
+      return;
+    }
+
+    connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :wid', {wid}).getOne().then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          const queryBuilder = connection.manager
+              .createQueryBuilder(Prop, 'prop')
+              .where('prop.worldId = :wid', {wid: world.id});
+
+          const {name, description, action, userId, minDate, maxDate,
+            minX, maxX, minY, maxY, minZ, maxZ, afterId, limit} = filters;
+
+          // Backslash escapes special characters of LIKE patterns
+          const like = (column) =>
+            `prop.${column} LIKE :${column} ESCAPE '\\'`;
+
+          if (name !== undefined) {
+            queryBuilder.andWhere(like('name'), {name: globToLike(name)});
+          }
+          if (description !== undefined) {
+            queryBuilder.andWhere(like('description'),
+                {description: `%${escapeLike(description)}%`});
+          }
+          if (action !== undefined) {
+            queryBuilder.andWhere(like('action'),
+                {action: `%${escapeLike(action)}%`});
+          }
+          if (userId !== undefined) {
+            queryBuilder.andWhere('prop.userId = :userId', {userId});
+          }
+          if (minDate !== undefined) {
+            queryBuilder.andWhere('prop.date >= :minDate', {minDate});
+          }
+          if (maxDate !== undefined) {
+            queryBuilder.andWhere('prop.date < :maxDate', {maxDate});
+          }
+
+          // Bounding box
+          for (const [column, min, max] of [['x', minX, maxX],
+            ['y', minY, maxY], ['z', minZ, maxZ]]) {
+            if (min !== undefined) {
+              queryBuilder.andWhere(`prop.${column} >= :${column}Min`,
+                  {[`${column}Min`]: min});
+            }
+            if (max !== undefined) {
+              queryBuilder.andWhere(`prop.${column} < :${column}Max`,
+                  {[`${column}Max`]: max});
+            }
+          }
+
+          if (afterId !== undefined) {
+            queryBuilder.andWhere('prop.id > :afterId', {afterId});
+          }
+
+          res.send(await queryBuilder.orderBy('prop.id').take(limit)
+              .getMany());
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to search ' +
+              `props for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props-usage:
+   *   get:
+   *     description: Get how many props a user owns in a world, along with
+   *                  the applicable quotas (null when unlimited)
+   *     operationId: get-props-usage
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: query
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: false
+   *         description: Numeric ID of the user, defaults to the one issuing
+   *                      the request, only admins in privilege mode can
+   *                      get the usage of others
+   *     responses:
+   *       200:
+   *         description: Props usage of the user
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 userId:
+   *                   type: integer
+   *                 count:
+   *                   description: Number of props owned in the world
+   *                   type: integer
+   *                 quota:
+   *                   description: Maximum number of props per user in the
+   *                                world
+   *                   type: integer
+   *                 remaining:
+   *                   description: Number of props the user can still
+   *                                create in the world
+   *                   type: integer
+   *                 perRequest:
+   *                   description: Maximum number of props per request
+   *                   type: integer
+   *                 perChunk:
+   *                   description: Maximum number of props per chunk
+   *                   type: integer
+   *       400:
+   *         description: Invalid user ID
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/props-usage', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    const wid = req.params.id;
+
+    const userId = req.query.userId === undefined ? req.userId :
+        Number(req.query.userId);
+
+    if (!Number.isInteger(userId)) {
+      res.status(400).json({});
+      return;
+    }
+
+    if (userId !== req.userId && !isPrivilegedAdmin(req)) {
+      res.status(403).json({});
+      return;
+    }
+
+    connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :wid', {wid}).getOne().then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          // Admins in privilege mode are not subject to quotas
+          const quotas = userId === req.userId && isPrivilegedAdmin(req) ?
+              {perUser: 0, perRequest: 0, perChunk: 0} : getQuotas();
+          const count = await countUserProps(connection.manager, world.id,
+              userId);
+
+          res.send({
+            userId,
+            count,
+            quota: quotas.perUser || null,
+            remaining: quotas.perUser ?
+                Math.max(quotas.perUser - count, 0) : null,
+            perRequest: quotas.perRequest || null,
+            perChunk: quotas.perChunk || null,
+          });
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get props ' +
+              `usage for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
   app.get('/api/worlds/:id/props-hash', authenticate, (req, res) => {
     res.setHeader('Content-Type', 'application/json');
     const wid = req.params.id;
@@ -155,7 +720,7 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
     const maxZ = req.query.maxZ;
 
     connection.manager.createQueryBuilder(World, 'world')
-        .where('world.id = :wid', {wid}).getOne().then((world) => {
+        .where('world.id = :wid', {wid}).getOne().then(async (world) => {
           if (!world) {
             res.status(404).json({});
             return;
@@ -169,10 +734,8 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
               {minX, maxX, minY, maxY, minZ, maxZ});
 
           if (status === ok) {
-            // Respond with hash of props
-            queryBuilder.getMany().then((props) => {
-              res.send({hash: hashProps(props)});
-            });
+            // Respond with hash of props, computed by the database
+            res.send({hash: await queryPropsHash(queryBuilder)});
           } else {
             res.status(status).json({});
           }
@@ -184,20 +747,148 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
         });
   });
 
-  app.put('/api/worlds/:id/props', authenticate, (req, res) => {
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/props/chunks:
+   *   post:
+   *     description: Get the props of many chunks at once, only the chunks
+   *                  whose hash differs from the provided one (if any) are
+   *                  sent back
+   *     operationId: post-props-chunks
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               chunkSide:
+   *                 description: Side length of a chunk (in meters), 20 by
+   *                              default, chunk (0, 0) being centered on
+   *                              the origin
+   *                 type: number
+   *               chunks:
+   *                 description: List of chunks to get (1024 at most), each
+   *                              one with integer 'x' and 'z' indices, and
+   *                              an optional 'hash' of the props already
+   *                              known for this chunk
+   *                 type: array
+   *     responses:
+   *       200:
+   *         description: List of the chunks that changed (or were not
+   *                      known), each one with its 'x' and 'z' indices,
+   *                      its new 'hash' and a 'pack' of its props (base64
+   *                      encoded prop data pack)
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds/:id/props/chunks', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    const wid = req.params.id;
+
+    const chunkSide = req.body?.chunkSide ?? defaultChunkSide;
+    const chunks = req.body?.chunks;
+
+    if (!Number.isFinite(chunkSide) || chunkSide <= 0 ||
+        !isValidChunkList(chunks)) {
+      res.status(400).json({});
+      return;
+    }
+
+    const halfChunkSide = chunkSide / 2;
+    const getChunkKey = (x, z) => `${x}_${z}`;
+
+    connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :wid', {wid}).getOne().then(async (world) => {
+          if (!world) {
+            res.status(404).json({});
+            return;
+          }
+
+          // Bucket props by chunk, only for the requested chunks
+          const buckets = new Map(chunks.map(({x, z}) =>
+            [getChunkKey(x, z), []]));
+
+          for (const {x, minZ, maxZ} of getChunkRuns(chunks)) {
+            const props = await connection.manager
+                .createQueryBuilder(Prop, 'prop')
+                .where('prop.worldId = :wid', {wid: world.id})
+                .andWhere('prop.x >= :minX', {
+                  minX: x * chunkSide - halfChunkSide})
+                .andWhere('prop.x < :maxX', {
+                  maxX: (x + 1) * chunkSide - halfChunkSide})
+                .andWhere('prop.z >= :minZ', {
+                  minZ: minZ * chunkSide - halfChunkSide})
+                .andWhere('prop.z < :maxZ', {
+                  maxZ: (maxZ + 1) * chunkSide - halfChunkSide})
+                .orderBy('prop.id').getMany();
+
+            for (const prop of props) {
+              const cZ = Math.floor(prop.z / chunkSide + 0.5);
+              buckets.get(getChunkKey(x, cZ))?.push(prop);
+            }
+          }
+
+          // Only send back the chunks that are not up to date on the
+          // client side
+          const response = [];
+
+          for (const {x, z, hash} of chunks) {
+            const props = buckets.get(getChunkKey(x, z));
+
+            // Do not send duplicated chunks twice
+            if (!props) continue;
+
+            buckets.delete(getChunkKey(x, z));
+
+            const newHash = hashProps(props);
+            if (newHash === hash) continue;
+
+            const pack = packPropData(props.map((prop) =>
+              serializeProp(prop)));
+
+            response.push({x, z, hash: newHash,
+              pack: Buffer.from(pack.buffer, pack.byteOffset,
+                  pack.byteLength).toString('base64')});
+          }
+
+          res.send(response);
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get props ' +
+              `chunks for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  app.put('/api/worlds/:id/props', authenticate, canBuild, (req, res) => {
     res.setHeader('Content-Type', 'application/json');
 
     // Get world ID
     const wid = req.params.id;
 
-    // Get user ID and role
-    const userRole = req.userRole;
-    const userId = req.userId;
-
     const props = req.body;
+    const atomic = isAtomicWrite(req);
 
     // We will respond with a dictionary as well
     const response = {};
+    const errors = [];
 
     connection.manager.createQueryBuilder(World, 'world')
         .where('world.id = :wid', {wid}).getOne().then(async (world) => {
@@ -206,14 +897,21 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
             return;
           }
 
+          if (props.constructor.name !== 'Object') {
+            // Payload needs to be a dictionary
+            res.status(400).json({errors: [{reason: 'type'}]});
+            return;
+          }
+
           const propsToQuery = [];
           const propsToSave = [];
+          const propIdToEntry = new Map();
 
           // World has been found: time to evaluate the content of the payload
           for (const [key, value] of Object.entries(props)) {
-            if (value.constructor.name !== 'Object') {
+            if (value?.constructor.name !== 'Object') {
               // Entry needs to be an object
-              res.status(400).json({});
+              res.status(400).json({errors: [{entry: key, reason: 'type'}]});
               return;
             }
 
@@ -222,66 +920,119 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
 
             if (isNaN(propId)) {
               // Not found
+              errors.push({entry: key, reason: 'notFound'});
+              continue;
+            }
+
+            const fieldErrors = validatePropFields(value, true);
+
+            if (fieldErrors.length) {
+              // Invalid field values
+              errors.push(...fieldErrors.map((error) =>
+                ({entry: key, ...error})));
               continue;
             }
 
             propsToQuery.push(propId);
+            propIdToEntry.set(propId, key);
           }
 
-          await connection.manager.createQueryBuilder(Prop, 'prop')
-              .where('prop.worldId = :wid', {wid})
-              .andWhere('prop.id IN (:...entries)', {entries: propsToQuery})
-              .getMany().then((dbProps) => {
-                for (const prop of dbProps) {
-                  if (userRole !== 'admin' && prop.userId != userId) {
-                    response[prop.id] = false; // Not allowed
-                    continue;
-                  }
+          const canBuildHere = await getBuildPermission(connection, req,
+              world.id);
 
-                  const value = props[prop.id];
-
-                  // Apply all meaningful fields
-                  prop.date = Date.now();
-                  prop.x = isNullOrUndefined(value.x) ? prop.x : value.x;
-                  prop.y = isNullOrUndefined(value.y) ? prop.y : value.y;
-                  prop.z = isNullOrUndefined(value.z) ? prop.z : value.z;
-                  prop.yaw = isNullOrUndefined(value.yaw) ? prop.yaw :
-                    value.yaw;
-                  prop.pitch = isNullOrUndefined(value.pitch) ?
-                    prop.pitch : value.pitch;
-                  prop.roll = isNullOrUndefined(value.roll) ? prop.roll :
-                    value.roll;
-                  prop.name = isNullOrUndefined(value.name) ? prop.name :
-                    value.name;
-                  prop.description = isNullOrUndefined(value.description) ?
-                    prop.description : value.description;
-                  prop.action = isNullOrUndefined(value.action) ?
-                    prop.action : value.action;
+          // Admins in privilege mode are not subject to quotas
+          const quotas = isPrivilegedAdmin(req) ?
+              {perUser: 0, perRequest: 0, perChunk: 0} : getQuotas();
 
-                  propsToSave.push(prop);
-                  response[prop.id] = true;
-                }
-              });
+          // Props moved into other chunks get counted and updated all at
+          // once, for concurrent requests not to exceed the quotas together
+          await writeWithinQuotas(connection, world.id, async (manager) => {
+            const quotasTracker = new PropsQuotasTracker(manager, world.id,
+                quotas, defaultChunkSide);
+
+            const dbProps = propsToQuery.length ? await manager
+                .createQueryBuilder(Prop, 'prop')
+                .where('prop.worldId = :wid', {wid})
+                .andWhere('prop.id IN (:...entries)', {entries: propsToQuery})
+                .getMany() : [];
+
+            for (const prop of dbProps) {
+              const key = propIdToEntry.get(prop.id);
+              const value = props[key];
+              const x = isNullOrUndefined(value.x) ? prop.x : value.x;
+              const z = isNullOrUndefined(value.z) ? prop.z : value.z;
+
+              propIdToEntry.delete(prop.id);
+
+              if (!canEditProp(req, prop) || !canBuildHere(x, z)) {
+                response[key] = false; // Not allowed
+                errors.push({entry: key, reason: 'forbidden'});
+                continue;
+              }
+
+              // Only the chunk quota applies, the prop owner does not change
+              const reason = await quotasTracker.take(x, z, null, prop);
+
+              if (reason) {
+                response[key] = false; // Chunk quota exceeded
+                errors.push({entry: key, reason});
+                continue;
+              }
+
+              // Apply all meaningful fields
+              prop.date = Date.now();
+              prop.x = x;
+              prop.y = isNullOrUndefined(value.y) ? prop.y : value.y;
+              prop.z = z;
+              prop.yaw = isNullOrUndefined(value.yaw) ? prop.yaw : value.yaw;
+              prop.pitch = isNullOrUndefined(value.pitch) ? prop.pitch :
+                value.pitch;
+              prop.roll = isNullOrUndefined(value.roll) ? prop.roll :
+                value.roll;
+              prop.name = isNullOrUndefined(value.name) ? prop.name :
+                value.name;
+              prop.description = isNullOrUndefined(value.description) ?
+                prop.description : value.description;
+              prop.action = isNullOrUndefined(value.action) ? prop.action :
+                value.action;
+
+              propsToSave.push(prop);
+              response[key] = true;
+            }
+
+            // Whatever is left could not be found in this world
+            for (const key of propIdToEntry.values()) {
+              errors.push({entry: key, reason: 'notFound'});
+            }
+
+            // All or nothing: no prop gets updated
+            if (atomic && errors.length) return;
+
+            // Save updated props to DB
+            await savePropsWithHistory(manager, propsToSave, 'update',
+                req.userId);
+          });
+
+          if (atomic && errors.length) {
+            res.status(getWriteErrorStatus(errors)).json({errors});
+            return;
+          }
+
+          res.json(response);
 
-          // Save updated props to DB
           if (propsToSave.length) {
-            connection.manager.save(propsToSave).then(() => {
-              res.json(response);
-              ctx.propsChangedCallback(wid,
-                  JSON.stringify({op: 'update', data: propsToSave}));
-            })
-                .catch((e) => {
-                  logger.fatal('Critical DB access error while trying to ' +
-                               `put props for world #${wid}: ` + e);
-                  return res.status(500).json({});
-                });
-          } else {
-            res.json(response);
+            ctx.propsChangedCallback(wid,
+                JSON.stringify({op: 'update', data: propsToSave}));
           }
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to put props ' +
+                       `for world #${wid}: ` + e);
+          return res.status(500).json({});
         });
   });
 
-  app.post('/api/worlds/:id/props', authenticate, (req, res) => {
+  app.post('/api/worlds/:id/props', authenticate, canBuild, (req, res) => {
     res.setHeader('Content-Type', 'application/json');
 
     // Get world ID
@@ -291,7 +1042,9 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
     const userId = req.userId;
 
     const props = req.body;
+    const atomic = isAtomicWrite(req);
     const propsToSave = [];
+    const errors = [];
 
     connection.manager.createQueryBuilder(World, 'world')
         .where('world.id = :wid', {wid}).getOne().then(async (world) => {
@@ -302,91 +1055,125 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
 
           if (props.constructor.name !== 'Array') {
             // Payload needs to be an array
-            res.status(400).json({});
+            res.status(400).json({errors: [{reason: 'type'}]});
+            return;
+          }
+
+          // Admins in privilege mode are not subject to quotas
+          const quotas = isPrivilegedAdmin(req) ?
+              {perUser: 0, perRequest: 0, perChunk: 0} : getQuotas();
+
+          if (quotas.perRequest && props.length > quotas.perRequest) {
+            // Too many props at once
+            res.status(413).json({errors: [{reason: 'requestQuota'}]});
             return;
           }
 
           // We will respond with an array as well
           const response = [];
 
-          for (const value of props) {
-            if (value.constructor.name !== 'Object') {
-              // Entry needs to be an object
-              res.status(400).json({});
-              return;
-            }
+          const invalidEntry = props.findIndex((value) =>
+            value?.constructor.name !== 'Object');
 
-            if (isNullOrUndefined(value.x) ||
-                isNaN(parseFloat(value.x)) ||
-                isNullOrUndefined(value.y) ||
-                isNaN(parseFloat(value.y)) ||
-                isNullOrUndefined(value.z) ||
-                isNaN(parseFloat(value.z)) ||
-                isNullOrUndefined(value.yaw) ||
-                isNaN(parseFloat(value.yaw)) ||
-                isNullOrUndefined(value.pitch) ||
-                isNaN(parseFloat(value.pitch)) ||
-                isNullOrUndefined(value.roll) ||
-                isNaN(parseFloat(value.roll)) ||
-                isNullOrUndefined(value.name) ||
-                isNullOrUndefined(value.description) ||
-                isNullOrUndefined(value.action)
-            ) {
-              // Invalid or missing field values
-              response.push(null);
-              continue;
-            }
+          if (invalidEntry !== -1) {
+            // Entry needs to be an object
+            res.status(400).json({errors: [{entry: invalidEntry,
+              reason: 'type'}]});
+            return;
+          }
 
-            const prop = new Prop(
-                undefined,
-                wid,
-                userId,
-                Date.now(),
-                value.x,
-                value.y,
-                value.z,
-                value.yaw,
-                value.pitch,
-                value.roll,
-                value.name,
-                value.description,
-                value.action,
-            );
-
-            propsToSave.push(prop);
-            response.push(true);
-          }
-
-          // Save created props to DB
-          if (propsToSave.length) {
-            connection.manager.save(propsToSave)
-                .then((savedProps) => {
-                  res.json(response);
-                  ctx.propsChangedCallback(wid,
-                      JSON.stringify({op: 'create', data: savedProps}));
-                })
-                .catch((e) => {
-                  logger.fatal('Critical DB access error while trying to ' +
-                               `post props for world #${wid}: ` + e);
-                  return res.status(500).json({});
-                });
-          } else {
-            res.json(response);
+          const canBuildHere = await getBuildPermission(connection, req,
+              world.id);
+
+          // Props get counted and created all at once, for concurrent
+          // requests not to exceed the quotas together
+          const savedProps = await writeWithinQuotas(connection, world.id,
+              async (manager) => {
+                const quotasTracker = new PropsQuotasTracker(manager,
+                    world.id, quotas, defaultChunkSide);
+
+                for (const [entry, value] of props.entries()) {
+                  const fieldErrors = validatePropFields(value);
+
+                  if (fieldErrors.length) {
+                    // Invalid or missing field values
+                    errors.push(...fieldErrors.map((error) =>
+                      ({entry, ...error})));
+                    response.push(null);
+                    continue;
+                  }
+
+                  if (!canBuildHere(value.x, value.z)) {
+                    // Not allowed
+                    errors.push({entry, reason: 'forbidden'});
+                    response.push(false);
+                    continue;
+                  }
+
+                  const reason = await quotasTracker.take(value.x, value.z,
+                      userId);
+
+                  if (reason) {
+                    // User or chunk quota exceeded
+                    errors.push({entry, reason});
+                    response.push(false);
+                    continue;
+                  }
+
+                  const prop = new Prop(
+                      undefined,
+                      wid,
+                      userId,
+                      Date.now(),
+                      value.x,
+                      value.y,
+                      value.z,
+                      value.yaw,
+                      value.pitch,
+                      value.roll,
+                      value.name,
+                      value.description,
+                      value.action,
+                  );
+
+                  propsToSave.push(prop);
+                  response.push(true);
+                }
+
+                // All or nothing: no prop gets created
+                if (atomic && errors.length) return [];
+
+                return await savePropsWithHistory(manager, propsToSave,
+                    'create', userId);
+              });
+
+          if (atomic && errors.length) {
+            res.status(getWriteErrorStatus(errors)).json({errors});
+            return;
           }
+
+          res.json(response);
+
+          if (savedProps.length) {
+            ctx.propsChangedCallback(wid,
+                JSON.stringify({op: 'create', data: savedProps}));
+          }
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to post ' +
+                       `props for world #${wid}: ` + e);
+          return res.status(500).json({});
         });
   });
 
-  app.delete('/api/worlds/:id/props', authenticate, (req, res) => {
+  app.delete('/api/worlds/:id/props', authenticate, canBuild, (req, res) => {
     res.setHeader('Content-Type', 'application/json');
 
     // Get world ID
     const wid = req.params.id;
 
-    // Get user ID and role
-    const userRole = req.userRole;
-    const userId = req.userId;
-
     const props = req.body;
+    const atomic = isAtomicWrite(req);
 
     connection.manager.createQueryBuilder(World, 'world')
         .where('world.id = :wid', {wid}).getOne().then(async (world) => {
@@ -397,19 +1184,14 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
 
           if (props.constructor.name !== 'Array') {
             // Payload needs to be an array
-            res.status(400).json({});
-            return;
-          }
-
-          if (new Set(props).size !== props.length) {
-            // The array cannot have duplicated values
-            res.status(400).json({});
+            res.status(400).json({errors: [{reason: 'type'}]});
             return;
           }
 
           const propsToQuery = [];
           const propsToDelete = [];
-          const propIdtoEntry = {};
+          const propIdtoEntry = new Map();
+          const errors = [];
 
           // We will respond with an array as well
           const response = [];
@@ -417,54 +1199,89 @@ function registerPropsEndpoints(app, authenticate, connection, ctx) {
           response.fill(null, 0, props.length);
 
           // Evaluate the content of the payload
-          for (const [id, propId] of Object.entries(props)) {
+          for (const [entry, propId] of props.entries()) {
             if (!Number.isInteger(propId) || propId < 0) {
               // Entry needs to be a positive integer
-              res.status(400).json({});
-              return;
+              errors.push({entry, reason: 'type'});
+            } else if (propIdtoEntry.has(propId)) {
+              // The array cannot have duplicated values
+              errors.push({entry, reason: 'duplicate'});
+            } else {
+              propsToQuery.push(propId);
+              propIdtoEntry.set(propId, entry);
             }
+          }
 
-            propsToQuery.push(propId);
-            propIdtoEntry[propId] = id;
+          if (errors.length) {
+            res.status(400).json({errors});
+            return;
           }
 
-          await connection.manager.createQueryBuilder(Prop, 'prop')
+          const canBuildHere = await getBuildPermission(connection, req,
+              world.id);
+
+          const dbProps = propsToQuery.length ? await connection.manager
+              .createQueryBuilder(Prop, 'prop')
               .where('prop.worldId = :wid', {wid})
               .andWhere('prop.id IN (:...entries)', {entries: propsToQuery})
-              .getMany().then((dbProps) => {
-                for (const prop of dbProps) {
-                  if (userRole !== 'admin' && prop.userId != userId) {
-                    response[propIdtoEntry[prop.id]] = false; // Not allowed
-                    continue;
-                  }
+              .getMany() : [];
 
-                  propsToDelete.push(prop.id);
-                  response[propIdtoEntry[prop.id]] = true;
-                }
-              });
+          for (const prop of dbProps) {
+            const entry = propIdtoEntry.get(prop.id);
+            propIdtoEntry.delete(prop.id);
+
+            if (!canEditProp(req, prop) || !canBuildHere(prop.x, prop.z)) {
+              response[entry] = false; // Not allowed
+              errors.push({entry, reason: 'forbidden'});
+              continue;
+            }
+
+            propsToDelete.push(prop);
+            response[entry] = true;
+          }
+
+          // Whatever is left could not be found in this world
+          for (const entry of propIdtoEntry.values()) {
+            errors.push({entry, reason: 'notFound'});
+          }
+
+          if (atomic && errors.length) {
+            // All or nothing: no prop gets deleted
+            res.status(getWriteErrorStatus(errors)).json({errors});
+            return;
+          }
 
           // Delete props from DB
           if (propsToDelete.length) {
-            connection.manager.createQueryBuilder(Prop, 'prop')
-                .delete()
-                .where('prop.worldId = :wid', {wid})
-                .andWhere('prop.id IN (:...entries)', {entries: propsToDelete})
-                .execute()
-                .then(() => {
-                  res.json(response);
-                  ctx.propsChangedCallback(wid,
-                      JSON.stringify({op: 'delete', data: propsToDelete}));
-                })
-                .catch((e) => {
-                  logger.fatal('Critical DB access error while trying to ' +
-                               `delete props for world #${wid}: ` + e);
-                  return res.status(500).json({});
-                });
+            const ids = propsToDelete.map(({id}) => id);
+            const date = Date.now();
+
+            // Keep track of the last state of each prop, to be able to
+            // restore it later on
+            await connection.transaction(async (manager) => {
+              await manager.createQueryBuilder(Prop, 'prop')
+                  .delete()
+                  .where('worldId = :wid', {wid})
+                  .andWhere('id IN (:...ids)', {ids})
+                  .execute();
+              await manager.save(propsToDelete.map((prop) =>
+                makePropRevision(prop, 'delete', req.userId, date)));
+            });
+
+            res.json(response);
+            ctx.propsChangedCallback(wid,
+                JSON.stringify({op: 'delete', data: ids}));
           } else {
             res.json(response);
           }
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to delete ' +
+                       `props for world #${wid}: ` + e);
+          return res.status(500).json({});
         });
   });
 }
 
 export default registerPropsEndpoints;
+export {defaultChunkSide, isPrivilegedAdmin, canEditProp, getBuildPermission};
@@ -0,0 +1,623 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import World from '../common/db/model/World.js';
+import WorldRight from '../common/db/model/WorldRight.js';
+import Region from '../common/db/model/Region.js';
+import {isValidRight, hasWorldRight, regionsOverlap, loadWorldRights}
+  from './rights.js';
+import {roleLevels, hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse}
+  from './utils.js';
+import logger from './logger.js';
+
+/**
+ * Tell if the provided region bounds are acceptable
+ * @param {Object} region - Region bounds to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidRegion({minX, maxX, minZ, maxZ}) {
+  return [minX, maxX, minZ, maxZ].every(Number.isFinite) &&
+      minX < maxX && minZ < maxZ;
+}
+
+/**
+ * Register world rights and regions endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ */
+function registerRightsEndpoints(app, authenticate, connection, ctx,
+    userCache, worldCache) {
+  const isPrivilegedAdmin = middleAnd(hasUserRole('admin'), hasPrivilege());
+
+  // Users holding the 'enter' right make up the whitelist of the world
+  const refreshWhitelist = async (worldId) => {
+    const entry = worldCache.get(worldId);
+    if (!entry) return;
+
+    const {rights} = await loadWorldRights(connection, worldId);
+    entry.whitelist = new Set(rights.filter(({right}) => right === 'enter')
+        .map(({userId}) => userId));
+  };
+
+  const getWorld = async (id) => {
+    return await connection.manager.createQueryBuilder(World, 'world')
+        .where('world.id = :id', {id}).getOne();
+  };
+
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     WorldRight:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the right
+   *           type: integer
+   *         worldId:
+   *           description: ID of the world the right applies to
+   *           type: integer
+   *         userId:
+   *           description: ID of the user holding the right
+   *           type: integer
+   *         right:
+   *           description: Name of the right, either 'build' (open to
+   *                        everyone if nobody holds it in the world),
+   *                        'eject' (left to admins if nobody holds it) or
+   *                        'enter' (whitelist of the world, also letting
+   *                        its holders skip the world password)
+   *           type: string
+   *
+   *     AllWorldRights:
+   *       type: array
+   *       description: List of rights of a world
+   *       items:
+   *         $ref: '#/components/schemas/WorldRight'
+   *
+   *     Region:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the region
+   *           type: integer
+   *         worldId:
+   *           description: ID of the world holding the region
+   *           type: integer
+   *         userId:
+   *           description: ID of the user owning the region, the only one
+   *                        allowed to build within it
+   *           type: integer
+   *         minX:
+   *           description: Minimum (including) X coordinate (in meters)
+   *           type: number
+   *         maxX:
+   *           description: Maximum (excluding) X coordinate (in meters)
+   *           type: number
+   *         minZ:
+   *           description: Minimum (including) Z coordinate (in meters)
+   *           type: number
+   *         maxZ:
+   *           description: Maximum (excluding) Z coordinate (in meters)
+   *           type: number
+   *
+   *     AllRegions:
+   *       type: array
+   *       description: List of regions of a world
+   *       items:
+   *         $ref: '#/components/schemas/Region'
+   *
+   */
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/rights:
+   *   get:
+   *     description: Get the list of rights granted in a single world
+   *     operationId: get-world-rights
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     responses:
+   *       200:
+   *         description: Successful request listing all rights of the world
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AllWorldRights'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/rights', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = req.params.id;
+
+    getWorld(wid).then(async (world) => {
+      if (!world) {
+        res.status(404).json({});
+        return;
+      }
+
+      res.send((await loadWorldRights(connection, world.id)).rights);
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get ' +
+                       `rights for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/rights:
+   *   post:
+   *     description: Grant a right to a user in a single world
+   *     operationId: post-world-right
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               userId:
+   *                 description: ID of the user to grant the right to
+   *               right:
+   *                 description: Name of the right, either 'build',
+   *                              'eject' or 'enter'
+   *     responses:
+   *       201:
+   *         description: Right successfully granted
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/WorldRight'
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No world or user found matching those IDs
+   *       409:
+   *         description: Right already granted to this user
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds/:id/rights', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const userId = req.body?.userId;
+        const right = req.body?.right;
+
+        if (!Number.isInteger(userId) || !isValidRight(right)) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world || !userCache.has(userId)) {
+            res.status(404).json({});
+            return;
+          }
+
+          const {rights} = await loadWorldRights(connection, world.id);
+
+          if (rights.some((entry) => entry.userId === userId &&
+              entry.right === right)) {
+            res.status(409).json({});
+            return;
+          }
+
+          const [saved] = await connection.manager.save([
+            new WorldRight(undefined, world.id, userId, right)]);
+          await refreshWhitelist(world.id);
+
+          logger.info(`Right '${right}' granted to user #${userId} in ` +
+                      `world #${world.id} by user #${req.userId}`);
+          res.status(201).send(saved);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `grant right in world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/rights/{rightId}:
+   *   delete:
+   *     description: Revoke a single right
+   *     operationId: delete-world-right
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: path
+   *         name: rightId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the right to revoke
+   *     responses:
+   *       200:
+   *         description: Right successfully revoked
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No right found matching this ID in this world
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/worlds/:id/rights/:rightId', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const rightId = req.params.rightId;
+
+        connection.manager.createQueryBuilder()
+            .delete().from(WorldRight)
+            .where('id = :rightId', {rightId})
+            .andWhere('worldId = :wid', {wid})
+            .execute().then(async ({affected}) => {
+              if (!affected) {
+                res.status(404).json({});
+                return;
+              }
+
+              await refreshWhitelist(parseInt(wid));
+
+              logger.info(`Right #${rightId} of world #${wid} revoked by ` +
+                          `user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `revoke right #${rightId}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/eject:
+   *   post:
+   *     description: Eject a user from a single world, closing all their
+   *                  WebSocket connections to it, admins can only be
+   *                  ejected by other admins
+   *     operationId: post-world-eject
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               userId:
+   *                 description: ID of the user to eject
+   *     responses:
+   *       200:
+   *         description: User successfully ejected
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, the 'eject'
+   *                      right of the world or admin level (in privilege
+   *                      mode) required
+   *       404:
+   *         description: No world found matching this ID, or the user is
+   *                      not in it
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds/:id/eject', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = req.params.id;
+    const userId = req.body?.userId;
+
+    if (!Number.isInteger(userId)) {
+      res.status(400).json({});
+      return;
+    }
+
+    getWorld(wid).then(async (world) => {
+      if (!world) {
+        res.status(404).json({});
+        return;
+      }
+
+      const {rights} = await loadWorldRights(connection, world.id);
+      const target = userCache.get(userId);
+
+      // Holders of the 'eject' right cannot get rid of admins
+      if (!isPrivilegedAdmin(req) &&
+          (!hasWorldRight(rights, req.userId, 'eject') ||
+           roleLevels[target?.role] >= roleLevels['admin'])) {
+        res.status(403).json({});
+        return;
+      }
+
+      if (!ctx.worldEjectCallback(world.id, userId)) {
+        res.status(404).json({});
+        return;
+      }
+
+      logger.info(`User #${userId} ejected from world #${world.id} by ` +
+                  `user #${req.userId}`);
+      res.json({});
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to eject ' +
+                       `user #${userId} from world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/regions:
+   *   get:
+   *     description: Get the list of regions claimed in a single world
+   *     operationId: get-regions
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     responses:
+   *       200:
+   *         description: Successful request listing all regions of the
+   *                      world
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AllRegions'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/worlds/:id/regions', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const wid = req.params.id;
+
+    getWorld(wid).then(async (world) => {
+      if (!world) {
+        res.status(404).json({});
+        return;
+      }
+
+      res.send((await loadWorldRights(connection, world.id)).regions);
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to get ' +
+                       `regions for world #${wid}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/regions:
+   *   post:
+   *     description: Assign a new region of a single world to a user
+   *     operationId: post-region
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               userId:
+   *                 description: ID of the user to own the region
+   *               minX:
+   *                 description: Minimum (including) X coordinate
+   *                              (in meters)
+   *               maxX:
+   *                 description: Maximum (excluding) X coordinate
+   *                              (in meters)
+   *               minZ:
+   *                 description: Minimum (including) Z coordinate
+   *                              (in meters)
+   *               maxZ:
+   *                 description: Maximum (excluding) Z coordinate
+   *                              (in meters)
+   *     responses:
+   *       201:
+   *         description: Region successfully assigned
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Region'
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No world or user found matching those IDs
+   *       409:
+   *         description: Region overlapping an existing one
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds/:id/regions', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const userId = req.body?.userId;
+        const bounds = {minX: req.body?.minX, maxX: req.body?.maxX,
+          minZ: req.body?.minZ, maxZ: req.body?.maxZ};
+
+        if (!Number.isInteger(userId) || !isValidRegion(bounds)) {
+          res.status(400).json({});
+          return;
+        }
+
+        getWorld(wid).then(async (world) => {
+          if (!world || !userCache.has(userId)) {
+            res.status(404).json({});
+            return;
+          }
+
+          const {regions} = await loadWorldRights(connection, world.id);
+
+          if (regions.some((region) => regionsOverlap(region, bounds))) {
+            res.status(409).json({});
+            return;
+          }
+
+          const {minX, maxX, minZ, maxZ} = bounds;
+          const [saved] = await connection.manager.save([
+            new Region(undefined, world.id, userId, minX, maxX, minZ,
+                maxZ)]);
+
+          logger.info(`Region #${saved.id} of world #${world.id} assigned ` +
+                      `to user #${userId} by user #${req.userId}`);
+          res.status(201).send(saved);
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `assign region in world #${wid}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}/regions/{regionId}:
+   *   delete:
+   *     description: Release a single region, props within it are left
+   *                  untouched
+   *     operationId: delete-region
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world
+   *       - in: path
+   *         name: regionId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the region to release
+   *     responses:
+   *       200:
+   *         description: Region successfully released
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No region found matching this ID in this world
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/worlds/:id/regions/:regionId', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const wid = req.params.id;
+        const regionId = req.params.regionId;
+
+        connection.manager.createQueryBuilder()
+            .delete().from(Region)
+            .where('id = :regionId', {regionId})
+            .andWhere('worldId = :wid', {wid})
+            .execute().then(({affected}) => {
+              if (!affected) {
+                res.status(404).json({});
+                return;
+              }
+
+              logger.info(`Region #${regionId} of world #${wid} released ` +
+                          `by user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `release region #${regionId}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerRightsEndpoints;
+export {isValidRegion};
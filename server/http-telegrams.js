@@ -0,0 +1,164 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Telegram from '../common/db/model/Telegram.js';
+import {hasUserIdInParams, forbiddenOnFalse} from './utils.js';
+import logger from './logger.js';
+
+/**
+ * Register telegram listing and deletion endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {map} userCache - Map of users indexed by ID.
+ */
+function registerTelegramsEndpoints(app, authenticate, connection,
+    userCache) {
+  /**
+   * @openapi
+   * components:
+   *   schemas:
+   *     Telegram:
+   *       type: object
+   *       properties:
+   *         id:
+   *           description: ID of the telegram
+   *           type: integer
+   *         fromUserId:
+   *           description: ID of the user who sent the telegram
+   *           type: integer
+   *         fromUserName:
+   *           description: Name of the user who sent the telegram, null if
+   *                        they no longer exist
+   *           type: string
+   *         message:
+   *           description: Content of the telegram
+   *           type: string
+   *         date:
+   *           description: Timestamp (in milliseconds) of the sending
+   *           type: integer
+   *         delivered:
+   *           description: True if the telegram was already delivered over
+   *                        the user chat
+   *           type: boolean
+   *
+   *     AllTelegrams:
+   *       type: array
+   *       description: List of telegrams received by a user
+   *       items:
+   *         $ref: '#/components/schemas/Telegram'
+   */
+
+  /**
+   * @openapi
+   * /api/users/{userId}/telegrams:
+   *   get:
+   *     description: Get the list of telegrams received by a user, oldest
+   *                  first
+   *     operationId: get-telegrams
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user
+   *     responses:
+   *       200:
+   *         description: Successful request listing the telegrams
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AllTelegrams'
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, the user ID
+   *                      needs to match the one from the user issuing the
+   *                      request
+   *       500:
+   *         description: Internal error
+   */
+  app.get('/api/users/:id/telegrams', authenticate,
+      forbiddenOnFalse(hasUserIdInParams('id')), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        connection.manager.createQueryBuilder(Telegram, 'telegram')
+            .where('telegram.toUserId = :id', {id: req.userId})
+            .orderBy('telegram.id').getMany().then((telegrams) =>
+              res.send(telegrams.map(({id, fromUserId, message, date,
+                delivered}) => ({id, fromUserId,
+                fromUserName: userCache.get(fromUserId)?.name ?? null,
+                message, date: Number(date), delivered}))))
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to get ' +
+                           `telegrams of user #${req.userId}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/users/{userId}/telegrams/{telegramId}:
+   *   delete:
+   *     description: Delete a telegram received by a user
+   *     operationId: delete-telegram
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user
+   *       - in: path
+   *         name: telegramId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the telegram to delete
+   *     responses:
+   *       200:
+   *         description: Telegram successfully deleted
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, the user ID
+   *                      needs to match the one from the user issuing the
+   *                      request
+   *       404:
+   *         description: No telegram of this user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/users/:id/telegrams/:telegramId', authenticate,
+      forbiddenOnFalse(hasUserIdInParams('id')), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const telegramId = req.params.telegramId;
+
+        connection.manager.createQueryBuilder().delete().from(Telegram)
+            .where('id = :telegramId', {telegramId})
+            .andWhere('toUserId = :id', {id: req.userId}).execute()
+            .then(({affected}) => {
+              if (!affected) {
+                res.status(404).json({});
+                return;
+              }
+
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `delete telegram #${telegramId}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerTelegramsEndpoints;
@@ -0,0 +1,715 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import * as db from '../common/db/utils.js';
+import User from '../common/db/model/User.js';
+import WorldRight from '../common/db/model/WorldRight.js';
+import Region from '../common/db/model/Region.js';
+import Telegram from '../common/db/model/Telegram.js';
+import {roleLevels, hasUserRole, hasPrivilege, hasUserIdInParams, middleOr,
+  middleAnd, forbiddenOnFalse, isGuestId} from './utils.js';
+import {randomBytes} from 'crypto';
+import logger from './logger.js';
+
+const minPasswordLength = 8;
+const maxNameLength = 64;
+const maxEmailLength = 256;
+
+/**
+ * Tell if the provided user name is acceptable
+ * @param {any} name - Name to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidName(name) {
+  return typeof name === 'string' && name.trim().length > 0 &&
+      name.length <= maxNameLength && name.trim() === name;
+}
+
+/**
+ * Tell if the provided password is acceptable
+ * @param {any} password - Password to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= minPasswordLength;
+}
+
+/**
+ * Tell if the provided email address is acceptable, only basic
+ * checks are performed here
+ * @param {any} email - Email address to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= maxEmailLength &&
+      (email === '' || /^[^\s@]+@[^\s@]+$/.test(email));
+}
+
+/**
+ * Tell if the provided role is an existing one
+ * @param {any} role - Role to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidRole(role) {
+  return typeof role === 'string' && Object.hasOwn(roleLevels, role);
+}
+
+/**
+ * Register user-management endpoints into the expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Context object holding callbacks.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {Object} config - Server configuration, read on each request.
+ */
+function registerUsersEndpoints(app, authenticate, connection, ctx, userCache,
+    config) {
+  // Bind the user ID to what other parts of the server need to know about
+  // them: name, role and token generation
+  const cacheUser = (user) => {
+    userCache.set(user.id, {name: user.name, role: user.role,
+      tokenGeneration: user.tokenGeneration});
+  };
+
+  // Revoke all the tokens of a user by bumping their token generation, this
+  // also closes any of their ongoing WebSocket connections
+  const revokeTokens = async (id) => {
+    if (isGuestId(id)) {
+      // Guests only exist in the cache: forgetting them is enough
+      const guestId = parseInt(id);
+      const guest = userCache.get(guestId);
+
+      if (!guest) return null;
+
+      userCache.delete(guestId);
+      ctx.userLogoutCallback(guestId);
+
+      return {id: guestId, ...guest};
+    }
+
+    const user = await connection.manager.createQueryBuilder(User, 'user')
+        .where('user.id = :id', {id}).getOne();
+
+    if (!user) return null;
+
+    user.tokenGeneration++;
+    await connection.manager.save([user]);
+
+    cacheUser(user);
+    ctx.userLogoutCallback(user.id);
+
+    return user;
+  };
+
+  // Validate the request body and create the user from it, sending the
+  // response back
+  const createUser = (req, res, role) => {
+    const name = req.body?.username;
+    const password = req.body?.password;
+    const email = req.body?.email ?? '';
+
+    if (!isValidName(name) || !isValidPassword(password) ||
+        !isValidEmail(email) || !isValidRole(role)) {
+      res.status(400).json({});
+      return;
+    }
+
+    const salt = randomBytes(db.saltLength).toString('base64');
+
+    // A single INSERT statement, not wrapped in any transaction of the
+    // shared connection: concurrent registrations of the same name are sure
+    // to hit the unique constraint, all but one of them failing
+    db.hashPasswordAsync(password, salt)
+        .then(async (hash) => {
+          const user = new User(undefined, name, hash, email, role, salt);
+          const {identifiers} = await connection.manager
+              .createQueryBuilder().insert().into(User).values(user)
+              .execute();
+
+          return {...user, id: identifiers[0].id};
+        })
+        .then((saved) => {
+          cacheUser(saved);
+
+          logger.info(`Registered new ${role} '${name}' (#${saved.id})`);
+          res.status(201).send(JSON.stringify(saved,
+              ['id', 'name', 'email', 'role']));
+        })
+        .catch((e) => {
+          if (db.isUniqueViolation(e)) {
+            // Name is already taken
+            res.status(409).json({});
+            return;
+          }
+
+          logger.fatal('Critical DB access error while trying to register ' +
+                       `user '${name}': ` + e);
+          return res.status(500).json({});
+        });
+  };
+
+  // Only let requests providing credentials through, others are left to the
+  // next matching route
+  const withCredentials = (req, res, next) => {
+    return req.headers['authorization'] ? next() : next('route');
+  };
+
+  // Only let admins through, anyone else is left to the next matching route
+  const asAdmin = (req, res, next) => {
+    return hasUserRole('admin')(req) ? next() : next('route');
+  };
+
+  /**
+   * @openapi
+   * /api/users:
+   *   post:
+   *     description: Create a new user account, admins can create accounts
+   *                  of any role while anyone else can only register a new
+   *                  citizen account when open registration is enabled on
+   *                  the server
+   *     summary: Create a new user account
+   *     operationId: post-user
+   *     security:
+   *       - {}
+   *       - bearerAuth: []
+   *     requestBody:
+   *       description: Credentials and information for the new user
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               username:
+   *                 description: Username in plain text
+   *               password:
+   *                 description: Password in plain text
+   *               email:
+   *                 description: Email address (optional)
+   *               role:
+   *                 description: Role of the user (optional, admin only),
+   *                              'citizen' by default
+   *     responses:
+   *       201:
+   *         description: Successful registration
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/User'
+   *       400:
+   *         description: Invalid or missing field values
+   *       403:
+   *         description: Registration is closed on this server (and the
+   *                      credentials provided, if any, are not the ones of
+   *                      an admin), or invalid credentials were provided, or
+   *                      privilege mode required for admins
+   *       409:
+   *         description: Username already taken
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/users', withCredentials, authenticate, asAdmin,
+      forbiddenOnFalse(hasPrivilege()),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        createUser(req, res, req.body?.role ?? 'citizen');
+      });
+
+  app.post('/api/users', (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    // Only admins get to pick the role of new users
+    if (!config.openRegistration ||
+        (req.body?.role ?? 'citizen') !== 'citizen') {
+      res.status(403).json({});
+      return;
+    }
+
+    createUser(req, res, 'citizen');
+  });
+
+  /**
+   * @openapi
+   * /api/users/{userId}:
+   *   patch:
+   *     description: Edit the name, email address and/or role of a single
+   *                  user, changing the role revokes all the tokens of
+   *                  the user
+   *     operationId: patch-user
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user to edit
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               name:
+   *                 description: New name of the user (optional)
+   *               email:
+   *                 description: New email address of the user (optional)
+   *               role:
+   *                 description: New role of the user (optional)
+   *     responses:
+   *       200:
+   *         description: User successfully edited
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/User'
+   *       400:
+   *         description: Invalid field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No user found matching this ID
+   *       409:
+   *         description: Username already taken
+   *       500:
+   *         description: Internal error
+   */
+  app.patch('/api/users/:id', authenticate,
+      forbiddenOnFalse(middleAnd(hasUserRole('admin'), hasPrivilege())),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = req.params.id;
+        const name = req.body?.name;
+        const email = req.body?.email;
+        const role = req.body?.role;
+
+        if ((name !== undefined && !isValidName(name)) ||
+            (email !== undefined && !isValidEmail(email)) ||
+            (role !== undefined && !isValidRole(role))) {
+          res.status(400).json({});
+          return;
+        }
+
+        connection.manager.createQueryBuilder(User, 'user')
+            .where('user.id = :id', {id}).getOne().then(async (user) => {
+              if (!user) {
+                res.status(404).json({});
+                return;
+              }
+
+              if (name !== undefined && name != user.name &&
+                  await connection.manager.createQueryBuilder(User, 'user')
+                      .where('user.name = :name', {name}).getOne()) {
+                // Name is already taken
+                res.status(409).json({});
+                return;
+              }
+
+              // Tokens hold the role of the user, they must not outlive it
+              const roleChanged = role !== undefined && role != user.role;
+
+              if (name !== undefined) user.name = name;
+              if (email !== undefined) user.email = email;
+              if (roleChanged) {
+                user.role = role;
+                user.tokenGeneration++;
+              }
+
+              // A single UPDATE statement, not wrapped in any transaction of
+              // the shared connection: concurrent renames to the same name
+              // hit the unique constraint without rolling back each other
+              await connection.manager.createQueryBuilder()
+                  .update(User)
+                  .set({name: user.name, email: user.email, role: user.role,
+                    tokenGeneration: user.tokenGeneration})
+                  .where('id = :id', {id: user.id})
+                  .execute();
+              cacheUser(user);
+
+              if (roleChanged) ctx.userLogoutCallback(user.id);
+
+              logger.info(`User #${user.id} edited by user #${req.userId}`);
+              res.send(JSON.stringify(user, ['id', 'name', 'email', 'role']));
+            })
+            .catch((e) => {
+              if (db.isUniqueViolation(e)) {
+                // Name got taken in the meantime
+                res.status(409).json({});
+                return;
+              }
+
+              logger.fatal('Critical DB access error while trying to edit ' +
+                           `user #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/users/{userId}:
+   *   delete:
+   *     description: Delete a single user along with their world rights
+   *                  and regions, all of their tokens are revoked in the
+   *                  process
+   *     operationId: delete-user
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user to delete
+   *     responses:
+   *       200:
+   *         description: User successfully deleted
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/users/:id', authenticate,
+      forbiddenOnFalse(middleAnd(hasUserRole('admin'), hasPrivilege())),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = req.params.id;
+
+        connection.manager.createQueryBuilder(User, 'user')
+            .where('user.id = :id', {id}).getOne().then(async (user) => {
+              if (!user) {
+                res.status(404).json({});
+                return;
+              }
+
+              await connection.transaction(async (manager) => {
+                await manager.createQueryBuilder().delete().from(WorldRight)
+                    .where('userId = :id', {id: user.id}).execute();
+                await manager.createQueryBuilder().delete().from(Region)
+                    .where('userId = :id', {id: user.id}).execute();
+                await manager.createQueryBuilder().delete().from(Telegram)
+                    .where('toUserId = :id', {id: user.id}).execute();
+                await manager.createQueryBuilder().delete().from(User)
+                    .where('id = :id', {id: user.id}).execute();
+              });
+
+              // Without any cache entry, all tokens of the user are void
+              userCache.delete(user.id);
+              ctx.userLogoutCallback(user.id);
+
+              logger.info(`User #${user.id} deleted by user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to delete ' +
+                           `user #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/users/{userId}/password:
+   *   put:
+   *     description: Change the password of a single user, the current
+   *                  password is required when changing one's own password
+   *     operationId: put-user-password
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user to change the password of
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               password:
+   *                 description: New password in plain text
+   *               oldPassword:
+   *                 description: Current password in plain text
+   *     responses:
+   *       200:
+   *         description: Password successfully changed, all the tokens
+   *                      previously issued to the user are revoked
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required or the user ID needs
+   *                      to match the one from the user issuing the request
+   *                      (along with the current password)
+   *       404:
+   *         description: No user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.put('/api/users/:id/password', authenticate, forbiddenOnFalse(
+      middleOr(middleAnd(hasUserRole('admin'), hasPrivilege()),
+          hasUserIdInParams('id'))),
+  (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const id = req.params.id;
+    const password = req.body?.password;
+    const oldPassword = req.body?.oldPassword;
+
+    if (!isValidPassword(password)) {
+      res.status(400).json({});
+      return;
+    }
+
+    connection.manager.createQueryBuilder(User, 'user')
+        .where('user.id = :id', {id}).getOne().then(async (user) => {
+          if (!user) {
+            res.status(404).json({});
+            return;
+          }
+
+          // Users changing their own password need to know the current one
+          if (user.id == req.userId && (typeof oldPassword !== 'string' ||
+              !(await db.checkPasswordAsync(oldPassword, user.salt,
+                  user.password)))) {
+            res.status(403).json({});
+            return;
+          }
+
+          // The salt is shared with the privilege password: keep it as is,
+          // existing tokens must not outlive the previous password
+          user.password = await db.hashPasswordAsync(password, user.salt);
+          user.tokenGeneration++;
+          await connection.manager.save([user]);
+
+          cacheUser(user);
+          ctx.userLogoutCallback(user.id);
+
+          res.json({});
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to change ' +
+                       `password of user #${id}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/users/{userId}/privilege-password:
+   *   put:
+   *     description: Set or clear the privilege password of a single user,
+   *                  the current (regular) password is required when
+   *                  changing one's own privilege password, and replacing
+   *                  or clearing an existing one requires being in privilege
+   *                  mode
+   *     operationId: put-user-privilege-password
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user to set the privilege
+   *                      password of
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               privilegePassword:
+   *                 description: New privilege password in plain text, null
+   *                              to clear it
+   *               password:
+   *                 description: Current password in plain text
+   *     responses:
+   *       200:
+   *         description: Privilege password successfully changed
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required or the user ID needs
+   *                      to match the one from the user issuing the request
+   *                      (along with the current password, and privilege
+   *                      mode if a privilege password is already set)
+   *       404:
+   *         description: No user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.put('/api/users/:id/privilege-password', authenticate, forbiddenOnFalse(
+      middleOr(middleAnd(hasUserRole('admin'), hasPrivilege()),
+          hasUserIdInParams('id'))),
+  (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const id = req.params.id;
+    const privilegePassword = req.body?.privilegePassword;
+    const password = req.body?.password;
+
+    if (privilegePassword !== null && !isValidPassword(privilegePassword)) {
+      res.status(400).json({});
+      return;
+    }
+
+    connection.manager.createQueryBuilder(User, 'user')
+        .where('user.id = :id', {id}).getOne().then(async (user) => {
+          if (!user) {
+            res.status(404).json({});
+            return;
+          }
+
+          // Users changing their own privilege password need to know their
+          // current password
+          if (user.id == req.userId && (typeof password !== 'string' ||
+              !(await db.checkPasswordAsync(password, user.salt,
+                  user.password)))) {
+            res.status(403).json({});
+            return;
+          }
+
+          // Knowing the regular password is not enough to take over privilege
+          // mode: an existing privilege password can only be replaced once
+          // in privilege mode, where getting in is throttled
+          if (user.id == req.userId && user.privilegePassword &&
+              !hasPrivilege()(req)) {
+            res.status(403).json({});
+            return;
+          }
+
+          user.privilegePassword = privilegePassword === null ? null :
+              await db.hashPasswordAsync(privilegePassword, user.salt);
+          await connection.manager.save([user]);
+
+          res.json({});
+        })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to change ' +
+                       `privilege password of user #${id}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/logout:
+   *   post:
+   *     description: Revoke all the authentication tokens of the user issuing
+   *                  the request, signing them out of all their sessions
+   *     summary: Sign out
+   *     operationId: logout
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Successful sign out
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Invalid credentials
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/logout', authenticate, (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    revokeTokens(req.userId).then((user) => {
+      if (!user) {
+        res.status(404).json({});
+        return;
+      }
+
+      logger.info(`User #${user.id} logged out`);
+      res.json({});
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to log user ' +
+                       `#${req.userId} out: ` + e);
+          return res.status(500).json({});
+        });
+  });
+
+  /**
+   * @openapi
+   * /api/users/{userId}/logout-all:
+   *   post:
+   *     description: Revoke all the authentication tokens of a single user
+   *                  and close their ongoing WebSocket connections
+   *     summary: Force a user to sign out from all their sessions
+   *     operationId: logout-all-user
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: userId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the user to sign out
+   *     responses:
+   *       200:
+   *         description: User successfully signed out
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required or the user ID needs
+   *                      to match the one from the user issuing the request
+   *       404:
+   *         description: No user found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/users/:id/logout-all', authenticate, forbiddenOnFalse(
+      middleOr(middleAnd(hasUserRole('admin'), hasPrivilege()),
+          hasUserIdInParams('id'))),
+  (req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+
+    const id = req.params.id;
+
+    revokeTokens(id).then((user) => {
+      if (!user) {
+        res.status(404).json({});
+        return;
+      }
+
+      logger.info(`All sessions of user #${user.id} revoked by user ` +
+                  `#${req.userId}`);
+      res.json({});
+    })
+        .catch((e) => {
+          logger.fatal('Critical DB access error while trying to revoke ' +
+                       `tokens of user #${id}: ` + e);
+          return res.status(500).json({});
+        });
+  });
+}
+
+export default registerUsersEndpoints;
+export {isValidName, isValidPassword, isValidEmail, isValidRole};
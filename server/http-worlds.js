@@ -0,0 +1,429 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import World from '../common/db/model/World.js';
+import Prop from '../common/db/model/Prop.js';
+import PropRevision from '../common/db/model/PropRevision.js';
+import Mute from '../common/db/model/Mute.js';
+import WorldRight from '../common/db/model/WorldRight.js';
+import Region from '../common/db/model/Region.js';
+import ChatMessage from '../common/db/model/ChatMessage.js';
+import {getInvalidWorldDataFields} from '../common/world-data-format.js';
+import {isValidName} from './http-users.js';
+import {isValidAccessRule, isValidMaxUsers, publicWorld, cacheWorldAccess}
+  from './world-access.js';
+import {saltLength, hashPasswordAsync} from '../common/db/utils.js';
+import {hasUserRole, hasPrivilege, middleAnd, forbiddenOnFalse}
+  from './utils.js';
+import {randomBytes} from 'crypto';
+import {rm} from 'node:fs/promises';
+import {join} from 'node:path';
+import logger from './logger.js';
+
+/**
+ * Tell if the provided world data is acceptable
+ * @param {any} data - World data to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidWorldData(data) {
+  return getInvalidWorldDataFields(data).length == 0;
+}
+
+/**
+ * Tell if patched world data is acceptable, fields already invalid before
+ * the patch (e.g. from older imports) are only checked if patched
+ * @param {Object} oldData - World data before the patch.
+ * @param {Object} newData - World data after the patch.
+ * @param {Object} patch - Entries of the patch.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidWorldDataPatch(oldData, newData, patch) {
+  const previouslyInvalid = getInvalidWorldDataFields(oldData);
+
+  return getInvalidWorldDataFields(newData).every((name) =>
+    previouslyInvalid.includes(name) && !Object.hasOwn(patch, name));
+}
+
+/**
+ * Tell if the provided access settings are acceptable, missing ones are
+ * left out of the validation
+ * @param {Object} settings - Access settings to validate, holding 'access',
+ *                            'maxUsers' and 'password'.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidAccessSettings({access, maxUsers, password}) {
+  return (access === undefined || isValidAccessRule(access)) &&
+      (maxUsers === undefined || isValidMaxUsers(maxUsers)) &&
+      (password === undefined || password === null ||
+       (typeof password === 'string' && password.length > 0));
+}
+
+/**
+ * Register world creation, edition and deletion endpoints into the
+ * expressjs app
+ * @param {Object} app - express.js app.
+ * @param {function} authenticate - Authentication function for the http
+ *                                  requests.
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {Object} ctx - Context object holding callbacks.
+ * @param {string} worldFolder - Folder holding the terrain and water data of
+ *                               each world.
+ * @param {map} terrainCache - Map of terrain storages indexed by world ID.
+ * @param {map} waterCache - Map of water storages indexed by world ID.
+ * @param {map} muteCache - Map of mutes indexed by ID.
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ */
+function registerWorldsEndpoints(app, authenticate, connection, ctx,
+    worldFolder, terrainCache, waterCache, muteCache, worldCache) {
+  const isPrivilegedAdmin = middleAnd(hasUserRole('admin'), hasPrivilege());
+
+  // Hash a new world password along with a fresh salt, or clear both
+  const setWorldPassword = async (world, password) => {
+    if (password === null) {
+      world.password = world.salt = null;
+      return;
+    }
+
+    world.salt = randomBytes(saltLength).toString('base64');
+    world.password = await hashPasswordAsync(password, world.salt);
+  };
+
+  const isNameTaken = async (name) => {
+    return !!(await connection.manager.createQueryBuilder(World, 'world')
+        .where('world.name = :name', {name}).getOne());
+  };
+
+  /**
+   * @openapi
+   * /api/worlds:
+   *   post:
+   *     description: Create a new world
+   *     operationId: post-world
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               name:
+   *                 description: Name of the world
+   *               data:
+   *                 description: Data dictionary of the world, it must at
+   *                              least provide 'path', 'skyColors',
+   *                              'ambientColor', 'directionalColor' and
+   *                              'dirLightPos'
+   *                 type: object
+   *               access:
+   *                 description: Access rule of the world (optional),
+   *                              either 'public' (default), 'citizens',
+   *                              'whitelist' (users holding the 'enter'
+   *                              right only) or 'password'
+   *               maxUsers:
+   *                 description: Maximum number of users allowed in the
+   *                              world at once (optional), unlimited if
+   *                              null (default)
+   *               password:
+   *                 description: Password of the world, required with the
+   *                              'password' access rule
+   *     responses:
+   *       201:
+   *         description: World successfully created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/World'
+   *       400:
+   *         description: Invalid or missing field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       409:
+   *         description: World name already taken
+   *       500:
+   *         description: Internal error
+   */
+  app.post('/api/worlds', authenticate, forbiddenOnFalse(isPrivilegedAdmin),
+      (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const name = req.body?.name;
+        const data = req.body?.data;
+        const access = req.body?.access ?? 'public';
+        const maxUsers = req.body?.maxUsers ?? null;
+        const password = req.body?.password ?? null;
+
+        if (!isValidName(name) || !isValidWorldData(data) ||
+            !isValidAccessSettings({access, maxUsers, password}) ||
+            (access == 'password' && password === null)) {
+          res.status(400).json({});
+          return;
+        }
+
+        isNameTaken(name).then(async (taken) => {
+          if (taken) {
+            res.status(409).json({});
+            return;
+          }
+
+          const world = new World(undefined, name, JSON.stringify(data),
+              access, maxUsers);
+          await setWorldPassword(world, password);
+          await connection.manager.save([world]);
+          cacheWorldAccess(worldCache, world);
+
+          logger.info(`World #${world.id} created by user #${req.userId}`);
+          res.status(201).send(publicWorld(world));
+        })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           'create world: ' + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}:
+   *   patch:
+   *     description: Edit the name and/or individual entries from the data
+   *                  dictionary of a single world, the updated dictionary
+   *                  is then broadcast to all clients connected to the
+   *                  world
+   *     operationId: patch-world
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world to edit
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             properties:
+   *               name:
+   *                 description: New name of the world (optional)
+   *               data:
+   *                 description: Entries of the data dictionary to set
+   *                              (optional), entries set to null are
+   *                              removed, the others are left untouched
+   *                 type: object
+   *               access:
+   *                 description: New access rule of the world (optional)
+   *               maxUsers:
+   *                 description: New maximum number of users allowed in the
+   *                              world at once (optional), null to lift the
+   *                              limit
+   *               password:
+   *                 description: New password of the world (optional), null
+   *                              to clear it
+   *     responses:
+   *       200:
+   *         description: World successfully edited
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/World'
+   *       400:
+   *         description: Invalid field values
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No world found matching this ID
+   *       409:
+   *         description: World name already taken
+   *       500:
+   *         description: Internal error
+   */
+  app.patch('/api/worlds/:id', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = req.params.id;
+        const name = req.body?.name;
+        const data = req.body?.data;
+        const access = req.body?.access;
+        const maxUsers = req.body?.maxUsers;
+        const password = req.body?.password;
+
+        if ((name !== undefined && !isValidName(name)) ||
+            (data !== undefined && (typeof data !== 'object' ||
+             data === null || Array.isArray(data))) ||
+            !isValidAccessSettings({access, maxUsers, password})) {
+          res.status(400).json({});
+          return;
+        }
+
+        connection.manager.createQueryBuilder(World, 'world')
+            .addSelect(['world.password', 'world.salt'])
+            .where('world.id = :id', {id}).getOne().then(async (world) => {
+              if (!world) {
+                res.status(404).json({});
+                return;
+              }
+
+              // A password-protected world needs an actual password
+              if ((access ?? world.access) == 'password' &&
+                  (password === null ||
+                   (password === undefined && !world.password))) {
+                res.status(400).json({});
+                return;
+              }
+
+              // Merge the provided entries into the existing ones, the
+              // result must still be loadable by clients
+              const oldData = JSON.parse(world.data);
+              const newData = {...oldData, ...data};
+
+              for (const [key, value] of Object.entries(data ?? {})) {
+                if (value === null) delete newData[key];
+              }
+
+              if (data !== undefined &&
+                  !isValidWorldDataPatch(oldData, newData, data)) {
+                res.status(400).json({});
+                return;
+              }
+
+              if (name !== undefined && name != world.name &&
+                  await isNameTaken(name)) {
+                res.status(409).json({});
+                return;
+              }
+
+              if (name !== undefined) world.name = name;
+              if (data !== undefined) world.data = JSON.stringify(newData);
+              if (access !== undefined) world.access = access;
+              if (maxUsers !== undefined) world.maxUsers = maxUsers;
+              if (password !== undefined) {
+                await setWorldPassword(world, password);
+              }
+
+              await connection.manager.save([world]);
+
+              // Users who provided the password so far need to provide the
+              // new one, or to be let in by the new access rule
+              const entry = worldCache.get(world.id);
+              cacheWorldAccess(worldCache, world, entry?.whitelist,
+                  access === undefined && password === undefined ?
+                  entry?.passwordGranted : []);
+
+              logger.info(`World #${world.id} edited by user #${req.userId}`);
+              res.send(publicWorld(world));
+
+              if (data !== undefined) {
+                // Let connected clients apply the new settings right away
+                ctx.worldChangedCallback(world.id,
+                    JSON.stringify({op: 'world', data: newData}));
+              }
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to edit ' +
+                           `world #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+
+  /**
+   * @openapi
+   * /api/worlds/{worldId}:
+   *   delete:
+   *     description: Delete a single world, along with all of its props
+   *                  (history included), mutes, rights, regions, terrain
+   *                  and water data
+   *     operationId: delete-world
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: worldId
+   *         schema:
+   *           type: integer
+   *         required: true
+   *         description: Numeric ID of the world to delete
+   *     responses:
+   *       200:
+   *         description: World successfully deleted
+   *       401:
+   *         description: Authentication required
+   *       403:
+   *         description: Action not allowed for this user, admin level
+   *                      (in privilege mode) required
+   *       404:
+   *         description: No world found matching this ID
+   *       500:
+   *         description: Internal error
+   */
+  app.delete('/api/worlds/:id', authenticate,
+      forbiddenOnFalse(isPrivilegedAdmin), (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+
+        const id = req.params.id;
+
+        connection.manager.createQueryBuilder(World, 'world')
+            .where('world.id = :id', {id}).getOne().then(async (world) => {
+              if (!world) {
+                res.status(404).json({});
+                return;
+              }
+
+              await connection.transaction(async (manager) => {
+                await manager.createQueryBuilder().delete().from(Prop)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(PropRevision)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(Mute)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(WorldRight)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(Region)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(ChatMessage)
+                    .where('worldId = :id', {id: world.id}).execute();
+                await manager.createQueryBuilder().delete().from(World)
+                    .where('id = :id', {id: world.id}).execute();
+              });
+
+              worldCache.delete(world.id);
+
+              for (const [muteId, mute] of muteCache) {
+                if (mute.worldId == world.id) muteCache.delete(muteId);
+              }
+
+              // Storages are cached using the raw ID from the request path
+              terrainCache.delete(id);
+              waterCache.delete(id);
+
+              try {
+                await rm(join(worldFolder, `${world.id}`),
+                    {recursive: true, force: true});
+              } catch (e) {
+                logger.warn(`Could not purge terrain and water data of ` +
+                            `world #${world.id}: ` + e);
+              }
+
+              logger.info(`World #${world.id} deleted by user #${req.userId}`);
+              res.json({});
+            })
+            .catch((e) => {
+              logger.fatal('Critical DB access error while trying to ' +
+                           `delete world #${id}: ` + e);
+              return res.status(500).json({});
+            });
+      });
+}
+
+export default registerWorldsEndpoints;
+export {isValidWorldData};
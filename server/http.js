@@ -8,11 +8,32 @@ import User from '../common/db/model/User.js';
 import TerrainStorage from './terrain-storage.js';
 import WaterStorage from './water-storage.js';
 import {packElevationData} from '../common/terrain-utils.js';
-import {hasUserRole, hasUserIdInParams, middleOr, forbiddenOnFalse,
-  getAuthenticationCallback} from './utils.js';
+import {hasUserRole, hasPrivilege, hasUserIdInParams, middleOr, middleAnd,
+  forbiddenOnFalse, getAuthenticationCallback, issueToken,
+  defaultTokenLifetime, defaultPrivilegeTokenLifetime, requestRemoteAddress,
+  guestIdBase} from './utils.js';
 import registerPropsEndpoints from './http-props.js';
+import registerPropsHistoryEndpoints from './http-props-history.js';
+import registerPropsAdminEndpoints from './http-props-admin.js';
+import registerUsersEndpoints, {isValidName} from './http-users.js';
+import registerModerationEndpoints from './http-moderation.js';
+import registerWorldsEndpoints from './http-worlds.js';
+import registerRightsEndpoints from './http-rights.js';
+import registerPresenceEndpoints from './http-presence.js';
+import registerTelegramsEndpoints from './http-telegrams.js';
+import TelegramStore from './telegrams.js';
+import registerChatEndpoints from './http-chat.js';
+import ChatLog from './chat-log.js';
+import {findActiveBan, loadModerationCaches} from './moderation.js';
+import {worldAccessStatus, publicWorld, loadWorldAccessCache,
+  requestWorldPassword, checkWorldAccess, checkWorldAccessMiddleware}
+  from './world-access.js';
+import {AttemptThrottler, rateLimit, defaultPropsRateLimit,
+  defaultGuestLoginRateLimit} from './rate-limit.js';
+import {defaultPropsQuota, defaultPropsPerRequest, defaultPropsPerChunk}
+  from './props-quotas.js';
 import {createServer} from 'http';
-import jwt from 'jsonwebtoken';
+import {randomBytes} from 'crypto';
 import cors from 'cors';
 import express from 'express';
 import {join} from 'node:path';
@@ -23,10 +44,15 @@ const defaultNbUsersPerPage = 200;
 const maxNbUsersPerPage = defaultNbUsersPerPage*10;
 
 const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
-    terrainCache, waterCache) => {
+    terrainCache, waterCache, banCache, muteCache, worldCache = new Map(),
+    config = {openRegistration: false, guestLogin: false,
+      propsRateLimit: defaultPropsRateLimit,
+      tokenLifetime: defaultTokenLifetime,
+      privilegeTokenLifetime: defaultPrivilegeTokenLifetime}) => {
   // Get a version of the authentication method working with the
   // secret we need
-  const authenticate = getAuthenticationCallback(secret);
+  const authenticate = getAuthenticationCallback(secret, userCache,
+      banCache, config);
 
   const getTerrainStorage = (worldId) => {
     if (!terrainCache.has(worldId)) {
@@ -46,13 +72,111 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
     return waterCache.get(worldId);
   };
 
-  // Default callback for props changes (POST, PUT, DELETE)
-  const ctx = {propsChangedCallback: (wid, data) => {}};
+  // Default callbacks for props changes (POST, PUT, DELETE), for world
+  // attributes changes, for users getting their tokens revoked, for
+  // counting and listing users currently in a world, for sending notices
+  // on world chats and for ejecting users from a world
+  const ctx = {
+    propsChangedCallback: (wid, data) => {},
+    worldChangedCallback: (wid, data) => {},
+    userLogoutCallback: (uid) => {},
+    worldPopulationCallback: (wid) => 0,
+    worldUsersCallback: (wid) => [],
+    chatNoticeCallback: (wid, msg) => 0,
+    worldEjectCallback: (wid, uid) => false,
+  };
 
   const onPropsChange = (cb) => {
     ctx.propsChangedCallback = cb;
   };
 
+  const onWorldChange = (cb) => {
+    ctx.worldChangedCallback = cb;
+  };
+
+  const onUserLogout = (cb) => {
+    ctx.userLogoutCallback = cb;
+  };
+
+  const onWorldPopulation = (cb) => {
+    ctx.worldPopulationCallback = cb;
+  };
+
+  const onWorldUsers = (cb) => {
+    ctx.worldUsersCallback = cb;
+  };
+
+  const onChatNotice = (cb) => {
+    ctx.chatNoticeCallback = cb;
+  };
+
+  const onWorldEject = (cb) => {
+    ctx.worldEjectCallback = cb;
+  };
+
+  // Throttle failed password checks per user and per remote address, the
+  // latter being more lenient as addresses can be shared by many users
+  const userThrottler = new AttemptThrottler();
+  const addressThrottler = new AttemptThrottler({freeAttempts: 20,
+    lockoutThreshold: 100});
+
+  // Answer with 429 (Too Many Requests) if either the user or the remote
+  // address needs to wait before trying again, return true if so
+  const isThrottled = (res, userKey, remoteAddress) => {
+    const waitMs = Math.max(userThrottler.check(userKey),
+        addressThrottler.check(remoteAddress));
+
+    if (!waitMs) return false;
+
+    res.setHeader('Retry-After', Math.ceil(waitMs / 1000));
+    res.status(429).json({});
+
+    return true;
+  };
+
+  // Password checks are slow: count attempts as failures before checking
+  // anything, so that concurrent attempts cannot get past the throttling,
+  // then take them back if they were not
+  const reserveAttempt = (userKey, remoteAddress) => {
+    userThrottler.fail(userKey);
+    addressThrottler.fail(remoteAddress);
+  };
+
+  const releaseAttempt = (userKey, remoteAddress) => {
+    userThrottler.release(userKey);
+    addressThrottler.release(remoteAddress);
+  };
+
+  // Limit the rate of props writes for each user
+  const limitPropsWrites = rateLimit(60000,
+      () => config.propsRateLimit ?? defaultPropsRateLimit,
+      (req) => req.userId);
+
+  // Props quotas can be changed on the fly as well, 0 meaning no limit
+  const getPropsQuotas = () => ({
+    perUser: config.propsQuota ?? defaultPropsQuota,
+    perRequest: config.propsPerRequest ?? defaultPropsPerRequest,
+    perChunk: config.propsPerChunk ?? defaultPropsPerChunk,
+  });
+
+  // Guest users only live in the user cache, until their token expires
+  let nextGuestId = guestIdBase;
+
+  const limitGuestLogins = rateLimit(60000,
+      () => config.guestLoginRateLimit ?? defaultGuestLoginRateLimit,
+      (req) => requestRemoteAddress(req, config.trustProxy));
+
+  const guestExpiration = () => Date.now() +
+      (config.tokenLifetime ?? defaultTokenLifetime) * 1000;
+
+  const pruneGuests = () => {
+    const now = Date.now();
+
+    for (const [id, user] of userCache) {
+      if (user.guest && user.expires <= now) userCache.delete(id);
+    }
+  };
+
   return db.init(path).then(async (connection) => {
     // Ready the express app
     const app = express().use(express.json()).use(cors());
@@ -60,14 +184,22 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
     // Create http server
     const server = createServer(app);
 
-    // Load user cache
-    connection.manager.createQueryBuilder(User, 'user').getMany()
+    // Load user cache, it needs to be ready before authenticating anyone
+    await connection.manager.createQueryBuilder(User, 'user').getMany()
         .then((users) => {
-          // Fill-in the cache by binding IDs to names and roles
+          // Fill-in the cache by binding IDs to names, roles and token
+          // generations
           for (const user of users) {
-            userCache.set(user.id, (({name, role}) => ({name, role}))(user));
+            userCache.set(user.id, (({name, role, tokenGeneration}) =>
+              ({name, role, tokenGeneration}))(user));
           }
-        }); // TODO: handle error (if any)
+        });
+
+    // Same goes for bans, mutes are needed as soon as anyone chats
+    await loadModerationCaches(connection, banCache, muteCache);
+
+    // World access settings are checked on every entry attempt
+    await loadWorldAccessCache(connection, worldCache);
 
     /**
      * @openapi
@@ -98,6 +230,20 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *                   description: Authentication token
      *       401:
      *         description: Invalid credentials
+     *       403:
+     *         description: User or remote address banned from the server
+     *         content:
+     *           application/json:
+     *             schema:
+     *               properties:
+     *                 reason:
+     *                   description: Reason for the ban
+     *                 expires:
+     *                   description: Timestamp (in milliseconds) when the
+     *                                ban expires, null if permanent
+     *       429:
+     *         description: Too many failed attempts, try again later (see
+     *                      Retry-After header)
      *       500:
      *         description: Internal error
      */
@@ -109,26 +255,253 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
       const username = req.body?.username || null;
       const password = req.body?.password || null;
 
+      const userKey = `user:${username}`;
+      const remoteAddress = requestRemoteAddress(req, config.trustProxy);
+
+      if (isThrottled(res, userKey, remoteAddress)) return;
+
+      reserveAttempt(userKey, remoteAddress);
+
       // Find user matching provided credentials (if any)
       connection.manager.createQueryBuilder(User, 'user')
-          .where('user.name = :username', {username}).getOne().then((user) => {
-            if (user && db.checkPassword(password, user.salt, user.password)) {
-              // Provided password is matching
+          .where('user.name = :username', {username}).getOne()
+          .then(async (user) => {
+            if (user && typeof password === 'string' &&
+                await db.checkPasswordAsync(password, user.salt,
+                    user.password)) {
+              addressThrottler.release(remoteAddress);
+              userThrottler.succeed(userKey);
+
+              // Provided password is matching, but the user might be banned
+              const ban = findActiveBan(banCache, user.id, remoteAddress);
+
+              if (ban) {
+                logger.warn(`Banned user #${user.id} tried to log in`);
+                res.status(403).json({reason: ban.reason,
+                  expires: ban.expires});
+                return;
+              }
+
               res.send({'id': user.id, 'role': user.role,
-                'token': jwt.sign({userId: user.id, userRole: user.role},
-                    secret)});
+                'token': issueToken({userId: user.id, userRole: user.role,
+                  gen: user.tokenGeneration}, secret, config.tokenLifetime)});
             } else {
-              // Invalid credentials provided: we cannot log this user in
+              // Invalid credentials provided: we cannot log this user in,
+              // the failed attempt is already accounted for
               res.status(401).json({});
             }
           })
           .catch((e) => {
+            releaseAttempt(userKey, remoteAddress);
             logger.fatal('Critical DB access error while trying to log user ' +
                          `'${username}' in: ` + e);
             return res.status(500).json({});
           });
     });
 
+    /**
+     * @openapi
+     * /api/login/guest:
+     *   post:
+     *     description: Log in as a guest (tourist) without any account, using
+     *                  the provided display name, this must be enabled on the
+     *                  server first
+     *     summary: Submit a display name to get a guest authentication token
+     *     operationId: login-guest
+     *     requestBody:
+     *       description: Display name of the guest
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             properties:
+     *               name:
+     *                 description: Display name in plain text
+     *     responses:
+     *       200:
+     *         description: Successful authentication
+     *         content:
+     *           application/json:
+     *             schema:
+     *               properties:
+     *                 token:
+     *                   description: Authentication token
+     *       400:
+     *         description: Invalid or missing display name
+     *       403:
+     *         description: Guest login is disabled on this server, or the
+     *                      remote address is banned from it
+     *       409:
+     *         description: Display name already taken
+     *       429:
+     *         description: Too many guest logins from this remote address
+     */
+    app.post('/api/login/guest', limitGuestLogins, (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+
+      const name = req.body?.name;
+
+      if (!config.guestLogin || findActiveBan(banCache, null,
+          requestRemoteAddress(req, config.trustProxy))) {
+        res.status(403).json({});
+        return;
+      }
+
+      if (!isValidName(name)) {
+        res.status(400).json({});
+        return;
+      }
+
+      pruneGuests();
+
+      // Guests cannot impersonate anyone, be it users or other guests
+      for (const user of userCache.values()) {
+        if (user.name === name) {
+          res.status(409).json({});
+          return;
+        }
+      }
+
+      // Guest IDs are reused after a restart, the session tells tokens
+      // issued to previous guests apart
+      const id = nextGuestId++;
+      const session = randomBytes(16).toString('hex');
+      userCache.set(id, {name, role: 'tourist', tokenGeneration: 0,
+        guest: true, session, expires: guestExpiration()});
+
+      logger.info(`Guest '${name}' (#${id}) logged in`);
+      res.send({'id': id, 'role': 'tourist',
+        'token': issueToken({userId: id, userRole: 'tourist', gen: 0,
+          session}, secret, config.tokenLifetime)});
+    });
+
+    /**
+     * @openapi
+     * /api/token/refresh:
+     *   post:
+     *     description: Issue a new authentication token for the user bound to
+     *                  the provided (still valid) one, with a renewed
+     *                  expiration date
+     *     summary: Refresh the authentication token
+     *     operationId: refresh-token
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Successful refresh
+     *         content:
+     *           application/json:
+     *             schema:
+     *               properties:
+     *                 token:
+     *                   description: Authentication token
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Invalid or expired credentials, or unknown user
+     */
+    app.post('/api/token/refresh', authenticate, (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+
+      // The role might have changed since the previous token was issued
+      const user = userCache.get(req.userId);
+
+      if (!user) {
+        res.status(403).json({});
+        return;
+      }
+
+      // Guests remain cached for as long as they keep their token fresh
+      if (user.guest) user.expires = guestExpiration();
+
+      res.send({'id': req.userId, 'role': user.role,
+        'token': issueToken({userId: req.userId, userRole: user.role,
+          gen: user.tokenGeneration,
+          ...(user.guest ? {session: user.session} : {})},
+        secret, config.tokenLifetime)});
+    });
+
+    /**
+     * @openapi
+     * /api/privilege:
+     *   post:
+     *     description: Enter privilege mode by submitting the privilege
+     *                  password of the user, a short-lived elevated token is
+     *                  issued in case of success, required to perform
+     *                  administrative actions
+     *     summary: Submit privilege password to get an elevated token
+     *     operationId: privilege
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       description: Privilege password
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             properties:
+     *               password:
+     *                 description: Privilege password in plain text
+     *     responses:
+     *       200:
+     *         description: Successful elevation
+     *         content:
+     *           application/json:
+     *             schema:
+     *               properties:
+     *                 token:
+     *                   description: Elevated authentication token
+     *       401:
+     *         description: Authentication required
+     *       403:
+     *         description: Invalid credentials or privilege password, or
+     *                      no privilege password set for this user
+     *       429:
+     *         description: Too many failed attempts, try again later (see
+     *                      Retry-After header)
+     *       500:
+     *         description: Internal error
+     */
+    app.post('/api/privilege', authenticate, (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+
+      const password = req.body?.password;
+
+      const userKey = `privilege:${req.userId}`;
+      const remoteAddress = requestRemoteAddress(req, config.trustProxy);
+
+      if (isThrottled(res, userKey, remoteAddress)) return;
+
+      reserveAttempt(userKey, remoteAddress);
+
+      connection.manager.createQueryBuilder(User, 'user')
+          .where('user.id = :id', {id: req.userId}).getOne()
+          .then(async (user) => {
+            if (user?.privilegePassword && typeof password === 'string' &&
+                await db.checkPasswordAsync(password, user.salt,
+                    user.privilegePassword)) {
+              addressThrottler.release(remoteAddress);
+              userThrottler.succeed(userKey);
+              logger.info(`User #${user.id} entered privilege mode`);
+              res.send({'id': user.id, 'role': user.role,
+                'token': issueToken({userId: user.id, userRole: user.role,
+                  gen: user.tokenGeneration, elevated: true}, secret,
+                config.privilegeTokenLifetime ??
+                    defaultPrivilegeTokenLifetime)});
+            } else {
+              // Wrong or unset privilege password, the failed attempt is
+              // already accounted for
+              res.status(403).json({});
+            }
+          })
+          .catch((e) => {
+            releaseAttempt(userKey, remoteAddress);
+            logger.fatal('Critical DB access error while trying to elevate ' +
+                         `user #${req.userId}: ` + e);
+            return res.status(500).json({});
+          });
+    });
+
     /**
      * @openapi
      * components:
@@ -151,6 +524,18 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *         data:
      *           description: Data dictionary of the world
      *           type: object
+     *         access:
+     *           description: Access rule of the world, either 'public',
+     *                        'citizens', 'whitelist' or 'password'
+     *           type: string
+     *         maxUsers:
+     *           description: Maximum number of users allowed in the world at
+     *                        once, null if unlimited
+     *           type: integer
+     *         population:
+     *           description: Number of users currently in the world (only
+     *                        when listing worlds)
+     *           type: integer
      *
      *     AllWorlds:
      *       type: array
@@ -187,7 +572,9 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
       res.setHeader('Content-Type', 'application/json');
       // Get a list of all existing worlds
       connection.manager.createQueryBuilder(World, 'world')
-          .getMany().then((worlds) => res.send(worlds))
+          .getMany().then((worlds) => res.send(worlds.map((world) =>
+            ({...publicWorld(world),
+              population: ctx.worldPopulationCallback(world.id)}))))
           .catch((e) => {
             logger.fatal('Critical DB access error while trying to get list ' +
                          'of worlds: ' + e);
@@ -210,6 +597,14 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *           type: integer
      *         required: true
      *         description: Numeric ID of the world to get
+     *       - in: header
+     *         name: X-World-Password
+     *         schema:
+     *           type: string
+     *         required: false
+     *         description: Password of the world, if protected by one, it
+     *                      does not need to be provided again afterwards
+     *                      to enter the world or get its content
      *     responses:
      *       200:
      *         description: Successful request getting information about
@@ -221,32 +616,97 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *       401:
      *         description: Authentication required
      *       403:
-     *         description: Action not allowed for this user
+     *         description: Action not allowed for this user, the access rule
+     *                      of the world does not let them in or the provided
+     *                      password is wrong
      *       404:
      *         description: No world found matching this ID
+     *       429:
+     *         description: Too many wrong world passwords, try again later
+     *                      (see Retry-After header)
      *       500:
      *         description: Internal error
+     *       503:
+     *         description: World full, maximum number of users reached
      */
     app.get('/api/worlds/:id', authenticate, (req, res) => {
       res.setHeader('Content-Type', 'application/json');
+
+      const wid = parseInt(req.params.id);
+      const password = requestWorldPassword(req);
+      // Wrong world passwords are throttled per user and per world, each
+      // attempt is counted before checking the password so that concurrent
+      // ones cannot get around the throttling
+      const userKey = `world:${wid}:${req.userId}`;
+      const waitMs = password !== null ? userThrottler.check(userKey) : 0;
+
+      if (waitMs) {
+        res.setHeader('Retry-After', Math.ceil(waitMs / 1000));
+        res.status(429).json({});
+        return;
+      }
+
+      if (password !== null) userThrottler.fail(userKey);
+
       // Get a single world using its id (return 404 if not found)
       connection.manager.createQueryBuilder(World, 'world')
           .where('world.id = :id', {id: req.params.id})
-          .getOne().then((world) => {
-            if (world) {
-              res.send(world);
+          .getOne().then(async (world) => {
+            if (!world) {
+              if (password !== null) userThrottler.release(userKey);
+              res.status(404).json({});
+              return;
+            }
+
+            const status = await checkWorldAccess(worldCache, userCache,
+                world.id, req.userId, password,
+                ctx.worldPopulationCallback(world.id));
+
+            if (status == worldAccessStatus.forbidden) {
+              res.status(403).json({});
+              return;
+            }
+
+            if (password !== null) userThrottler.succeed(userKey);
+
+            if (status == worldAccessStatus.full) {
+              res.status(503).json({});
+            } else if (status == worldAccessStatus.granted) {
+              res.send(publicWorld(world));
             } else {
               res.status(404).json({});
             }
           })
           .catch((e) => {
+            if (password !== null) userThrottler.release(userKey);
             logger.fatal('Critical DB access error while trying to get world ' +
                          `#${req.params.id}}: ` + e);
             return res.status(500).json({});
           });
     });
 
-    registerPropsEndpoints(app, authenticate, connection, ctx);
+    // Users who are not allowed in a world cannot get or change its content
+    // either (terrain, water and props)
+    const authenticateInWorld = [authenticate,
+      checkWorldAccessMiddleware(worldCache, userCache, ctx)];
+
+    registerWorldsEndpoints(app, authenticate, connection, ctx,
+        worldFolder, terrainCache, waterCache, muteCache, worldCache);
+    registerRightsEndpoints(app, authenticate, connection, ctx, userCache,
+        worldCache);
+    registerPropsEndpoints(app, authenticateInWorld, connection, ctx,
+        limitPropsWrites, getPropsQuotas);
+    registerPropsHistoryEndpoints(app, authenticateInWorld, connection, ctx,
+        limitPropsWrites, getPropsQuotas);
+    registerPropsAdminEndpoints(app, authenticate, connection, ctx,
+        limitPropsWrites);
+    registerPresenceEndpoints(app, authenticate, ctx, userCache, worldCache);
+
+    // World chat messages are logged in the database, the WebSocket server
+    // needs it to append them and to send the latest ones to joining users
+    const chatLog = new ChatLog(connection, config);
+    registerChatEndpoints(app, authenticate, ctx, userCache, worldCache,
+        chatLog);
 
     /**
      * @openapi
@@ -287,13 +747,14 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *       401:
      *         description: Authentication required
      *       403:
-     *         description: Action not allowed for this user
+     *         description: Action not allowed for this user, the access
+     *                      rule of the world does not let them in
      *       404:
      *         description: No world found matching this ID
      *       500:
      *         description: Internal error
      */
-    app.get('/api/worlds/:id/terrain/:x/:z/elevation', authenticate,
+    app.get('/api/worlds/:id/terrain/:x/:z/elevation', authenticateInWorld,
         (req, res) => {
           res.setHeader('Content-Type', 'application/octet-stream');
           const wid = req.params.id;
@@ -360,13 +821,14 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *       401:
      *         description: Authentication required
      *       403:
-     *         description: Action not allowed for this user
+     *         description: Action not allowed for this user, the access
+     *                      rule of the world does not let them in
      *       404:
      *         description: No world found matching this ID
      *       500:
      *         description: Internal error
      */
-    app.get('/api/worlds/:id/terrain/:x/:z/texture', authenticate,
+    app.get('/api/worlds/:id/terrain/:x/:z/texture', authenticateInWorld,
         (req, res) => {
           res.setHeader('Content-Type', 'application/octet-stream');
           const wid = req.params.id;
@@ -431,13 +893,14 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *       401:
      *         description: Authentication required
      *       403:
-     *         description: Action not allowed for this user
+     *         description: Action not allowed for this user, the access
+     *                      rule of the world does not let them in
      *       404:
      *         description: No world found matching this ID
      *       500:
      *         description: Internal error
      */
-    app.get('/api/worlds/:id/water/:x/:z', authenticate,
+    app.get('/api/worlds/:id/water/:x/:z', authenticateInWorld,
         (req, res) => {
           res.setHeader('Content-Type', 'application/octet-stream');
           const wid = req.params.id;
@@ -512,11 +975,12 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *         description: Authentication required
      *       403:
      *         description: Action not allowed for this user, admin level
-     *                      required
+     *                      (in privilege mode) required
      *       500:
      *         description: Internal error
      */
-    app.get('/api/users', authenticate, forbiddenOnFalse(hasUserRole('admin')),
+    app.get('/api/users', authenticate,
+        forbiddenOnFalse(middleAnd(hasUserRole('admin'), hasPrivilege())),
         (req, res) => {
           res.setHeader('Content-Type', 'application/json');
 
@@ -573,13 +1037,14 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
      *         description: Authentication required
      *       403:
      *         description: Action not allowed for this user, admin level
-     *                      required or the user ID needs to match the one
-     *                      from the user issuing the request
+     *                      (in privilege mode) required or the user ID needs
+     *                      to match the one from the user issuing the request
      *       500:
      *         description: Internal error
      */
     app.get('/api/users/:id', authenticate, forbiddenOnFalse(
-        middleOr(hasUserRole('admin'), hasUserIdInParams('id'))),
+        middleOr(middleAnd(hasUserRole('admin'), hasPrivilege()),
+            hasUserIdInParams('id'))),
     (req, res) => {
       res.setHeader('Content-Type', 'application/json');
       // Get a single user using their id (return 404 if not found)
@@ -598,6 +1063,12 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
           });
     });
 
+    registerUsersEndpoints(app, authenticate, connection, ctx, userCache,
+        config);
+    registerTelegramsEndpoints(app, authenticate, connection, userCache);
+    registerModerationEndpoints(app, authenticate, connection, ctx,
+        userCache, banCache, muteCache);
+
     server.on('close', async () => {
       // Close DB connection along with webserver
       await connection.close();
@@ -605,7 +1076,19 @@ const spawnHttpServer = async (path, port, secret, worldFolder, userCache,
 
     server.listen(port);
 
-    return {server, onPropsChange};
+    // Private messages for offline users are kept in the database, the
+    // WebSocket server needs it to store and deliver them
+    const telegramStore = new TelegramStore(connection);
+
+    // Forget about all failed password checks so far
+    const resetThrottling = () => {
+      userThrottler.clear();
+      addressThrottler.clear();
+    };
+
+    return {server, onPropsChange, onWorldChange, onUserLogout,
+      onWorldPopulation, onWorldUsers, onChatNotice, onWorldEject,
+      telegramStore, chatLog, resetThrottling};
   });
 };
 
@@ -0,0 +1,75 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Ban from '../common/db/model/Ban.js';
+import Mute from '../common/db/model/Mute.js';
+
+/**
+ * Tell if a ban or mute entry is still in effect at the given time
+ * @param {Object} entry - Ban or mute entry.
+ * @param {integer} now - Timestamp (in milliseconds) to check against.
+ * @return {boolean} True if in effect, false if expired.
+ */
+function isActive(entry, now) {
+  return entry.expires === null || entry.expires === undefined ||
+      Number(entry.expires) > now;
+}
+
+/**
+ * Find an active ban affecting the given user and/or remote address
+ * @param {map} banCache - Map of bans indexed by ID.
+ * @param {integer|null} userId - ID of the user to check.
+ * @param {string|null} address - Remote address to check.
+ * @param {integer} now - Timestamp (in milliseconds) to check against.
+ * @return {Object|null} Matching ban if any, null otherwise.
+ */
+function findActiveBan(banCache, userId, address, now = Date.now()) {
+  for (const ban of banCache.values()) {
+    if (!isActive(ban, now)) continue;
+
+    if ((ban.userId !== null && ban.userId === userId) ||
+        (ban.address !== null && !!address && ban.address === address)) {
+      return ban;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find an active mute affecting the given user in the given world
+ * @param {map} muteCache - Map of mutes indexed by ID.
+ * @param {integer} worldId - ID of the world to check.
+ * @param {integer} userId - ID of the user to check.
+ * @param {integer} now - Timestamp (in milliseconds) to check against.
+ * @return {Object|null} Matching mute if any, null otherwise.
+ */
+function findActiveMute(muteCache, worldId, userId, now = Date.now()) {
+  for (const mute of muteCache.values()) {
+    if (isActive(mute, now) && mute.worldId == worldId &&
+        mute.userId === userId) {
+      return mute;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill-in the ban and mute caches from the database
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {map} banCache - Map of bans indexed by ID.
+ * @param {map} muteCache - Map of mutes indexed by ID.
+ */
+async function loadModerationCaches(connection, banCache, muteCache) {
+  const bans = await connection.manager.createQueryBuilder(Ban, 'ban')
+      .getMany();
+  const mutes = await connection.manager.createQueryBuilder(Mute, 'mute')
+      .getMany();
+
+  for (const ban of bans) banCache.set(ban.id, ban);
+  for (const mute of mutes) muteCache.set(mute.id, mute);
+}
+
+export {isActive, findActiveBan, findActiveMute, loadModerationCaches};
@@ -0,0 +1,56 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Prop from '../common/db/model/Prop.js';
+import PropRevision from '../common/db/model/PropRevision.js';
+
+const propHistoryOps = ['create', 'update', 'delete'];
+
+/**
+ * Make a new revision out of the current state of a prop
+ * @param {Prop} prop - Prop to make the revision of.
+ * @param {string} op - Operation on the prop, either 'create', 'update' or
+ *                      'delete'.
+ * @param {integer} authorId - ID of the user making the change.
+ * @param {integer} date - Timestamp (in milliseconds) of the change.
+ * @return {PropRevision} Revision of the prop, not saved yet.
+ */
+function makePropRevision(prop, op, authorId, date = Date.now()) {
+  return new PropRevision(undefined, prop.id, prop.worldId, op, authorId,
+      date, prop.userId, prop.date, prop.x, prop.y, prop.z, prop.yaw,
+      prop.pitch, prop.roll, prop.name, prop.description, prop.action);
+}
+
+/**
+ * Make a prop back out of one of its revisions, under its original ID
+ * @param {PropRevision} revision - Revision to make the prop from.
+ * @param {integer} date - New modification date of the prop.
+ * @return {Prop} Prop as it was in the revision, not saved yet.
+ */
+function makePropFromRevision(revision, date = Date.now()) {
+  return new Prop(revision.propId, revision.worldId, revision.userId, date,
+      revision.x, revision.y, revision.z, revision.yaw, revision.pitch,
+      revision.roll, revision.name, revision.description, revision.action);
+}
+
+/**
+ * Save props along with their new revisions, all at once
+ * @param {Object} manager - TypeORM entity manager, from a transaction.
+ * @param {Array<Prop>} props - Props to save.
+ * @param {string} op - Operation on the props, either 'create' or 'update'.
+ * @param {integer} authorId - ID of the user making the change.
+ * @return {Promise<Array<Prop>>} Promise of the saved props.
+ */
+async function savePropsWithHistory(manager, props, op, authorId) {
+  const savedProps = await manager.save(props);
+  const date = Date.now();
+
+  await manager.save(savedProps.map((prop) =>
+    makePropRevision(prop, op, authorId, date)));
+
+  return savedProps;
+}
+
+export {propHistoryOps, makePropRevision, makePropFromRevision,
+  savePropsWithHistory};
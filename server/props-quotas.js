@@ -0,0 +1,164 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Prop from '../common/db/model/Prop.js';
+
+// Default maximum numbers of props each user can own in a single world, of
+// props a single request can create and of props a single chunk can hold,
+// 0 meaning no limit
+const defaultPropsQuota = 50000;
+const defaultPropsPerRequest = 1000;
+const defaultPropsPerChunk = 500;
+
+/**
+ * Count the props a user owns in a world
+ * @param {Object} manager - TypeORM entity manager.
+ * @param {integer} wid - ID of the world.
+ * @param {integer} userId - ID of the user.
+ * @return {Promise<integer>} Promise of the number of props.
+ */
+async function countUserProps(manager, wid, userId) {
+  return await manager.createQueryBuilder(Prop, 'prop')
+      .where('prop.worldId = :wid', {wid})
+      .andWhere('prop.userId = :userId', {userId})
+      .getCount();
+}
+
+/**
+ * Count the props within a single chunk of a world
+ * @param {Object} manager - TypeORM entity manager.
+ * @param {integer} wid - ID of the world.
+ * @param {integer} x - Index of the chunk on the X axis.
+ * @param {integer} z - Index of the chunk on the Z axis.
+ * @param {number} chunkSide - Size of the chunk side (in meters).
+ * @return {Promise<integer>} Promise of the number of props.
+ */
+async function countChunkProps(manager, wid, x, z, chunkSide) {
+  const halfChunkSide = chunkSide / 2;
+
+  return await manager.createQueryBuilder(Prop, 'prop')
+      .where('prop.worldId = :wid', {wid})
+      .andWhere('prop.x >= :minX', {minX: x * chunkSide - halfChunkSide})
+      .andWhere('prop.x < :maxX', {maxX: (x + 1) * chunkSide - halfChunkSide})
+      .andWhere('prop.z >= :minZ', {minZ: z * chunkSide - halfChunkSide})
+      .andWhere('prop.z < :maxZ', {maxZ: (z + 1) * chunkSide - halfChunkSide})
+      .getCount();
+}
+
+/**
+ * Keep track of the props quotas left while writing props to a world, the
+ * props of each user and of each chunk being counted on demand
+ */
+class PropsQuotasTracker {
+  /**
+   * @constructor
+   * @param {Object} manager - TypeORM entity manager.
+   * @param {integer} wid - ID of the world.
+   * @param {Object} quotas - Maximum numbers of props per user (perUser) and
+   *                          per chunk (perChunk), 0 meaning no limit.
+   * @param {number} chunkSide - Size of the chunk side (in meters).
+   */
+  constructor(manager, wid, quotas, chunkSide) {
+    this.manager = manager;
+    this.wid = wid;
+    this.quotas = quotas;
+    this.chunkSide = chunkSide;
+    this.userRemaining = new Map();
+    this.chunkRemaining = new Map();
+  }
+
+  /**
+   * Get the indices of the chunk holding a given position
+   * @param {number} x - X coordinate (in meters).
+   * @param {number} z - Z coordinate (in meters).
+   * @return {Array<integer>} Indices of the chunk on the X and Z axes.
+   */
+  getChunk(x, z) {
+    return [Math.floor(x / this.chunkSide + 0.5),
+      Math.floor(z / this.chunkSide + 0.5)];
+  }
+
+  /**
+   * Take a slot for a prop about to be written at a given position: both
+   * quotas apply to new props, only the chunk one applies to props moved
+   * into another chunk (slots freed by props moved away are not given back)
+   * @param {number} x - X coordinate of the prop (in meters).
+   * @param {number} z - Z coordinate of the prop (in meters).
+   * @param {integer|null} userId - ID of the owner of a new prop, null for
+   *                                an existing one.
+   * @param {Object|null} from - Current position ({x, z}) of an existing
+   *                             prop, null for a new one.
+   * @return {Promise<string|null>} Promise of the reason of the exceeded
+   *                                quota ('userQuota' or 'chunkQuota'), null
+   *                                if the slot was taken.
+   */
+  async take(x, z, userId = null, from = null) {
+    const [cX, cZ] = this.getChunk(x, z);
+    const chunkKey = `${cX}_${cZ}`;
+    const countsInChunk = this.quotas.perChunk &&
+        (!from || this.getChunk(from.x, from.z).join('_') !== chunkKey);
+    const countsForUser = this.quotas.perUser && userId !== null;
+
+    if (countsForUser && !this.userRemaining.has(userId)) {
+      this.userRemaining.set(userId, this.quotas.perUser -
+          await countUserProps(this.manager, this.wid, userId));
+    }
+
+    if (countsForUser && this.userRemaining.get(userId) <= 0) {
+      return 'userQuota';
+    }
+
+    if (countsInChunk && !this.chunkRemaining.has(chunkKey)) {
+      this.chunkRemaining.set(chunkKey, this.quotas.perChunk -
+          await countChunkProps(this.manager, this.wid, cX, cZ,
+              this.chunkSide));
+    }
+
+    if (countsInChunk && this.chunkRemaining.get(chunkKey) <= 0) {
+      return 'chunkQuota';
+    }
+
+    if (countsForUser) {
+      this.userRemaining.set(userId, this.userRemaining.get(userId) - 1);
+    }
+
+    if (countsInChunk) {
+      this.chunkRemaining.set(chunkKey, this.chunkRemaining.get(chunkKey) - 1);
+    }
+
+    return null;
+  }
+}
+
+// Last pending props write subject to quotas for each world
+const pendingQuotaWrites = new Map();
+
+/**
+ * Run a props write subject to quotas in a single transaction, once the
+ * previous ones on the same world are done: all requests share the same
+ * SQLite connection, so transactions alone do not keep a concurrent write
+ * from outdating the props counted by another before it saves its own
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {integer} wid - ID of the world.
+ * @param {function} write - Write to run, given the entity manager of the
+ *                           transaction.
+ * @return {Promise<any>} Promise of the result of the write.
+ */
+function writeWithinQuotas(connection, wid, write) {
+  const previous = pendingQuotaWrites.get(wid) ?? Promise.resolve();
+  const result = previous.then(() => connection.transaction(write));
+  const pending = result.catch(() => {});
+
+  pendingQuotaWrites.set(wid, pending);
+  pending.then(() => {
+    if (pendingQuotaWrites.get(wid) === pending) {
+      pendingQuotaWrites.delete(wid);
+    }
+  });
+
+  return result;
+}
+
+export {defaultPropsQuota, defaultPropsPerRequest, defaultPropsPerChunk,
+  countUserProps, countChunkProps, PropsQuotasTracker, writeWithinQuotas};
@@ -0,0 +1,232 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import logger from './logger.js';
+
+// Default maximum numbers of props write requests (per minute), chat messages
+// (per minute) and world state updates (per second) for each user, and of
+// guest logins (per minute) for each remote address
+const defaultPropsRateLimit = 120;
+const defaultChatRateLimit = 30;
+const defaultStateRateLimit = 100;
+const defaultGuestLoginRateLimit = 10;
+
+const defaultThrottlingOptions = {
+  freeAttempts: 5, // Failed attempts allowed before any delay kicks in
+  baseDelayMs: 1000, // Delay after the first throttled failure, then doubled
+  maxDelayMs: 60000,
+  lockoutThreshold: 10, // Failed attempts leading to a full lockout
+  lockoutMs: 900000,
+  forgetAfterMs: 3600000, // Failures older than this are forgotten
+};
+
+/**
+ * Keep track of failed attempts (e.g.: logins) for arbitrary keys, delaying
+ * any further attempt with an exponential backoff once too many of them
+ * failed, up to a complete lockout
+ */
+class AttemptThrottler {
+  /**
+   * @constructor
+   * @param {Object} options - Throttling options, see
+   *                           defaultThrottlingOptions for the available
+   *                           fields.
+   */
+  constructor(options = {}) {
+    this.options = {...defaultThrottlingOptions, ...options};
+    this.attempts = new Map();
+  }
+
+  /**
+   * Tell how long to wait before the next attempt for a given key is allowed
+   * @param {string} key - Key to check.
+   * @param {integer} now - Current timestamp (in milliseconds).
+   * @return {integer} Time to wait (in milliseconds), 0 if allowed right away.
+   */
+  check(key, now = Date.now()) {
+    const entry = this.attempts.get(key);
+    if (!entry) return 0;
+
+    if (now - entry.lastFailure > this.options.forgetAfterMs) {
+      this.attempts.delete(key);
+      return 0;
+    }
+
+    return Math.max(entry.blockedUntil - now, 0);
+  }
+
+  /**
+   * Register a failed attempt for a given key
+   * @param {string} key - Key to register the failure of.
+   * @param {integer} now - Current timestamp (in milliseconds).
+   */
+  fail(key, now = Date.now()) {
+    this.prune(now);
+
+    const entry = this.attempts.get(key) ?? {failures: 0, lastFailure: now,
+      blockedUntil: 0};
+    entry.failures++;
+    entry.lastFailure = now;
+    entry.blockedUntil = this.getBlockedUntil(entry);
+
+    if (entry.failures == this.options.lockoutThreshold) {
+      logger.warn(`Too many failed attempts for '${key}', locking out`);
+    }
+
+    this.attempts.set(key, entry);
+  }
+
+  /**
+   * Take back a failure registered ahead of time for a given key (e.g.: before
+   * a slow password check, so that concurrent attempts cannot get past the
+   * throttling), once the attempt turned out not to be a failure
+   * @param {string} key - Key to take the failure back for.
+   */
+  release(key) {
+    const entry = this.attempts.get(key);
+    if (!entry) return;
+
+    entry.failures--;
+
+    if (entry.failures <= 0) {
+      this.attempts.delete(key);
+      return;
+    }
+
+    entry.blockedUntil = this.getBlockedUntil(entry);
+  }
+
+  /**
+   * Compute until when further attempts are blocked, given the failures so
+   * far for some key
+   * @param {Object} entry - Failures entry of the key.
+   * @return {integer} Timestamp (in milliseconds) until which attempts are
+   *                   blocked, 0 if they are not.
+   */
+  getBlockedUntil({failures, lastFailure}) {
+    const {freeAttempts, baseDelayMs, maxDelayMs, lockoutThreshold,
+      lockoutMs} = this.options;
+
+    if (failures >= lockoutThreshold) return lastFailure + lockoutMs;
+
+    if (failures >= freeAttempts) {
+      return lastFailure + Math.min(baseDelayMs *
+          2 ** (failures - freeAttempts), maxDelayMs);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Clear all failed attempts for a given key, once it succeeded
+   * @param {string} key - Key to clear.
+   */
+  succeed(key) {
+    this.attempts.delete(key);
+  }
+
+  /** Clear all failed attempts, for every key */
+  clear() {
+    this.attempts.clear();
+  }
+
+  /**
+   * Forget about old failures, to keep memory usage in check
+   * @param {integer} now - Current timestamp (in milliseconds).
+   */
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.attempts) {
+      if (now - entry.lastFailure > this.options.forgetAfterMs &&
+          entry.blockedUntil <= now) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Limit the number of operations allowed for arbitrary keys within a fixed
+ * window of time
+ */
+class RateLimiter {
+  /**
+   * @constructor
+   * @param {integer} windowMs - Duration (in milliseconds) of the window.
+   */
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Consume one operation for a given key, if still allowed
+   * @param {string|integer} key - Key to consume an operation for.
+   * @param {integer} maxOperations - Maximum number of operations allowed
+   *                                  within the window.
+   * @param {integer} now - Current timestamp (in milliseconds).
+   * @return {integer} Time to wait (in milliseconds) before trying again if
+   *                   the operation was not allowed, 0 if it was.
+   */
+  consume(key, maxOperations, now = Date.now()) {
+    if (now - this.lastPrune > this.windowMs) {
+      this.prune(now);
+    }
+
+    let window = this.windows.get(key);
+
+    if (!window || now - window.start >= this.windowMs) {
+      window = {start: now, count: 0};
+      this.windows.set(key, window);
+    }
+
+    if (window.count >= maxOperations) {
+      return window.start + this.windowMs - now;
+    }
+
+    window.count++;
+
+    return 0;
+  }
+
+  /**
+   * Forget about elapsed windows, to keep memory usage in check
+   * @param {integer} now - Current timestamp (in milliseconds).
+   */
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (now - window.start >= this.windowMs) this.windows.delete(key);
+    }
+
+    this.lastPrune = now;
+  }
+}
+
+/**
+ * Get an express.js middleware answering 429 (Too Many Requests) when
+ * exceeding the allowed rate of requests
+ * @param {integer} windowMs - Duration (in milliseconds) of the window.
+ * @param {function} getMaxRequests - Get the maximum number of requests
+ *                                    allowed within the window, called on
+ *                                    each request.
+ * @param {function} getKey - Get the key to limit the rate of from the
+ *                            request.
+ * @return {function} Middleware to use on routes.
+ */
+const rateLimit = (windowMs, getMaxRequests, getKey) => {
+  const limiter = new RateLimiter(windowMs);
+
+  return ((req, res, next) => {
+    const waitMs = limiter.consume(getKey(req), getMaxRequests());
+
+    if (!waitMs) return next();
+
+    res.setHeader('Retry-After', Math.ceil(waitMs / 1000));
+    return res.status(429).json({});
+  });
+};
+
+export {AttemptThrottler, RateLimiter, rateLimit, defaultThrottlingOptions,
+  defaultPropsRateLimit, defaultChatRateLimit, defaultStateRateLimit,
+  defaultGuestLoginRateLimit};
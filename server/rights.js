@@ -0,0 +1,100 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import WorldRight from '../common/db/model/WorldRight.js';
+import Region from '../common/db/model/Region.js';
+
+const worldRights = ['build', 'eject', 'enter'];
+
+// Rights nobody was explicitly granted in a world are open to everyone
+// (citizens at least when it comes to building), but ejecting which is then
+// left to admins only, and the 'enter' right: its holders make up the
+// whitelist of the world (see world-access.js)
+const openByDefault = {build: true, eject: false, enter: false};
+
+/**
+ * Tell if the provided right name is acceptable
+ * @param {any} right - Right name to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidRight(right) {
+  return worldRights.includes(right);
+}
+
+/**
+ * Tell if a user holds some right, given the list of rights of a world
+ * @param {Array<WorldRight>} rights - Rights of the world.
+ * @param {integer} userId - ID of the user.
+ * @param {string} right - Name of the right.
+ * @return {boolean} True if the user holds the right, false otherwise.
+ */
+function hasWorldRight(rights, userId, right) {
+  const granted = rights.filter((entry) => entry.right === right);
+
+  if (!granted.length) return openByDefault[right];
+
+  return granted.some((entry) => entry.userId === userId);
+}
+
+/**
+ * Tell if a position falls within a region
+ * @param {Region} region - Region to check.
+ * @param {number} x - Position along the X axis (in meters).
+ * @param {number} z - Position along the Z axis (in meters).
+ * @return {boolean} True if within the region, false otherwise.
+ */
+function regionContains(region, x, z) {
+  return x >= region.minX && x < region.maxX &&
+      z >= region.minZ && z < region.maxZ;
+}
+
+/**
+ * Tell if two regions overlap
+ * @param {Region} first - First region.
+ * @param {Region} second - Second region.
+ * @return {boolean} True if they overlap, false otherwise.
+ */
+function regionsOverlap(first, second) {
+  return first.minX < second.maxX && second.minX < first.maxX &&
+      first.minZ < second.maxZ && second.minZ < first.maxZ;
+}
+
+/**
+ * Tell if a user can build at a given position: owners can always build
+ * within their own regions, nobody else can, and anywhere else requires the
+ * build right of the world
+ * @param {Array<WorldRight>} rights - Rights of the world.
+ * @param {Array<Region>} regions - Regions of the world.
+ * @param {integer} userId - ID of the user.
+ * @param {number} x - Position along the X axis (in meters).
+ * @param {number} z - Position along the Z axis (in meters).
+ * @return {boolean} True if allowed, false otherwise.
+ */
+function canBuildAt(rights, regions, userId, x, z) {
+  const region = regions.find((region) => regionContains(region, x, z));
+
+  if (region) return region.userId === userId;
+
+  return hasWorldRight(rights, userId, 'build');
+}
+
+/**
+ * Load both the rights and the regions of a world from the database
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {integer} worldId - ID of the world.
+ * @return {Promise<Object>} Promise of an object holding {rights, regions}.
+ */
+async function loadWorldRights(connection, worldId) {
+  const rights = await connection.manager
+      .createQueryBuilder(WorldRight, 'worldRight')
+      .where('worldRight.worldId = :worldId', {worldId}).getMany();
+  const regions = await connection.manager
+      .createQueryBuilder(Region, 'region')
+      .where('region.worldId = :worldId', {worldId}).getMany();
+
+  return {rights, regions};
+}
+
+export {worldRights, isValidRight, hasWorldRight, regionContains,
+  regionsOverlap, canBuildAt, loadWorldRights};
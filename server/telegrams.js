@@ -0,0 +1,72 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import Telegram from '../common/db/model/Telegram.js';
+
+// Default maximum number of telegrams waiting to be delivered to a single user
+const defaultMaxPendingTelegrams = 100;
+
+/** Persistent storage of telegrams: private messages for offline users */
+class TelegramStore {
+  /**
+   * @constructor
+   * @param {Object} connection - TypeORM connection instance.
+   * @param {integer} maxPending - Maximum number of telegrams waiting to be
+   *                               delivered to a single user.
+   */
+  constructor(connection, maxPending = defaultMaxPendingTelegrams) {
+    this.connection = connection;
+    this.maxPending = maxPending;
+  }
+
+  /**
+   * Store a new telegram, to be delivered later on
+   * @param {integer} fromUserId - ID of the sending user.
+   * @param {integer} toUserId - ID of the receiving user.
+   * @param {string} message - Content of the telegram.
+   * @return {Promise<Telegram>} Promise of the stored telegram, or null if
+   *                             too many telegrams are already pending for
+   *                             the receiving user.
+   */
+  async store(fromUserId, toUserId, message) {
+    const nbPending = await this.connection.manager
+        .createQueryBuilder(Telegram, 'telegram')
+        .where('telegram.toUserId = :toUserId', {toUserId})
+        .andWhere('telegram.delivered = :delivered', {delivered: false})
+        .getCount();
+
+    if (nbPending >= this.maxPending) return null;
+
+    return await this.connection.manager.save(new Telegram(undefined,
+        fromUserId, toUserId, message, Date.now(), false));
+  }
+
+  /**
+   * Get all the telegrams not delivered yet to a user, oldest first
+   * @param {integer} toUserId - ID of the receiving user.
+   * @return {Promise<Array<Telegram>>} Promise of the pending telegrams.
+   */
+  async getPending(toUserId) {
+    return await this.connection.manager
+        .createQueryBuilder(Telegram, 'telegram')
+        .where('telegram.toUserId = :toUserId', {toUserId})
+        .andWhere('telegram.delivered = :delivered', {delivered: false})
+        .orderBy('telegram.id').getMany();
+  }
+
+  /**
+   * Flag telegrams as delivered
+   * @param {Array<integer>} ids - IDs of the delivered telegrams.
+   */
+  async markDelivered(ids) {
+    if (!ids.length) return;
+
+    await this.connection.manager.createQueryBuilder()
+        .update(Telegram).set({delivered: true})
+        .where('id IN (:...ids)', {ids}).execute();
+  }
+}
+
+export default TelegramStore;
+export {defaultMaxPendingTelegrams};
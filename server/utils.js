@@ -5,6 +5,7 @@
 import jwt from 'jsonwebtoken';
 import {URL} from 'url';
 import logger from './logger.js';
+import {findActiveBan} from './moderation.js';
 
 const roleLevels = {
   'tourist': 0,
@@ -14,38 +15,106 @@ const roleLevels = {
 
 const bearerRegex = /^Bearer (.*)$/i;
 
-const getAuthenticationCallback = (secret) => ((req, res, next) => {
-  // Get Bearer token, we strip the 'Bearer' part
-  const authMatch = req.headers['authorization']?.match(bearerRegex);
-  const token = authMatch && authMatch[1];
+// Lifetime (in seconds) of issued authentication tokens, unless configured
+// otherwise
+const defaultTokenLifetime = 3600;
 
-  const {pathname} = new URL(req.url, 'https://wideworlds.org');
-  // We don't care about the base
+// Guest users (tourists without any account) get IDs starting from here, so
+// that they never collide with the ones from the database while still being
+// usable as entity IDs
+const guestIdBase = 2 ** 31;
 
-  const remoteAddress = requestRemoteAddress(req);
+// Lifetime (in seconds) of elevated tokens issued in privilege mode, unless
+// configured otherwise
+const defaultPrivilegeTokenLifetime = 600;
 
-  // Test if token is falsy
-  if (!token) {
-    // We do not understand the credentials being provided at all (malformed)
-    logger.warn(`Unauthorized HTTP [${req.method}] connection to ${pathname} ` +
-                `from '${remoteAddress}': malformed credentials`);
-    return res.status(401).json({});
-  }
+/**
+ * Issue a new signed authentication token, bound to expire after some time
+ * @param {Object} claims - Claims to include in the token payload.
+ * @param {string} secret - Secret to sign the token with.
+ * @param {integer} lifetime - Validity duration of the token (in seconds).
+ * @return {string} Signed JWT authentication token.
+ */
+const issueToken = (claims, secret, lifetime = defaultTokenLifetime) => {
+  return jwt.sign(claims, secret, {expiresIn: lifetime});
+};
+
+/**
+ * Tell if the provided user ID belongs to a guest user
+ * @param {integer|string} id - ID of the user.
+ * @return {boolean} True if guest, false otherwise.
+ */
+const isGuestId = (id) => {
+  return parseInt(id) >= guestIdBase;
+};
+
+/**
+ * Tell if the provided token payload is still current for its user: tokens
+ * get revoked by bumping the token generation of the user, and the user must
+ * still exist; guest tokens must also carry the session of the guest, as guest
+ * IDs start over whenever the server restarts
+ * @param {Object} payload - Decoded token payload.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @return {boolean} True if the token is current, false if revoked.
+ */
+const isTokenCurrent = (payload, userCache) => {
+  const user = userCache.get(payload.userId);
+
+  return !!user && (payload.gen ?? 0) === (user.tokenGeneration ?? 0) &&
+      (!user.guest || payload.session === user.session);
+};
+
+const getAuthenticationCallback = (secret, userCache, banCache,
+    config = {}) =>
+  ((req, res, next) => {
+    // Get Bearer token, we strip the 'Bearer' part
+    const authMatch = req.headers['authorization']?.match(bearerRegex);
+    const token = authMatch && authMatch[1];
+
+    const {pathname} = new URL(req.url, 'https://wideworlds.org');
+    // We don't care about the base
 
-  jwt.verify(token, secret, (err, payload) => {
-    if (err) {
-      // We aknowledge a Bearer token was provided to us, but it is not valid
+    const remoteAddress = requestRemoteAddress(req, config.trustProxy);
+
+    // Test if token is falsy
+    if (!token) {
+      // We do not understand the credentials being provided at all
+      // (malformed)
       logger.warn(`Unauthorized HTTP [${req.method}] connection to ` +
-                  `${pathname} from '${remoteAddress}': invalid credentials`);
-      return res.status(403).json({});
+                  `${pathname} from '${remoteAddress}': malformed credentials`);
+      return res.status(401).json({});
     }
 
-    req.userId = payload.userId;
-    req.userRole = payload.userRole;
+    jwt.verify(token, secret, (err, payload) => {
+      if (err) {
+        // We aknowledge a Bearer token was provided to us, but it is not
+        // valid
+        const reason = err.name == 'TokenExpiredError' ? 'expired' : 'invalid';
+        logger.warn(`Unauthorized HTTP [${req.method}] connection to ` +
+                    `${pathname} from '${remoteAddress}': ${reason} ` +
+                    'credentials');
+        return res.status(403).json({});
+      }
+
+      if (!isTokenCurrent(payload, userCache)) {
+        logger.warn(`Unauthorized HTTP [${req.method}] connection to ` +
+                    `${pathname} from '${remoteAddress}': revoked credentials`);
+        return res.status(403).json({});
+      }
+
+      if (findActiveBan(banCache, payload.userId, remoteAddress)) {
+        logger.warn(`Unauthorized HTTP [${req.method}] connection to ` +
+                    `${pathname} from '${remoteAddress}': banned user`);
+        return res.status(403).json({});
+      }
+
+      req.userId = payload.userId;
+      req.userRole = payload.userRole;
+      req.userElevated = payload.elevated === true;
 
-    return next();
+      return next();
+    });
   });
-});
 
 const hasUserRole = (role, strict = false) => {
   return ((req) => {
@@ -60,6 +129,13 @@ const hasUserRole = (role, strict = false) => {
   });
 };
 
+const hasPrivilege = () => {
+  return ((req) => {
+    // Only elevated tokens (issued in privilege mode) qualify
+    return req.userElevated === true;
+  });
+};
+
 const hasUserIdInParams = (param) => {
   return ((req) => {
     if (req.params[param] && req.params[param] == req.userId) {
@@ -94,10 +170,17 @@ const forbiddenOnFalse = (condition) => {
   });
 };
 
-const requestRemoteAddress = (req) => {
-  return req.headers['X-Forwarded-For'] ? req.headers['X-Forwarded-For'] :
-    req.socket.remoteAddress;
+const requestRemoteAddress = (req, trustProxy = false) => {
+  // Anyone can set the X-Forwarded-For header: only a trusted reverse proxy
+  // in front of the server is to be believed, and only regarding the last
+  // address it appended (Node.js lowercases the names of incoming headers)
+  const forwardedFor = req.headers['x-forwarded-for'];
+
+  return trustProxy && forwardedFor ?
+    forwardedFor.split(',').pop().trim() : req.socket.remoteAddress;
 };
 
-export {roleLevels, hasUserRole, hasUserIdInParams, middleOr,
-  middleAnd, forbiddenOnFalse, getAuthenticationCallback, requestRemoteAddress};
+export {roleLevels, defaultTokenLifetime, defaultPrivilegeTokenLifetime,
+  guestIdBase, issueToken, isGuestId, isTokenCurrent, hasUserRole,
+  hasPrivilege, hasUserIdInParams, middleOr, middleAnd, forbiddenOnFalse,
+  getAuthenticationCallback, requestRemoteAddress};
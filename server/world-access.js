@@ -0,0 +1,219 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import World from '../common/db/model/World.js';
+import WorldRight from '../common/db/model/WorldRight.js';
+import {checkPasswordAsync} from '../common/db/utils.js';
+import {roleLevels} from './utils.js';
+
+const worldAccessRules = ['public', 'citizens', 'whitelist', 'password'];
+
+// Header carrying the world password, kept out of the URL so that it does not
+// end up in logs and browser history
+const worldPasswordHeader = 'X-World-Password';
+
+const worldAccessStatus = {
+  granted: 0,
+  notFound: 1,
+  forbidden: 2, // Not allowed in at all, or wrong password
+  full: 3,
+};
+
+/**
+ * Tell if the provided access rule is acceptable
+ * @param {any} access - Access rule to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidAccessRule(access) {
+  return worldAccessRules.includes(access);
+}
+
+/**
+ * Tell if the provided maximum number of users is acceptable, null standing
+ * for no limit at all
+ * @param {any} maxUsers - Maximum number of users to validate.
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidMaxUsers(maxUsers) {
+  return maxUsers === null || (Number.isInteger(maxUsers) && maxUsers > 0);
+}
+
+/**
+ * Strip a world of its password-related fields, before sending it to clients
+ * @param {World} world - World to strip.
+ * @return {Object} World without its password and salt.
+ */
+function publicWorld(world) {
+  const fields = {...world};
+  delete fields.password;
+  delete fields.salt;
+
+  return fields;
+}
+
+/**
+ * Put the access settings of a world into the cache
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ * @param {World} world - World to cache, password and salt included.
+ * @param {Array<integer>} whitelist - IDs of the users holding the 'enter'
+ *                                     right in this world.
+ * @param {Array<integer>} passwordGranted - IDs of the users who provided
+ *                                           the right password of this
+ *                                           world so far.
+ */
+function cacheWorldAccess(worldCache, world, whitelist = [],
+    passwordGranted = []) {
+  worldCache.set(world.id, {
+    access: world.access ?? 'public',
+    maxUsers: world.maxUsers ?? null,
+    password: world.password ?? null,
+    salt: world.salt ?? null,
+    whitelist: new Set(whitelist),
+    passwordGranted: new Set(passwordGranted),
+  });
+}
+
+/**
+ * Load access settings of all worlds into the cache
+ * @param {Object} connection - TypeORM connection instance.
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ */
+async function loadWorldAccessCache(connection, worldCache) {
+  const worlds = await connection.manager.createQueryBuilder(World, 'world')
+      .addSelect(['world.password', 'world.salt']).getMany();
+  const rights = await connection.manager
+      .createQueryBuilder(WorldRight, 'worldRight').getMany();
+
+  worldCache.clear();
+
+  for (const world of worlds) {
+    cacheWorldAccess(worldCache, world, rights
+        .filter((right) => right.worldId === world.id &&
+            right.right === 'enter')
+        .map((right) => right.userId));
+  }
+}
+
+/**
+ * Get the world password provided in a request, if any
+ * @param {Object} req - express.js request.
+ * @return {string|null} Provided world password, null if none.
+ */
+function requestWorldPassword(req) {
+  const password = req.get(worldPasswordHeader);
+  return typeof password === 'string' ? password : null;
+}
+
+/**
+ * Check if a user can enter a world, a right password being remembered for
+ * this user until the access rule or the password of the world change
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {integer} worldId - ID of the world to enter.
+ * @param {integer} userId - ID of the user.
+ * @param {string|null} password - World password provided by the user.
+ * @param {integer} population - Number of users currently in the world, not
+ *                               counting this one.
+ * @return {Promise<integer>} Promise of a {@link worldAccessStatus} value.
+ */
+async function checkWorldAccess(worldCache, userCache, worldId, userId,
+    password, population) {
+  const world = worldCache.get(worldId);
+  if (!world) return worldAccessStatus.notFound;
+
+  const user = userCache.get(userId);
+  if (!user) return worldAccessStatus.forbidden;
+
+  // Admins are always welcome, no matter the rules or the crowd
+  if (roleLevels[user.role] >= roleLevels['admin']) {
+    return worldAccessStatus.granted;
+  }
+
+  const whitelisted = world.whitelist.has(userId);
+
+  if (world.access == 'citizens' &&
+      roleLevels[user.role] < roleLevels['citizen']) {
+    return worldAccessStatus.forbidden;
+  } else if (world.access == 'whitelist' && !whitelisted) {
+    return worldAccessStatus.forbidden;
+  } else if (world.access == 'password' && !whitelisted &&
+      !world.passwordGranted.has(userId)) {
+    if (typeof password !== 'string' || !world.password ||
+        !await checkPasswordAsync(password, world.salt, world.password)) {
+      return worldAccessStatus.forbidden;
+    }
+
+    world.passwordGranted.add(userId);
+  }
+
+  if (world.maxUsers !== null && population >= world.maxUsers) {
+    return worldAccessStatus.full;
+  }
+
+  return worldAccessStatus.granted;
+}
+
+/**
+ * Check if a user can look into a world (its chat, its users...) without
+ * entering it: users already in the world always can, others need to be
+ * allowed in, a full world remaining visible
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {integer} worldId - ID of the world to look into.
+ * @param {integer} userId - ID of the user.
+ * @param {boolean} inWorld - Whether the user is currently in the world.
+ * @param {integer} population - Number of users currently in the world.
+ * @param {string|null} password - World password provided by the user.
+ * @return {Promise<boolean>} Promise of true if allowed, false otherwise.
+ */
+async function canLookIntoWorld(worldCache, userCache, worldId, userId,
+    inWorld, population, password = null) {
+  if (inWorld) return worldCache.has(worldId);
+
+  const status = await checkWorldAccess(worldCache, userCache, worldId,
+      userId, password, population);
+
+  return status == worldAccessStatus.granted ||
+      status == worldAccessStatus.full;
+}
+
+/**
+ * Get an express.js middleware only letting users who can look into the world
+ * from the request path through, 403 (Forbidden) otherwise: no password is
+ * read there, the user must have provided it to get the world beforehand,
+ * unknown worlds are left to the route itself
+ * @param {map} worldCache - Map of world access settings indexed by ID.
+ * @param {map} userCache - Map of users indexed by ID.
+ * @param {Object} ctx - Parent HTTP spawner context.
+ * @return {function} Middleware checking the access to the world.
+ */
+function checkWorldAccessMiddleware(worldCache, userCache, ctx) {
+  return (req, res, next) => {
+    const wid = parseInt(req.params.id);
+
+    if (!worldCache.has(wid)) {
+      next();
+      return;
+    }
+
+    const inWorld = ctx.worldUsersCallback(wid)
+        .some(({id}) => id === req.userId);
+
+    canLookIntoWorld(worldCache, userCache, wid, req.userId, inWorld,
+        ctx.worldPopulationCallback(wid)).then((allowed) => {
+      if (allowed) {
+        next();
+        return;
+      }
+
+      res.setHeader('Content-Type', 'application/json');
+      res.status(403).json({});
+    }).catch((e) => next(e));
+  };
+}
+
+export {worldAccessRules, worldAccessStatus, isValidAccessRule,
+  isValidMaxUsers, publicWorld, cacheWorldAccess, loadWorldAccessCache,
+  requestWorldPassword, checkWorldAccess, canLookIntoWorld,
+  checkWorldAccessMiddleware};
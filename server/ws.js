@@ -6,9 +6,16 @@ import {URL} from 'url';
 import {WebSocketServer} from 'ws';
 import jwt from 'jsonwebtoken';
 import logger from './logger.js';
-import {formatUserMessage, forwardEntityState, packEntityStates, entityType}
+import {formatUserMessage, formatChatMessage, parseUserChatMessage,
+  chatMessageType, forwardEntityState, packEntityStates,
+  serializeEntityState, deserializeEntityState, entityType, updateType}
   from '../common/ws-data-format.js';
-import {requestRemoteAddress} from './utils.js';
+import {requestRemoteAddress, isTokenCurrent, isGuestId} from './utils.js';
+import {findActiveBan, findActiveMute} from './moderation.js';
+import {worldAccessStatus, checkWorldAccess} from './world-access.js';
+import {RateLimiter, defaultChatRateLimit, defaultStateRateLimit}
+  from './rate-limit.js';
+import {defaultChatBacklog} from './chat-log.js';
 
 const bearerRegex = /^Bearer (.*)$/i;
 const worldChatRegex = /^\/api\/worlds\/([0-9]+)\/ws\/chat$/;
@@ -16,19 +23,36 @@ const worldStateRegex = /^\/api\/worlds\/([0-9]+)\/ws\/state$/;
 const worldUpdateRegex = /^\/api\/worlds\/([0-9]+)\/ws\/update$/;
 const userChatRegex = /^\/api\/users\/([0-9]+)\/ws\/chat$/;
 
+// Maximum length of chat messages (world or private ones), longer ones get
+// rejected
+const maxChatMessageLength = 1000;
+
 /** Core manager for WebSocket connections on the server */
 class WsChannelManager {
   /**
    * @constructor
    * @param {map} userCache - Map of users indexed by ID
+   * @param {map} muteCache - Map of mutes indexed by ID
    * @param {integer} broadcastIntervalMs - Interval of time (in ms) between
    *                                        each broadcasting of world states
+   * @param {TelegramStore} telegramStore - Storage for the private messages
+   *                                        of offline users, those are
+   *                                        bounced if null
+   * @param {ChatLog} chatLog - Log of the world chat messages, nothing gets
+   *                            logged if null
    */
-  constructor(userCache, broadcastIntervalMs = 50) {
+  constructor(userCache, muteCache = new Map(), broadcastIntervalMs = 50,
+      telegramStore = null, chatLog = null) {
     this.userCache = userCache;
+    this.muteCache = muteCache;
+    this.telegramStore = telegramStore;
+    this.chatLog = chatLog;
     this.worldChannels = {};
     this.userChannels = {};
+    this.userConnections = {};
     this.worldStateBuffers = {};
+    this.worldPresenceEvents = {};
+    this.lastChatMessageId = 0;
     this.broadcastIntervalMs = broadcastIntervalMs;
     this.broadcastLoop = null;
   }
@@ -53,42 +77,223 @@ class WsChannelManager {
     this.broadcastLoop = null;
   }
 
+  /**
+   * Keep track of any WebSocket connection opened by a user
+   * @param {integer} clientId - ID of the user owning the connection.
+   * @param {WebSocket} ws - WebSocket client instance.
+   */
+  trackConnection(clientId, ws) {
+    if (this.userConnections[clientId] === undefined) {
+      this.userConnections[clientId] = new Set();
+    }
+
+    this.userConnections[clientId].add(ws);
+  }
+
+  /**
+   * Stop keeping track of a WebSocket connection opened by a user
+   * @param {integer} clientId - ID of the user owning the connection.
+   * @param {WebSocket} ws - WebSocket client instance.
+   */
+  untrackConnection(clientId, ws) {
+    this.userConnections[clientId]?.delete(ws);
+
+    if (!this.userConnections[clientId]?.size) {
+      delete this.userConnections[clientId];
+    }
+  }
+
+  /**
+   * Close all the WebSocket connections opened by a user
+   * @param {integer} clientId - ID of the user to disconnect.
+   * @param {string} reason - Reason for the disconnection, sent to the user.
+   */
+  disconnectUser(clientId, reason = 'Logged out') {
+    const connections = this.userConnections[clientId];
+    if (!connections) return;
+
+    for (const ws of connections) {
+      // 1008: Policy Violation
+      ws.close(1008, reason);
+    }
+  }
+
+  /**
+   * Close all the WebSocket connections of a user to a world, the user
+   * remaining connected to the other ones
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} clientId - ID of the user to eject.
+   * @param {string} reason - Reason for the ejection, sent to the user.
+   * @return {boolean} True if the user had any connection to the world,
+   *                   false otherwise.
+   */
+  ejectUser(worldId, clientId, reason = 'Ejected') {
+    const channels = this.worldChannels[worldId];
+    if (!channels) return false;
+
+    const connections = [channels.chat, channels.state, channels.update]
+        .map((channel) => channel[clientId]).filter((ws) => ws);
+
+    for (const ws of connections) {
+      // 1008: Policy Violation
+      ws.close(1008, reason);
+    }
+
+    return connections.length > 0;
+  }
+
   /**
    * Create a new WebSocket world chat connection
    * @param {integer} worldId - ID of the world.
    * @param {WebSocket} ws - WebSocket client instance.
    * @param {integer} clientId - ID of the user to connect.
+   * @param {integer} backlog - Number of the latest logged messages to send
+   *                            to the user right away (optional).
    */
-  addWorldChatConnection(worldId, ws, clientId) {
+  addWorldChatConnection(worldId, ws, clientId, backlog = 0) {
     if (this.worldChannels[worldId] === undefined) {
       // No ongoing channel for this world, ready the base object first
       this.worldChannels[worldId] = {chat: {}, state: {}, update: {}};
     }
 
+    const previousWs = this.worldChannels[worldId].chat[clientId];
+
     // Do not allow more than one connection per client, close the
     // current one if any
-    this.worldChannels[worldId].chat[clientId]?.close();
+    previousWs?.close();
 
     this.worldChannels[worldId].chat[clientId] = ws;
+
+    // Replacing a connection does not make the user join the chat again
+    if (!previousWs) {
+      this.sendWorldPresenceMessage(worldId, clientId, chatMessageType.join);
+    }
+
+    if (this.chatLog && backlog > 0) {
+      this.sendWorldChatBacklog(worldId, ws, backlog)
+          .catch((e) => logger.error(e));
+    }
+  }
+
+  /**
+   * Send the latest logged messages of a world chat to a single connection,
+   * flagged as part of the history
+   * @param {integer} worldId - ID of the world.
+   * @param {WebSocket} ws - WebSocket client instance.
+   * @param {integer} amount - Maximum number of messages to send.
+   */
+  async sendWorldChatBacklog(worldId, ws, amount) {
+    // Messages sent from now on are received live, leave them out
+    const messages = await this.chatLog.getLatest(parseInt(worldId), amount,
+        {beforeDate: Date.now()});
+
+    for (const {id, userId, name, role, type, message, date} of messages) {
+      ws.send(formatChatMessage(type, this.nextChatMessageId(), Number(date),
+          true, {id: userId, name, role}, message, {history: {id}}));
+    }
   }
 
   /**
    * Remove an existing WebSocket world chat connection
    * @param {integer} worldId - ID of the world.
    * @param {integer} clientId - ID of the user to disconnect.
+   * @param {WebSocket} ws - WebSocket client instance (optional), nothing
+   *                         gets removed if it no longer is the current
+   *                         connection of the user.
    */
-  removeWorldChatConnection(worldId, clientId) {
-    this.worldChannels[worldId]?.chat[clientId]?.close();
+  removeWorldChatConnection(worldId, clientId, ws = null) {
+    const currentWs = this.worldChannels[worldId]?.chat[clientId];
+
+    if (!currentWs || (ws && ws !== currentWs)) return;
+
+    currentWs.close();
     delete this.worldChannels[worldId].chat[clientId];
+
+    this.sendWorldPresenceMessage(worldId, clientId, chatMessageType.leave);
+  }
+
+  /**
+   * Get a new ID for a world chat message
+   * @return {integer} ID of the message, unique for the server session.
+   */
+  nextChatMessageId() {
+    return ++this.lastChatMessageId;
+  }
+
+  /**
+   * Let the other users of a world chat know someone joined or left it
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} clientId - ID of the user joining or leaving.
+   * @param {string} type - Type of the message, either join or leave.
+   */
+  sendWorldPresenceMessage(worldId, clientId, type) {
+    const worldChat = this.worldChannels[worldId]?.chat ?? {};
+    const user = this.userCache.get(clientId);
+    if (!user) return;
+
+    const data = formatChatMessage(type, this.nextChatMessageId(),
+        Date.now(), true, {id: clientId, name: user.name, role: user.role},
+        '');
+
+    for (const [id, ws] of Object.entries(worldChat)) {
+      if (parseInt(id) !== clientId) ws.send(data);
+    }
+  }
+
+  /**
+   * Send a notice from the server on a world chat, either to a single user
+   * (system message) or to everyone in the world (broadcast message)
+   * @param {integer} worldId - ID of the world.
+   * @param {string} msg - Content of the notice.
+   * @param {integer} clientId - ID of the user to notify, everyone in the
+   *                             world if null.
+   * @return {integer} Number of users who received the notice.
+   */
+  sendWorldNotice(worldId, msg, clientId = null) {
+    const worldChat = this.worldChannels[worldId]?.chat ?? {};
+
+    if (clientId !== null) {
+      if (!worldChat[clientId]) return 0;
+
+      worldChat[clientId].send(formatChatMessage(chatMessageType.system,
+          this.nextChatMessageId(), Date.now(), true, null, msg));
+      return 1;
+    }
+
+    const data = formatChatMessage(chatMessageType.broadcast,
+        this.nextChatMessageId(), Date.now(), true, null, msg);
+    const connections = Object.values(worldChat);
+
+    for (const ws of connections) {
+      ws.send(data);
+    }
+
+    return connections.length;
+  }
+
+  /**
+   * Broadcast a notice from the server to every world chat
+   * @param {string} msg - Content of the notice.
+   * @return {integer} Number of users who received the notice.
+   */
+  broadcastNotice(msg) {
+    let count = 0;
+
+    for (const worldId of Object.keys(this.worldChannels)) {
+      count += this.sendWorldNotice(worldId, msg);
+    }
+
+    return count;
   }
 
   /**
    * Send message to the world chat
    * @param {integer} clientId - ID of the user sending the message.
    * @param {integer} worldId - ID of the world to broadcast the message to.
-   * @param {string} msg - Message to broadcast on the world chat.
+   * @param {string} text - Message to broadcast on the world chat, either
+   *                        plain text or a typed JSON envelope.
    */
-  sendWorldChatMessage(clientId, worldId, msg) {
+  sendWorldChatMessage(clientId, worldId, text) {
     const worldChat = this.worldChannels[worldId]?.chat;
     if (worldChat === undefined) {
       throw new Error(`World #${worldId} not found, can't send message`);
@@ -100,13 +305,58 @@ class WsChannelManager {
                       'can\'t send message');
     }
 
+    let message = null;
+
+    try {
+      message = parseUserChatMessage(text);
+    } catch (e) {
+      this.sendWorldNotice(worldId, `Invalid chat message: ${e.message}`,
+          clientId);
+      return;
+    }
+
+    const {type, msg, to} = message;
+
     // Do not propagate empty messages, ignore silently
     if (!msg.length) return;
 
-    const data = formatUserMessage(true, clientId, user.name, user.role, msg);
+    if (msg.length > maxChatMessageLength) {
+      this.sendWorldNotice(worldId, 'Chat message too long (' +
+          `${maxChatMessageLength} characters at most)`, clientId);
+      return;
+    }
+
+    const sender = {id: clientId, name: user.name, role: user.role};
+    const details = type === chatMessageType.whisper ? {to} : {};
+    const date = Date.now();
+
+    if (findActiveMute(this.muteCache, worldId, clientId)) {
+      // Muted user, only notify the sender about the failure
+      worldChat[clientId]?.send(formatChatMessage(type,
+          this.nextChatMessageId(), date, false, sender, msg, details));
+      return;
+    }
+
+    if (type === chatMessageType.whisper) {
+      const recipientChat = worldChat[to];
+
+      // Recipient is not in this world, only notify the sender
+      const data = formatChatMessage(type, this.nextChatMessageId(), date,
+          !!recipientChat, sender, msg, details);
+
+      recipientChat?.send(data);
+      if (to !== clientId) worldChat[clientId]?.send(data);
+      return;
+    }
+
+    const data = formatChatMessage(type, this.nextChatMessageId(), date, true,
+        sender, msg);
     for (const ws of Object.values(worldChat)) {
       ws.send(data);
     }
+
+    this.chatLog?.append(parseInt(worldId), clientId, user.name, user.role,
+        type, msg, date).catch((e) => logger.error(e));
   }
 
   /**
@@ -126,24 +376,106 @@ class WsChannelManager {
       this.worldStateBuffers[worldId] = new Map();
     }
 
+    const previousWs = this.worldChannels[worldId].state[clientId];
+
     // Do not allow more than one connection per client, close the
     // current one if any
-    this.worldChannels[worldId].state[clientId]?.close();
+    previousWs?.close();
 
     this.worldChannels[worldId].state[clientId] = ws;
+
+    // Replacing a connection does not make the user join the world again
+    if (!previousWs) {
+      this.queuePresenceEvent(worldId, clientId, updateType.joining);
+    }
   }
 
   /**
    * Remove an existing WebSocket world state connection
    * @param {integer} worldId - ID of the world.
    * @param {integer} clientId - ID of the user to disconnect.
+   * @param {WebSocket} ws - WebSocket client instance (optional), nothing
+   *                         gets removed if it no longer is the current
+   *                         connection of the user.
    */
-  removeWorldStateConnection(worldId, clientId) {
-    this.worldChannels[worldId]?.state[clientId]?.close();
+  removeWorldStateConnection(worldId, clientId, ws = null) {
+    const currentWs = this.worldChannels[worldId]?.state[clientId];
+
+    if (!currentWs || (ws && ws !== currentWs)) return;
+
+    currentWs.close();
+
+    // Let the others know where the user was last seen
+    const lastState = this.worldStateBuffers[worldId]?.get(clientId);
+    const position = lastState ? deserializeEntityState(lastState) : {};
+
+    this.queuePresenceEvent(worldId, clientId, updateType.leaving, position);
     this.worldStateBuffers[worldId]?.delete(clientId);
     delete this.worldChannels[worldId].state[clientId];
   }
 
+  /**
+   * Queue a presence event (joining or leaving) for a user, to be sent
+   * once along the next broadcasting of the world states
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} clientId - ID of the user.
+   * @param {integer} type - Update type of the event.
+   * @param {Object} position - Position and orientation of the user
+   *                            (optional).
+   */
+  queuePresenceEvent(worldId, clientId, type,
+      {x = 0, y = 0, z = 0, yaw = 0, pitch = 0, roll = 0} = {}) {
+    if (this.worldPresenceEvents[worldId] === undefined) {
+      this.worldPresenceEvents[worldId] = [];
+    }
+
+    this.worldPresenceEvents[worldId].push([clientId,
+      serializeEntityState({entityType: entityType.user, updateType: type,
+        entityId: clientId, x, y, z, yaw, pitch, roll})]);
+  }
+
+  /**
+   * List the users currently in a world, based on their state connections
+   * @param {integer} worldId - ID of the world.
+   * @return {Array<Object>} Users in the world, with their ID, name, role
+   *                         and last known position (null if unknown yet).
+   */
+  getWorldUsers(worldId) {
+    const worldState = this.worldChannels[worldId]?.state ?? {};
+    const users = [];
+
+    for (const clientId of Object.keys(worldState).map((id) =>
+      parseInt(id))) {
+      const user = this.userCache.get(clientId);
+      if (!user) continue;
+
+      const state = this.worldStateBuffers[worldId]?.get(clientId);
+      let position = null;
+
+      if (state) {
+        const {x, y, z} = deserializeEntityState(state);
+        position = {x, y, z};
+      }
+
+      users.push({id: clientId, name: user.name, role: user.role, position});
+    }
+
+    return users;
+  }
+
+  /**
+   * Count the users currently in a world, based on their state connections
+   * @param {integer} worldId - ID of the world.
+   * @param {integer} excludedId - ID of a user not to count (optional).
+   * @return {integer} Number of users in the world.
+   */
+  getWorldPopulation(worldId, excludedId = null) {
+    const worldState = this.worldChannels[worldId]?.state ?? {};
+
+    return Object.keys(worldState)
+        .filter((clientId) => clientId != excludedId).length;
+  }
+
   /**
    * Update user world state
    * @param {integer} clientId - ID of the user updating their state.
@@ -164,28 +496,45 @@ class WsChannelManager {
 
     // TODO: catch error if any and log it somewhere
     try {
-      this.worldStateBuffers[worldId].set(clientId,
-          forwardEntityState(entityType.user, clientId, state));
+      const validState = forwardEntityState(entityType.user, clientId, state);
+      const uShortArray = new Uint16Array(validState.buffer);
+
+      // Joining and leaving are for the server to tell, not the users
+      if (uShortArray[3] == updateType.joining ||
+          uShortArray[3] == updateType.leaving) {
+        uShortArray[3] = updateType.moving;
+      }
+
+      this.worldStateBuffers[worldId].set(clientId, validState);
     } catch (e) {
       logger.error(e);
     }
   }
 
   /**
-   * Broadcast all world states
+   * Broadcast all world states, along with the pending presence events
    */
   broadcastWorldStates() {
     for (const [worldId, bufferMap] of Object.entries(this.worldStateBuffers)) {
       const worldState = this.worldChannels[worldId]?.state;
+      const events = this.worldPresenceEvents[worldId] ?? [];
+
+      delete this.worldPresenceEvents[worldId];
 
       if (worldState === undefined) continue;
 
-      const payload = packEntityStates(
-          Array.from(bufferMap, ([clientId, state]) => state),
-      );
+      const states = Array.from(bufferMap, ([clientId, state]) => state);
+      const payload = packEntityStates([
+        ...events.map(([clientId, state]) => state), ...states]);
 
-      for (const ws of Object.values(worldState)) {
-        ws.send(payload);
+      for (const [clientId, ws] of Object.entries(worldState)) {
+        // Users are not told about their own presence events
+        const ownEvents = events.some(([id]) => id == clientId);
+
+        ws.send(ownEvents ? packEntityStates([
+          ...events.filter(([id]) => id != clientId)
+              .map(([id, state]) => state),
+          ...states]) : payload);
       }
     }
   }
@@ -232,9 +581,16 @@ class WsChannelManager {
    * Remove an existing WebSocket world update connection
    * @param {integer} worldId - ID of the world.
    * @param {integer} clientId - ID of the user to disconnect.
+   * @param {WebSocket} ws - WebSocket client instance (optional), nothing
+   *                         gets removed if it no longer is the current
+   *                         connection of the user.
    */
-  removeWorldUpdateConnection(worldId, clientId) {
-    this.worldChannels[worldId]?.update[clientId]?.close();
+  removeWorldUpdateConnection(worldId, clientId, ws = null) {
+    const currentWs = this.worldChannels[worldId]?.update[clientId];
+
+    if (!currentWs || (ws && ws !== currentWs)) return;
+
+    currentWs.close();
     delete this.worldChannels[worldId].update[clientId];
   }
 
@@ -253,14 +609,49 @@ class WsChannelManager {
   /**
    * Remove an existing WebSocket user chat connection
    * @param {integer} clientId - ID of the user to disconnect.
+   * @param {WebSocket} ws - WebSocket client instance (optional), nothing
+   *                         gets removed if it no longer is the current
+   *                         connection of the user.
    */
-  removeUserChatConnection(clientId) {
-    this.userChannels[clientId]?.close();
+  removeUserChatConnection(clientId, ws = null) {
+    const currentWs = this.userChannels[clientId];
+
+    if (!currentWs || (ws && ws !== currentWs)) return;
+
+    currentWs.close();
     delete this.userChannels[clientId];
   }
 
   /**
-   * Send message to a speicific user
+   * Deliver to a user all the telegrams they received while offline
+   * @param {integer} clientId - ID of the user who just came online.
+   */
+  async deliverTelegrams(clientId) {
+    if (!this.telegramStore) return;
+
+    const telegrams = await this.telegramStore.getPending(clientId);
+    const userChat = this.userChannels[clientId];
+    const delivered = [];
+
+    for (const telegram of telegrams) {
+      // The user may have gone offline again in the meantime
+      if (this.userChannels[clientId] !== userChat) break;
+
+      const user = this.userCache.get(telegram.fromUserId);
+
+      userChat.send(formatUserMessage(true, telegram.fromUserId,
+          user?.name ?? null, user?.role ?? null, telegram.message,
+          {to: clientId, telegram: {id: telegram.id,
+            date: Number(telegram.date)}}));
+      delivered.push(telegram.id);
+    }
+
+    await this.telegramStore.markDelivered(delivered);
+  }
+
+  /**
+   * Send message to a speicific user, if they are offline: the message is
+   * kept as a telegram for them if possible, bounced otherwise
    * @param {integer} clientId - ID of the user sending the message.
    * @param {integer} userId - ID of the user receiving the message.
    * @param {string} msg - Message to send.
@@ -280,18 +671,53 @@ class WsChannelManager {
                       'can\'t send message');
     }
 
-    let data = formatUserMessage(false, clientId, user.name, user.role, msg);
-    if (userChat === undefined) {
-      // Destination user is offline, notify sender about failure
+    const details = {to: userId};
+
+    let data = formatUserMessage(false, clientId, user.name, user.role, msg,
+        details);
+
+    if (msg.length > maxChatMessageLength) {
+      // Too long to be delivered (or kept), notify sender about failure
       clientChat.send(data);
       return;
     }
 
+    if (userChat === undefined) {
+      // Destination user is offline, only registered users can get
+      // telegrams from other registered users
+      if (!this.telegramStore || !msg.length || isGuestId(clientId) ||
+          isGuestId(userId) || !this.userCache.has(userId)) {
+        // Notify sender about failure
+        clientChat.send(data);
+        return;
+      }
+
+      this.telegramStore.store(clientId, userId, msg)
+          .then((telegram) => {
+            if (!telegram) {
+              // Too many telegrams pending for this user already
+              clientChat.send(data);
+              return;
+            }
+
+            // Not delivered yet, but kept for later: let the sender know
+            const {id, date} = telegram;
+            clientChat.send(formatUserMessage(false, clientId, user.name,
+                user.role, msg, {...details, telegram: {id, date}}));
+          })
+          .catch((e) => {
+            logger.error(e);
+            clientChat.send(data);
+          });
+      return;
+    }
+
     // Do not propagate empty messages, ignore silently
     if (!msg.length) return;
 
     // Destination user is online
-    data = formatUserMessage(true, clientId, user.name, user.role, msg);
+    data = formatUserMessage(true, clientId, user.name, user.role, msg,
+        details);
 
     // We don't intend to broadcast to everyone... So we reply to the
     // destination user but also to the original sender as well for
@@ -301,8 +727,35 @@ class WsChannelManager {
   }
 }
 
-const spawnWsServer = async (server, secret, userCache) => {
-  const wsChannelManager = new WsChannelManager(userCache);
+const spawnWsServer = async (server, secret, userCache, banCache,
+    muteCache, worldCache = new Map(),
+    config = {chatRateLimit: defaultChatRateLimit,
+      stateRateLimit: defaultStateRateLimit}, telegramStore = null,
+    chatLog = null) => {
+  const wsChannelManager = new WsChannelManager(userCache, muteCache, 50,
+      telegramStore, chatLog);
+
+  // Chat messages (world and user ones alike) and state updates are limited
+  // per user, respectively per minute and per second
+  const chatLimiter = new RateLimiter(60000);
+  const stateLimiter = new RateLimiter(1000);
+
+  // Tell if the user is sending messages too fast, those get dropped
+  const isFlooding = (userId, type) => {
+    const waitMs = type == 'state' ?
+      stateLimiter.consume(userId,
+          config.stateRateLimit ?? defaultStateRateLimit) :
+      chatLimiter.consume(userId,
+          config.chatRateLimit ?? defaultChatRateLimit);
+
+    if (waitMs) {
+      logger.debug(`Dropped ${type} message from user #${userId}: ` +
+                   'rate limit exceeded');
+    }
+
+    return !!waitMs;
+  };
+
   const authenticate = (req, onError, onSuccess) => {
     // Get Bearer token, we strip the 'Bearer' part
     const authMatch = req.headers['authorization']?.match(bearerRegex);
@@ -315,8 +768,16 @@ const spawnWsServer = async (server, secret, userCache) => {
     }
 
     jwt.verify(token, secret, (err, payload) => {
-      if (err) {
+      if (err || !isTokenCurrent(payload, userCache)) {
         // We aknowledge a Bearer token was provided to us, but it is not valid
+        // (expired and revoked tokens included)
+        onError(403);
+        return;
+      }
+
+      if (findActiveBan(banCache, payload.userId,
+          requestRemoteAddress(req, config.trustProxy))) {
+        // Banned users (or addresses) are not welcome
         onError(403);
         return;
       }
@@ -325,18 +786,55 @@ const spawnWsServer = async (server, secret, userCache) => {
     });
   };
 
+  const accessErrors = {
+    [worldAccessStatus.notFound]: '404 Not Found',
+    [worldAccessStatus.forbidden]: '403 Forbidden',
+    [worldAccessStatus.full]: '503 Service Unavailable',
+  };
+
+  // Only let users connect to world channels if the access rule and the
+  // maximum population of the world allow it, users already in the world are
+  // not counted against the latter, world passwords are never read there: they
+  // need to be provided beforehand when getting the world through the API
+  const checkWorldEntry = (worldId, userId, onError, onSuccess) => {
+    checkWorldAccess(worldCache, userCache, parseInt(worldId), userId,
+        null, wsChannelManager.getWorldPopulation(worldId, userId))
+        .then((status) => {
+          if (status == worldAccessStatus.granted) {
+            onSuccess();
+          } else {
+            onError(accessErrors[status]);
+          }
+        })
+        .catch((e) => {
+          logger.error(e);
+          onError('500 Internal Server Error');
+        });
+  };
+
   const wss = new WebSocketServer({noServer: true});
 
   wss.on('connection', (ws, request, entity, id, type, userId) => {
+    // Keep track of all connections from this user, to be able to close them
+    // all at once if need be
+    wsChannelManager.trackConnection(userId, ws);
+
+    ws.on('close', () => {
+      wsChannelManager.untrackConnection(userId, ws);
+    });
+
     if (entity == 'world') {
       if (type == 'chat') {
-        wsChannelManager.addWorldChatConnection(id, ws, userId);
+        wsChannelManager.addWorldChatConnection(id, ws, userId,
+            config.chatBacklog ?? defaultChatBacklog);
 
         ws.on('close', () => {
-          wsChannelManager.removeWorldChatConnection(id, userId);
+          wsChannelManager.removeWorldChatConnection(id, userId, ws);
         });
 
         ws.on('message', (data) => {
+          if (isFlooding(userId, 'chat')) return;
+
           try {
             wsChannelManager.sendWorldChatMessage(userId, id,
                 new TextDecoder().decode(data));
@@ -348,10 +846,12 @@ const spawnWsServer = async (server, secret, userCache) => {
         wsChannelManager.addWorldStateConnection(id, ws, userId);
 
         ws.on('close', () => {
-          wsChannelManager.removeWorldStateConnection(id, userId);
+          wsChannelManager.removeWorldStateConnection(id, userId, ws);
         });
 
         ws.on('message', (data) => {
+          if (isFlooding(userId, 'state')) return;
+
           try {
             wsChannelManager.updateWorldState(userId, id, new Uint8Array(data));
           } catch (e) {
@@ -362,7 +862,7 @@ const spawnWsServer = async (server, secret, userCache) => {
         wsChannelManager.addWorldUpdateConnection(id, ws, userId);
 
         ws.on('close', () => {
-          wsChannelManager.removeWorldUpdateConnection(id, userId);
+          wsChannelManager.removeWorldUpdateConnection(id, userId, ws);
         });
       }
     } else if (entity == 'user') {
@@ -371,16 +871,20 @@ const spawnWsServer = async (server, secret, userCache) => {
         // messages, they will now be reachable by other users and
         // will be considered online
         wsChannelManager.addUserChatConnection(ws, userId);
+        wsChannelManager.deliverTelegrams(userId)
+            .catch((e) => logger.error(e));
 
         ws.on('close', () => {
-          // User goes offline
-          wsChannelManager.removeUserChatConnection(userId);
+          // User goes offline, unless they already reconnected
+          wsChannelManager.removeUserChatConnection(userId, ws);
         });
       }
 
       ws.on('message', (data) => {
+        if (isFlooding(userId, 'chat')) return;
+
         try {
-          wsChannelManager.sendUserChatMessage(userId, id,
+          wsChannelManager.sendUserChatMessage(userId, parseInt(id),
               new TextDecoder().decode(data));
         } catch (e) {
           logger.error(e);
@@ -394,7 +898,7 @@ const spawnWsServer = async (server, secret, userCache) => {
     // We don't care about the base
 
     // Handle reverse-proxy forwarding (if set) to get the actual remote address
-    const remoteAddress = requestRemoteAddress(request);
+    const remoteAddress = requestRemoteAddress(request, config.trustProxy);
 
     const worldMatch = pathname.match(worldChatRegex);
     const stateMatch = pathname.match(worldStateRegex);
@@ -425,20 +929,7 @@ const spawnWsServer = async (server, secret, userCache) => {
       }
     }
 
-    authenticate(request, (err) => {
-      if (err == 401) {
-        logger.warn(`Unauthorized WS connection to '${pathname}' from ` +
-                    `'${remoteAddress}': failed authentication`);
-        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-      } else if (err == 403) {
-        logger.warn(`Forbidden WS connection to '${pathname}' from `+
-                    `'${remoteAddress}': bad credentials`);
-        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
-      }
-      socket.destroy();
-      return;
-    },
-    (userId) => {
+    const upgradeConnection = (userId) => {
       // The token is valid, we can upgrade to an actual Websocket connection
       wss.handleUpgrade(request, socket, head, (ws) => {
         if (worldMatch) {
@@ -455,6 +946,37 @@ const spawnWsServer = async (server, secret, userCache) => {
               userMatch[1], 'chat', userId);
         }
       });
+    };
+
+    authenticate(request, (err) => {
+      if (err == 401) {
+        logger.warn(`Unauthorized WS connection to '${pathname}' from ` +
+                    `'${remoteAddress}': failed authentication`);
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      } else if (err == 403) {
+        logger.warn(`Forbidden WS connection to '${pathname}' from `+
+                    `'${remoteAddress}': bad credentials`);
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      }
+      socket.destroy();
+      return;
+    },
+    (userId) => {
+      const worldId = (worldMatch ?? stateMatch ?? updateMatch)?.[1];
+
+      if (worldId === undefined) {
+        upgradeConnection(userId);
+        return;
+      }
+
+      checkWorldEntry(worldId, userId,
+          (err) => {
+            logger.warn(`Refused WS connection to '${pathname}' from ` +
+                        `'${remoteAddress}': ${err}`);
+            socket.write(`HTTP/1.1 ${err}\r\n\r\n`);
+            socket.destroy();
+          },
+          () => upgradeConnection(userId));
     });
   });
 
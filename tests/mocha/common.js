@@ -8,9 +8,11 @@ import {localEndiannessCue, otherEndiannessCue} from '../../common/endian.js';
 import {serializeEntityState, deserializeEntityState, forwardEntityState,
   packEntityStates, unpackEntityStates, entityStateSize,
   validateEntityState, validateEntityStatePack,
-  simpleStringHash} from '../../common/ws-data-format.js';
+  simpleStringHash, formatChatMessage, parseUserChatMessage,
+  validateChatMessage} from '../../common/ws-data-format.js';
 import {serializeProp, deserializeProp, packPropData, unpackPropData,
-  propDataMinSize, validatePropData, validatePropDataPack, hashProps}
+  propDataMinSize, validatePropData, validatePropDataPack, hashProps,
+  propStringMaxSize, validatePropFields}
   from '../../common/props-data-format.js';
 import {epsEqual} from '../utils.js';
 import * as assert from 'assert';
@@ -393,6 +395,64 @@ describe('common', () => {
     assert.notEqual(simpleStringHash('walk', 0xffff), simpleStringHash('walk', 0xff));
   });
 
+  it('formatChatMessage', () => {
+    assert.deepStrictEqual(JSON.parse(formatChatMessage('whisper', 3, 1000,
+        true, {id: 1, name: 'Al1ce', role: 'citizen'}, 'Psst', {to: 2})),
+    {type: 'whisper', messageId: 3, date: 1000, delivered: true, id: 1,
+      name: 'Al1ce', role: 'citizen', msg: 'Psst', to: 2});
+
+    // Sent by the server
+    assert.deepStrictEqual(JSON.parse(formatChatMessage('system', 4, 1000,
+        true, null, 'Hello')),
+    {type: 'system', messageId: 4, date: 1000, delivered: true, id: null,
+      name: null, role: null, msg: 'Hello'});
+  });
+
+  it('parseUserChatMessage', () => {
+    // Plain text is said as is
+    assert.deepStrictEqual(parseUserChatMessage('Hello'),
+        {type: 'say', msg: 'Hello'});
+    assert.deepStrictEqual(parseUserChatMessage('{not json'),
+        {type: 'say', msg: '{not json'});
+    assert.deepStrictEqual(parseUserChatMessage('{"msg": "untyped"}'),
+        {type: 'say', msg: '{"msg": "untyped"}'});
+
+    assert.deepStrictEqual(parseUserChatMessage(
+        '{"type": "emote", "msg": "waves", "to": 2}'),
+    {type: 'emote', msg: 'waves'});
+    assert.deepStrictEqual(parseUserChatMessage(
+        '{"type": "whisper", "msg": "Psst", "to": 2}'),
+    {type: 'whisper', msg: 'Psst', to: 2});
+
+    assert.throws(() => parseUserChatMessage(
+        '{"type": "system", "msg": "Hello"}'), /Invalid type/);
+    assert.throws(() => parseUserChatMessage(
+        '{"type": "say", "msg": 42}'), /Invalid content/);
+    assert.throws(() => parseUserChatMessage(
+        '{"type": "whisper", "msg": "Psst", "to": "2"}'), /Invalid recipient/);
+    assert.throws(() => parseUserChatMessage(null), /Invalid payload/);
+  });
+
+  it('validateChatMessage', () => {
+    const message = {type: 'say', messageId: 3, date: 1000, delivered: true,
+      id: 1, name: 'Al1ce', role: 'citizen', msg: 'Hello'};
+    const notice = {...message, type: 'broadcast', id: null, name: null,
+      role: null};
+
+    assert.strictEqual(validateChatMessage(message), message);
+    assert.strictEqual(validateChatMessage(notice), notice);
+
+    assert.throws(() => validateChatMessage('Hello'), /Invalid payload/);
+    assert.throws(() => validateChatMessage({...message, type: 'shout'}),
+        /Invalid type/);
+    assert.throws(() => validateChatMessage({...message, date: '1000'}),
+        /Invalid fields/);
+    assert.throws(() => validateChatMessage({...message, id: null}),
+        /Invalid sender/);
+    assert.throws(() => validateChatMessage({...notice, id: 1}),
+        /Invalid sender/);
+  });
+
   it('(de)serializeProp', () => {
     const id = 1337;
     const worldId = 42;
@@ -499,6 +559,34 @@ describe('common', () => {
     assert.throws(() => unpackPropData(badPack), Error);
   });
 
+  it('prop data endianness handling', () => {
+    const prop = dummySerializeProp(0);
+
+    /* Test prop validation: unknown endian */
+    const unknownProp = dummySerializeProp(0);
+    unknownProp[0] = 0xaa;
+
+    assert.throws(() => validatePropData(unknownProp), Error);
+
+    /* Test prop validation: other endian */
+    const otherProp = validatePropData(prop, otherEndiannessCue,
+        localEndiannessCue);
+
+    assert.strictEqual(new Uint32Array(otherProp.buffer, 0, 1)[0],
+        otherEndiannessCue);
+    assert.notEqual(JSON.stringify(prop.slice(4)),
+        JSON.stringify(otherProp.slice(4)));
+
+    /* Flipping it back must give the exact same payload */
+    const localProp = validatePropData(otherProp);
+    assert.equal(JSON.stringify(prop), JSON.stringify(localProp));
+
+    const dictProp = deserializeProp(localProp);
+    assert.ok(epsEqual(dictProp.y, 30.25));
+    assert.equal(dictProp.name, 'door00.rwx');
+    assert.equal(dictProp.action, 'create solid off; create name 0');
+  });
+
   it('hashProps', () => {
     const firstProp = {id: 1, date: 12345};
     const secondProp = {id: 4, date: BigInt(12346)};
@@ -507,5 +595,53 @@ describe('common', () => {
 
     assert.strictEqual(hashProps([firstProp, secondProp]), hashProps([secondProp, firstProp])); // Consistent hash
     assert.notEqual(hashProps([firstProp, secondProp]), hashProps([firstProp])); // No collision
+
+    // Same dates, different props
+    assert.notEqual(hashProps([firstProp]), hashProps([{id: 2, date: 12345}]));
+
+    // Swapped dates
+    assert.notEqual(hashProps([firstProp, secondProp]),
+        hashProps([{id: 1, date: 12346}, {id: 4, date: 12345}]));
+
+    // One prop deleted and another one added at the same time
+    assert.notEqual(hashProps([firstProp, secondProp]),
+        hashProps([firstProp, {id: 5, date: 12346}]));
+
+    // Dates past 32 bits are fully accounted for
+    assert.notEqual(hashProps([{id: 1, date: 1700000000000}]),
+        hashProps([{id: 1, date: 1700000000000 + 2 ** 32}]));
+  });
+
+  it('validatePropFields', () => {
+    const prop = {x: 1.5, y: -2, z: 3, yaw: 0.5, pitch: 0, roll: -0.5,
+      name: 'wall01.rwx', description: '', action: 'create color red;'};
+
+    assert.deepStrictEqual(validatePropFields(prop), []);
+
+    // Read-only fields can be sent back as they are
+    assert.deepStrictEqual(validatePropFields({...prop, id: 1, worldId: 2,
+      userId: 3, date: 12345}), []);
+
+    // Updates only need the fields to change
+    assert.deepStrictEqual(validatePropFields({x: 2, name: null}, true), []);
+    assert.deepStrictEqual(validatePropFields({x: 2}),
+        ['y', 'z', 'yaw', 'pitch', 'roll', 'name', 'description', 'action']
+            .map((field) => ({field, reason: 'missing'})));
+
+    assert.deepStrictEqual(validatePropFields({...prop, color: 'red'}),
+        [{field: 'color', reason: 'unknown'}]);
+    assert.deepStrictEqual(validatePropFields({x: '1', description: 5}, true),
+        [{field: 'x', reason: 'type'}, {field: 'description', reason: 'type'}]);
+    assert.deepStrictEqual(validatePropFields({z: Infinity, yaw: 1e39}, true),
+        [{field: 'z', reason: 'range'}, {field: 'yaw', reason: 'range'}]);
+    assert.deepStrictEqual(validatePropFields({name: ''}, true),
+        [{field: 'name', reason: 'length'}]);
+
+    // String length limits apply to their UTF-8 encoded form
+    assert.deepStrictEqual(validatePropFields({
+      action: 'a'.repeat(propStringMaxSize)}, true), []);
+    assert.deepStrictEqual(validatePropFields({
+      action: 'é'.repeat(propStringMaxSize / 2 + 1)}, true),
+    [{field: 'action', reason: 'length'}]);
   });
 });
@@ -2,13 +2,15 @@
  * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
  */
 
-import makeHttpTestBase, {epsEqual} from '../utils.js';
-import {hashProps} from '../../common/props-data-format.js';
+import makeHttpTestBase, {epsEqual, sleep} from '../utils.js';
+import {hashProps, unpackPropData, deserializeProp}
+  from '../../common/props-data-format.js';
 import HttpClient from '../../client/src/core/http-client.js';
 import WsClient from '../../client/src/core/ws-client.js';
 import {defaultPageDiameter, unpackElevationData}
   from '../../common/terrain-utils.js';
 import * as assert from 'assert';
+import jwt from 'jsonwebtoken';
 
 // Testing http client
 describe('http client', () => {
@@ -30,8 +32,17 @@ describe('http client', () => {
 
   const login = async () => await httpClient.login('xXx_B0b_xXx', '3p1cP4sSw0Rd');
 
+  const loginPrivileged = async () => {
+    await login();
+    return await httpClient.elevate('pR1v1l3g3dP4sS');
+  };
+
   it('login - OK', (done) => {
-    login().then(() => done())
+    login().then(({id, role}) => {
+      assert.equal(id, base.adminId);
+      assert.equal(role, 'admin');
+      done();
+    })
         .catch((err) => done(err));
   });
 
@@ -44,6 +55,379 @@ describe('http client', () => {
         });
   });
 
+  it('loginGuest - OK', (done) => {
+    base.config.guestLogin = true;
+
+    httpClient.loginGuest('V1s1t0r')
+        .then(({id, role}) => {
+          assert.equal(role, 'tourist');
+          assert.ok(base.userCache.get(id).guest);
+          return httpClient.getWorlds();
+        })
+        .then(() => {
+          base.config.guestLogin = false;
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('loginGuest - Forbidden', (done) => {
+    base.config.guestLogin = false;
+
+    httpClient.loginGuest('V1s1t0r')
+        .then(() => done('Guest login should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('register - OK', (done) => {
+    base.config.openRegistration = true;
+
+    httpClient.register('n3wB1e', 'n3wP4sSw0Rd', 'newbie@somemail.com')
+        .then((body) => {
+          assert.ok(body.id);
+          assert.equal(body.name, 'n3wB1e');
+          assert.equal(body.email, 'newbie@somemail.com');
+          assert.equal(body.role, 'citizen');
+
+          return httpClient.login('n3wB1e', 'n3wP4sSw0Rd');
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('register - Forbidden', (done) => {
+    base.config.openRegistration = false;
+
+    httpClient.register('n3wB1e', 'n3wP4sSw0Rd')
+        .then(() => done('Registering should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('changePassword - OK', (done) => {
+    login().then(() => httpClient.changePassword(base.adminId, 'n3wP4sSw0Rd',
+        '3p1cP4sSw0Rd'))
+        .then(() => httpClient.login('xXx_B0b_xXx', 'n3wP4sSw0Rd'))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('changePassword - Forbidden', (done) => {
+    login().then(() => httpClient.changePassword(base.adminId, 'n3wP4sSw0Rd',
+        'UwU'))
+        .then(() => done('Changing password should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('changePassword - Unauthorized', (done) => {
+    httpClient.changePassword(base.adminId, 'n3wP4sSw0Rd', '3p1cP4sSw0Rd')
+        .then(() => done('Changing password should not work here'))
+        .catch((err) => {
+          if (err.message == 401) done();
+          else done(err);
+        });
+  });
+
+  it('refreshToken - OK', (done) => {
+    let refreshedToken = null;
+    httpClient.onTokenRefresh((token) => {
+      refreshedToken = token;
+    });
+
+    login().then(() => httpClient.refreshToken())
+        .then(({id, token}) => {
+          assert.equal(id, base.adminId);
+          assert.equal(token, refreshedToken);
+          assert.equal(httpClient.token, token);
+          return httpClient.getWorlds();
+        })
+        .then(() => done())
+        .catch((err) => done(err))
+        .finally(() => httpClient.onTokenRefresh(() => {}));
+  });
+
+  it('refreshToken - Unauthorized', (done) => {
+    httpClient.refreshToken()
+        .then(() => done('Refreshing token should not work here'))
+        .catch((err) => {
+          if (err.message == 401) done();
+          else done(err);
+        });
+  });
+
+  it('getFreshToken - OK (no refresh needed)', (done) => {
+    login().then(async ({token}) => {
+      assert.equal(await httpClient.getFreshToken(), token);
+      done();
+    })
+        .catch((err) => done(err));
+  });
+
+  it('getFreshToken - OK (refresh)', (done) => {
+    // Forge a token past half of its lifetime
+    const now = Math.floor(Date.now() / 1000);
+    const oldToken = jwt.sign({userId: base.adminId, userRole: 'admin',
+      iat: now - 3000}, base.secret, {expiresIn: 3600});
+    let refreshedToken = null;
+
+    httpClient.setAuthToken(oldToken);
+    httpClient.onTokenRefresh((token) => {
+      refreshedToken = token;
+    });
+
+    // Refreshing should happen transparently before any request
+    httpClient.getWorlds().then(async () => {
+      assert.ok(refreshedToken);
+      assert.notEqual(refreshedToken, oldToken);
+      assert.equal(httpClient.token, refreshedToken);
+      assert.equal(await httpClient.getFreshToken(), refreshedToken);
+      done();
+    })
+        .catch((err) => done(err))
+        .finally(() => httpClient.onTokenRefresh(() => {}));
+  });
+
+  it('getFreshToken - OK (elevated, no refresh needed)', async () => {
+    // Elevated tokens are kept past half of their lifetime...
+    const now = Math.floor(Date.now() / 1000);
+    const elevatedToken = jwt.sign({userId: base.adminId, userRole: 'admin',
+      elevated: true, iat: now - 400}, base.secret, {expiresIn: 600});
+    let privilegeLost = false;
+
+    httpClient.setAuthToken(elevatedToken);
+    httpClient.onPrivilegeLoss(() => {
+      privilegeLost = true;
+    });
+
+    try {
+      assert.equal(await httpClient.getFreshToken(), elevatedToken);
+      assert.ok(!privilegeLost);
+    } finally {
+      httpClient.onPrivilegeLoss(() => {});
+    }
+  });
+
+  it('getFreshToken - OK (elevated, refresh)', async () => {
+    // ...until they are about to expire, privilege mode ends then
+    const now = Math.floor(Date.now() / 1000);
+    const elevatedToken = jwt.sign({userId: base.adminId, userRole: 'admin',
+      elevated: true, iat: now - 500}, base.secret, {expiresIn: 600});
+    let privilegeLost = false;
+
+    httpClient.setAuthToken(elevatedToken);
+    httpClient.onPrivilegeLoss(() => {
+      privilegeLost = true;
+    });
+
+    try {
+      const token = await httpClient.getFreshToken();
+
+      assert.notEqual(token, elevatedToken);
+      assert.strictEqual(jwt.decode(token).elevated, undefined);
+      assert.ok(privilegeLost);
+    } finally {
+      httpClient.onPrivilegeLoss(() => {});
+    }
+  });
+
+  it('logout - OK', (done) => {
+    login().then(() => httpClient.logout())
+        .then(() => {
+          assert.strictEqual(httpClient.token, null);
+          return login();
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('logout - Unauthorized', (done) => {
+    httpClient.logout()
+        .then(() => done('Logging out should not work here'))
+        .catch((err) => {
+          if (err.message == 401) done();
+          else done(err);
+        });
+  });
+
+  it('logoutAll - OK', (done) => {
+    loginPrivileged().then(() => httpClient.logoutAll(base.citizenId))
+        .then(() => {
+          assert.equal(base.userCache.get(base.citizenId).tokenGeneration, 1);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('logoutAll - Not found', (done) => {
+    loginPrivileged().then(() => httpClient.logoutAll(66666))
+        .then(() => done('Logging user out should not work here'))
+        .catch((err) => {
+          if (err.message == 404) done();
+          else done(err);
+        });
+  });
+
+  it('createUser - OK', (done) => {
+    loginPrivileged().then(() => httpClient.createUser('n3wB0ss', 'n3wP4sSw0Rd',
+        'boss@somemail.com', 'admin'))
+        .then((body) => {
+          assert.equal(body.name, 'n3wB0ss');
+          assert.equal(body.email, 'boss@somemail.com');
+          assert.equal(body.role, 'admin');
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('updateUser - OK', (done) => {
+    loginPrivileged().then(() => httpClient.updateUser(base.citizenId,
+        {name: 'Al1ce_R3born'}))
+        .then((body) => {
+          assert.equal(body.id, base.citizenId);
+          assert.equal(body.name, 'Al1ce_R3born');
+          assert.equal(body.role, 'citizen');
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('updateUser - Not found', (done) => {
+    loginPrivileged().then(() => httpClient.updateUser(66666, {name: 'Nobody'}))
+        .then(() => done('Updating user should not work here'))
+        .catch((err) => {
+          if (err.message == 404) done();
+          else done(err);
+        });
+  });
+
+  it('deleteUser - OK', (done) => {
+    loginPrivileged().then(() => httpClient.deleteUser(base.citizenId))
+        .then(() => {
+          assert.strictEqual(base.userCache.has(base.citizenId), false);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('deleteUser - Unauthorized', (done) => {
+    httpClient.deleteUser(base.citizenId)
+        .then(() => done('Deleting user should not work here'))
+        .catch((err) => {
+          if (err.message == 401) done();
+          else done(err);
+        });
+  });
+
+  it('elevate - OK', (done) => {
+    let refreshedToken = null;
+    httpClient.onTokenRefresh((token) => {
+      refreshedToken = token;
+    });
+
+    login().then(() => httpClient.elevate('pR1v1l3g3dP4sS'))
+        .then(({id, token}) => {
+          assert.equal(id, base.adminId);
+          assert.equal(httpClient.token, token);
+          assert.equal(refreshedToken, token);
+          done();
+        })
+        .catch((err) => done(err))
+        .finally(() => httpClient.onTokenRefresh(() => {}));
+  });
+
+  it('elevate - Forbidden', (done) => {
+    login().then(() => httpClient.elevate('UwU'))
+        .then(() => done('Elevating should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('setPrivilegePassword - OK', (done) => {
+    httpClient.login('oOo_Al1ce_oOo', '3p1cP4sSw0Rd')
+        .then(() => httpClient.setPrivilegePassword(base.citizenId,
+            'n3wPr1vP4sS', '3p1cP4sSw0Rd'))
+        .then(() => httpClient.elevate('n3wPr1vP4sS'))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  // Testing moderation API
+
+  it('postBan, getBans & deleteBan - OK', (done) => {
+    let banId = null;
+
+    loginPrivileged().then(() => httpClient.postBan({userId: base.citizenId,
+      reason: 'Spamming', duration: 60}))
+        .then((ban) => {
+          banId = ban.id;
+          assert.strictEqual(ban.userId, base.citizenId);
+          assert.strictEqual(ban.reason, 'Spamming');
+          return httpClient.getBans();
+        })
+        .then((bans) => {
+          assert.equal(bans.length, 1);
+          assert.strictEqual(bans[0].id, banId);
+          return httpClient.deleteBan(banId);
+        })
+        .then(() => {
+          assert.strictEqual(base.banCache.size, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('postBan - Forbidden', (done) => {
+    login().then(() => httpClient.postBan({userId: base.citizenId}))
+        .then(() => done('Banning user should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('postMute, getMutes & deleteMute - OK', (done) => {
+    let muteId = null;
+
+    loginPrivileged().then(() => httpClient.postMute({worldId: base.worldId,
+      userId: base.citizenId}))
+        .then((mute) => {
+          muteId = mute.id;
+          assert.strictEqual(mute.worldId, base.worldId);
+          assert.strictEqual(mute.expires, null);
+          return httpClient.getMutes(base.worldId);
+        })
+        .then((mutes) => {
+          assert.equal(mutes.length, 1);
+          assert.strictEqual(mutes[0].id, muteId);
+          return httpClient.deleteMute(muteId);
+        })
+        .then(() => httpClient.getMutes())
+        .then((mutes) => {
+          assert.equal(mutes.length, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('deleteMute - Not found', (done) => {
+    loginPrivileged().then(() => httpClient.deleteMute(66666))
+        .then(() => done('Lifting mute should not work here'))
+        .catch((err) => {
+          if (err.message == 404) done();
+          else done(err);
+        });
+  });
+
   // Testing World API
 
   it('getWorlds - OK', (done) => {
@@ -72,6 +456,136 @@ describe('http client', () => {
         });
   });
 
+  it('createWorld, updateWorld & deleteWorld - OK', (done) => {
+    const data = {path: 'http://localhost:8080/path',
+      skyColors: {north: [0, 0, 0], east: [0, 0, 0], south: [0, 0, 0],
+        west: [0, 0, 0], top: [0, 0, 0], bottom: [0, 0, 0]},
+      ambientColor: 'c0c0c0', directionalColor: 'ffffff',
+      dirLightPos: [0, -1, 0]};
+    let worldId = null;
+
+    loginPrivileged().then(() => httpClient.createWorld('New World', data))
+        .then((world) => {
+          worldId = world.id;
+          assert.equal(world.name, 'New World');
+          assert.deepStrictEqual(JSON.parse(world.data), data);
+          return httpClient.updateWorld(worldId,
+              {name: 'Renamed World', data: {skybox: 'faesky02'}});
+        })
+        .then((world) => {
+          assert.equal(world.name, 'Renamed World');
+          assert.deepStrictEqual(JSON.parse(world.data),
+              {...data, skybox: 'faesky02'});
+          return httpClient.deleteWorld(worldId);
+        })
+        .then(() => httpClient.getWorlds())
+        .then((worlds) => {
+          assert.equal(worlds.length, 1);
+          assert.equal(worlds[0].id, base.worldId);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('getWorld - OK (password)', (done) => {
+    loginPrivileged().then(() => httpClient.updateWorld(base.worldId,
+        {access: 'password', password: 'S3cr3t W0rld'}))
+        .then(() => httpClient.login('oOo_Al1ce_oOo', '3p1cP4sSw0Rd'))
+        .then(() => httpClient.getWorld(base.worldId))
+        .then(() => done('Getting world should not work without password'))
+        .catch((err) => {
+          if (err.message != 403) throw err;
+          return httpClient.getWorld(base.worldId, 'S3cr3t W0rld');
+        })
+        .then((world) => {
+          assert.equal(world.id, base.worldId);
+          assert.equal(world.access, 'password');
+          assert.strictEqual(world.password, undefined);
+
+          // No need to provide the password again afterwards
+          return httpClient.getWorld(base.worldId);
+        })
+        .then((world) => {
+          assert.equal(world.id, base.worldId);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('createWorld - Forbidden', (done) => {
+    login().then(() => httpClient.createWorld('New World', {}))
+        .then(() => done('Creating world should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('deleteWorld - Not found', (done) => {
+    loginPrivileged().then(() => httpClient.deleteWorld(66666))
+        .then(() => done('Deleting world should not work here'))
+        .catch((err) => {
+          if (err.message == 404) done();
+          else done(err);
+        });
+  });
+
+  it('postWorldRight, getWorldRights & deleteWorldRight - OK', (done) => {
+    let rightId = null;
+
+    loginPrivileged().then(() => httpClient.postWorldRight(base.worldId,
+        {userId: base.citizenId, right: 'build'}))
+        .then((right) => {
+          rightId = right.id;
+          assert.strictEqual(right.right, 'build');
+          return httpClient.getWorldRights(base.worldId);
+        })
+        .then((rights) => {
+          assert.equal(rights.length, 1);
+          assert.strictEqual(rights[0].id, rightId);
+          return httpClient.deleteWorldRight(base.worldId, rightId);
+        })
+        .then(() => httpClient.getWorldRights(base.worldId))
+        .then((rights) => {
+          assert.equal(rights.length, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('postRegion, getRegions & deleteRegion - OK', (done) => {
+    let regionId = null;
+
+    loginPrivileged().then(() => httpClient.postRegion(base.worldId,
+        {userId: base.citizenId, minX: 0, maxX: 10, minZ: 0, maxZ: 10}))
+        .then((region) => {
+          regionId = region.id;
+          assert.strictEqual(region.userId, base.citizenId);
+          return httpClient.getRegions(base.worldId);
+        })
+        .then((regions) => {
+          assert.equal(regions.length, 1);
+          assert.strictEqual(regions[0].id, regionId);
+          return httpClient.deleteRegion(base.worldId, regionId);
+        })
+        .then(() => httpClient.getRegions(base.worldId))
+        .then((regions) => {
+          assert.equal(regions.length, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('postRegion - Forbidden', (done) => {
+    login().then(() => httpClient.postRegion(base.worldId,
+        {userId: base.citizenId, minX: 0, maxX: 10, minZ: 0, maxZ: 10}))
+        .then(() => done('Assigning region should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
   // Testing Props API
 
   it('getProps - OK (all)', (done) => {
@@ -118,6 +632,35 @@ describe('http client', () => {
     }).catch((err) => done(err));
   });
 
+  it('getPropsChunks - OK', (done) => {
+    let knownHash = null;
+
+    login().then(() => httpClient.getPropsChunks(base.worldId,
+        [{x: 0, z: 0}, {x: 5, z: 15}]))
+        .then((chunks) => {
+          assert.equal(chunks.length, 2);
+          assert.ok(chunks[0].pack instanceof Uint8Array);
+
+          const props = unpackPropData(chunks[0].pack)
+              .map((prop) => deserializeProp(prop));
+          assert.equal(props.length, 1);
+          assert.equal(props[0].name, 'wall01.rwx');
+          assert.strictEqual(chunks[0].hash, hashProps(props));
+
+          knownHash = chunks[1].hash;
+          return httpClient.getPropsChunks(base.worldId,
+              [{x: 0, z: 0}, {x: 5, z: 15, hash: knownHash}]);
+        })
+        .then((chunks) => {
+          // Up-to-date chunks are not sent again
+          assert.equal(chunks.length, 1);
+          assert.equal(chunks[0].x, 0);
+          assert.equal(chunks[0].z, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
   it('getProps - OK (none)', (done) => {
     login().then(() => {
       httpClient.getProps(
@@ -134,6 +677,192 @@ describe('http client', () => {
     }).catch((err) => done(err));
   });
 
+  it('getPropsPack - OK (not modified)', (done) => {
+    const hash = hashProps([base.firstProp, base.secondProp]);
+
+    login().then(() => httpClient.getPropsPack(base.worldId,
+        null, null, null, null, null, null, hash))
+        .then((pack) => {
+          // Props are already known
+          assert.strictEqual(pack, null);
+
+          return httpClient.getPropsPack(base.worldId,
+              null, null, null, null, null, null, hash + 1);
+        })
+        .then((pack) => {
+          assert.equal(unpackPropData(pack).length, 2);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('getPropHistory, getPropsHistory and restoreProps - OK', async () => {
+    await login();
+    assert.deepStrictEqual(await httpClient.deleteProps(base.worldId,
+        [base.secondProp.id]), [true]);
+
+    const history = await httpClient.getPropHistory(base.worldId,
+        base.secondProp.id);
+    assert.equal(history.length, 1);
+    assert.strictEqual(history[0].op, 'delete');
+
+    assert.equal((await httpClient.getPropsHistory(base.worldId,
+        {op: 'create', minX: null})).length, 0);
+    assert.equal((await httpClient.getPropsHistory(base.worldId,
+        {op: 'delete', minX: 50, maxX: 150})).length, 1);
+
+    assert.deepStrictEqual(await httpClient.restoreProps(base.worldId,
+        [history[0].id]), [true]);
+
+    const props = await httpClient.getProps(base.worldId);
+    assert.equal(props.length, 2);
+  });
+
+  it('transferProps, moveProps and deletePropsArea - OK', async () => {
+    await loginPrivileged();
+    const area = {minX: 50, maxX: 150, minZ: 250, maxZ: 350};
+
+    assert.strictEqual(await httpClient.transferProps(base.worldId,
+        base.citizenId, area), 1);
+    assert.strictEqual(await httpClient.moveProps(base.worldId,
+        {...area, userId: base.citizenId}, {x: 10, y: 0, z: 0}), 1);
+
+    let props = await httpClient.getProps(base.worldId);
+    assert.strictEqual(props[1].userId, base.citizenId);
+    assert.strictEqual(props[1].x, 110);
+
+    assert.strictEqual(await httpClient.deletePropsArea(base.worldId,
+        {minX: -10, maxX: 10, minZ: -10, maxZ: 10}), 1);
+
+    props = await httpClient.getProps(base.worldId);
+    assert.deepStrictEqual(props.map(({id}) => id), [base.secondProp.id]);
+  });
+
+  it('transferProps - Forbidden', (done) => {
+    login().then(() => httpClient.transferProps(base.worldId, base.citizenId,
+        {userId: base.adminId}))
+        .then(() => done('Transferring props should not work here'))
+        .catch((err) => {
+          if (err.message == 403) done();
+          else done(err);
+        });
+  });
+
+  it('getWorldUsers - OK', async () => {
+    await login();
+
+    assert.deepStrictEqual(await httpClient.getWorldUsers(base.worldId), []);
+    assert.deepStrictEqual(await httpClient.getOnlineUsers(), []);
+
+    const wsClient = new WsClient('ws://127.0.0.1:' + base.port + '/api',
+        base.adminBearerToken);
+    const state = await wsClient.worldStateConnect(base.worldId);
+    await sleep(100);
+
+    assert.deepStrictEqual(await httpClient.getWorldUsers(base.worldId),
+        [{id: base.adminId, name: 'xXx_B0b_xXx', role: 'admin',
+          position: null}]);
+    assert.deepStrictEqual(await httpClient.getOnlineUsers(),
+        [{id: base.adminId, name: 'xXx_B0b_xXx', role: 'admin',
+          position: null, worldId: base.worldId}]);
+
+    state.close();
+    await assert.rejects(httpClient.getWorldUsers(66666), {message: '404'});
+  });
+
+  it('getWorldChat - OK', async () => {
+    await login();
+
+    const chatLog = base.wsChannelManager.chatLog;
+    const first = await chatLog.append(base.worldId, base.citizenId,
+        'oOo_Al1ce_oOo', 'citizen', 'say', 'Hello');
+    const second = await chatLog.append(base.worldId, base.adminId,
+        'xXx_B0b_xXx', 'admin', 'say', 'Hi');
+
+    let messages = await httpClient.getWorldChat(base.worldId);
+    assert.deepStrictEqual(messages.map(({id, msg}) => [id, msg]),
+        [[first.id, 'Hello'], [second.id, 'Hi']]);
+
+    messages = await httpClient.getWorldChat(base.worldId,
+        {before: second.id, limit: 10});
+    assert.deepStrictEqual(messages.map(({id}) => id), [first.id]);
+
+    await assert.rejects(httpClient.getWorldChat(66666), {message: '404'});
+  });
+
+  it('broadcastNotice - OK', async () => {
+    await login();
+    await assert.rejects(httpClient.broadcastNotice('Hello'),
+        {message: '403'});
+
+    await loginPrivileged();
+    assert.deepStrictEqual(await httpClient.broadcastNotice('Hello'),
+        {recipients: 0});
+    assert.deepStrictEqual(await httpClient.broadcastNotice('Hello',
+        base.worldId), {recipients: 0});
+    await assert.rejects(httpClient.broadcastNotice('Hello', 66666),
+        {message: '404'});
+  });
+
+  it('getTelegrams - OK', async () => {
+    await login();
+
+    const telegram = await base.wsChannelManager.telegramStore
+        .store(base.citizenId, base.adminId, 'Call me back');
+
+    const telegrams = await httpClient.getTelegrams(base.adminId);
+    assert.deepStrictEqual(telegrams.map(({id, fromUserName, message}) =>
+      [id, fromUserName, message]),
+    [[telegram.id, 'oOo_Al1ce_oOo', 'Call me back']]);
+
+    assert.deepStrictEqual(await httpClient.deleteTelegram(base.adminId,
+        telegram.id), {});
+    assert.deepStrictEqual(await httpClient.getTelegrams(base.adminId), []);
+    await assert.rejects(httpClient.deleteTelegram(base.adminId,
+        telegram.id), {message: '404'});
+    await assert.rejects(httpClient.getTelegrams(base.citizenId),
+        {message: '403'});
+  });
+
+  it('getPropsUsage - OK', async () => {
+    await login();
+
+    const usage = await httpClient.getPropsUsage(base.worldId);
+    assert.strictEqual(usage.userId, base.adminId);
+    assert.strictEqual(usage.count, 2);
+    assert.strictEqual(usage.remaining, usage.quota - 2);
+
+    // Not in privilege mode: the usage of others is off-limits
+    await assert.rejects(httpClient.getPropsUsage(base.worldId,
+        base.citizenId), {message: '403'});
+  });
+
+  it('searchProps - OK', async () => {
+    await login();
+
+    let props = await httpClient.searchProps(base.worldId,
+        {name: 'WALL0*', description: '', userId: null});
+    assert.deepStrictEqual(props.map(({id}) => id),
+        [base.firstProp.id, base.secondProp.id]);
+    assert.strictEqual(props[1].name, 'wall02.rwx');
+
+    props = await httpClient.searchProps(base.worldId,
+        {action: 'blue', minX: 50});
+    assert.deepStrictEqual(props.map(({id}) => id), [base.secondProp.id]);
+
+    props = await httpClient.searchProps(base.worldId, {limit: 1});
+    assert.deepStrictEqual(props.map(({id}) => id), [base.firstProp.id]);
+  });
+
+  it('searchProps - Bad request', (done) => {
+    login().then(() => httpClient.searchProps(base.worldId, {limit: 0}))
+        .then(() => done('Searching props should not work here'))
+        .catch((err) => {
+          if (err.message == 400) done();
+          else done(err);
+        });
+  });
+
   it('getProps - Not found', (done) => {
     login().then(() => {
       httpClient.getProps(
@@ -581,6 +1310,21 @@ describe('http client', () => {
       });
   });
 
+  it('postProps and deleteProps (atomic) - Failed', async () => {
+    await login();
+    const prop = {x: 1, y: 2, z: 3, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''};
+
+    await assert.rejects(httpClient.postProps(base.worldId,
+        [prop, {...prop, name: ''}], true), {message: '400'});
+    await assert.rejects(httpClient.deleteProps(base.worldId,
+        [base.firstProp.id, 66666], true), {message: '404'});
+
+    assert.equal((await httpClient.getProps(base.worldId)).length, 2);
+    assert.deepStrictEqual(await httpClient.postProps(base.worldId,
+        [prop], true), [true]);
+  });
+
   it('deleteProps - OK', (done) => {
     // Ready payload
     const payload = [base.firstProp.id, base.secondProp.id, 66666];
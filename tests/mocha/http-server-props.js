@@ -3,8 +3,11 @@
  */
 
 import Prop from '../../common/db/model/Prop.js';
-import {hashProps} from '../../common/props-data-format.js';
-import makeHttpTestBase, {epsEqual} from '../utils.js';
+import WorldRight from '../../common/db/model/WorldRight.js';
+import Region from '../../common/db/model/Region.js';
+import {hashProps, unpackPropData, deserializeProp}
+  from '../../common/props-data-format.js';
+import makeHttpTestBase, {epsEqual, makeTestProp} from '../utils.js';
 import TypeORM from 'typeorm';
 import request from 'superwstest';
 import * as assert from 'assert';
@@ -73,6 +76,91 @@ describe('http server props', () => {
         .catch((err) => done(err));
   });
 
+  it('GET /api/worlds/id/props - OK (binary)', (done) => {
+    request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props?minX=50&maxX=150')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/octet-stream')
+        .expect('Content-Type', /octet-stream/)
+        .expect(200).then((response) => {
+          // Copy the payload, the buffer might be shared otherwise
+          const props = unpackPropData(new Uint8Array(response.body))
+              .map((prop) => deserializeProp(prop));
+
+          // We expect one single entry
+          assert.equal(props.length, 1);
+
+          // Assert prop fields
+          assert.equal(props[0].id, base.secondProp.id);
+          assert.equal(props[0].worldId, base.worldId);
+          assert.equal(props[0].userId, base.adminId);
+          assert.equal(props[0].date, base.now - 1000);
+          assert.equal(props[0].x, 100);
+          assert.equal(props[0].y, -200);
+          assert.equal(props[0].z, 300);
+          assert.equal(props[0].yaw, 450);
+          assert.equal(props[0].pitch, 900);
+          assert.equal(props[0].roll, 1350);
+          assert.equal(props[0].name, 'wall02.rwx');
+          assert.equal(props[0].description, 'Some other description.');
+          assert.equal(props[0].action, 'create color blue;');
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('GET /api/worlds/id/props - OK (binary, none)', (done) => {
+    request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props?minX=20000')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/octet-stream')
+        .expect('Content-Type', /octet-stream/)
+        .expect(200).then((response) => {
+          assert.equal(unpackPropData(new Uint8Array(response.body)).length,
+              0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('GET /api/worlds/id/props - Not modified', (done) => {
+    const hash = hashProps([base.firstProp, base.secondProp]);
+
+    request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .set('If-None-Match', `"${hash}"`)
+        .expect('ETag', `"${hash}"`)
+        .expect(304).then(() => request(base.server)
+            .get('/api/worlds/' + base.worldId + '/props')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .set('Accept', 'application/octet-stream')
+            .set('If-None-Match', `"${hash}-pack"`)
+            .expect('ETag', `"${hash}-pack"`)
+            .expect(304))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('GET /api/worlds/id/props - Modified', (done) => {
+    const hash = hashProps([base.firstProp]);
+
+    request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .set('If-None-Match', `"${hash}"`)
+        .expect('Content-Type', /json/)
+        .expect('ETag', `"${hashProps([base.firstProp, base.secondProp])}"`)
+        .expect(200).then((response) => {
+          assert.equal(response.body.length, 2);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
   it('GET /api/worlds/id/props with filters - OK', (done) => {
     request(base.server)
         .get('/api/worlds/' + base.worldId + '/props?minX=50&maxX=150&minY=-240&maxY=-160&minZ=270&maxZ=330')
@@ -243,6 +331,111 @@ describe('http server props', () => {
         .expect(404, done);
   });
 
+  // Testing POST Prop chunks API
+
+  const unpackChunk = ({pack}) => unpackPropData(
+      new Uint8Array(Buffer.from(pack, 'base64')))
+      .map((prop) => deserializeProp(prop));
+
+  it('POST /api/worlds/id/props/chunks - OK', async () => {
+    // First prop is in chunk (0, 0), second one in chunk (5, 15)
+    const chunks = await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/chunks')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({chunks: [{x: 0, z: 0}, {x: 5, z: 15}, {x: 1, z: 1}]})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => response.body);
+
+    assert.deepStrictEqual(chunks.map(({x, z}) => [x, z]),
+        [[0, 0], [5, 15], [1, 1]]);
+
+    let props = unpackChunk(chunks[0]);
+    assert.equal(props.length, 1);
+    assert.equal(props[0].id, base.firstProp.id);
+    assert.equal(props[0].name, 'wall01.rwx');
+    assert.strictEqual(chunks[0].hash, hashProps(props));
+
+    props = unpackChunk(chunks[1]);
+    assert.equal(props.length, 1);
+    assert.equal(props[0].id, base.secondProp.id);
+    assert.equal(props[0].x, 100);
+    assert.equal(props[0].z, 300);
+    assert.strictEqual(chunks[1].hash, hashProps(props));
+
+    // Empty chunks are sent as well, so that they can be cached
+    assert.equal(unpackChunk(chunks[2]).length, 0);
+    assert.strictEqual(chunks[2].hash, 0);
+
+    // Only outdated chunks are sent back
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/chunks')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({chunks: [{x: 0, z: 0, hash: chunks[0].hash},
+          {x: 5, z: 15, hash: chunks[1].hash + 1},
+          {x: 1, z: 1, hash: 0}]})
+        .expect(200).then((response) => {
+          assert.equal(response.body.length, 1);
+          assert.equal(response.body[0].x, 5);
+          assert.equal(response.body[0].z, 15);
+          assert.strictEqual(response.body[0].hash, chunks[1].hash);
+        });
+
+    // Bigger chunks
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/chunks')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({chunkSide: 1000, chunks: [{x: 0, z: 0}]})
+        .expect(200).then((response) => {
+          assert.equal(response.body.length, 1);
+          assert.equal(unpackChunk(response.body[0]).length, 2);
+        });
+  });
+
+  it('POST /api/worlds/id/props/chunks - Bad request', async () => {
+    const invalidBodies = [
+      {},
+      {chunks: []},
+      {chunks: {x: 0, z: 0}},
+      {chunks: [{x: 0}]},
+      {chunks: [{x: 0.5, z: 0}]},
+      {chunks: [{x: 0, z: 0, hash: 'abc'}]},
+      {chunks: [{x: 0, z: 0}], chunkSide: 0},
+      {chunks: [{x: 0, z: 0}], chunkSide: '20'},
+      {chunks: Array.from({length: 1025}, (v, i) => ({x: i, z: 0}))},
+    ];
+
+    for (const body of invalidBodies) {
+      await request(base.server)
+          .post('/api/worlds/' + base.worldId + '/props/chunks')
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .send(body)
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('POST /api/worlds/id/props/chunks - Unauthorized', (done) => {
+    request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/chunks')
+        .set('Authorization', 'gibberish')
+        .send({chunks: [{x: 0, z: 0}]})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('POST /api/worlds/id/props/chunks - Not found', (done) => {
+    request(base.server)
+        .post('/api/worlds/66666/props/chunks')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({chunks: [{x: 0, z: 0}]})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
   // Testing PUT Prop API
 
   it('PUT /api/worlds/id/props - OK', (done) => {
@@ -338,7 +531,8 @@ describe('http server props', () => {
           assert.strictEqual(body[unknownPropId], null);
 
           await TypeORM.getConnection().manager.createQueryBuilder(Prop, 'prop')
-              .where('prop.worldId = :wid', {wid: base.worldId}).getMany()
+              .where('prop.worldId = :wid', {wid: base.worldId})
+              .orderBy('prop.id').getMany()
               .then((props) => {
                 // We expect two entries
                 assert.equal(props.length, 2);
@@ -431,6 +625,40 @@ describe('http server props', () => {
         .expect(403, done);
   });
 
+  it('PUT /api/worlds/id/props - Privilege mode', async () => {
+    const citizenProp = await makeTestProp(TypeORM.getConnection(), base.worldId,
+        base.citizenId, base.now, 10, 0, 10, 0, 0, 0, 'wall03.rwx',
+        'Citizen prop.', '');
+
+    const payload = {};
+    payload[citizenProp.id] = {name: 'door01.rwx'};
+    payload[base.firstProp.id] = {name: 'door02.rwx'};
+
+    // Admins outside of privilege mode can only edit their own props
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .set('Accept', 'application/json')
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body[citizenProp.id], false);
+          assert.strictEqual(response.body[base.firstProp.id], true);
+        });
+
+    // In privilege mode, they can edit props from anyone
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body[citizenProp.id], true);
+          assert.strictEqual(response.body[base.firstProp.id], true);
+        });
+  });
+
   it('PUT /api/worlds/id/props - Not found', (done) => {
     // Ready payload
     const payload = {};
@@ -557,7 +785,8 @@ describe('http server props', () => {
           assert.strictEqual(body[2], null);
 
           await TypeORM.getConnection().manager.createQueryBuilder(Prop, 'prop')
-              .where('prop.worldId = :wid', {wid: base.worldId}).getMany()
+              .where('prop.worldId = :wid', {wid: base.worldId})
+              .orderBy('prop.id').getMany()
               .then((props) => {
                 // We expect four entries: the two existing ones and
                 // the 2 new ones
@@ -659,6 +888,425 @@ describe('http server props', () => {
         .expect(403, done);
   });
 
+  it('POST /api/worlds/id/props - Too many requests', async () => {
+    base.config.propsRateLimit = 1;
+
+    const payload = [{x: 0, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''}];
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send(payload)
+        .expect(200);
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect('Retry-After', /^[0-9]+$/)
+        .expect(429);
+
+    // Limits are per user
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send(payload)
+        .expect(200);
+
+    delete base.config.propsRateLimit;
+  });
+
+  it('POST /api/worlds/id/props - Quotas', async () => {
+    base.config.propsQuota = 2;
+    base.config.propsPerRequest = 3;
+    base.config.propsPerChunk = 2;
+
+    const makeProp = (x, z) => ({x, y: 0, z, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''});
+    const postProps = (payload, token = base.citizenBearerToken,
+        query = '') => request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props' + query)
+        .set('Authorization', 'Bearer ' + token)
+        .send(payload)
+        .expect('Content-Type', /json/);
+
+    await postProps([makeProp(0, 0), makeProp(1, 1), makeProp(2, 2),
+      makeProp(3, 3)]).expect(413).then((response) => {
+      assert.deepStrictEqual(response.body,
+          {errors: [{reason: 'requestQuota'}]});
+    });
+
+    // The chunk at the origin already holds one prop
+    await postProps([makeProp(0, 0), makeProp(1, 1), makeProp(40, 0)])
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true, false, true]);
+        });
+
+    // The citizen now owns as many props as allowed
+    await postProps([makeProp(80, 0)]).expect(200).then((response) => {
+      assert.deepStrictEqual(response.body, [false]);
+    });
+    await postProps([makeProp(80, 0)], base.citizenBearerToken,
+        '?atomic=true').expect(403).then((response) => {
+      assert.deepStrictEqual(response.body,
+          {errors: [{entry: 0, reason: 'userQuota'}]});
+    });
+
+    // Admins in privilege mode are not subject to quotas
+    await postProps([makeProp(0, 0), makeProp(1, 1), makeProp(2, 2),
+      makeProp(3, 3)], base.adminBearerToken).expect(200)
+        .then((response) => {
+          assert.deepStrictEqual(response.body, [true, true, true, true]);
+        });
+
+    delete base.config.propsQuota;
+    delete base.config.propsPerRequest;
+    delete base.config.propsPerChunk;
+  });
+
+  it('POST /api/worlds/id/props - Quotas (concurrent)', async () => {
+    base.config.propsQuota = 2;
+
+    const postProp = (x) => request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([{x, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+          name: 'wall01.rwx', description: '', action: ''}])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => response.body[0]);
+
+    // Concurrent requests cannot exceed the quota together
+    const results = await Promise.all([40, 80, 120, 160].map(postProp));
+
+    assert.strictEqual(results.filter((result) => result).length, 2);
+    assert.strictEqual(await TypeORM.getConnection().manager
+        .createQueryBuilder(Prop, 'prop')
+        .where('prop.userId = :userId', {userId: base.citizenId})
+        .getCount(), 2);
+
+    delete base.config.propsQuota;
+  });
+
+  it('PUT /api/worlds/id/props - Quotas', async () => {
+    base.config.propsPerChunk = 1;
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([{x: 40, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+          name: 'wall01.rwx', description: '', action: ''}])
+        .expect(200);
+
+    const {id} = await TypeORM.getConnection().manager
+        .createQueryBuilder(Prop, 'prop')
+        .where('prop.userId = :userId', {userId: base.citizenId})
+        .getOne();
+
+    const putProp = (value, token = base.citizenBearerToken, query = '') =>
+      request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props' + query)
+          .set('Authorization', 'Bearer ' + token)
+          .send({[id]: value})
+          .expect('Content-Type', /json/);
+
+    // The chunk at the origin already holds one prop
+    await putProp({x: 1, z: 1}).expect(200).then((response) => {
+      assert.deepStrictEqual(response.body, {[id]: false});
+    });
+    await putProp({x: 1, z: 1}, base.citizenBearerToken, '?atomic=true')
+        .expect(403).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {errors: [{entry: `${id}`, reason: 'chunkQuota'}]});
+        });
+
+    // Moving within the same chunk or into an empty one is fine
+    await putProp({x: 41, z: 1}).expect(200).then((response) => {
+      assert.deepStrictEqual(response.body, {[id]: true});
+    });
+    await putProp({x: 80}).expect(200).then((response) => {
+      assert.deepStrictEqual(response.body, {[id]: true});
+    });
+
+    // Admins in privilege mode are not subject to quotas
+    await putProp({x: 0, z: 0}, base.adminBearerToken).expect(200)
+        .then((response) => {
+          assert.deepStrictEqual(response.body, {[id]: true});
+        });
+
+    delete base.config.propsPerChunk;
+  });
+
+  it('GET /api/worlds/id/props-usage - OK', async () => {
+    base.config.propsQuota = 10;
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([{x: 0, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+          name: 'wall01.rwx', description: '', action: ''}])
+        .expect(200);
+
+    const getUsage = (query, token = base.citizenBearerToken) =>
+      request(base.server)
+          .get(`/api/worlds/${base.worldId}/props-usage${query}`)
+          .set('Authorization', 'Bearer ' + token)
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => response.body);
+
+    const usage = {userId: base.citizenId, count: 1, quota: 10, remaining: 9,
+      perRequest: 1000, perChunk: 500};
+
+    assert.deepStrictEqual(await getUsage(''), usage);
+    assert.deepStrictEqual(await getUsage(`?userId=${base.citizenId}`,
+        base.adminBearerToken), usage);
+
+    // Admins in privilege mode are not subject to quotas
+    assert.deepStrictEqual(await getUsage('', base.adminBearerToken),
+        {userId: base.adminId, count: 2, quota: null, remaining: null,
+          perRequest: null, perChunk: null});
+    assert.strictEqual((await getUsage('', base.adminPlainBearerToken))
+        .remaining, 8);
+
+    delete base.config.propsQuota;
+  });
+
+  it('GET /api/worlds/id/props-usage - Bad request', (done) => {
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props-usage?userId=abc`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('GET /api/worlds/id/props-usage - Forbidden', (done) => {
+    // Only admins in privilege mode can get the usage of others
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props-usage?userId=${base.adminId}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('GET /api/worlds/id/props-usage - Not found', (done) => {
+    request(base.server)
+        .get('/api/worlds/66666/props-usage')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('Props mutations (as guest) - Forbidden', async () => {
+    base.config.guestLogin = true;
+
+    const token = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body.token);
+
+    // Guests can look around...
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + token)
+        .expect(200);
+
+    // ...but not build
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + token)
+        .send([{x: 0, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+          name: 'wall01.rwx', description: '', action: ''}])
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + token)
+        .send({[base.firstProp]: {x: 10}})
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + token)
+        .send([base.firstProp])
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    base.config.guestLogin = false;
+  });
+
+  it('POST /api/worlds/id/props - Forbidden (build rights)', async () => {
+    // Once granted to someone, the build right is not open to everyone
+    await TypeORM.getConnection().manager.save([
+      new WorldRight(undefined, base.worldId, base.adminId, 'build')]);
+
+    const payload = [{x: 0, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''}];
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [false]);
+        });
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true]);
+        });
+  });
+
+  it('Props mutations within regions - Forbidden', async () => {
+    await TypeORM.getConnection().manager.save([
+      new Region(undefined, base.worldId, base.adminId, 0, 50, 0, 50)]);
+
+    const citizenProp = await makeTestProp(TypeORM.getConnection(),
+        base.worldId, base.citizenId, base.now, -10, 0, -10, 0, 0, 0,
+        'wall03.rwx', 'Citizen prop.', '');
+
+    const makePayload = (x, z) => ({x, y: 0, z, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''});
+
+    // Nobody but the owner can build within a region...
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([makePayload(10, 10), makePayload(-10, 10), makePayload(50, 0)])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [false, true, true]);
+        });
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send([makePayload(10, 10)])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true]);
+        });
+
+    // ...nor move props into it
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({[citizenProp.id]: {x: 10, z: 10}})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body[citizenProp.id], false);
+        });
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({[citizenProp.id]: {x: -20}})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body[citizenProp.id], true);
+        });
+
+    // Admins in privilege mode can build anywhere
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[citizenProp.id]: {x: 10, z: 10}})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body[citizenProp.id], true);
+        });
+
+    // Props within a region cannot be deleted by anyone but its owner
+    // either, even their own
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([citizenProp.id])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [false]);
+        });
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([citizenProp.id])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true]);
+        });
+  });
+
+  it('Props endpoints - Forbidden (restricted world)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'whitelist'})
+        .expect(200);
+
+    const paths = ['/props', '/props/search?name=*', '/props-usage',
+      '/props-hash', '/props-history'];
+
+    for (const path of paths) {
+      await request(base.server)
+          .get('/api/worlds/' + base.worldId + path)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expect('Content-Type', /json/)
+          .expect(403);
+
+      // Admins are always allowed in
+      await request(base.server)
+          .get('/api/worlds/' + base.worldId + path)
+          .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+          .expect(200);
+    }
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/chunks')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({chunks: [{x: 0, z: 0}]})
+        .expect(403);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([1])
+        .expect(403);
+  });
+
+  it('Props endpoints - OK (password)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .expect(200);
+
+    // The password is only read when getting the world itself
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(403);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200);
+  });
+
   it('POST /api/worlds/id/props - Not found', (done) => {
     // Ready payload
     const payload = [
@@ -735,7 +1383,8 @@ describe('http server props', () => {
           assert.strictEqual(body[2], null);
 
           await TypeORM.getConnection().manager.createQueryBuilder(Prop, 'prop')
-              .where('prop.worldId = :wid', {wid: base.worldId}).getMany()
+              .where('prop.worldId = :wid', {wid: base.worldId})
+              .orderBy('prop.id').getMany()
               .then((props) => {
                 // We expect no entries has all should have been deleted
                 assert.equal(props.length, 0);
@@ -794,6 +1443,34 @@ describe('http server props', () => {
         .expect(403, done);
   });
 
+  it('DELETE /api/worlds/id/props - Privilege mode', async () => {
+    const citizenProp = await makeTestProp(TypeORM.getConnection(), base.worldId,
+        base.citizenId, base.now, 10, 0, 10, 0, 0, 0, 'wall03.rwx',
+        'Citizen prop.', '');
+
+    // Admins outside of privilege mode can only delete their own props
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .set('Accept', 'application/json')
+        .send([citizenProp.id])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [false]);
+        });
+
+    // In privilege mode, they can delete props from anyone
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .send([citizenProp.id])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true]);
+        });
+  });
+
   it('DELETE /api/worlds/id/props - Not found', (done) => {
     // Ready payload
     const payload = [base.firstProp.id, base.secondProp.id, 66666];
@@ -806,4 +1483,791 @@ describe('http server props', () => {
         .expect('Content-Type', /json/)
         .expect(404, done);
   });
+
+  // Testing props writes validation and atomicity
+
+  const getWorldProps = () => TypeORM.getConnection().manager
+      .createQueryBuilder(Prop, 'prop')
+      .where('prop.worldId = :wid', {wid: base.worldId})
+      .orderBy('prop.id').getMany();
+
+  const getPropsCount = () => TypeORM.getConnection().manager
+      .createQueryBuilder(Prop, 'prop')
+      .where('prop.worldId = :wid', {wid: base.worldId}).getCount();
+
+  it('PUT /api/worlds/id/props - Invalid fields', async () => {
+    const first = String(base.firstProp.id);
+    const second = String(base.secondProp.id);
+
+    // Invalid entries are left out, the rest goes through
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[first]: {x: 'abc'}, [second]: {name: 'door02.rwx'}})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {[first]: null, [second]: true});
+        });
+
+    // Unless the write is meant to be atomic
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[first]: {x: 5}, [second]: {color: 'red', yaw: Infinity},
+          66666: {y: 1}})
+        .expect('Content-Type', /json/)
+        .expect(400).then((response) => {
+          assert.deepStrictEqual(response.body, {errors: [
+            {entry: second, field: 'color', reason: 'unknown'},
+            {entry: '66666', reason: 'notFound'},
+          ]});
+        });
+
+    const props = await getWorldProps();
+    assert.strictEqual(props[0].x, 0);
+    assert.strictEqual(props[1].name, 'door02.rwx');
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[first]: 'not an object'})
+        .expect('Content-Type', /json/)
+        .expect(400).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {errors: [{entry: first, reason: 'type'}]});
+        });
+  });
+
+  it('PUT /api/worlds/id/props - Atomic', async () => {
+    const first = String(base.firstProp.id);
+    const second = String(base.secondProp.id);
+
+    // Citizens cannot edit props from others
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({[first]: {x: 5}})
+        .expect('Content-Type', /json/)
+        .expect(403).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {errors: [{entry: first, reason: 'forbidden'}]});
+        });
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[first]: {x: 5}, 66666: {x: 5}})
+        .expect('Content-Type', /json/)
+        .expect(404).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {errors: [{entry: '66666', reason: 'notFound'}]});
+        });
+
+    assert.strictEqual((await getWorldProps())[0].x, 0);
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[first]: {x: 5}, [second]: {x: 6}})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {[first]: true, [second]: true});
+        });
+
+    assert.deepStrictEqual((await getWorldProps()).map(({x}) => x), [5, 6]);
+  });
+
+  it('POST /api/worlds/id/props - Invalid fields', async () => {
+    const prop = {x: 1, y: 2, z: 3, yaw: 0, pitch: 0, roll: 0,
+      name: 'wall01.rwx', description: '', action: ''};
+    const payload = [prop, {...prop, description: 'a'.repeat(70000)},
+      {...prop, x: '1'}];
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(400).then((response) => {
+          assert.deepStrictEqual(response.body, {errors: [
+            {entry: 1, field: 'description', reason: 'length'},
+            {entry: 2, field: 'x', reason: 'type'},
+          ]});
+        });
+
+    assert.strictEqual(await getPropsCount(), 2);
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send(payload)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [true, null, null]);
+        });
+
+    assert.strictEqual(await getPropsCount(), 3);
+  });
+
+  it('DELETE /api/worlds/id/props - Atomic', async () => {
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([base.firstProp.id, 66666])
+        .expect('Content-Type', /json/)
+        .expect(404).then((response) => {
+          assert.deepStrictEqual(response.body,
+              {errors: [{entry: 1, reason: 'notFound'}]});
+        });
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props?atomic=true')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([base.firstProp.id])
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    assert.strictEqual(await getPropsCount(), 2);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([base.firstProp.id, base.firstProp.id, -1])
+        .expect('Content-Type', /json/)
+        .expect(400).then((response) => {
+          assert.deepStrictEqual(response.body, {errors: [
+            {entry: 1, reason: 'duplicate'},
+            {entry: 2, reason: 'type'},
+          ]});
+        });
+  });
+
+  // Testing props search API
+
+  const searchProps = (query, token = base.citizenBearerToken) =>
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props/search${query}`)
+        .set('Authorization', 'Bearer ' + token)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => response.body.map(({id}) => id));
+
+  it('GET /api/worlds/id/props/search - OK', async () => {
+    const sign = await makeTestProp(TypeORM.getConnection(), base.worldId,
+        base.citizenId, base.now + 1000, 10, 0, 10, 0, 0, 0, 'sign1.rwx',
+        'WALL_100% sure', 'create sign;');
+    const first = base.firstProp.id;
+    const second = base.secondProp.id;
+
+    assert.deepStrictEqual(await searchProps(''), [first, second, sign.id]);
+
+    // Model name glob, case-insensitive
+    assert.deepStrictEqual(await searchProps('?name=wall*'), [first, second]);
+    assert.deepStrictEqual(await searchProps('?name=WALL0?.rwx'),
+        [first, second]);
+    assert.deepStrictEqual(await searchProps('?name=wall01'), []);
+    assert.deepStrictEqual(await searchProps('?name=*2.rwx'), [second]);
+
+    // Substrings, LIKE wildcards being matched literally
+    assert.deepStrictEqual(await searchProps('?description=other'), [second]);
+    assert.deepStrictEqual(await searchProps('?description=description'),
+        [first, second]);
+    assert.deepStrictEqual(await searchProps('?description=WAL_'), []);
+    assert.deepStrictEqual(
+        await searchProps('?description=' + encodeURIComponent('L_100%')),
+        [sign.id]);
+    assert.deepStrictEqual(await searchProps('?action=color%20blue'),
+        [second]);
+
+    // Owner and dates
+    assert.deepStrictEqual(await searchProps(`?userId=${base.citizenId}`),
+        [sign.id]);
+    assert.deepStrictEqual(await searchProps(`?minDate=${base.now}`),
+        [first, sign.id]);
+    assert.deepStrictEqual(await searchProps(`?maxDate=${base.now}`),
+        [second]);
+
+    // Bounding box
+    assert.deepStrictEqual(await searchProps('?minX=5&maxX=200&maxY=1'),
+        [second, sign.id]);
+    assert.deepStrictEqual(await searchProps('?minY=-1&maxZ=100'),
+        [first, sign.id]);
+
+    // Pagination
+    assert.deepStrictEqual(await searchProps('?limit=2'), [first, second]);
+    assert.deepStrictEqual(await searchProps(`?limit=2&afterId=${second}`),
+        [sign.id]);
+  });
+
+  it('GET /api/worlds/id/props/search - Bad request', async () => {
+    for (const query of ['?name=', '?minX=abc', '?userId=1.5', '?limit=0',
+      '?limit=5000', '?afterId=x', '?name=a&name=b']) {
+      await request(base.server)
+          .get(`/api/worlds/${base.worldId}/props/search${query}`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('GET /api/worlds/id/props/search - Unauthorized', (done) => {
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props/search`)
+        .set('Authorization', 'gibberish')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('GET /api/worlds/id/props/search - Not found', (done) => {
+    request(base.server)
+        .get('/api/worlds/66666/props/search')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  // Testing props history API
+
+  const getPropHistory = (propId, token = base.adminBearerToken) =>
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props/${propId}/history`)
+        .set('Authorization', 'Bearer ' + token)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => response.body);
+
+  it('GET /api/worlds/id/props/id/history - OK', async () => {
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[base.firstProp.id]: {x: 5, name: 'wall03.rwx'}})
+        .expect(200);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([base.firstProp.id])
+        .expect(200);
+
+    const history = await getPropHistory(base.firstProp.id,
+        base.citizenBearerToken);
+
+    // Oldest first
+    assert.deepStrictEqual(history.map(({op}) => op), ['update', 'delete']);
+
+    for (const revision of history) {
+      assert.strictEqual(revision.propId, base.firstProp.id);
+      assert.strictEqual(revision.worldId, base.worldId);
+      assert.strictEqual(revision.authorId, base.adminId);
+      assert.strictEqual(revision.userId, base.adminId);
+      assert.strictEqual(revision.x, 5);
+      assert.strictEqual(revision.name, 'wall03.rwx');
+      assert.strictEqual(revision.description, 'Some description.');
+    }
+
+    assert.deepStrictEqual(await getPropHistory(base.secondProp.id), []);
+  });
+
+  it('GET /api/worlds/id/props/id/history - Not found', (done) => {
+    request(base.server)
+        .get(`/api/worlds/66666/props/${base.firstProp.id}/history`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('GET /api/worlds/id/props/id/history - Unauthorized', (done) => {
+    request(base.server)
+        .get(`/api/worlds/${base.worldId}/props/${base.firstProp.id}/history`)
+        .set('Authorization', 'gibberish')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('GET /api/worlds/id/props-history - OK', async () => {
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([{x: 1000, y: 0, z: 1000, yaw: 0, pitch: 0, roll: 0,
+          name: 'tree01.rwx', description: '', action: ''}])
+        .expect(200);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([base.firstProp.id, base.secondProp.id])
+        .expect(200);
+
+    const getHistory = (query) => request(base.server)
+        .get(`/api/worlds/${base.worldId}/props-history${query}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => response.body);
+
+    // Newest first
+    let history = await getHistory('');
+    assert.deepStrictEqual(history.map(({op, propId}) => [op, propId]), [
+      ['delete', base.secondProp.id],
+      ['delete', base.firstProp.id],
+      ['create', history[2].propId],
+    ]);
+    assert.strictEqual(history[2].authorId, base.citizenId);
+    assert.strictEqual(history[2].name, 'tree01.rwx');
+
+    history = await getHistory('?minX=50&maxX=2000&minZ=0&maxZ=2000');
+    assert.equal(history.length, 2);
+
+    history = await getHistory(`?authorId=${base.adminId}&op=delete`);
+    assert.equal(history.length, 2);
+
+    history = await getHistory('?op=create');
+    assert.equal(history.length, 1);
+
+    history = await getHistory('?limit=1');
+    assert.equal(history.length, 1);
+    assert.strictEqual(history[0].propId, base.secondProp.id);
+
+    history = await getHistory(`?since=${Date.now() + 60000}`);
+    assert.equal(history.length, 0);
+  });
+
+  it('GET /api/worlds/id/props-history - Bad request', async () => {
+    for (const query of ['?minX=abc', '?op=move', '?limit=0', '?limit=5000',
+      '?authorId=1.5']) {
+      await request(base.server)
+          .get(`/api/worlds/${base.worldId}/props-history${query}`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('GET /api/worlds/id/props-history - Not found', (done) => {
+    request(base.server)
+        .get('/api/worlds/66666/props-history')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('POST /api/worlds/id/props/restore - OK', async () => {
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[base.firstProp.id]: {name: 'wall03.rwx'}})
+        .expect(200);
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[base.firstProp.id]: {name: 'wall04.rwx'}})
+        .expect(200);
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([base.secondProp.id])
+        .expect(200);
+
+    const [firstRevision] = await getPropHistory(base.firstProp.id);
+    const [secondRevision] = await getPropHistory(base.secondProp.id);
+
+    const updates = [];
+
+    await Promise.all([
+      // Both the update and the re-creation get broadcast
+      request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/update?token=` +
+              base.citizenBearerToken)
+          .expectText((data) => {
+            updates.push(JSON.parse(data));
+          })
+          .expectText((data) => {
+            updates.push(JSON.parse(data));
+          })
+          .close()
+          .expectClosed(),
+      request(base.server)
+          .post('/api/worlds/' + base.worldId + '/props/restore')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send([firstRevision.id, secondRevision.id, 66666])
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, [true, true, null]);
+          }),
+    ]);
+
+    assert.deepStrictEqual(updates.map(({op}) => op), ['create', 'update']);
+    assert.strictEqual(updates[0].data[0].id, base.secondProp.id);
+    assert.strictEqual(updates[1].data[0].id, base.firstProp.id);
+
+    const props = await TypeORM.getConnection().manager
+        .createQueryBuilder(Prop, 'prop')
+        .where('prop.worldId = :wid', {wid: base.worldId})
+        .orderBy('prop.id').getMany();
+
+    assert.equal(props.length, 2);
+    assert.strictEqual(props[0].id, base.firstProp.id);
+    assert.strictEqual(props[0].name, 'wall03.rwx');
+    assert.ok(props[0].date >= base.now);
+
+    // Deleted prop is back under its original ID
+    assert.strictEqual(props[1].id, base.secondProp.id);
+    assert.strictEqual(props[1].name, 'wall02.rwx');
+    assert.strictEqual(props[1].x, 100);
+
+    // Restoring makes for new revisions as well
+    assert.deepStrictEqual(
+        (await getPropHistory(base.secondProp.id)).map(({op}) => op),
+        ['delete', 'create']);
+  });
+
+  it('POST /api/worlds/id/props/restore - Not allowed', async () => {
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({[base.firstProp.id]: {name: 'wall03.rwx'}})
+        .expect(200);
+
+    const [revision] = await getPropHistory(base.firstProp.id);
+
+    // Only owners (or privileged admins) can restore props
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/props/restore')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send([revision.id])
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [false]);
+        });
+  });
+
+  it('POST /api/worlds/id/props/restore - Quotas', async () => {
+    base.config.propsQuota = 1;
+    base.config.propsPerChunk = 1;
+
+    const postProp = (x, token = base.citizenBearerToken) =>
+      request(base.server)
+          .post('/api/worlds/' + base.worldId + '/props')
+          .set('Authorization', 'Bearer ' + token)
+          .send([{x, y: 0, z: 0, yaw: 0, pitch: 0, roll: 0,
+            name: 'wall01.rwx', description: '', action: ''}])
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, [true]);
+          });
+    const deleteOwnProps = async () => {
+      const props = await TypeORM.getConnection().manager
+          .createQueryBuilder(Prop, 'prop')
+          .where('prop.userId = :userId', {userId: base.citizenId})
+          .getMany();
+
+      await request(base.server)
+          .delete('/api/worlds/' + base.worldId + '/props')
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .send(props.map(({id}) => id))
+          .expect(200);
+
+      return props[0].id;
+    };
+    const restore = (revisionId, token = base.citizenBearerToken) =>
+      request(base.server)
+          .post('/api/worlds/' + base.worldId + '/props/restore')
+          .set('Authorization', 'Bearer ' + token)
+          .send([revisionId])
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => response.body);
+
+    await postProp(40);
+    const [revision] = await getPropHistory(await deleteOwnProps());
+
+    // The citizen already owns as many props as allowed
+    await postProp(80);
+    assert.deepStrictEqual(await restore(revision.id), [false]);
+
+    // The chunk of the deleted prop is full now
+    await deleteOwnProps();
+    await postProp(41, base.adminBearerToken);
+    assert.deepStrictEqual(await restore(revision.id), [false]);
+
+    // Admins in privilege mode are not subject to quotas
+    assert.deepStrictEqual(await restore(revision.id, base.adminBearerToken),
+        [true]);
+
+    delete base.config.propsQuota;
+    delete base.config.propsPerChunk;
+  });
+
+  it('POST /api/worlds/id/props/restore - Bad request', async () => {
+    for (const payload of [{}, [], ['1'], [1, 1], [-1]]) {
+      await request(base.server)
+          .post('/api/worlds/' + base.worldId + '/props/restore')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(payload)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('POST /api/worlds/id/props/restore - Not found', (done) => {
+    request(base.server)
+        .post('/api/worlds/66666/props/restore')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send([1])
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  // Testing area-wide props admin API
+
+  it('PUT /api/worlds/id/props/owner - OK', async () => {
+    const updates = [];
+
+    await Promise.all([
+      // All the props are broadcast in a single batch
+      request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/update?token=` +
+              base.citizenBearerToken)
+          .expectText((data) => {
+            updates.push(JSON.parse(data));
+          })
+          .close()
+          .expectClosed(),
+      request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/owner')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({userId: base.adminId, toUserId: base.citizenId})
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, {count: 2});
+          }),
+    ]);
+
+    assert.equal(updates.length, 1);
+    assert.strictEqual(updates[0].op, 'update');
+    assert.deepStrictEqual(updates[0].data.map(({id, userId}) => [id, userId]),
+        [[base.firstProp.id, base.citizenId],
+          [base.secondProp.id, base.citizenId]]);
+
+    const props = await getWorldProps();
+    assert.ok(props.every(({userId}) => userId === base.citizenId));
+    assert.ok(props.every(({date}) => date >= base.now));
+
+    const [revision] = await getPropHistory(base.firstProp.id);
+    assert.strictEqual(revision.op, 'update');
+    assert.strictEqual(revision.authorId, base.adminId);
+    assert.strictEqual(revision.userId, base.citizenId);
+
+    // Only transfer the props within the area
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props/owner')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({minX: 50, maxX: 150, minZ: 250, maxZ: 350,
+          toUserId: base.adminId})
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, {count: 1});
+        });
+
+    assert.deepStrictEqual((await getWorldProps()).map(({userId}) => userId),
+        [base.citizenId, base.adminId]);
+  });
+
+  it('PUT /api/worlds/id/props/owner - Bad request', async () => {
+    for (const payload of [[], {toUserId: base.citizenId},
+      {userId: base.adminId}, {userId: base.adminId, toUserId: 66666},
+      {minX: 0, maxX: 10, toUserId: base.citizenId},
+      {minX: 10, maxX: 0, minZ: 0, maxZ: 10, toUserId: base.citizenId}]) {
+      await request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/owner')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(payload)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('PUT /api/worlds/id/props/owner - Bad request (guest)', async () => {
+    base.config.guestLogin = true;
+
+    const guestId = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body.id);
+
+    base.config.guestLogin = false;
+
+    // Guests only live in the user cache, they cannot own props
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props/owner')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.adminId, toUserId: guestId})
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    // Nor can users only known to the cache
+    base.userCache.set(77777, {name: 'gh0st', role: 'citizen',
+      tokenGeneration: 0});
+
+    await request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props/owner')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.adminId, toUserId: 77777})
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    base.userCache.delete(77777);
+  });
+
+  it('PUT /api/worlds/id/props/owner - Forbidden', async () => {
+    // Only admins in privilege mode are allowed
+    for (const token of [base.citizenBearerToken,
+      base.adminPlainBearerToken]) {
+      await request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/owner')
+          .set('Authorization', 'Bearer ' + token)
+          .send({userId: base.adminId, toUserId: base.citizenId})
+          .expect('Content-Type', /json/)
+          .expect(403);
+    }
+  });
+
+  it('PUT /api/worlds/id/props/owner - Not found', (done) => {
+    request(base.server)
+        .put('/api/worlds/66666/props/owner')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.adminId, toUserId: base.citizenId})
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('PUT /api/worlds/id/props/area - OK', async () => {
+    const updates = [];
+
+    await Promise.all([
+      request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/update?token=` +
+              base.citizenBearerToken)
+          .expectText((data) => {
+            updates.push(JSON.parse(data));
+          })
+          .close()
+          .expectClosed(),
+      request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/area')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({minX: -10, maxX: 10, minZ: -10, maxZ: 10,
+            offset: {x: 20, z: -40}})
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, {count: 1});
+          }),
+    ]);
+
+    assert.equal(updates.length, 1);
+    assert.strictEqual(updates[0].op, 'update');
+    assert.equal(updates[0].data.length, 1);
+    assert.strictEqual(updates[0].data[0].id, base.firstProp.id);
+
+    const props = await getWorldProps();
+    assert.deepStrictEqual([props[0].x, props[0].y, props[0].z], [20, 0, -40]);
+    assert.deepStrictEqual([props[1].x, props[1].y, props[1].z],
+        [100, -200, 300]);
+
+    // Nothing left to move in this area, owner filter applies as well
+    for (const payload of [{minX: -10, maxX: 10, minZ: -10, maxZ: 10},
+      {minX: 0, maxX: 200, minZ: 0, maxZ: 400, userId: base.citizenId}]) {
+      await request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/area')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({...payload, offset: {y: 1}})
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, {count: 0});
+          });
+    }
+  });
+
+  it('PUT /api/worlds/id/props/area - Bad request', async () => {
+    const area = {minX: -10, maxX: 10, minZ: -10, maxZ: 10};
+
+    for (const payload of [{offset: {x: 1}}, {...area},
+      {...area, offset: 5}, {...area, offset: {x: '1'}},
+      {...area, maxZ: 'abc', offset: {x: 1}}]) {
+      await request(base.server)
+          .put('/api/worlds/' + base.worldId + '/props/area')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(payload)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('PUT /api/worlds/id/props/area - Forbidden', (done) => {
+    request(base.server)
+        .put('/api/worlds/' + base.worldId + '/props/area')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({minX: -10, maxX: 10, minZ: -10, maxZ: 10, offset: {x: 1}})
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/worlds/id/props/area - OK', async () => {
+    const updates = [];
+
+    await Promise.all([
+      request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/update?token=` +
+              base.citizenBearerToken)
+          .expectText((data) => {
+            updates.push(JSON.parse(data));
+          })
+          .close()
+          .expectClosed(),
+      request(base.server)
+          .delete('/api/worlds/' + base.worldId + '/props/area')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({minX: -1000, maxX: 1000, minZ: -1000, maxZ: 1000})
+          .expect('Content-Type', /json/)
+          .expect(200).then((response) => {
+            assert.deepStrictEqual(response.body, {count: 2});
+          }),
+    ]);
+
+    assert.deepStrictEqual(updates, [{op: 'delete',
+      data: [base.firstProp.id, base.secondProp.id]}]);
+    assert.equal((await getWorldProps()).length, 0);
+
+    // Deleted props can be restored
+    const [revision] = await getPropHistory(base.secondProp.id);
+    assert.strictEqual(revision.op, 'delete');
+    assert.strictEqual(revision.x, 100);
+  });
+
+  it('DELETE /api/worlds/id/props/area - Bad request', async () => {
+    for (const payload of [[], {}, {userId: base.adminId},
+      {minX: 0, maxX: 10, minZ: 0, maxZ: 10, userId: 'abc'}]) {
+      await request(base.server)
+          .delete('/api/worlds/' + base.worldId + '/props/area')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(payload)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('DELETE /api/worlds/id/props/area - Forbidden', (done) => {
+    request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/props/area')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({minX: -10, maxX: 10, minZ: -10, maxZ: 10})
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/worlds/id/props/area - Not found', (done) => {
+    request(base.server)
+        .delete('/api/worlds/66666/props/area')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({minX: -10, maxX: 10, minZ: -10, maxZ: 10})
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
 });
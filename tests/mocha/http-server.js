@@ -3,11 +3,18 @@
  */
 
 import {defaultPageDiameter} from '../../common/terrain-utils.js';
-import makeHttpTestBase from '../utils.js';
+import makeHttpTestBase, {sleep} from '../utils.js';
 import request from 'superwstest';
 import * as assert from 'assert';
 import {join} from 'node:path';
 import * as fs from 'fs';
+import jwt from 'jsonwebtoken';
+import {guestIdBase} from '../../server/utils.js';
+import {serializeEntityState} from '../../common/ws-data-format.js';
+import Prop from '../../common/db/model/Prop.js';
+import World from '../../common/db/model/World.js';
+import User from '../../common/db/model/User.js';
+import TypeORM from 'typeorm';
 
 // Testing http server
 
@@ -49,6 +56,137 @@ describe('http server', () => {
         .expect(401, done);
   });
 
+  it('POST /api/login - Too many requests', async () => {
+    // Unknown users get throttled as well, not to tell them apart
+    for (let i = 0; i < 5; i++) {
+      await request(base.server)
+          .post('/api/login')
+          .send({username: 'gh0st', password: 'UwU'})
+          .expect(401);
+    }
+
+    await request(base.server)
+        .post('/api/login')
+        .send({username: 'gh0st', password: 'UwU'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect('Retry-After', '1')
+        .expect(429);
+
+    // Other users remain unaffected
+    await request(base.server)
+        .post('/api/login')
+        .send({username: 'xXx_B0b_xXx', password: '3p1cP4sSw0Rd'})
+        .expect(200);
+  });
+
+  it('POST /api/login - Too many requests (concurrent attempts)', async () => {
+    // Failed attempts count before the (slow) password check completes, a
+    // burst of concurrent attempts cannot get past the throttling
+    const statuses = await Promise.all([...Array(10).keys()].map(() =>
+      request(base.server)
+          .post('/api/login')
+          .send({username: 'sp3ctr3', password: 'UwU'})
+          .then((response) => response.status)));
+
+    assert.equal(statuses.filter((status) => status == 401).length, 5);
+    assert.equal(statuses.filter((status) => status == 429).length, 5);
+
+    // Successful attempts are not held against the address
+    await request(base.server)
+        .post('/api/login')
+        .send({username: 'xXx_B0b_xXx', password: '3p1cP4sSw0Rd'})
+        .expect(200);
+  });
+
+  it('POST /api/login - OK (expiring token)', (done) => {
+    request(base.server)
+        .post('/api/login')
+        .send({username: 'xXx_B0b_xXx', password: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const payload = jwt.verify(response.body.token, base.secret);
+
+          assert.equal(payload.userId, base.adminId);
+          assert.equal(payload.userRole, 'admin');
+          assert.equal(payload.exp - payload.iat, 3600);
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/token/refresh - OK', (done) => {
+    // Forge a token issued a while ago, about to expire
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({userId: base.citizenId, userRole: 'citizen',
+      iat: now - 3000}, base.secret, {expiresIn: 3600});
+
+    request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'Bearer ' + token)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const body = response.body;
+
+          assert.equal(body.id, base.citizenId);
+          assert.equal(body.role, 'citizen');
+
+          const payload = jwt.verify(body.token, base.secret);
+
+          assert.equal(payload.userId, base.citizenId);
+          assert.equal(payload.userRole, 'citizen');
+          assert.ok(payload.iat >= now);
+          assert.ok(payload.exp >= now + 3600);
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/token/refresh - Unauthorized', (done) => {
+    request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'gibberish')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('POST /api/token/refresh - Forbidden (expired token)', (done) => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = jwt.sign({userId: base.citizenId, userRole: 'citizen',
+      iat: now - 7200}, base.secret, {expiresIn: 3600});
+
+    request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'Bearer ' + token)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403).then(() => request(base.server)
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + token)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/token/refresh - Forbidden (unknown user)', (done) => {
+    const token = jwt.sign({userId: 66666, userRole: 'citizen'}, base.secret,
+        {expiresIn: 3600});
+
+    request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'Bearer ' + token)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
   // Testing World API
 
   it('GET /api/worlds - OK', (done) => {
@@ -480,4 +618,2675 @@ describe('http server', () => {
         .expect('Content-Type', /json/)
         .expect(403, done);
   });
+
+  // Testing User registration and password management
+
+  it('POST /api/users - OK', (done) => {
+    base.config.openRegistration = true;
+
+    request(base.server)
+        .post('/api/users')
+        .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd',
+          email: 'newbie@somemail.com'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then(async (response) => {
+          const body = response.body;
+
+          assert.ok(body.id);
+          assert.equal(body.name, 'n3wB1e');
+          assert.equal(body.email, 'newbie@somemail.com');
+          assert.equal(body.role, 'citizen');
+          assert.strictEqual(body.password, undefined);
+          assert.strictEqual(body.salt, undefined);
+          assert.deepStrictEqual(base.userCache.get(body.id),
+              {name: 'n3wB1e', role: 'citizen', tokenGeneration: 0});
+
+          // The new user should be able to log in right away
+          await request(base.server)
+              .post('/api/login')
+              .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd'})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200).then((response) => {
+                assert.equal(response.body.id, body.id);
+                assert.ok(response.body.token);
+              });
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/users - Forbidden (registration closed)', (done) => {
+    base.config.openRegistration = false;
+
+    request(base.server)
+        .post('/api/users')
+        .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('POST /api/users - Bad request', (done) => {
+    base.config.openRegistration = true;
+
+    request(base.server)
+        .post('/api/users')
+        .send({username: 'n3wB1e', password: 'short'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400).then(() => request(base.server)
+            .post('/api/users')
+            .send({username: ' ', password: 'n3wP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => request(base.server)
+            .post('/api/users')
+            .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd',
+              email: 'not an email'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/users - Conflict', (done) => {
+    base.config.openRegistration = true;
+
+    request(base.server)
+        .post('/api/users')
+        .send({username: 'oOo_Al1ce_oOo', password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409, done);
+  });
+
+  it('POST /api/users - Conflict (concurrent registrations)', async () => {
+    base.config.openRegistration = true;
+
+    const statuses = await Promise.all([...Array(3).keys()].map(() =>
+      request(base.server)
+          .post('/api/users')
+          .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd'})
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .then((response) => response.status)));
+
+    assert.deepStrictEqual(statuses.sort(), [201, 409, 409]);
+
+    // Only one account got registered under this name
+    const users = await TypeORM.getConnection().manager
+        .find(User, {where: {name: 'n3wB1e'}});
+    assert.equal(users.length, 1);
+  });
+
+  // Testing guest login
+
+  it('POST /api/login/guest - OK', (done) => {
+    base.config.guestLogin = true;
+    let token = null;
+
+    request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const body = response.body;
+          token = body.token;
+
+          assert.ok(body.id >= guestIdBase);
+          assert.equal(body.role, 'tourist');
+          assert.ok(token);
+          assert.equal(jwt.decode(token).userRole, 'tourist');
+          assert.equal(base.userCache.get(body.id).name, 'V1s1t0r');
+          assert.ok(base.userCache.get(body.id).guest);
+
+          return request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + token)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => request(base.server)
+            .post('/api/token/refresh')
+            .set('Authorization', 'Bearer ' + token)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => request(base.server)
+            .post('/api/logout')
+            .set('Authorization', 'Bearer ' + token)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => request(base.server)
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + token)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => {
+          base.config.guestLogin = false;
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/login/guest - Forbidden (guest login disabled)', (done) => {
+    base.config.guestLogin = false;
+
+    request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('POST /api/login/guest - Bad request', (done) => {
+    base.config.guestLogin = true;
+
+    request(base.server)
+        .post('/api/login/guest')
+        .send({name: ' '})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400).then(() => request(base.server)
+            .post('/api/login/guest')
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => {
+          base.config.guestLogin = false;
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/login/guest - Conflict', (done) => {
+    base.config.guestLogin = true;
+
+    request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'oOo_Al1ce_oOo'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409).then(() => request(base.server)
+            .post('/api/login/guest')
+            .send({name: 'V1s1t0r'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => request(base.server)
+            .post('/api/login/guest')
+            .send({name: 'V1s1t0r'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(409))
+        .then(() => {
+          base.config.guestLogin = false;
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/login/guest - Forbidden (token from a previous session)', async () => {
+    base.config.guestLogin = true;
+
+    const {id, token} = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body);
+
+    base.config.guestLogin = false;
+    assert.ok(jwt.decode(token).session);
+
+    await request(base.server)
+        .get('/api/worlds')
+        .set('Authorization', 'Bearer ' + token)
+        .expect(200);
+
+    // Guest IDs start over after a restart: another guest ends up with the
+    // same ID, tokens from the previous one must not work for it
+    base.userCache.set(id, {...base.userCache.get(id), name: 'Anoth3r',
+      session: 'someOtherSession'});
+
+    await request(base.server)
+        .get('/api/worlds')
+        .set('Authorization', 'Bearer ' + token)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    await request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'Bearer ' + token)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    // Forging a token without any session does not help either
+    const forgedToken = jwt.sign({userId: id, userRole: 'tourist', gen: 0},
+        base.secret, {expiresIn: '1h'});
+
+    await request(base.server)
+        .get('/api/worlds')
+        .set('Authorization', 'Bearer ' + forgedToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+  });
+
+  it('POST /api/login/guest - Too many requests', async () => {
+    const previousLimit = base.config.guestLoginRateLimit;
+    base.config.guestLogin = true;
+    base.config.guestLoginRateLimit = 1;
+
+    await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'});
+
+    await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'Anoth3r'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(429).then((response) => {
+          assert.ok(parseInt(response.headers['retry-after']) > 0);
+        });
+
+    base.config.guestLogin = false;
+    base.config.guestLoginRateLimit = previousLimit;
+  });
+
+  it('PUT /api/users/id/password (as citizen) - OK (self)', (done) => {
+    request(base.server)
+        .put(`/api/users/${base.citizenId}/password`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({password: 'n3wP4sSw0Rd', oldPassword: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then(() => request(base.server)
+            // Tokens issued with the previous password are revoked
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => {
+          assert.equal(base.userCache.get(base.citizenId).tokenGeneration, 1);
+
+          return request(base.server)
+              .post('/api/login')
+              .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(401);
+        })
+        .then(() => request(base.server)
+            .post('/api/login')
+            .send({username: 'oOo_Al1ce_oOo', password: 'n3wP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('PUT /api/users/id/password (as citizen) - Forbidden (wrong old password)',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.citizenId}/password`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({password: 'n3wP4sSw0Rd', oldPassword: 'UwU'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403).then(() => request(base.server)
+                .put(`/api/users/${base.citizenId}/password`)
+                .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                .send({password: 'n3wP4sSw0Rd'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(403))
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  it('PUT /api/users/id/password (as citizen) - Forbidden (someone else)',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.adminId}/password`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({password: 'n3wP4sSw0Rd', oldPassword: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403, done);
+      });
+
+  it('PUT /api/users/id/password (as citizen) - Bad request', (done) => {
+    request(base.server)
+        .put(`/api/users/${base.citizenId}/password`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({password: 'short', oldPassword: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('PUT /api/users/id/password (as citizen) - Unauthorized', (done) => {
+    request(base.server)
+        .put(`/api/users/${base.citizenId}/password`)
+        .set('Authorization', 'gibberish')
+        .send({password: 'n3wP4sSw0Rd', oldPassword: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('PUT /api/users/id/password (as admin) - OK (someone else)', (done) => {
+    request(base.server)
+        .put(`/api/users/${base.citizenId}/password`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then(() => request(base.server)
+            .post('/api/login')
+            .send({username: 'oOo_Al1ce_oOo', password: 'n3wP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('PUT /api/users/id/password (as admin) - Not found', (done) => {
+    request(base.server)
+        .put('/api/users/66666/password')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  // Testing token revocation
+
+  it('POST /api/logout - OK', (done) => {
+    request(base.server)
+        .post('/api/logout')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then(() => request(base.server)
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .post('/api/token/refresh')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .post('/api/login')
+            .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then((response) => {
+          assert.equal(jwt.verify(response.body.token, base.secret).gen, 1);
+
+          // A freshly-issued token is usable again
+          return request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + response.body.token)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => request(base.server)
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/logout - Unauthorized', (done) => {
+    request(base.server)
+        .post('/api/logout')
+        .set('Authorization', 'gibberish')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('POST /api/users/id/logout-all (as admin) - OK (someone else)',
+      (done) => {
+        request(base.server)
+            .post(`/api/users/${base.citizenId}/logout-all`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200).then(() => {
+              assert.equal(base.userCache.get(base.citizenId).tokenGeneration,
+                  1);
+
+              return request(base.server)
+                  .get('/api/worlds')
+                  .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                  .set('Accept', 'application/json')
+                  .expect('Content-Type', /json/)
+                  .expect(403);
+            })
+            .then(() => request(base.server)
+                .get('/api/worlds')
+                .set('Authorization', 'Bearer ' + base.adminBearerToken)
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200))
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  it('POST /api/users/id/logout-all (as admin) - Not found', (done) => {
+    request(base.server)
+        .post('/api/users/66666/logout-all')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('POST /api/users/id/logout-all (as citizen) - Forbidden (someone else)',
+      (done) => {
+        request(base.server)
+            .post(`/api/users/${base.adminId}/logout-all`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403, done);
+      });
+
+  it('POST /api/users/id/logout-all (as citizen) - Unauthorized', (done) => {
+    request(base.server)
+        .post(`/api/users/${base.citizenId}/logout-all`)
+        .set('Authorization', 'gibberish')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  // Testing User management (as admin)
+
+  it('POST /api/users (as admin) - OK', (done) => {
+    base.config.openRegistration = false;
+
+    request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({username: 'n3wB0ss', password: 'n3wP4sSw0Rd', role: 'admin'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => {
+          const body = response.body;
+
+          assert.ok(body.id);
+          assert.equal(body.name, 'n3wB0ss');
+          assert.equal(body.email, '');
+          assert.equal(body.role, 'admin');
+          assert.deepStrictEqual(base.userCache.get(body.id),
+              {name: 'n3wB0ss', role: 'admin', tokenGeneration: 0});
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/users (as admin) - Bad request', (done) => {
+    request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({username: 'n3wB0ss', password: 'n3wP4sSw0Rd', role: 'overlord'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('POST /api/users (as admin) - Conflict', (done) => {
+    request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({username: 'oOo_Al1ce_oOo', password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409, done);
+  });
+
+  it('POST /api/users (as citizen) - OK (open registration)', async () => {
+    base.config.openRegistration = true;
+
+    // Non-admins register like anyone else, credentials or not
+    await request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({username: 'n3wB1e', password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => {
+          assert.equal(response.body.name, 'n3wB1e');
+          assert.equal(response.body.role, 'citizen');
+        });
+
+    base.config.openRegistration = false;
+
+    await request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({username: 'n3wB1e_2', password: 'n3wP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+  });
+
+  it('POST /api/users (as citizen) - Forbidden', (done) => {
+    base.config.openRegistration = true;
+
+    request(base.server)
+        .post('/api/users')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({username: 'n3wB0ss', password: 'n3wP4sSw0Rd', role: 'admin'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('PATCH /api/users/id (as admin) - OK', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Al1ce_R3born', email: 'reborn@somemail.com'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const body = response.body;
+
+          assert.equal(body.id, base.citizenId);
+          assert.equal(body.name, 'Al1ce_R3born');
+          assert.equal(body.email, 'reborn@somemail.com');
+          assert.equal(body.role, 'citizen');
+          assert.deepStrictEqual(base.userCache.get(base.citizenId),
+              {name: 'Al1ce_R3born', role: 'citizen', tokenGeneration: 0});
+
+          // Tokens remain valid as long as the role doesn't change
+          return request(base.server)
+              .get('/api/users/' + base.citizenId)
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then((response) => {
+          assert.equal(response.body.name, 'Al1ce_R3born');
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('PATCH /api/users/id (as admin) - OK (role)', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({role: 'admin'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.equal(response.body.role, 'admin');
+          assert.deepStrictEqual(base.userCache.get(base.citizenId),
+              {name: 'oOo_Al1ce_oOo', role: 'admin', tokenGeneration: 1});
+
+          // Tokens holding the former role are revoked
+          return request(base.server)
+              .get('/api/users/' + base.citizenId)
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(403);
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('PATCH /api/users/id (as admin) - Bad request', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({role: 'overlord'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400).then(() => request(base.server)
+            .patch('/api/users/' + base.citizenId)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({name: ''})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('PATCH /api/users/id (as admin) - Conflict', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'xXx_B0b_xXx'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409, done);
+  });
+
+  it('PATCH /api/users/id (as admin) - Conflict (concurrent renames)',
+      async () => {
+        const statuses = await Promise.all([base.adminId, base.citizenId]
+            .map((id) => request(base.server)
+                .patch('/api/users/' + id)
+                .set('Authorization', 'Bearer ' + base.adminBearerToken)
+                .send({name: 'R3n4m3d'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .then((response) => response.status)));
+
+        assert.deepStrictEqual(statuses.sort(), [200, 409]);
+
+        // Only one user got renamed
+        const users = await TypeORM.getConnection().manager
+            .find(User, {where: {name: 'R3n4m3d'}});
+        assert.equal(users.length, 1);
+      });
+
+  it('PATCH /api/users/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .patch('/api/users/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Nobody'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('PATCH /api/users/id (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({role: 'admin'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('PATCH /api/users/id (as admin) - Unauthorized', (done) => {
+    request(base.server)
+        .patch('/api/users/' + base.citizenId)
+        .set('Authorization', 'gibberish')
+        .send({role: 'admin'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('DELETE /api/users/id (as admin) - OK', (done) => {
+    request(base.server)
+        .delete('/api/users/' + base.citizenId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then(() => {
+          assert.strictEqual(base.userCache.has(base.citizenId), false);
+
+          return request(base.server)
+              .get('/api/users/' + base.citizenId)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(404);
+        })
+        .then(() => request(base.server)
+            .get('/api/worlds')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('DELETE /api/users/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .delete('/api/users/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('DELETE /api/users/id (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .delete('/api/users/' + base.adminId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/users/id (as admin) - Unauthorized', (done) => {
+    request(base.server)
+        .delete('/api/users/' + base.citizenId)
+        .set('Authorization', 'gibberish')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  // Testing world administration
+
+  const validWorldData = {
+    path: 'http://localhost:8080/path',
+    skyColors: {north: [0, 0, 255], east: [0, 0, 255], south: [0, 0, 255],
+      west: [0, 0, 255], top: [128, 128, 255], bottom: [0, 0, 64]},
+    ambientColor: 'c0c0c0',
+    directionalColor: 'ffffff',
+    dirLightPos: [-0.8, -0.5, -0.2],
+    enableTerrain: true,
+    somethingElse: 'kept as is',
+  };
+
+  it('POST /api/worlds (as admin) - OK', (done) => {
+    request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'New World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => {
+          const body = response.body;
+
+          assert.ok(body.id);
+          assert.equal(body.name, 'New World');
+          assert.deepStrictEqual(JSON.parse(body.data), validWorldData);
+
+          return request(base.server)
+              .get('/api/worlds/' + body.id)
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then((response) => {
+          assert.equal(response.body.name, 'New World');
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/worlds (as admin) - Bad request', async () => {
+    const invalidData = [
+      undefined,
+      [],
+      {...validWorldData, path: undefined},
+      {...validWorldData, skyColors: {...validWorldData.skyColors,
+        top: [256, 0, 0]}},
+      {...validWorldData, ambientColor: '#c0c0c0'},
+      {...validWorldData, dirLightPos: [0, 1]},
+      {...validWorldData, enableFog: true},
+      {...validWorldData, entryPoint: {x: 0, y: 'up', z: 0}},
+    ];
+
+    for (const data of invalidData) {
+      await request(base.server)
+          .post('/api/worlds')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({name: 'New World', data})
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+
+    await request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: ' ', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400);
+  });
+
+  it('POST /api/worlds (as admin) - Conflict', (done) => {
+    request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Test World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409, done);
+  });
+
+  it('POST /api/worlds (as admin) - Forbidden (no privilege)', (done) => {
+    request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({name: 'New World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('POST /api/worlds (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({name: 'New World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('POST /api/worlds (as admin) - Unauthorized', (done) => {
+    request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'gibberish')
+        .send({name: 'New World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - OK', (done) => {
+    request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Renamed World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.equal(response.body.name, 'Renamed World');
+          assert.deepStrictEqual(JSON.parse(response.body.data),
+              validWorldData);
+
+          // Only the provided entries get updated, null ones are removed
+          return request(base.server)
+              .patch('/api/worlds/' + base.worldId)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .send({data: {ambientColor: '808080', somethingElse: null}})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then((response) => {
+          const expected = {...validWorldData, ambientColor: '808080'};
+          delete expected.somethingElse;
+
+          assert.equal(response.body.name, 'Renamed World');
+          assert.deepStrictEqual(JSON.parse(response.body.data), expected);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('PATCH /api/worlds/id (as admin) - OK (broadcast)', async () => {
+    const worldUpdateCb = (text) => {
+      const entries = JSON.parse(text);
+
+      assert.strictEqual(entries.op, 'world');
+      assert.deepStrictEqual(entries.data,
+          {...validWorldData, enableFog: true, fogColor: '808080',
+            fogMinimum: 0, fogMaximum: 120});
+    };
+
+    await Promise.all([
+      // Clients listening to world updates get the new data right away
+      request(base.server).ws('/api/worlds/' + base.worldId +
+          '/ws/update?token=' + base.citizenBearerToken)
+          .expectText(worldUpdateCb)
+          .close()
+          .expectClosed(),
+      request(base.server)
+          .patch('/api/worlds/' + base.worldId)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({data: {...validWorldData, enableFog: true,
+            fogColor: '808080', fogMinimum: 0, fogMaximum: 120}})
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(200),
+    ]);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - Bad request', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    // Removing a required entry
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: {path: null}})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    // Setting an invalid entry
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: {terrainElevationOffset: 'high'}})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: 'gibberish'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    const response = await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    assert.deepStrictEqual(JSON.parse(response.body.data), validWorldData);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - OK (legacy data)', async () => {
+    // Fog values used to be imported as strings
+    const legacyWorldData = {...validWorldData, enableFog: true,
+      fogColor: '808080', fogMinimum: '0', fogMaximum: '120'};
+
+    await TypeORM.getConnection().manager.update(World, base.worldId,
+        {data: JSON.stringify(legacyWorldData)});
+
+    // Untouched invalid entries do not get in the way
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: {ambientColor: '808080'}})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    // Patched ones still need to be valid
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: {fogMinimum: '10'}})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400);
+
+    const response = await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({data: {fogMinimum: 10, fogMaximum: 100}})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    assert.deepStrictEqual(JSON.parse(response.body.data),
+        {...legacyWorldData, ambientColor: '808080', fogMinimum: 10,
+          fogMaximum: 100});
+  });
+
+  it('PATCH /api/worlds/id (as admin) - Conflict', async () => {
+    await request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Other World', data: validWorldData})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Other World'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(409);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .patch('/api/worlds/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'Renamed World'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('PATCH /api/worlds/id (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({name: 'Renamed World'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/worlds/id (as admin) - OK', async () => {
+    const worldPath = join(base.worldFolder, `${base.worldId}`);
+
+    // Get terrain and water data to be stored for this world
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/terrain/0/0/elevation')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect(200);
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/water/0/0')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect(200);
+    await request(base.server)
+        .post('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({worldId: base.worldId, userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+    assert.strictEqual(base.terrainCache.has(`${base.worldId}`), true);
+    assert.strictEqual(base.waterCache.has(`${base.worldId}`), true);
+    assert.strictEqual(base.muteCache.size, 1);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    assert.strictEqual(base.terrainCache.has(`${base.worldId}`), false);
+    assert.strictEqual(base.waterCache.has(`${base.worldId}`), false);
+    assert.strictEqual(base.muteCache.size, 0);
+    assert.strictEqual(fs.existsSync(worldPath), false);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+
+    const props = await TypeORM.getConnection().manager
+        .createQueryBuilder(Prop, 'prop')
+        .where('prop.worldId = :wid', {wid: base.worldId}).getMany();
+    assert.strictEqual(props.length, 0);
+
+    const mutes = await request(base.server)
+        .get('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+    assert.strictEqual(mutes.body.length, 0);
+  });
+
+  it('DELETE /api/worlds/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .delete('/api/worlds/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('DELETE /api/worlds/id (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .delete('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/worlds/id (as admin) - Unauthorized', (done) => {
+    request(base.server)
+        .delete('/api/worlds/' + base.worldId)
+        .set('Authorization', 'gibberish')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  // Testing world rights and regions
+
+  it('POST /api/worlds/id/rights (as admin) - OK', async () => {
+    const right = await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'build'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => response.body);
+
+    assert.strictEqual(right.worldId, base.worldId);
+    assert.strictEqual(right.userId, base.citizenId);
+    assert.strictEqual(right.right, 'build');
+
+    // Anyone can get the list of rights
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [right]);
+        });
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/rights/' + right.id)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, []);
+        });
+  });
+
+  it('POST /api/worlds/id/rights (as admin) - Bad request', (done) => {
+    request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'fly'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('POST /api/worlds/id/rights (as admin) - Not found', async () => {
+    await request(base.server)
+        .post('/api/worlds/66666/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'build'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: 66666, right: 'build'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('POST /api/worlds/id/rights (as admin) - Conflict', async () => {
+    const send = () => request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'enter'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/);
+
+    await send().expect(201);
+    await send().expect(409);
+  });
+
+  it('POST /api/worlds/id/rights (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({userId: base.citizenId, right: 'build'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('DELETE /api/worlds/id/rights/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/rights/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('POST /api/worlds/id/eject - Bad request', (done) => {
+    request(base.server)
+        .post('/api/worlds/' + base.worldId + '/eject')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: 'someone'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('POST /api/worlds/id/eject - Not found', async () => {
+    await request(base.server)
+        .post('/api/worlds/66666/eject')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+
+    // Not connected to the world
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/eject')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('POST /api/worlds/id/eject - Forbidden', async () => {
+    // No eject right
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/eject')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({userId: base.adminId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    // Admins need to be in privilege mode when lacking the right
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/eject')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+  });
+
+  it('POST /api/worlds/id/regions (as admin) - OK', async () => {
+    const region = await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/regions')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, minX: -10, maxX: 10, minZ: 0,
+          maxZ: 20.5})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => response.body);
+
+    assert.strictEqual(region.worldId, base.worldId);
+    assert.strictEqual(region.userId, base.citizenId);
+    assert.strictEqual(region.minX, -10);
+    assert.strictEqual(region.maxZ, 20.5);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/regions')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body, [region]);
+        });
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/regions/' + region.id)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/regions/' + region.id)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('POST /api/worlds/id/regions (as admin) - Bad request', async () => {
+    for (const bounds of [{minX: 10, maxX: -10, minZ: 0, maxZ: 20},
+      {minX: 0, maxX: 10, minZ: 0, maxZ: 0},
+      {minX: 0, maxX: 10, minZ: 0}]) {
+      await request(base.server)
+          .post('/api/worlds/' + base.worldId + '/regions')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({userId: base.citizenId, ...bounds})
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('POST /api/worlds/id/regions (as admin) - Conflict', async () => {
+    const send = (minX, maxX) => request(base.server)
+        .post('/api/worlds/' + base.worldId + '/regions')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, minX, maxX, minZ: 0, maxZ: 10})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/);
+
+    await send(0, 10).expect(201);
+    await send(5, 15).expect(409);
+
+    // Adjacent regions do not overlap
+    await send(10, 20).expect(201);
+  });
+
+  it('POST /api/worlds/id/regions (as citizen) - Forbidden', (done) => {
+    request(base.server)
+        .post('/api/worlds/' + base.worldId + '/regions')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({userId: base.citizenId, minX: 0, maxX: 10, minZ: 0, maxZ: 10})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403, done);
+  });
+
+  it('GET /api/worlds/id/regions - Not found', (done) => {
+    request(base.server)
+        .get('/api/worlds/66666/regions')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  // Testing world access
+
+  it('PATCH /api/worlds/id (as admin) - OK (citizens only)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'citizens'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.equal(response.body.access, 'citizens');
+          assert.strictEqual(response.body.maxUsers, null);
+        });
+
+    base.config.guestLogin = true;
+    const guestToken = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body.token);
+    base.config.guestLogin = false;
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + guestToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - OK (whitelist)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'whitelist'})
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+
+    // Admins are always allowed in
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .expect(200);
+
+    const right = await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'enter'})
+        .expect(201).then((response) => response.body);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200);
+
+    await request(base.server)
+        .delete('/api/worlds/' + base.worldId + '/rights/' + right.id)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - OK (password)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          assert.equal(response.body.access, 'password');
+
+          // The password must never leak
+          assert.strictEqual(response.body.password, undefined);
+          assert.strictEqual(response.body.salt, undefined);
+        });
+
+    await request(base.server)
+        .get('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200).then((response) => {
+          assert.equal(response.body[0].access, 'password');
+          assert.strictEqual(response.body[0].password, undefined);
+          assert.strictEqual(response.body[0].salt, undefined);
+        });
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'wrong')
+        .expect(403);
+
+    // Never read from the query string
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '?password=' +
+            encodeURIComponent('S3cr3t W0rld'))
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(200).then((response) => {
+          assert.strictEqual(response.body.password, undefined);
+        });
+
+    // The right password is remembered...
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200);
+
+    // ...until it changes
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({password: 'N3w S3cr3t'})
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+
+    // Back to public: no password needed anymore
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'public', password: null})
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200);
+  });
+
+  it('PATCH /api/worlds/id (as admin) - Bad request (access)', async () => {
+    const invalidFields = [
+      {access: 'gibberish'},
+      {access: 'password'},
+      {access: 'password', password: ''},
+      {maxUsers: 0},
+      {maxUsers: 2.5},
+      {password: 42},
+    ];
+
+    for (const fields of invalidFields) {
+      await request(base.server)
+          .patch('/api/worlds/' + base.worldId)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(fields)
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+
+    await request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'New World', data: validWorldData, access: 'password'})
+        .expect(400);
+  });
+
+  it('POST /api/worlds (as admin) - OK (password)', async () => {
+    const world = await request(base.server)
+        .post('/api/worlds')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({name: 'New World', data: validWorldData, access: 'password',
+          password: 'S3cr3t W0rld', maxUsers: 10})
+        .expect(201).then((response) => response.body);
+
+    assert.equal(world.access, 'password');
+    assert.equal(world.maxUsers, 10);
+    assert.strictEqual(world.password, undefined);
+    assert.strictEqual(world.salt, undefined);
+
+    await request(base.server)
+        .get('/api/worlds/' + world.id)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(200);
+  });
+
+  it('GET /api/worlds/id - Too many requests (wrong password)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .expect(200);
+
+    for (let i = 0; i < 5; i++) {
+      await request(base.server)
+          .get('/api/worlds/' + base.worldId)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .set('X-World-Password', 'wrong' + i)
+          .expect(403);
+    }
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'wrong')
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect('Retry-After', '1')
+        .expect(429);
+  });
+
+  it('GET /api/worlds/id/terrain and water - Forbidden (restricted world)',
+      async () => {
+        await request(base.server)
+            .patch('/api/worlds/' + base.worldId)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({access: 'whitelist'})
+            .expect(200);
+
+        const paths = ['/terrain/-3/1/elevation', '/terrain/-3/1/texture',
+          '/water/-3/1'];
+
+        for (const path of paths) {
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId + path)
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect(403);
+
+          // Admins are always allowed in
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId + path)
+              .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+              .expect(200);
+        }
+      });
+
+  it('GET /api/worlds/id/terrain and water - OK (password)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .expect(200);
+
+    const paths = ['/terrain/-3/1/elevation', '/terrain/-3/1/texture',
+      '/water/-3/1'];
+
+    // The password is only read when getting the world itself
+    for (const path of paths) {
+      await request(base.server)
+          .get('/api/worlds/' + base.worldId + path)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .set('X-World-Password', 'S3cr3t W0rld')
+          .expect(403);
+    }
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(200);
+
+    for (const path of paths) {
+      await request(base.server)
+          .get('/api/worlds/' + base.worldId + path)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expect(200);
+    }
+  });
+
+  it('GET /api/worlds/id - Service unavailable (full)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({maxUsers: 1})
+        .expect(200);
+
+    await request(base.server)
+        .ws('/api/worlds/' + base.worldId + '/ws/state')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(async () => {
+          await request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect(200).then((response) => {
+                assert.equal(response.body[0].population, 1);
+                assert.equal(response.body[0].maxUsers, 1);
+              });
+
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId)
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(503);
+        })
+        .close().expectClosed();
+
+    // Room was made
+    await sleep(100);
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200);
+  });
+
+  it('GET /api/worlds/id/users - OK', async () => {
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/users')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(200, []);
+
+    await request(base.server)
+        .ws('/api/worlds/' + base.worldId + '/ws/state')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(async () => {
+          // Position is not known until the user moves
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId + '/users')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect(200, [{id: base.adminId, name: 'xXx_B0b_xXx',
+                role: 'admin', position: null}]);
+        })
+        .sendBinary(serializeEntityState({entityType: 1, updateType: 3,
+          entityId: base.adminId, x: 1.5, y: 2.5, z: -3.5, yaw: 0, pitch: 0,
+          roll: 0}))
+        .wait(100)
+        .exec(async () => {
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId + '/users')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect(200, [{id: base.adminId, name: 'xXx_B0b_xXx',
+                role: 'admin', position: {x: 1.5, y: 2.5, z: -3.5}}]);
+
+          await request(base.server)
+              .get('/api/users/online')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect('Content-Type', /json/)
+              .expect(200, [{id: base.adminId, name: 'xXx_B0b_xXx',
+                role: 'admin', position: {x: 1.5, y: 2.5, z: -3.5},
+                worldId: base.worldId}]);
+        })
+        .close().expectClosed();
+
+    // The user left
+    await sleep(100);
+    await request(base.server)
+        .get('/api/users/online')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200, []);
+  });
+
+  it('GET /api/worlds/id/users - Forbidden', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'whitelist'})
+        .expect(200);
+
+    await request(base.server)
+        .ws('/api/worlds/' + base.worldId + '/ws/state')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .wait(100)
+        .exec(async () => {
+          await request(base.server)
+              .get('/api/worlds/' + base.worldId + '/users')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect('Content-Type', /json/)
+              .expect(403);
+
+          // Restricted worlds are left out of the online users as well...
+          await request(base.server)
+              .get('/api/users/online')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .expect(200, []);
+
+          // ...but not for the users allowed in
+          await request(base.server)
+              .get('/api/users/online')
+              .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+              .expect(200, [{id: base.adminId, name: 'xXx_B0b_xXx',
+                role: 'admin', position: null, worldId: base.worldId}]);
+        })
+        .close().expectClosed();
+  });
+
+  it('GET /api/worlds/id/users - Unauthorized', async () => {
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/users')
+        .expect(401);
+
+    await request(base.server)
+        .get('/api/users/online')
+        .expect(401);
+  });
+
+  it('GET /api/worlds/id/users - Not found', async () => {
+    await request(base.server)
+        .get('/api/worlds/66666/users')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('GET /api/worlds/id/chat - OK', async () => {
+    const chatLog = base.wsChannelManager.chatLog;
+    const first = await chatLog.append(base.worldId, base.citizenId,
+        'oOo_Al1ce_oOo', 'citizen', 'say', 'Hello', base.now);
+    const second = await chatLog.append(base.worldId, base.adminId,
+        'xXx_B0b_xXx', 'admin', 'say', 'Hi', base.now + 1);
+    const third = await chatLog.append(base.worldId, base.citizenId,
+        'oOo_Al1ce_oOo', 'citizen', 'say', 'How are you?', base.now + 2);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/chat')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(200, [
+          {id: first.id, userId: base.citizenId, name: 'oOo_Al1ce_oOo',
+            role: 'citizen', type: 'say', msg: 'Hello', date: base.now},
+          {id: second.id, userId: base.adminId, name: 'xXx_B0b_xXx',
+            role: 'admin', type: 'say', msg: 'Hi', date: base.now + 1},
+          {id: third.id, userId: base.citizenId, name: 'oOo_Al1ce_oOo',
+            role: 'citizen', type: 'say', msg: 'How are you?', date: base.now + 2},
+        ]);
+
+    // Paging through older messages
+    await request(base.server)
+        .get(`/api/worlds/${base.worldId}/chat?before=${third.id}&limit=1`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200).then((response) => {
+          assert.deepStrictEqual(response.body.map(({id}) => id),
+              [second.id]);
+        });
+
+    await request(base.server)
+        .get(`/api/worlds/${base.worldId}/chat?before=${first.id}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200, []);
+  });
+
+  it('GET /api/worlds/id/chat - Bad request', async () => {
+    for (const query of ['limit=0', 'limit=201', 'limit=abc',
+      'before=1.5', 'before=abc']) {
+      await request(base.server)
+          .get(`/api/worlds/${base.worldId}/chat?${query}`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('GET /api/worlds/id/chat - Unauthorized', async () => {
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/chat')
+        .expect(401);
+  });
+
+  it('GET /api/worlds/id/chat - Forbidden', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .expect(200);
+
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/chat')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    // Admins are always allowed in
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId + '/chat')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .expect(200, []);
+  });
+
+  it('GET /api/worlds/id/chat - Not found', async () => {
+    await request(base.server)
+        .get('/api/worlds/66666/chat')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('POST /api/chat/broadcast - OK', async () => {
+    const checkNotice = (data) => data.type === 'broadcast' &&
+        data.id === null && data.msg === 'Server restarting soon';
+
+    await request(base.server)
+        .ws('/api/worlds/' + base.worldId + '/ws/chat')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .exec(async () => {
+          await request(base.server)
+              .post('/api/chat/broadcast')
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .send({msg: 'Server restarting soon', worldId: base.worldId})
+              .expect('Content-Type', /json/)
+              .expect(200, {recipients: 1});
+        })
+        .expectJson(checkNotice)
+        .exec(async () => {
+          await request(base.server)
+              .post('/api/chat/broadcast')
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .send({msg: 'Server restarting soon'})
+              .expect(200, {recipients: 1});
+        })
+        .expectJson(checkNotice)
+        .close().expectClosed();
+  });
+
+  it('POST /api/chat/broadcast - Bad request', async () => {
+    for (const body of [{}, {msg: ''}, {msg: '   '}, {msg: 42},
+      {msg: 'Hello', worldId: 'abc'}]) {
+      await request(base.server)
+          .post('/api/chat/broadcast')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send(body)
+          .expect('Content-Type', /json/)
+          .expect(400);
+    }
+  });
+
+  it('POST /api/chat/broadcast - Unauthorized', async () => {
+    await request(base.server)
+        .post('/api/chat/broadcast')
+        .send({msg: 'Hello'})
+        .expect(401);
+  });
+
+  it('POST /api/chat/broadcast - Forbidden', async () => {
+    await request(base.server)
+        .post('/api/chat/broadcast')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({msg: 'Hello'})
+        .expect(403);
+
+    // Not in privilege mode
+    await request(base.server)
+        .post('/api/chat/broadcast')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({msg: 'Hello'})
+        .expect(403);
+  });
+
+  it('POST /api/chat/broadcast - Not found', async () => {
+    await request(base.server)
+        .post('/api/chat/broadcast')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({msg: 'Hello', worldId: 66666})
+        .expect('Content-Type', /json/)
+        .expect(404);
+  });
+
+  it('GET /api/users/id/telegrams - OK', async () => {
+    const telegramStore = base.wsChannelManager.telegramStore;
+    const first = await telegramStore.store(base.adminId, base.citizenId,
+        'Call me back');
+    await telegramStore.store(base.citizenId, base.adminId, 'Not for you');
+    await telegramStore.markDelivered([first.id]);
+    const second = await telegramStore.store(base.adminId, base.citizenId,
+        'Still waiting');
+
+    await request(base.server)
+        .get('/api/users/' + base.citizenId + '/telegrams')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(200, [
+          {id: first.id, fromUserId: base.adminId,
+            fromUserName: 'xXx_B0b_xXx', message: 'Call me back',
+            date: first.date, delivered: true},
+          {id: second.id, fromUserId: base.adminId,
+            fromUserName: 'xXx_B0b_xXx', message: 'Still waiting',
+            date: second.date, delivered: false},
+        ]);
+  });
+
+  it('GET /api/users/id/telegrams - Forbidden', async () => {
+    await request(base.server)
+        .get('/api/users/' + base.adminId + '/telegrams')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+  });
+
+  it('GET /api/users/id/telegrams - Unauthorized', async () => {
+    await request(base.server)
+        .get('/api/users/' + base.citizenId + '/telegrams')
+        .expect(401);
+  });
+
+  it('DELETE /api/users/id/telegrams/id - OK', async () => {
+    const telegramStore = base.wsChannelManager.telegramStore;
+    const telegram = await telegramStore.store(base.adminId, base.citizenId,
+        'Call me back');
+    const other = await telegramStore.store(base.citizenId, base.adminId,
+        'Not for you');
+
+    await request(base.server)
+        .delete(`/api/users/${base.citizenId}/telegrams/${telegram.id}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+    // Already gone
+    await request(base.server)
+        .delete(`/api/users/${base.citizenId}/telegrams/${telegram.id}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(404);
+
+    // Telegrams of others can't be reached
+    await request(base.server)
+        .delete(`/api/users/${base.citizenId}/telegrams/${other.id}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(404);
+
+    await request(base.server)
+        .delete(`/api/users/${base.adminId}/telegrams/${other.id}`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(403);
+
+    await request(base.server)
+        .get('/api/users/' + base.citizenId + '/telegrams')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expect(200, []);
+  });
+
+  // Testing privilege mode
+
+  it('POST /api/privilege - OK', (done) => {
+    request(base.server)
+        .post('/api/privilege')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({password: 'pR1v1l3g3dP4sS'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const body = response.body;
+
+          assert.equal(body.id, base.adminId);
+          assert.equal(body.role, 'admin');
+
+          const payload = jwt.verify(body.token, base.secret);
+
+          assert.equal(payload.userId, base.adminId);
+          assert.strictEqual(payload.elevated, true);
+          assert.equal(payload.exp - payload.iat, 600);
+
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/privilege - Forbidden', (done) => {
+    request(base.server)
+        .post('/api/privilege')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .send({password: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403).then(() => request(base.server)
+            .post('/api/privilege')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({password: 'pR1v1l3g3dP4sS'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403)) // No privilege password set for this one
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/privilege - Unauthorized', (done) => {
+    request(base.server)
+        .post('/api/privilege')
+        .set('Authorization', 'gibberish')
+        .send({password: 'pR1v1l3g3dP4sS'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(401, done);
+  });
+
+  it('POST /api/token/refresh - OK (drops privilege)', (done) => {
+    request(base.server)
+        .post('/api/token/refresh')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(200).then((response) => {
+          const payload = jwt.verify(response.body.token, base.secret);
+
+          assert.strictEqual(payload.elevated, undefined);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('Admin routes outside of privilege mode - Forbidden', (done) => {
+    request(base.server)
+        .get('/api/users')
+        .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403).then(() => request(base.server)
+            .get('/api/users/' + base.citizenId)
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .patch('/api/users/' + base.citizenId)
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .send({role: 'admin'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .delete('/api/users/' + base.citizenId)
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .get('/api/users/' + base.adminId)
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200)) // Still fine for self
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('PUT /api/users/id/privilege-password (as citizen) - OK (self)',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.citizenId}/privilege-password`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({privilegePassword: 'n3wPr1vP4sS', password: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200).then(() => request(base.server)
+                .post('/api/privilege')
+                .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                .send({password: 'n3wPr1vP4sS'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200))
+            .then((response) => {
+              // Being elevated does not grant any role
+              const payload = jwt.verify(response.body.token, base.secret);
+              assert.equal(payload.userRole, 'citizen');
+
+              return request(base.server)
+                  .get('/api/users')
+                  .set('Authorization', 'Bearer ' + response.body.token)
+                  .set('Accept', 'application/json')
+                  .expect('Content-Type', /json/)
+                  .expect(403);
+            })
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  it('PUT /api/users/id/privilege-password (as citizen) - Forbidden',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.citizenId}/privilege-password`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({privilegePassword: 'n3wPr1vP4sS', password: 'UwU'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403).then(() => request(base.server)
+                .put(`/api/users/${base.adminId}/privilege-password`)
+                .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                .send({privilegePassword: 'n3wPr1vP4sS',
+                  password: '3p1cP4sSw0Rd'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(403))
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  it('PUT /api/users/id/privilege-password (as citizen) - Bad request',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.citizenId}/privilege-password`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .send({privilegePassword: 'short', password: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400, done);
+      });
+
+  it('PUT /api/users/id/privilege-password (as admin) - Forbidden (self)',
+      async () => {
+        // The regular password alone is not enough to replace an existing
+        // privilege password, nor to clear it...
+        for (const privilegePassword of ['n3wPr1vP4sS', null]) {
+          await request(base.server)
+              .put(`/api/users/${base.adminId}/privilege-password`)
+              .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+              .send({privilegePassword, password: '3p1cP4sSw0Rd'})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(403);
+        }
+
+        await request(base.server)
+            .post('/api/privilege')
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .send({password: 'n3wPr1vP4sS'})
+            .expect(403);
+
+        // ...privilege mode is required to do so
+        await request(base.server)
+            .put(`/api/users/${base.adminId}/privilege-password`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({privilegePassword: 'n3w3rPr1vP4sS',
+              password: '3p1cP4sSw0Rd'})
+            .expect(200);
+
+        await request(base.server)
+            .post('/api/privilege')
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .send({password: 'n3w3rPr1vP4sS'})
+            .expect(200);
+      });
+
+  it('PUT /api/users/id/privilege-password (as admin) - OK (clear)',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.citizenId}/privilege-password`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({privilegePassword: 'n3wPr1vP4sS'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200).then(() => request(base.server)
+                .put(`/api/users/${base.citizenId}/privilege-password`)
+                .set('Authorization', 'Bearer ' + base.adminBearerToken)
+                .send({privilegePassword: null})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200))
+            .then(() => request(base.server)
+                .post('/api/privilege')
+                .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                .send({password: 'n3wPr1vP4sS'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(403))
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  it('PUT /api/users/id/password (as admin) - Privilege password kept',
+      (done) => {
+        request(base.server)
+            .put(`/api/users/${base.adminId}/password`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({password: 'n3wP4sSw0Rd', oldPassword: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200).then(() => request(base.server)
+                .post('/api/login')
+                .send({username: 'xXx_B0b_xXx', password: 'n3wP4sSw0Rd'})
+                .expect(200))
+            .then((response) => request(base.server)
+                .post('/api/privilege')
+                .set('Authorization', 'Bearer ' + response.body.token)
+                .send({password: 'pR1v1l3g3dP4sS'})
+                .set('Accept', 'application/json')
+                .expect('Content-Type', /json/)
+                .expect(200))
+            .then(() => done())
+            .catch((err) => done(err));
+      });
+
+  // Testing bans and mutes
+
+  it('POST /api/bans (as admin) - OK', (done) => {
+    const before = Date.now();
+    let banId = null;
+
+    request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, reason: 'Spamming', duration: 3600})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => {
+          const body = response.body;
+          banId = body.id;
+
+          assert.strictEqual(body.userId, base.citizenId);
+          assert.strictEqual(body.address, null);
+          assert.strictEqual(body.reason, 'Spamming');
+          assert.strictEqual(body.issuerId, base.adminId);
+          assert.ok(body.date >= before);
+          assert.strictEqual(body.expires, body.date + 3600000);
+
+          // Tokens already issued are not accepted anymore
+          return request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(403);
+        })
+        .then(() => request(base.server)
+            .post('/api/login')
+            .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then((response) => {
+          assert.strictEqual(response.body.reason, 'Spamming');
+          assert.ok(response.body.expires > Date.now());
+
+          return request(base.server)
+              .get('/api/bans')
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then((response) => {
+          assert.equal(response.body.length, 1);
+          assert.strictEqual(response.body[0].id, banId);
+
+          return request(base.server)
+              .delete('/api/bans/' + banId)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => {
+          assert.strictEqual(base.banCache.size, 0);
+
+          // Ban lifted: all good again
+          return request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/bans (as admin) - OK (address)', (done) => {
+    // Ban the loopback address, however it gets reported
+    Promise.all(['127.0.0.1', '::ffff:127.0.0.1', '::1'].map((address) =>
+      request(base.server)
+          .post('/api/bans')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({address})
+          .set('Accept', 'application/json')
+          .expect('Content-Type', /json/)
+          .expect(201)))
+        .then(([response]) => {
+          assert.strictEqual(response.body.userId, null);
+          assert.strictEqual(response.body.expires, null);
+
+          return request(base.server)
+              .post('/api/login')
+              .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(403);
+        })
+        .then((response) => {
+          assert.strictEqual(response.body.reason, '');
+          assert.strictEqual(response.body.expires, null);
+
+          // Wrong credentials remain wrong credentials
+          return request(base.server)
+              .post('/api/login')
+              .send({username: 'oOo_Al1ce_oOo', password: 'wR0nGp4sS'})
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(401);
+        })
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/bans (as admin) - OK (forwarded address)', async () => {
+    await request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({address: '198.51.100.4'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+    // Forwarded addresses are ignored unless there is a trusted proxy
+    await request(base.server)
+        .post('/api/login')
+        .set('X-Forwarded-For', '198.51.100.4')
+        .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+        .expect(200);
+
+    base.config.trustProxy = true;
+
+    await request(base.server)
+        .post('/api/login')
+        .set('X-Forwarded-For', '198.51.100.4')
+        .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403);
+
+    await request(base.server)
+        .post('/api/login')
+        .set('X-Forwarded-For', '198.51.100.5')
+        .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+        .expect(200);
+
+    // Only the address appended by the proxy itself is believed
+    await request(base.server)
+        .post('/api/login')
+        .set('X-Forwarded-For', '198.51.100.5, 198.51.100.4')
+        .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+        .expect(403);
+
+    await request(base.server)
+        .post('/api/login')
+        .set('X-Forwarded-For', '198.51.100.4, 198.51.100.5')
+        .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+        .expect(200);
+
+    base.config.trustProxy = false;
+  });
+
+  it('POST /api/bans (as admin) - OK (expired)', (done) => {
+    request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, duration: 0.05})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then(() => sleep(100))
+        .then(() => request(base.server)
+            .post('/api/login')
+            .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/bans (as admin) - Bad request', (done) => {
+    request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({reason: 'Nobody in particular'})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400).then(() => request(base.server)
+            .post('/api/bans')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({userId: base.citizenId, duration: -10})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => request(base.server)
+            .post('/api/bans')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({userId: 'alice'})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/bans (as admin) - Not found', (done) => {
+    request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: 66666})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('DELETE /api/bans/id (as admin) - Not found', (done) => {
+    request(base.server)
+        .delete('/api/bans/66666')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404, done);
+  });
+
+  it('Ban and mute routes - Forbidden', (done) => {
+    request(base.server)
+        .post('/api/bans')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .send({userId: base.adminId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(403).then(() => request(base.server)
+            .get('/api/bans')
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .post('/api/mutes')
+            .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+            .send({worldId: base.worldId, userId: base.citizenId})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => request(base.server)
+            .get('/api/mutes')
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(403))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/mutes (as admin) - OK', (done) => {
+    let muteId = null;
+
+    request(base.server)
+        .post('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({worldId: base.worldId, userId: base.citizenId,
+          reason: 'Shouting', duration: 600})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(201).then((response) => {
+          const body = response.body;
+          muteId = body.id;
+
+          assert.strictEqual(body.worldId, base.worldId);
+          assert.strictEqual(body.userId, base.citizenId);
+          assert.strictEqual(body.reason, 'Shouting');
+          assert.strictEqual(body.issuerId, base.adminId);
+          assert.strictEqual(body.expires, body.date + 600000);
+
+          // Being muted does not prevent from using the API
+          return request(base.server)
+              .get('/api/worlds')
+              .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => request(base.server)
+            .get('/api/mutes?worldId=' + base.worldId)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(200))
+        .then((response) => {
+          assert.equal(response.body.length, 1);
+          assert.strictEqual(response.body[0].id, muteId);
+
+          return request(base.server)
+              .get('/api/mutes?worldId=66666')
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then((response) => {
+          assert.equal(response.body.length, 0);
+
+          return request(base.server)
+              .delete('/api/mutes/' + muteId)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .set('Accept', 'application/json')
+              .expect('Content-Type', /json/)
+              .expect(200);
+        })
+        .then(() => {
+          assert.strictEqual(base.muteCache.size, 0);
+          done();
+        })
+        .catch((err) => done(err));
+  });
+
+  it('POST /api/mutes (as admin) - Bad request', (done) => {
+    request(base.server)
+        .post('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(400, done);
+  });
+
+  it('POST /api/bans & /api/mutes (as admin) - Bad request (guest)',
+      async () => {
+        base.config.guestLogin = true;
+
+        const guestId = await request(base.server)
+            .post('/api/login/guest')
+            .send({name: 'V1s1t0r'})
+            .expect(200).then((response) => response.body.id);
+
+        base.config.guestLogin = false;
+        assert.ok(base.userCache.has(guestId));
+
+        // Guest IDs are handed out again after a restart, nothing is stored
+        await request(base.server)
+            .post('/api/bans')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({userId: guestId})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400);
+
+        await request(base.server)
+            .post('/api/mutes')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({worldId: base.worldId, userId: guestId})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(400);
+
+        assert.equal(base.banCache.size, 0);
+        assert.equal(base.muteCache.size, 0);
+      });
+
+  it('POST /api/mutes (as admin) - Not found', (done) => {
+    request(base.server)
+        .post('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({worldId: 66666, userId: base.citizenId})
+        .set('Accept', 'application/json')
+        .expect('Content-Type', /json/)
+        .expect(404).then(() => request(base.server)
+            .post('/api/mutes')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({worldId: base.worldId, userId: 66666})
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(404))
+        .then(() => request(base.server)
+            .delete('/api/mutes/66666')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .set('Accept', 'application/json')
+            .expect('Content-Type', /json/)
+            .expect(404))
+        .then(() => done())
+        .catch((err) => done(err));
+  });
 });
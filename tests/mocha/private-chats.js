@@ -0,0 +1,95 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import makeHttpTestBase, {sleep} from '../utils.js';
+import * as assert from 'assert';
+import WsClient from '../../client/src/core/ws-client.js';
+import PrivateChats from '../../client/src/core/private-chats.js';
+
+// Testing private chats
+describe('private chats', () => {
+  const ctx = makeHttpTestBase();
+  const base = ctx.base;
+
+  before(ctx.before);
+
+  beforeEach(ctx.beforeEach);
+
+  afterEach(ctx.afterEach);
+
+  after(ctx.after);
+
+  const makePrivateChats = (token, userId) => {
+    return new PrivateChats(
+        new WsClient(`ws://127.0.0.1:${base.port}/api`, token), userId);
+  };
+
+  it('send and receive', async () => {
+    const adminChats = makePrivateChats(base.adminBearerToken, base.adminId);
+    const citizenChats = makePrivateChats(base.citizenBearerToken,
+        base.citizenId);
+    const received = [];
+
+    adminChats.addListener((conversation, entry) => {
+      received.push([conversation.id, entry.msg]);
+    });
+
+    await adminChats.connect();
+    await citizenChats.send(base.adminId, 'Hello there');
+    await sleep(100);
+
+    // Incoming message, named after its sender
+    let conversation = adminChats.open(base.citizenId);
+    assert.strictEqual(conversation.name, 'oOo_Al1ce_oOo');
+    assert.strictEqual(conversation.unread, 1);
+    assert.strictEqual(adminChats.getUnreadCount(), 1);
+    assert.strictEqual(conversation.messages[0].outgoing, false);
+    assert.strictEqual(conversation.messages[0].delivered, true);
+    assert.strictEqual(conversation.messages[0].telegram, false);
+    assert.deepStrictEqual(received, [[base.citizenId, 'Hello there']]);
+
+    adminChats.markRead(base.citizenId);
+    assert.strictEqual(adminChats.getUnreadCount(), 0);
+
+    // Feedback of the sender's own message, in the right conversation
+    conversation = citizenChats.open(base.adminId, 'xXx_B0b_xXx');
+    assert.strictEqual(conversation.unread, 0);
+    assert.strictEqual(conversation.messages.length, 1);
+    assert.strictEqual(conversation.messages[0].outgoing, true);
+    assert.strictEqual(conversation.messages[0].delivered, true);
+    assert.strictEqual(conversation.messages[0].msg, 'Hello there');
+
+    adminChats.close();
+    citizenChats.close();
+    await sleep(100);
+  });
+
+  it('telegrams', async () => {
+    const adminChats = makePrivateChats(base.adminBearerToken, base.adminId);
+    const citizenChats = makePrivateChats(base.citizenBearerToken,
+        base.citizenId);
+
+    // The admin is offline
+    await citizenChats.send(base.adminId, 'Call me back');
+    await sleep(100);
+
+    let conversation = citizenChats.open(base.adminId);
+    assert.strictEqual(conversation.messages[0].delivered, false);
+    assert.strictEqual(conversation.messages[0].telegram, true);
+
+    // Delivered once they come online
+    await adminChats.connect();
+    await sleep(100);
+
+    conversation = adminChats.open(base.citizenId);
+    assert.strictEqual(conversation.unread, 1);
+    assert.strictEqual(conversation.messages[0].msg, 'Call me back');
+    assert.strictEqual(conversation.messages[0].delivered, true);
+    assert.strictEqual(conversation.messages[0].telegram, true);
+
+    adminChats.close();
+    citizenChats.close();
+    await sleep(100);
+  });
+});
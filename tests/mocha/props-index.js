@@ -0,0 +1,142 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import * as db from '../../common/db/utils.js';
+import Prop from '../../common/db/model/Prop.js';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import {join} from 'node:path';
+import {tmpdir} from 'node:os';
+
+const worldCount = 4;
+const insertBatchSize = 500;
+const chunkSide = 20; // In meters
+const queryCount = 50;
+
+// Deterministic pseudo-random generator, for the dataset to be the same on
+// each run
+const makeRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+/**
+ * Describe the props spatial index test suite over a generated dataset
+ * @param {string} title - Title of the test suite.
+ * @param {integer} propCount - Number of props to generate.
+ * @param {number} worldSide - Side of each world, in meters.
+ * @param {boolean} benchmark - Whether or not to time the queries, such
+ *                              suite only runs if WW_PROPS_BENCHMARK is set
+ *                              in the environment.
+ */
+const describePropsIndex = (title, propCount, worldSide, benchmark) =>
+  describe(title, () => {
+    const dbFile = join(tmpdir(),
+        `mocha-props-index-db${propCount}-${Date.now()}.sqlite3`);
+    let connection = null;
+
+    before(async function() {
+      if (benchmark && !process.env.WW_PROPS_BENCHMARK) this.skip();
+
+      this.timeout(300000);
+
+      connection = await db.init(dbFile);
+
+      const random = makeRandom(42);
+      const now = Date.now();
+
+      for (let i = 0; i < propCount; i += insertBatchSize) {
+        const props = [];
+
+        for (let j = 0; j < insertBatchSize; j++) {
+          props.push({
+            worldId: 1 + (i + j) % worldCount, userId: 1, date: now,
+            x: (random() - 0.5) * worldSide, y: 0,
+            z: (random() - 0.5) * worldSide,
+            yaw: 0, pitch: 0, roll: 0,
+            name: 'wall01.rwx', description: '', action: '',
+          });
+        }
+
+        await connection.manager.createQueryBuilder().insert().into(Prop)
+            .values(props).updateEntity(false).execute();
+      }
+    });
+
+    after(async () => {
+      if (!connection) return;
+
+      await connection.destroy();
+      fs.unlinkSync(dbFile);
+    });
+
+    // Same filters as the ones used to get the props of a single chunk
+    const chunkQuery = (x, z) => {
+      const halfChunkSide = chunkSide / 2;
+
+      return connection.manager.createQueryBuilder(Prop, 'prop')
+          .where('prop.worldId = :wid', {wid: 2})
+          .andWhere('prop.x >= :minX', {minX: x * chunkSide - halfChunkSide})
+          .andWhere('prop.x < :maxX', {maxX: (x + 1) * chunkSide - halfChunkSide})
+          .andWhere('prop.z >= :minZ', {minZ: z * chunkSide - halfChunkSide})
+          .andWhere('prop.z < :maxZ', {maxZ: (z + 1) * chunkSide - halfChunkSide})
+          .orderBy('prop.id');
+    };
+
+    const runQueries = async (indexed) => {
+      const random = makeRandom(7);
+      const maxIndex = worldSide / chunkSide / 2;
+      const ids = [];
+
+      const start = process.hrtime.bigint();
+
+      for (let i = 0; i < queryCount; i++) {
+        const x = Math.floor((random() - 0.5) * maxIndex);
+        const z = Math.floor((random() - 0.5) * maxIndex);
+        const [query, parameters] = chunkQuery(x, z).getQueryAndParameters();
+        assert.ok(query.includes('FROM "prop" "prop"'));
+
+        // Forbid SQLite from using any index to compare against
+        ids.push(...(await connection.query(indexed ? query :
+            query.replace('FROM "prop" "prop"',
+                'FROM "prop" "prop" NOT INDEXED'),
+        parameters)).map((prop) => prop.prop_id));
+      }
+
+      return {ids, ms: Number(process.hrtime.bigint() - start) / 1e6};
+    };
+
+    it('chunk queries use the spatial index', async () => {
+      const [query, parameters] = chunkQuery(3, -5).getQueryAndParameters();
+      const plan = await connection.query('EXPLAIN QUERY PLAN ' + query,
+          parameters);
+
+      assert.ok(plan.some(({detail}) => detail.includes('IDX_PROP_WORLD_X_Z')),
+          JSON.stringify(plan));
+    });
+
+    it('chunk queries yield the same props as full scans', async function() {
+      this.timeout(120000);
+
+      const indexed = await runQueries(true);
+      const scanned = await runQueries(false);
+
+      // Timings are only reported, they depend too much on the machine to
+      // be asserted on
+      if (benchmark) {
+        console.log(`      ${queryCount} chunk queries over ${propCount} ` +
+            `props: ${indexed.ms.toFixed(1)}ms indexed, ` +
+            `${scanned.ms.toFixed(1)}ms with full scans`);
+      }
+
+      assert.ok(indexed.ids.length > 0 && indexed.ids.every(Number.isInteger));
+      assert.deepStrictEqual(indexed.ids, scanned.ids);
+    });
+  });
+
+describePropsIndex('props spatial index', 2000, 400, false);
+
+// Opt-in, run with WW_PROPS_BENCHMARK=1 to get query timings on a dataset
+// closer to real-world ones
+describePropsIndex('props spatial index benchmark', 200000, 10000, true);
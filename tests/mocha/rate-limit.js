@@ -0,0 +1,113 @@
+/**
+ * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
+ */
+
+import * as assert from 'assert';
+import {AttemptThrottler, RateLimiter} from '../../server/rate-limit.js';
+
+// Testing rate-limiting utilities
+describe('AttemptThrottler', () => {
+  it('backoff and lockout', () => {
+    const throttler = new AttemptThrottler({freeAttempts: 3,
+      baseDelayMs: 1000, maxDelayMs: 4000, lockoutThreshold: 6,
+      lockoutMs: 60000, forgetAfterMs: 120000});
+    const now = 1000000;
+
+    // First failures come free
+    for (let i = 0; i < 2; i++) {
+      assert.equal(throttler.check('alice', now), 0);
+      throttler.fail('alice', now);
+    }
+
+    assert.equal(throttler.check('alice', now), 0);
+    throttler.fail('alice', now);
+
+    // Then the delay doubles with each failure, up to a maximum
+    assert.equal(throttler.check('alice', now), 1000);
+    assert.equal(throttler.check('alice', now + 1000), 0);
+    throttler.fail('alice', now + 1000);
+    assert.equal(throttler.check('alice', now + 1000), 2000);
+    throttler.fail('alice', now + 3000);
+    assert.equal(throttler.check('alice', now + 3000), 4000);
+
+    // Other keys are not affected
+    assert.equal(throttler.check('bob', now + 3000), 0);
+
+    // Until locked out entirely
+    throttler.fail('alice', now + 7000);
+    assert.equal(throttler.check('alice', now + 7000), 60000);
+
+    // Old failures end up forgotten
+    assert.equal(throttler.check('alice', now + 7000 + 120001), 0);
+    assert.equal(throttler.attempts.size, 0);
+  });
+
+  it('success', () => {
+    const throttler = new AttemptThrottler({freeAttempts: 1});
+
+    throttler.fail('alice', 0);
+    assert.ok(throttler.check('alice', 0) > 0);
+
+    throttler.succeed('alice');
+    assert.equal(throttler.check('alice', 0), 0);
+  });
+
+  it('clear', () => {
+    const throttler = new AttemptThrottler({freeAttempts: 1,
+      baseDelayMs: 1000});
+
+    throttler.fail('alice', 0);
+    throttler.fail('bob', 0);
+    throttler.clear();
+    assert.equal(throttler.check('alice', 0), 0);
+    assert.equal(throttler.check('bob', 0), 0);
+  });
+
+  it('release', () => {
+    const throttler = new AttemptThrottler({freeAttempts: 2,
+      baseDelayMs: 1000, lockoutThreshold: 3, lockoutMs: 60000});
+
+    throttler.fail('alice', 0);
+    assert.equal(throttler.check('alice', 0), 0);
+
+    // Failures registered ahead of time still block concurrent attempts
+    throttler.fail('alice', 0);
+    assert.equal(throttler.check('alice', 0), 1000);
+    throttler.fail('alice', 0);
+    assert.equal(throttler.check('alice', 0), 60000);
+
+    // Releasing them lifts what they triggered, but not the others
+    throttler.release('alice');
+    assert.equal(throttler.check('alice', 0), 1000);
+    throttler.release('alice');
+    assert.equal(throttler.check('alice', 0), 0);
+    assert.equal(throttler.attempts.get('alice').failures, 1);
+
+    throttler.release('alice');
+    assert.equal(throttler.attempts.size, 0);
+
+    // Nothing to release
+    throttler.release('alice');
+    assert.equal(throttler.attempts.size, 0);
+  });
+});
+
+describe('RateLimiter', () => {
+  it('usage', () => {
+    const limiter = new RateLimiter(1000);
+
+    assert.equal(limiter.consume(1, 2, 0), 0);
+    assert.equal(limiter.consume(1, 2, 100), 0);
+    assert.equal(limiter.consume(1, 2, 400), 600);
+
+    // Limits are per key
+    assert.equal(limiter.consume(2, 2, 400), 0);
+
+    // New window, new operations allowed
+    assert.equal(limiter.consume(1, 2, 1000), 0);
+
+    // Elapsed windows get pruned
+    limiter.prune(2500);
+    assert.equal(limiter.windows.size, 0);
+  });
+});
@@ -12,7 +12,7 @@ import WsClient from '../../client/src/core/ws-client.js';
 
 const dummyEntityState = (id) => {
   const entityType = 1;
-  const updateType = 2;
+  const updateType = 3;
   const entityId = id;
   const x = 25.2;
   const y = 30.25;
@@ -64,7 +64,20 @@ describe('ws client', () => {
     chat.send('change da world  my final message. Goodb ye');
     await sleep(100);
 
-    assert.equal(message, `{"delivered":true,"id":${base.citizenId},"name":"oOo_Al1ce_oOo","role":"citizen","msg":"change da world  my final message. Goodb ye"}`);
+    assert.strictEqual(message.type, 'say');
+    assert.ok(Number.isInteger(message.messageId));
+    assert.ok(message.date >= base.now);
+    assert.strictEqual(message.delivered, true);
+    assert.strictEqual(message.id, base.citizenId);
+    assert.strictEqual(message.name, 'oOo_Al1ce_oOo');
+    assert.strictEqual(message.role, 'citizen');
+    assert.strictEqual(message.msg, 'change da world  my final message. Goodb ye');
+
+    chat.send('waves', 'emote');
+    await sleep(100);
+
+    assert.strictEqual(message.type, 'emote');
+    assert.strictEqual(message.msg, 'waves');
 
     chat.close();
     await sleep(100);
@@ -72,6 +85,46 @@ describe('ws client', () => {
     assert.strictEqual(closed, true);
   });
 
+  it('world chat whisper', async () => {
+    const citizenClient = new WsClient(`ws://127.0.0.1:${base.port}/api`, base.citizenBearerToken);
+    const adminClient = new WsClient(`ws://127.0.0.1:${base.port}/api`, base.adminBearerToken);
+    const citizenChat = await citizenClient.worldChatConnect(base.worldId);
+    const citizenMessages = [];
+    const adminMessages = [];
+
+    citizenChat.onMessage((msg) => citizenMessages.push(msg));
+
+    const adminChat = await adminClient.worldChatConnect(base.worldId);
+    adminChat.onMessage((msg) => adminMessages.push(msg));
+    await sleep(100);
+
+    // Told about the admin joining
+    assert.deepStrictEqual(citizenMessages.map(({type, id}) => [type, id]),
+        [['join', base.adminId]]);
+
+    adminChat.send('psst', 'whisper', base.citizenId);
+    await sleep(100);
+
+    // Both ends get the whisper, nobody else would
+    for (const message of [citizenMessages[1], adminMessages[0]]) {
+      assert.strictEqual(message.type, 'whisper');
+      assert.strictEqual(message.id, base.adminId);
+      assert.strictEqual(message.to, base.citizenId);
+      assert.strictEqual(message.msg, 'psst');
+    }
+
+    adminChat.close();
+    await sleep(100);
+
+    // Told about the admin leaving
+    assert.deepStrictEqual(citizenMessages.map(({type, id}) => [type, id]),
+        [['join', base.adminId], ['whisper', base.adminId],
+          ['leave', base.adminId]]);
+
+    citizenChat.close();
+    await sleep(100);
+  });
+
   it('user chat', async () => {
     const citizenClient = new WsClient(`ws://127.0.0.1:${base.port}/api`, base.citizenBearerToken);
     const adminClient = new WsClient(`ws://127.0.0.1:${base.port}/api`, base.adminBearerToken);
@@ -116,10 +169,10 @@ describe('ws client', () => {
     await sleep(100);
 
     // Admin expects a message from the citizen
-    assert.equal(citizenMsg, `{"delivered":true,"id":${base.citizenId},"name":"oOo_Al1ce_oOo","role":"citizen","msg":"change da world  my final message. Goodb ye"}`);
+    assert.equal(citizenMsg, `{"delivered":true,"id":${base.citizenId},"name":"oOo_Al1ce_oOo","role":"citizen","msg":"change da world  my final message. Goodb ye","to":${base.adminId}}`);
 
     // Citizen expects a feedback if their own message
-    assert.equal(feedbackMsg, `{"delivered":true,"id":${base.citizenId},"name":"oOo_Al1ce_oOo","role":"citizen","msg":"change da world  my final message. Goodb ye"}`);
+    assert.equal(feedbackMsg, `{"delivered":true,"id":${base.citizenId},"name":"oOo_Al1ce_oOo","role":"citizen","msg":"change da world  my final message. Goodb ye","to":${base.adminId}}`);
 
     adminFromCitizenChat.close();
     citizenFromAdminChat.close();
@@ -170,4 +223,32 @@ describe('ws client', () => {
 
     assert.strictEqual(closed, true);
   });
+
+  it('token provider', async () => {
+    const client = new WsClient(`ws://127.0.0.1:${base.port}/api`, 'iNvAlId');
+    let calls = 0;
+
+    client.setTokenProvider(async () => {
+      calls++;
+      return base.citizenBearerToken;
+    });
+
+    // The provided token should be used instead of the invalid one
+    const chat = await client.worldChatConnect(base.worldId);
+    let message = null;
+
+    chat.onMessage((msg) => {
+      message = msg;
+    });
+
+    assert.equal(calls, 1);
+
+    chat.send('hello');
+    await sleep(100);
+
+    assert.equal(message.id, base.citizenId);
+
+    chat.close();
+    await sleep(100);
+  });
 });
@@ -2,17 +2,18 @@
  * @author Julien 'Blaxar' Bardagi <blaxar.waldarax@gmail.com>
  */
 
-import makeHttpTestBase from '../utils.js';
-import {serializeEntityState, packEntityStates}
+import makeHttpTestBase, {sleep} from '../utils.js';
+import {serializeEntityState, deserializeEntityState, packEntityStates,
+  unpackEntityStates, updateType as updateTypes}
   from '../../common/ws-data-format.js';
 import request from 'superwstest';
 import * as assert from 'assert';
+import {defaultMaxPendingTelegrams} from '../../server/telegrams.js';
 
 // Testing ws server
 
-const dummySerializeEntityState = (id) => {
+const dummySerializeEntityState = (id, updateType = 3) => {
   const entityType = 1;
-  const updateType = 2;
   const entityId = id;
   const x = 25.2;
   const y = 30.25;
@@ -25,10 +26,27 @@ const dummySerializeEntityState = (id) => {
       x, y, z, yaw, pitch, roll});
 };
 
+// Check a world chat message against the expected fields, its ID and date
+// only being checked for validity
+const chatMessage = (type, delivered, sender, msg, details = {}) =>
+  (data) => {
+    const {messageId, date, ...fields} = data;
+    assert.ok(Number.isInteger(messageId));
+    assert.ok(Number.isInteger(date));
+    assert.deepStrictEqual(fields, {type, delivered, id: sender?.id ?? null,
+      name: sender?.name ?? null, role: sender?.role ?? null, msg,
+      ...details});
+  };
+
 describe('ws server', () => {
   const ctx = makeHttpTestBase();
   const base = ctx.base;
 
+  const admin = () => ({id: base.adminId, name: 'xXx_B0b_xXx',
+    role: 'admin'});
+  const citizen = () => ({id: base.citizenId, name: 'oOo_Al1ce_oOo',
+    role: 'citizen'});
+
   before(ctx.before);
 
   beforeEach(async () => {
@@ -47,14 +65,14 @@ describe('ws server', () => {
     // Ready the sender's connection to their own chat so they can be considered online
     const selfConnection = request(base.server).ws('/api/users/' + base.adminId + '/ws/chat')
         .set('Authorization', 'Bearer ' + base.adminBearerToken)
-        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`); // Expect a feedback of our own message
+        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?","to":${base.citizenId}}`); // Expect a feedback of our own message
 
     await Promise.all([
       // First: ready the receiver's chat by having them connect to their own private channel,
       // this is so we can assess the message was well received
       request(base.server).ws('/api/users/' + base.citizenId + '/ws/chat')
           .set('Authorization', 'Bearer ' + base.citizenBearerToken)
-          .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`) // Wait for the message to come in
+          .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?","to":${base.citizenId}}`) // Wait for the message to come in
           .close()
           .expectClosed(),
       // Second: ready the sender's connection to the receiver's chat and send the message
@@ -67,20 +85,22 @@ describe('ws server', () => {
           .expectClosed(),
     ]);
 
-    selfConnection.expectText(`{"delivered":false,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"Still there buddy?"}`) // Get notified that this one didn't get delivered
+    selfConnection.expectJson(({delivered, id, msg, to, telegram}) => // Get notified that this one didn't get delivered, but was kept as a telegram
+      !delivered && id === base.adminId && msg === 'Still there buddy?' && to === base.citizenId &&
+          Number.isInteger(telegram?.id) && telegram?.date >= base.now)
         .close().expectClosed();
   });
 
   it('WS user chat connect with parameters - OK', async () => {
     // Ready the sender's connection to their own chat so they can be considered online
     const selfConnection = request(base.server).ws('/api/users/' + base.adminId + '/ws/chat?token=' + encodeURIComponent(base.adminBearerToken))
-        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`); // Expect a feedback of our own message
+        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?","to":${base.citizenId}}`); // Expect a feedback of our own message
 
     await Promise.all([
       // First: ready the receiver's chat by having them connect to their own private channel,
       // this is so we can assess the message was well received
       request(base.server).ws('/api/users/' + base.citizenId + '/ws/chat?token=' + encodeURIComponent(base.citizenBearerToken))
-          .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`) // Wait for the message to come in
+          .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?","to":${base.citizenId}}`) // Wait for the message to come in
           .close()
           .expectClosed(),
       // Second: ready the sender's connection to the receiver's chat and send the message
@@ -92,10 +112,158 @@ describe('ws server', () => {
           .expectClosed(),
     ]);
 
-    selfConnection.expectText(`{"delivered":false,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"Still there buddy?"}`) // Get notified that this one didn't get delivered
+    selfConnection.expectJson(({delivered, id, msg, to, telegram}) => // Get notified that this one didn't get delivered, but was kept as a telegram
+      !delivered && id === base.adminId && msg === 'Still there buddy?' && to === base.citizenId &&
+          Number.isInteger(telegram?.id) && telegram?.date >= base.now)
         .close().expectClosed();
   });
 
+  it('WS user chat telegram - OK', async () => {
+    let telegramId = null;
+
+    // The citizen is offline: the message is kept for them
+    await request(base.server).ws(`/api/users/${base.adminId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(() => request(base.server)
+            .ws(`/api/users/${base.citizenId}/ws/chat`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .sendText('Call me back')
+            .wait(100)
+            .close()
+            .expectClosed())
+        .expectJson(({delivered, id, msg, to, telegram}) => {
+          telegramId = telegram.id;
+          return !delivered && id === base.adminId && msg === 'Call me back' &&
+              to === base.citizenId && telegram.date >= base.now;
+        })
+        .close()
+        .expectClosed();
+
+    const [{date}] = await base.wsChannelManager.telegramStore
+        .getPending(base.citizenId);
+
+    // Delivered as soon as the citizen comes online...
+    await request(base.server).ws(`/api/users/${base.citizenId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectJson({delivered: true, id: base.adminId, name: 'xXx_B0b_xXx',
+          role: 'admin', msg: 'Call me back', to: base.citizenId,
+          telegram: {id: telegramId, date: Number(date)}})
+        .close()
+        .expectClosed();
+
+    // ...and only once
+    await request(base.server).ws(`/api/users/${base.citizenId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .exec(async (ws) => {
+          let received = 0;
+          ws.on('message', () => received++);
+          await sleep(100);
+          assert.equal(received, 0);
+        })
+        .close()
+        .expectClosed();
+  });
+
+  it('WS user chat telegram - Bounced (unknown user)', async () => {
+    await request(base.server).ws(`/api/users/${base.adminId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(() => request(base.server)
+            .ws('/api/users/66666/ws/chat')
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .sendText('Anybody?')
+            .wait(100)
+            .close()
+            .expectClosed())
+        .expectText(`{"delivered":false,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"Anybody?","to":66666}`)
+        .close()
+        .expectClosed();
+  });
+
+  it('WS user chat telegram - Bounced (too long)', async () => {
+    const msg = 'a'.repeat(1001);
+
+    await request(base.server).ws(`/api/users/${base.adminId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(() => request(base.server)
+            .ws(`/api/users/${base.citizenId}/ws/chat`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .sendText(msg)
+            .wait(100)
+            .close()
+            .expectClosed())
+        .expectJson({delivered: false, id: base.adminId, name: 'xXx_B0b_xXx',
+          role: 'admin', msg, to: base.citizenId})
+        .close()
+        .expectClosed();
+
+    assert.equal((await base.wsChannelManager.telegramStore
+        .getPending(base.citizenId)).length, 0);
+  });
+
+  it('WS user chat telegram - Bounced (too many pending)', async () => {
+    const telegramStore = base.wsChannelManager.telegramStore;
+    telegramStore.maxPending = 1;
+
+    try {
+      await request(base.server).ws(`/api/users/${base.adminId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .exec(() => request(base.server)
+              .ws(`/api/users/${base.citizenId}/ws/chat`)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .sendText('Call me back')
+              .wait(100)
+              .sendText('Please call me back')
+              .wait(100)
+              .close()
+              .expectClosed())
+          .expectJson(({delivered, msg, telegram}) => !delivered &&
+              msg === 'Call me back' && Number.isInteger(telegram?.id))
+          .expectJson({delivered: false, id: base.adminId,
+            name: 'xXx_B0b_xXx', role: 'admin', msg: 'Please call me back',
+            to: base.citizenId})
+          .close()
+          .expectClosed();
+    } finally {
+      telegramStore.maxPending = defaultMaxPendingTelegrams;
+    }
+
+    assert.equal((await telegramStore.getPending(base.citizenId)).length, 1);
+  });
+
+  it('WS user chat reconnect - OK', async () => {
+    // The previous connection gets closed once replaced, the user must
+    // remain online nonetheless
+    const previousConnection = request(base.server)
+        .ws(`/api/users/${base.citizenId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectClosed();
+
+    await sleep(100);
+
+    await request(base.server).ws(`/api/users/${base.citizenId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .wait(100)
+        .exec(() => request(base.server)
+            .ws(`/api/users/${base.adminId}/ws/chat`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .exec(() => request(base.server)
+                .ws(`/api/users/${base.citizenId}/ws/chat`)
+                .set('Authorization', 'Bearer ' + base.adminBearerToken)
+                .sendText('Still there?')
+                .wait(100)
+                .close()
+                .expectClosed())
+            .expectJson(({delivered, msg}) => delivered &&
+                msg === 'Still there?')
+            .close()
+            .expectClosed())
+        .expectJson(({delivered, msg}) => delivered && msg === 'Still there?')
+        .close()
+        .expectClosed();
+
+    await previousConnection;
+  });
+
   it('WS user chat connect with headers - Unauthorized', async () => {
     await request(base.server).ws('/api/users/' + base.citizenId + '/ws/chat')
         .set('Authorization', 'gibberish')
@@ -123,7 +291,7 @@ describe('ws server', () => {
     await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/chat')
         .set('Authorization', 'Bearer ' + base.adminBearerToken)
         .sendText('What is up my dude?')
-        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`)
+        .expectJson(chatMessage('say', true, admin(), 'What is up my dude?'))
         .close()
         .expectClosed();
   });
@@ -131,7 +299,7 @@ describe('ws server', () => {
   it('WS world chat connect with parameters - OK', async () => {
     await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/chat?token=' + base.adminBearerToken)
         .sendText('What is up my dude?')
-        .expectText(`{"delivered":true,"id":${base.adminId},"name":"xXx_B0b_xXx","role":"admin","msg":"What is up my dude?"}`)
+        .expectJson(chatMessage('say', true, admin(), 'What is up my dude?'))
         .close()
         .expectClosed();
   });
@@ -181,6 +349,80 @@ describe('ws server', () => {
         .expectClosed();
   });
 
+  it('WS world state presence events - OK', async () => {
+    const packs = [];
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .exec((ws) => ws.on('message', (data) => {
+          packs.push(unpackEntityStates(new Uint8Array(data))
+              .map((state) => deserializeEntityState(state)));
+        }))
+        .wait(100)
+        .exec(() => request(base.server)
+            .ws(`/api/worlds/${base.worldId}/ws/state`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .sendBinary(dummySerializeEntityState(base.adminId))
+            .wait(200)
+            .close()
+            .expectClosed())
+        .wait(200)
+        .close()
+        .expectClosed();
+
+    const events = packs.flat().filter(({updateType}) =>
+      updateType == updateTypes.joining || updateType == updateTypes.leaving);
+
+    // The citizen is not told about their own arrival, but each event from
+    // the admin is only sent once
+    assert.deepStrictEqual(events.map(({entityId, updateType}) =>
+      [entityId, updateType]), [[base.adminId, updateTypes.joining],
+      [base.adminId, updateTypes.leaving]]);
+
+    // Leaving users are reported at their last known position
+    assert.equal(events[0].x, 0);
+    assert.equal(events[1].x, Math.fround(25.2));
+    assert.equal(events[1].z, -12.0);
+
+    // The admin is no longer in the regular state updates after leaving
+    assert.ok(packs[packs.length - 1].every(({entityId}) =>
+      entityId != base.adminId));
+  });
+
+  it('WS world state presence update from user - Ignored', async () => {
+    const state = dummySerializeEntityState(base.adminId,
+        updateTypes.leaving);
+    const packedState = packEntityStates([
+      dummySerializeEntityState(base.adminId, updateTypes.moving)]);
+
+    // Users cannot pretend to join or leave the world on their own
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .sendBinary(state)
+        .expectBinary(packedState)
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world state reconnect - OK', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(() => request(base.server)
+            .ws(`/api/worlds/${base.worldId}/ws/state`)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .wait(100)
+            .exec(() => {
+              // Closing the previous connection does not affect the new one
+              assert.equal(base.wsChannelManager
+                  .getWorldPopulation(base.worldId), 1);
+              assert.equal(base.wsChannelManager
+                  .worldPresenceEvents[base.worldId], undefined);
+            })
+            .close()
+            .expectClosed())
+        .expectClosed();
+  });
+
   it('WS world state connect with headers - Unauthorized', async () => {
     await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/state')
         .set('Authorization', 'gibberish')
@@ -216,6 +458,28 @@ describe('ws server', () => {
         .expectClosed();
   });
 
+  it('WS world update reconnect - OK', async () => {
+    // The previous connection gets closed once replaced, the new one must
+    // keep getting updates nonetheless
+    const previousConnection = request(base.server)
+        .ws(`/api/worlds/${base.worldId}/ws/update`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectClosed();
+
+    await sleep(100);
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/update`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .wait(100)
+        .exec(() => base.wsChannelManager.broadcastWorldUpdate(base.worldId,
+            '{"op":"noop"}'))
+        .expectText('{"op":"noop"}')
+        .close()
+        .expectClosed();
+
+    await previousConnection;
+  });
+
   it('WS world update connect with headers - Unauthorized', async () => {
     await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/update')
         .set('Authorization', 'gibberish')
@@ -237,4 +501,499 @@ describe('ws server', () => {
     await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/update?token=iNvAlId')
         .expectConnectionError(403);
   });
+
+  it('WS connections closed on logout - OK', async () => {
+    await Promise.all([
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Logged out'),
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/update`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Logged out'),
+      request(base.server).ws('/api/users/' + base.citizenId + '/ws/chat')
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Logged out'),
+      // Connections from other users must remain open
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .wait(300)
+          .close()
+          .expectClosed(1005),
+      sleep(100).then(() => request(base.server)
+          .post(`/api/users/${base.citizenId}/logout-all`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expect(200)),
+    ]);
+
+    // The revoked token cannot be used anymore
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectConnectionError(403);
+  });
+
+  it('WS world chat after rename - OK', async () => {
+    await request(base.server).ws('/api/worlds/' + base.worldId + '/ws/chat')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendText('Hello')
+        .expectJson(chatMessage('say', true, citizen(), 'Hello'))
+        .exec(() => request(base.server)
+            .patch('/api/users/' + base.citizenId)
+            .set('Authorization', 'Bearer ' + base.adminBearerToken)
+            .send({name: 'Al1ce_R3born'})
+            .expect(200))
+        .sendText('Hello again')
+        .expectJson(chatMessage('say', true,
+            {...citizen(), name: 'Al1ce_R3born'}, 'Hello again'))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS connections closed on ban - OK', async () => {
+    await Promise.all([
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Logged out'),
+      sleep(100).then(() => request(base.server)
+          .post('/api/bans')
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({userId: base.citizenId, reason: 'Spamming'})
+          .expect(201)),
+    ]);
+
+    // The token is still current, but the user is banned
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectConnectionError(403);
+  });
+
+  it('WS world eject (as admin) - OK', async () => {
+    await Promise.all([
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Ejected'),
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/update`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectClosed(1008, 'Ejected'),
+      // Only the world connections get closed
+      request(base.server).ws('/api/users/' + base.citizenId + '/ws/chat')
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .wait(300)
+          .close()
+          .expectClosed(1005),
+      sleep(100).then(() => request(base.server)
+          .post(`/api/worlds/${base.worldId}/eject`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .send({userId: base.citizenId})
+          .expect(200)),
+    ]);
+
+    // Nobody left to eject
+    await request(base.server)
+        .post(`/api/worlds/${base.worldId}/eject`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId})
+        .expect(404);
+  });
+
+  it('WS world eject (with eject right) - OK', async () => {
+    await request(base.server)
+        .post('/api/worlds/' + base.worldId + '/rights')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({userId: base.citizenId, right: 'eject'})
+        .expect(201);
+
+    base.config.guestLogin = true;
+
+    const {id: guestId, token: guestToken} = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body);
+
+    base.config.guestLogin = false;
+
+    await Promise.all([
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + guestToken)
+          .expectClosed(1008, 'Ejected'),
+      // Admins cannot be ejected by anyone but other admins
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+          .wait(300)
+          .close()
+          .expectClosed(1005),
+      sleep(100).then(() => request(base.server)
+          .post(`/api/worlds/${base.worldId}/eject`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .send({userId: guestId})
+          .expect(200)),
+      sleep(100).then(() => request(base.server)
+          .post(`/api/worlds/${base.worldId}/eject`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .send({userId: base.adminId})
+          .expect(403)),
+    ]);
+  });
+
+  it('WS world chat while muted - OK', async () => {
+    const muteId = await request(base.server)
+        .post('/api/mutes')
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({worldId: base.worldId, userId: base.citizenId})
+        .expect(201).then((response) => response.body.id);
+
+    await Promise.all([
+      // Other users must not receive anything from the muted user
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expectJson(chatMessage('join', true, citizen(), ''))
+          .expectJson(chatMessage('say', true, citizen(), 'Unmuted'))
+          .close()
+          .expectClosed(),
+      sleep(100).then(() => request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .sendText('Muted')
+          .expectJson(chatMessage('say', false, citizen(), 'Muted'))
+          .exec(() => request(base.server)
+              .delete(`/api/mutes/${muteId}`)
+              .set('Authorization', 'Bearer ' + base.adminBearerToken)
+              .expect(200))
+          .sendText('Unmuted')
+          .expectJson(chatMessage('say', true, citizen(), 'Unmuted'))
+          .close()
+          .expectClosed()),
+    ]);
+  });
+
+  it('WS world chat as guest - OK', async () => {
+    base.config.guestLogin = true;
+
+    const {id, token} = await request(base.server)
+        .post('/api/login/guest')
+        .send({name: 'V1s1t0r'})
+        .expect(200).then((response) => response.body);
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + token)
+        .sendText('Hi there')
+        .expectJson(chatMessage('say', true,
+            {id, name: 'V1s1t0r', role: 'tourist'}, 'Hi there'))
+        .close()
+        .expectClosed();
+
+    base.config.guestLogin = false;
+  });
+
+  it('WS world chat flooding - OK', async () => {
+    base.config.chatRateLimit = 2;
+
+    await Promise.all([
+      // The third message from the citizen is dropped, we get the next
+      // one from the admin instead
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expectJson(chatMessage('join', true, citizen(), ''))
+          .expectJson(chatMessage('say', true, citizen(), 'One'))
+          .expectJson(chatMessage('say', true, citizen(), 'Two'))
+          .wait(200)
+          .sendText('Done')
+          .expectJson(chatMessage('say', true, admin(), 'Done'))
+          .close()
+          .expectClosed(),
+      sleep(100).then(() => request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .sendText('One')
+          .sendText('Two')
+          .sendText('Three')
+          .wait(400)
+          .close()
+          .expectClosed()),
+    ]);
+
+    delete base.config.chatRateLimit;
+  });
+
+  it('WS world chat backlog - OK', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendText('First')
+        .expectJson(chatMessage('say', true, citizen(), 'First'))
+        .sendText('Second')
+        .expectJson(chatMessage('say', true, citizen(), 'Second'))
+        .wait(100)
+        .close()
+        .expectClosed();
+
+    // Latest messages are sent first thing to the joining user, oldest
+    // first and flagged as part of the history
+    const checkHistory = (msg) => (data) => {
+      const {history, ...fields} = data;
+      assert.ok(Number.isInteger(history?.id));
+      assert.ok(fields.date >= base.now);
+      chatMessage('say', true, citizen(), msg)(fields);
+    };
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expectJson(checkHistory('First'))
+        .expectJson(checkHistory('Second'))
+        .sendText('Live')
+        .expectJson(chatMessage('say', true, admin(), 'Live'))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world chat backlog - OK (bounded)', async () => {
+    base.config.chatLogSize = 2;
+    base.config.chatBacklog = 1;
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendText('One')
+        .sendText('Two')
+        .sendText('Three')
+        .wait(200)
+        .close()
+        .expectClosed();
+
+    // Only the latest message is sent on join
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expectJson((data) => assert.strictEqual(data.msg, 'Three'))
+        .sendText('Done')
+        .expectJson((data) => assert.strictEqual(data.msg, 'Done'))
+        .wait(100)
+        .close()
+        .expectClosed();
+
+    // The oldest messages are dropped from the log
+    const messages = await base.wsChannelManager.chatLog
+        .getLatest(base.worldId, 10);
+    assert.deepStrictEqual(messages.map(({message}) => message),
+        ['Three', 'Done']);
+
+    delete base.config.chatLogSize;
+    delete base.config.chatBacklog;
+  });
+
+  it('WS world chat backlog - OK (disabled)', async () => {
+    base.config.chatLogSize = 0;
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendText('Unlogged')
+        .wait(100)
+        .close()
+        .expectClosed();
+
+    assert.deepStrictEqual(
+        await base.wsChannelManager.chatLog.getLatest(base.worldId, 10), []);
+
+    delete base.config.chatLogSize;
+  });
+
+  it('WS world chat emote - OK', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendJson({type: 'emote', msg: 'waves'})
+        .expectJson(chatMessage('emote', true, citizen(), 'waves'))
+        .wait(100)
+        .close()
+        .expectClosed();
+
+    // Logged as an emote
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .expectJson(({type, msg, history}) => type === 'emote' &&
+            msg === 'waves' && Number.isInteger(history?.id))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world chat whisper - OK', async () => {
+    await Promise.all([
+      request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.adminBearerToken)
+          .expectJson(chatMessage('join', true, citizen(), ''))
+          .expectJson(chatMessage('whisper', true, citizen(), 'Psst',
+              {to: base.adminId}))
+          .expectJson(chatMessage('leave', true, citizen(), ''))
+          .close()
+          .expectClosed(),
+      sleep(100).then(() => request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/chat`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .sendJson({type: 'whisper', msg: 'Psst', to: base.adminId})
+          .expectJson(chatMessage('whisper', true, citizen(), 'Psst',
+              {to: base.adminId}))
+          .wait(100)
+          .close()
+          .expectClosed()),
+    ]);
+
+    // Whispers are not logged
+    assert.deepStrictEqual(
+        await base.wsChannelManager.chatLog.getLatest(base.worldId, 10), []);
+  });
+
+  it('WS world chat whisper - Bounced (recipient not in world)', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendJson({type: 'whisper', msg: 'Anybody?', to: base.adminId})
+        .expectJson(chatMessage('whisper', false, citizen(), 'Anybody?',
+            {to: base.adminId}))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world chat invalid message - System notice', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendJson({type: 'broadcast', msg: 'I am the server'})
+        .expectJson(chatMessage('system', true, null,
+            'Invalid chat message: Invalid type for chat message'))
+        .sendJson({type: 'whisper', msg: 'To whom?'})
+        .expectJson(chatMessage('system', true, null,
+            'Invalid chat message: Invalid recipient for chat message'))
+        // Plain text which happens to look like JSON is said as is
+        .sendText('{"not": "typed"}')
+        .expectJson(chatMessage('say', true, citizen(), '{"not": "typed"}'))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world chat message too long - System notice', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .sendText('a'.repeat(1001))
+        .expectJson(chatMessage('system', true, null,
+            'Chat message too long (1000 characters at most)'))
+        .sendJson({type: 'emote', msg: 'b'.repeat(1001)})
+        .expectJson(chatMessage('system', true, null,
+            'Chat message too long (1000 characters at most)'))
+        .sendText('a'.repeat(1000))
+        .expectJson(chatMessage('say', true, citizen(), 'a'.repeat(1000)))
+        .close()
+        .expectClosed();
+
+    // Rejected messages are not logged either
+    await sleep(100);
+    const messages = await base.wsChannelManager.chatLog
+        .getLatest(base.worldId, 10);
+    assert.deepStrictEqual(messages.map(({message}) => message),
+        ['a'.repeat(1000)]);
+  });
+
+  it('WS world chat reconnect - OK', async () => {
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/chat`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .exec(() => request(base.server)
+            .ws(`/api/worlds/${base.worldId}/ws/chat`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .exec(() => request(base.server)
+                .ws(`/api/worlds/${base.worldId}/ws/chat`)
+                .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+                .wait(100)
+                .sendText('Still here')
+                .wait(100)
+                .close()
+                .expectClosed())
+            .expectClosed())
+        // Replacing the connection is neither leaving nor joining again
+        .expectJson(chatMessage('join', true, citizen(), ''))
+        .expectJson(chatMessage('say', true, citizen(), 'Still here'))
+        .expectJson(chatMessage('leave', true, citizen(), ''))
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world state connect - Not found', async () => {
+    await request(base.server).ws('/api/worlds/66666/ws/state')
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectConnectionError(404);
+  });
+
+  it('WS world connect - Forbidden (whitelist)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'whitelist'})
+        .expect(200);
+
+    for (const channel of ['chat', 'state', 'update']) {
+      await request(base.server)
+          .ws(`/api/worlds/${base.worldId}/ws/${channel}`)
+          .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+          .expectConnectionError(403);
+    }
+
+    // Admins are always allowed in
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world state connect - OK (password)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({access: 'password', password: 'S3cr3t W0rld'})
+        .expect(200);
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectConnectionError(403);
+
+    // Never read from the query string
+    await request(base.server)
+        .ws(`/api/worlds/${base.worldId}/ws/state?password=` +
+            encodeURIComponent('S3cr3t W0rld'))
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .expectConnectionError(403);
+
+    // The password needs to be provided when getting the world beforehand
+    await request(base.server)
+        .get('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .set('X-World-Password', 'S3cr3t W0rld')
+        .expect(200);
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        .close()
+        .expectClosed();
+  });
+
+  it('WS world state connect - Service unavailable (full)', async () => {
+    await request(base.server)
+        .patch('/api/worlds/' + base.worldId)
+        .set('Authorization', 'Bearer ' + base.adminBearerToken)
+        .send({maxUsers: 1})
+        .expect(200);
+
+    await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+        .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+        // Users already in the world can still open their other channels
+        .exec(() => request(base.server)
+            .ws(`/api/worlds/${base.worldId}/ws/chat`)
+            .set('Authorization', 'Bearer ' + base.citizenBearerToken)
+            .close()
+            .expectClosed())
+        .exec(async () => {
+          base.config.guestLogin = true;
+          const guestToken = await request(base.server)
+              .post('/api/login/guest')
+              .send({name: 'V1s1t0r'})
+              .expect(200).then((response) => response.body.token);
+          base.config.guestLogin = false;
+
+          await request(base.server).ws(`/api/worlds/${base.worldId}/ws/state`)
+              .set('Authorization', 'Bearer ' + guestToken)
+              .expectConnectionError(503);
+        })
+        .close()
+        .expectClosed();
+  });
 });
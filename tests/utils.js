@@ -6,6 +6,7 @@ import * as db from '../common/db/utils.js';
 import {hashProps} from '../common/props-data-format.js';
 import {spawnHttpServer} from '../server/http.js';
 import {spawnWsServer} from '../server/ws.js';
+import {cacheWorldAccess} from '../server/world-access.js';
 import World from '../common/db/model/World.js';
 import Prop from '../common/db/model/Prop.js';
 import User from '../common/db/model/User.js';
@@ -21,10 +22,11 @@ const makeTestWorld = async (connection, name, data) => {
   return (await connection.manager.save([new World(undefined, name, data)]))[0].id;
 };
 
-const makeTestUser = async (connection, name, password, email, role) => {
+const makeTestUser = async (connection, name, password, email, role, privilegePassword = null) => {
   const salt = crypto.randomBytes(db.saltLength).toString('base64');
 
-  const user = new User(undefined, name, db.hashPassword(password, salt), email, role, salt);
+  const user = new User(undefined, name, db.hashPassword(password, salt), email, role, salt,
+      privilegePassword ? db.hashPassword(privilegePassword, salt) : null);
   return (await connection.manager.save([user]))[0].id;
 };
 
@@ -50,11 +52,18 @@ const makeHttpTestBase = (port = 62931, dbFile = 'mocha-http-test-db.sqlite3', s
     firstProp: null,
     secondProp: null,
     adminBearerToken: '',
+    adminPlainBearerToken: '',
     citizenBearerToken: '',
     worldFolder: join(tmpdir(), `base${Date.now()}`),
     userCache: new Map(),
     terrainCache: new Map(),
-    waterCache: new Map()
+    waterCache: new Map(),
+    banCache: new Map(),
+    muteCache: new Map(),
+    worldCache: new Map(),
+    // All test requests come from the same address, don't let the guest login
+    // rate limit get in the way
+    config: {openRegistration: false, guestLogin: false, guestLoginRateLimit: 1000}
   };
 
   const before = async () => {
@@ -62,31 +71,51 @@ const makeHttpTestBase = (port = 62931, dbFile = 'mocha-http-test-db.sqlite3', s
       throw("Test database file already exists, move it or delete it first.");
     }
 
-    const {server, onPropsChange} = await spawnHttpServer(base.dbFile, base.port,
-        base.secret, base.worldFolder, base.userCache, base.terrainCache, base.waterCache);
+    const {server, onPropsChange, onWorldChange, onUserLogout, onWorldPopulation,
+      onWorldUsers, onChatNotice, onWorldEject, telegramStore, chatLog,
+      resetThrottling} =
+        await spawnHttpServer(base.dbFile, base.port, base.secret, base.worldFolder, base.userCache,
+            base.terrainCache, base.waterCache, base.banCache, base.muteCache, base.worldCache,
+            base.config);
     base.server = server;
-    const {wss, wsChannelManager} = await spawnWsServer(server, base.secret, base.userCache);
+    base.resetThrottling = resetThrottling;
+    const {wss, wsChannelManager} = await spawnWsServer(server, base.secret, base.userCache,
+        base.banCache, base.muteCache, base.worldCache, base.config, telegramStore,
+        chatLog);
     base.wss = wss;
     base.wsChannelManager = wsChannelManager;
     onPropsChange((wid, data) => {
       wsChannelManager.broadcastWorldUpdate(wid, data);
     });
+    onWorldChange((wid, data) => {
+      wsChannelManager.broadcastWorldUpdate(wid, data);
+    });
+    onUserLogout((uid) => {
+      wsChannelManager.disconnectUser(uid);
+    });
+    onWorldPopulation((wid) => wsChannelManager.getWorldPopulation(wid));
+    onWorldUsers((wid) => wsChannelManager.getWorldUsers(wid));
+    onChatNotice((wid, msg) => wid === null ?
+      wsChannelManager.broadcastNotice(msg) :
+      wsChannelManager.sendWorldNotice(wid, msg));
+    onWorldEject((wid, uid) => wsChannelManager.ejectUser(wid, uid));
   };
 
   const beforeEach = async () => {
     // Create world in database, get its ID back
     base.worldId = await makeTestWorld(TypeORM.getConnection(), 'Test World', '{}');
+    cacheWorldAccess(base.worldCache, {id: base.worldId});
 
     // Create users in database, get their IDs back
     base.adminId = await makeTestUser(TypeORM.getConnection(), 'xXx_B0b_xXx',
-        '3p1cP4sSw0Rd', 'test@somemail.com', 'admin');
+        '3p1cP4sSw0Rd', 'test@somemail.com', 'admin', 'pR1v1l3g3dP4sS');
     base.citizenId = await makeTestUser(TypeORM.getConnection(), 'oOo_Al1ce_oOo',
         '3p1cP4sSw0Rd', 'test2@somemail.com', 'citizen');
 
-    base.userCache.set(base.adminId, {name: 'xXx_B0b_xXx', role: 'admin'});
-    base.userCache.set(base.citizenId, {name: 'oOo_Al1ce_oOo', role: 'citizen'});
+    base.userCache.set(base.adminId, {name: 'xXx_B0b_xXx', role: 'admin', tokenGeneration: 0});
+    base.userCache.set(base.citizenId, {name: 'oOo_Al1ce_oOo', role: 'citizen', tokenGeneration: 0});
 
-    base.adminBearerToken = await request(base.server)
+    base.adminPlainBearerToken = await request(base.server)
       .post('/api/login')
       .send({username: 'xXx_B0b_xXx', password: '3p1cP4sSw0Rd'})
       .set('Accept', 'application/json')
@@ -99,6 +128,21 @@ const makeHttpTestBase = (port = 62931, dbFile = 'mocha-http-test-db.sqlite3', s
         return body.token;
       });
 
+    // Admin actions require privilege mode, use an elevated token by default
+    base.adminBearerToken = await request(base.server)
+      .post('/api/privilege')
+      .set('Authorization', 'Bearer ' + base.adminPlainBearerToken)
+      .send({password: 'pR1v1l3g3dP4sS'})
+      .set('Accept', 'application/json')
+      .expect('Content-Type', /json/)
+      .expect(200).then(async response => {
+        const body = response.body;
+
+        assert.equal(body.id, base.adminId);
+        assert.ok(body.token);
+        return body.token;
+      });
+
     base.citizenBearerToken = await request(base.server)
       .post('/api/login')
       .send({username: 'oOo_Al1ce_oOo', password: '3p1cP4sSw0Rd'})
@@ -133,7 +177,14 @@ const makeHttpTestBase = (port = 62931, dbFile = 'mocha-http-test-db.sqlite3', s
       await repository.clear();
     }
 
+    // Failed password checks all come from the same address, don't let them
+    // pile up from one test to the next
+    base.resetThrottling();
+
     base.userCache.clear();
+    base.banCache.clear();
+    base.muteCache.clear();
+    base.worldCache.clear();
   };
 
   const after = async () => {
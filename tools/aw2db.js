@@ -351,7 +351,8 @@ function parseAttrFile(path) {
       worldData[key] = value === 'Y';
     } else if (key === 'path') {
       worldData[key] = argv.pathOverride ? argv.pathOverride : value;
-    } else if (key === 'terrainElevationOffset') {
+    } else if (['terrainElevationOffset', 'fogMinimum', 'fogMaximum']
+        .includes(key)) {
       worldData[key] = parseFloat(value);
     } else {
       worldData[key] = value;